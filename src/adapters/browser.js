@@ -4,6 +4,9 @@
  */
 
 const logger = require('../utils/logger');
+const { tokenizeWithOffsets } = require('../core/tokenizer');
+const { getCommonPrefixLength } = require('../core/model');
+const { randomSeed } = require('../core/random');
 
 const hasWebAssembly = typeof WebAssembly === 'object' && 
                         typeof WebAssembly.instantiate === 'function';
@@ -14,6 +17,12 @@ let isInitialized = false;
 
 const DEFAULT_WASM_URL = 'https://cdn.jsdelivr.net/npm/gguf.js/dist/wasm/gguf-web.wasm';
 
+/**
+ * Size in bytes of the generation params struct passed to the WASM module
+ * @type {number}
+ */
+const PARAMS_SIZE = 108;
+
 /**
  * Initialize the WASM environment
  * 
@@ -215,13 +224,19 @@ async function initializeModel(modelPathOrData, options = {}) {
  * 
  * @param {Object} model - The model
  * @param {string} text - Text to tokenize
- * @returns {Promise<number[]>} Array of token IDs
+ * @param {Object} [options={}] - Tokenize options
+ * @param {boolean} [options.offsets=false] - Return `{ids, offsets}` with each token's character range
+ * @returns {Promise<number[]|Object>} Array of token IDs, or IDs and offsets
  */
-async function tokenize(model, text) {
+async function tokenize(model, text, options = {}) {
   if (!model.tokenizer) {
     throw new Error('Model tokenizer not initialized');
   }
   
+  if (options.offsets) {
+    return tokenizeWithOffsets(model, text, model.tokenizer);
+  }
+  
   return model.tokenizer.encode(text);
 }
 
@@ -255,6 +270,214 @@ async function detokenizeToken(model, token) {
   return model.tokenizer.decodeToken(token);
 }
 
+/**
+ * Create evaluation state backed by a WASM sequence that keeps its KV cache between calls
+ * Needs the optional `createSequence`/`freeSequence` exports; otherwise returns null
+ * and every call evaluates the full prompt. A sequence holds the input tokens and
+ * every generated token except the last.
+ * 
+ * @param {Object} model - The model
+ * @returns {Promise<Object|null>} Sequence state, or null when unsupported
+ */
+async function createSessionState(model) {
+  if (!isInitialized || !wasmInstance) {
+    throw new Error('WASM not initialized');
+  }
+  
+  const exports = wasmInstance.exports;
+  if (typeof exports.createSequence !== 'function') {
+    logger.debug('WASM build has no sequence support; prompts will be evaluated in full');
+    return null;
+  }
+  
+  const sequenceId = exports.createSequence(model.session.modelId);
+  if (sequenceId < 0) {
+    throw new Error(`Failed to create sequence: error code ${sequenceId}`);
+  }
+  
+  return { sequenceId, tokens: [] };
+}
+
+/**
+ * Release evaluation state created by createSessionState
+ * 
+ * @param {Object|null} state - Sequence state
+ * @returns {Promise<void>}
+ */
+async function releaseSessionState(state) {
+  if (state && isInitialized && wasmInstance && typeof wasmInstance.exports.freeSequence === 'function') {
+    wasmInstance.exports.freeSequence(state.sequenceId);
+  }
+}
+
+/**
+ * Write the basic sampling fields of the generation params: maxTokens at byte 0,
+ * temperature at 4, topP at 8, topK at 12, repetitionPenalty at 16, the seed at 20
+ * and the streaming flag at 24
+ * 
+ * @private
+ * @param {DataView} paramsView - Generation params
+ * @param {Object} options - Generation options
+ * @param {boolean} streaming - Whether tokens are fetched one at a time
+ */
+function writeSamplingParams(paramsView, options, streaming) {
+  paramsView.setInt32(0, options.maxTokens ?? 100, true);
+  paramsView.setFloat32(4, options.temperature ?? 0.7, true);
+  paramsView.setFloat32(8, options.topP ?? 0.9, true);
+  paramsView.setInt32(12, options.topK ?? 40, true);
+  paramsView.setFloat32(16, options.repetitionPenalty ?? 1.1, true);
+  paramsView.setUint32(20, options.seed ?? randomSeed(), true);
+  paramsView.setInt32(24, streaming ? 1 : 0, true);
+}
+
+/**
+ * Write the extended sampling fields of the generation params, from byte 48:
+ * minP, typicalP, tfsZ, presencePenalty and frequencyPenalty (floats at 48-64),
+ * repeatLastN at 68, mirostat at 72, mirostatTau at 76, mirostatEta at 80,
+ * dynatempRange at 84, dynatempExponent at 88, and the logit bias count at 92
+ * with a pointer at 96 to (int32 token, float32 bias) pairs
+ * 
+ * @private
+ * @param {Object} exports - WASM exports
+ * @param {DataView} paramsView - Generation params
+ * @param {Object} options - Generation options
+ * @returns {number} Pointer to the logit bias pairs, to free after generation (0 for none)
+ */
+function writeExtendedSamplingParams(exports, paramsView, options) {
+  paramsView.setFloat32(48, options.minP ?? 0, true);
+  paramsView.setFloat32(52, options.typicalP ?? 1, true);
+  paramsView.setFloat32(56, options.tfsZ ?? 1, true);
+  paramsView.setFloat32(60, options.presencePenalty ?? 0, true);
+  paramsView.setFloat32(64, options.frequencyPenalty ?? 0, true);
+  paramsView.setInt32(68, options.repeatLastN ?? 64, true);
+  paramsView.setInt32(72, options.mirostat ?? 0, true);
+  paramsView.setFloat32(76, options.mirostatTau ?? 5, true);
+  paramsView.setFloat32(80, options.mirostatEta ?? 0.1, true);
+  paramsView.setFloat32(84, options.dynatempRange ?? 0, true);
+  paramsView.setFloat32(88, options.dynatempExponent ?? 1, true);
+  
+  const { logitBias = {} } = options;
+  const biases = logitBias instanceof Map ? [...logitBias] : Object.entries(logitBias);
+  
+  let biasPtr = 0;
+  if (biases.length > 0) {
+    biasPtr = exports.allocateMemory(biases.length * 8);
+    const biasView = new DataView(exports.memory.buffer, biasPtr, biases.length * 8);
+    biases.forEach(([token, bias], i) => {
+      biasView.setInt32(i * 8, Number(token), true);
+      // -Infinity survives the conversion, so banned tokens stay banned
+      biasView.setFloat32(i * 8 + 4, bias, true);
+    });
+  }
+  
+  paramsView.setInt32(92, biases.length, true);
+  paramsView.setInt32(96, biasPtr, true);
+  return biasPtr;
+}
+
+/**
+ * Write the log-probability fields of the generation params: whether to record
+ * log-probabilities at byte 100 and how many alternatives at byte 104
+ * 
+ * @private
+ * @param {DataView} paramsView - Generation params
+ * @param {Object} options - Generation options
+ */
+function writeLogprobParams(paramsView, options) {
+  paramsView.setInt32(100, options.logprobs ? 1 : 0, true);
+  paramsView.setInt32(104, options.topLogprobs ?? 0, true);
+}
+
+/**
+ * Read the log-probabilities of the token last returned by getNextToken
+ * The export returns a pointer to a float32 logprob, an int32 count and count
+ * (int32 token, float32 logprob) pairs, most likely first; the caller frees it
+ * 
+ * @private
+ * @param {Object} exports - WASM exports
+ * @param {number} modelId - Model handle
+ * @returns {{logprob: number|null, topLogprobs: Array<{id: number, logprob: number}>}} Token info
+ */
+function readTokenLogprobs(exports, modelId) {
+  const infoPtr = exports.getTokenLogprobs(modelId);
+  if (infoPtr === 0) {
+    return { logprob: null, topLogprobs: [] };
+  }
+  
+  try {
+    const infoView = new DataView(exports.memory.buffer, infoPtr);
+    const count = infoView.getInt32(4, true);
+    const topLogprobs = [];
+    for (let i = 0; i < count; i++) {
+      topLogprobs.push({
+        id: infoView.getInt32(8 + i * 8, true),
+        logprob: infoView.getFloat32(12 + i * 8, true)
+      });
+    }
+    return { logprob: infoView.getFloat32(0, true), topLogprobs };
+  } finally {
+    exports.freeMemory(infoPtr);
+  }
+}
+
+/**
+ * Write the sequence fields of the generation params: the sequence id at byte 28
+ * (0 for none) and how many leading input tokens it already holds at byte 32
+ * 
+ * @private
+ * @param {DataView} paramsView - Generation params
+ * @param {Object} context - The context containing tokens and optional state
+ */
+function writeSequenceParams(paramsView, context) {
+  const { state, tokens } = context;
+  
+  // Always evaluate at least one token so there are logits to sample from
+  const reused = state
+    ? Math.min(getCommonPrefixLength(state.tokens, tokens), tokens.length - 1)
+    : 0;
+  
+  if (state) {
+    logger.debug(`Reusing ${reused} evaluated tokens, evaluating ${tokens.length - reused}`);
+  }
+  
+  paramsView.setInt32(28, state ? state.sequenceId : 0, true);
+  paramsView.setInt32(32, reused, true);
+}
+
+/**
+ * Write the context shift fields of the generation params: whether to shift at
+ * byte 36, nKeep at byte 40 and nDiscard at byte 44 (0 for half of the tokens after nKeep)
+ * 
+ * @private
+ * @param {DataView} paramsView - Generation params
+ * @param {Object} options - Generation options
+ */
+function writeContextShiftParams(paramsView, options) {
+  paramsView.setInt32(36, options.contextShift ? 1 : 0, true);
+  paramsView.setInt32(40, options.nKeep ?? 0, true);
+  paramsView.setInt32(44, options.nDiscard ?? 0, true);
+}
+
+/**
+ * Record what a sequence holds after a generation
+ * 
+ * @private
+ * @param {Object} context - The context containing tokens and optional state
+ * @param {number[]|null} outputTokens - Generated tokens, or null if generation failed
+ */
+function recordSequence(context, outputTokens) {
+  if (!context.state) {
+    return;
+  }
+  
+  // A context shift rearranged the sequence, so it cannot be matched against the next prompt
+  const shifted = outputTokens && context.tokens.length + outputTokens.length > context.contextSize;
+  
+  context.state.tokens = outputTokens && !shifted
+    ? [...context.tokens, ...outputTokens.slice(0, -1)]
+    : [];
+}
+
 /**
  * Run inference with a model
  * 
@@ -280,16 +503,14 @@ async function runInference(model, context, options, isCancelled) {
     const inputView = new Int32Array(exports.memory.buffer, inputPtr, inputTokens.length);
     inputTokens.forEach((token, i) => inputView[i] = token);
     
-    const paramsPtr = exports.allocateMemory(40);
+    const paramsPtr = exports.allocateMemory(PARAMS_SIZE);
     const paramsView = new DataView(exports.memory.buffer, paramsPtr);
     
-    let offset = 0;
-    paramsView.setInt32(offset, options.maxTokens || 100, true); offset += 4;
-    paramsView.setFloat32(offset, options.temperature || 0.7, true); offset += 4;
-    paramsView.setFloat32(offset, options.topP || 0.9, true); offset += 4;
-    paramsView.setInt32(offset, options.topK || 40, true); offset += 4;
-    paramsView.setFloat32(offset, options.repetitionPenalty || 1.1, true); offset += 4;
-    paramsView.setInt32(offset, options.seed || Math.floor(Math.random() * 4294967295), true);
+    writeSamplingParams(paramsView, options, false);
+    writeSequenceParams(paramsView, context);
+    writeContextShiftParams(paramsView, options);
+    const biasPtr = writeExtendedSamplingParams(exports, paramsView, options);
+    writeLogprobParams(paramsView, options);
     
     const resultPtr = exports.generateText(
       modelId,
@@ -326,19 +547,36 @@ async function runInference(model, context, options, isCancelled) {
         for (let i = 0; i < tokenCount; i++) {
           outputTokens.push(tokenView[i]);
         }
+        if (tokenCount > 0) {
+          context.markFirstToken();
+        }
+        context.setFinishReason(tokenCount >= (options.maxTokens ?? 100) ? 'length' : 'eos');
         
         exports.freeMemory(inputPtr);
         exports.freeMemory(paramsPtr);
+        if (biasPtr) {
+          exports.freeMemory(biasPtr);
+        }
         exports.freeMemory(resultPtr);
+        recordSequence(context, outputTokens);
       } else {
         exports.freeMemory(inputPtr);
         exports.freeMemory(paramsPtr);
+        if (biasPtr) {
+          exports.freeMemory(biasPtr);
+        }
         throw new Error(`Generation failed with status code ${status}`);
       }
     }
     
+    if (!completed) {
+      context.setFinishReason('cancelled');
+      recordSequence(context, null);
+    }
+    
     return outputTokens;
   } catch (error) {
+    recordSequence(context, null);
     logger.error(`Inference error: ${error.message}`);
     throw error;
   }
@@ -368,23 +606,34 @@ async function runInferenceStreaming(model, context, onToken, options, isCancell
     const inputView = new Int32Array(exports.memory.buffer, inputPtr, inputTokens.length);
     inputTokens.forEach((token, i) => inputView[i] = token);
     
-    const paramsPtr = exports.allocateMemory(40);
+    const paramsPtr = exports.allocateMemory(PARAMS_SIZE);
     const paramsView = new DataView(exports.memory.buffer, paramsPtr);
     
-    let offset = 0;
-    paramsView.setInt32(offset, options.maxTokens || 100, true); offset += 4;
-    paramsView.setFloat32(offset, options.temperature || 0.7, true); offset += 4;
-    paramsView.setFloat32(offset, options.topP || 0.9, true); offset += 4;
-    paramsView.setInt32(offset, options.topK || 40, true); offset += 4;
-    paramsView.setFloat32(offset, options.repetitionPenalty || 1.1, true); offset += 4;
-    paramsView.setInt32(offset, options.seed || Math.floor(Math.random() * 4294967295), true); offset += 4;
-    paramsView.setInt32(offset, 1, true);
+    writeSamplingParams(paramsView, options, true);
+    writeSequenceParams(paramsView, context);
+    writeContextShiftParams(paramsView, options);
+    const biasPtr = writeExtendedSamplingParams(exports, paramsView, options);
+    writeLogprobParams(paramsView, options);
+    
+    const withLogprobs = options.logprobs && typeof exports.getTokenLogprobs === 'function';
+    if (options.logprobs && !withLogprobs) {
+      logger.warn('This WASM build cannot report token probabilities; tokens are reported without log-probabilities');
+    }
+    
+    const outputTokens = [];
+    let finished = false;
+    let stoppedAtStop = false;
     
     exports.startStreamingGeneration(modelId, inputPtr, inputTokens.length, paramsPtr);
     
     while (true) {
       if (isCancelled && isCancelled()) {
         exports.cancelGeneration(modelId);
+        // A stop sequence or stop token also ends generation through isCancelled
+        stoppedAtStop = context.finishReason === 'stop_sequence';
+        if (!stoppedAtStop) {
+          context.setFinishReason('cancelled');
+        }
         break;
       }
       
@@ -394,12 +643,15 @@ async function runInferenceStreaming(model, context, onToken, options, isCancell
         await new Promise(resolve => setTimeout(resolve, 10));
         continue;
       } else if (tokenPtr === -1) {
+        finished = true;
+        context.setFinishReason(outputTokens.length >= (options.maxTokens ?? 100) ? 'length' : 'eos');
         break;
       } else {
         const token = new DataView(exports.memory.buffer).getInt32(tokenPtr, true);
+        context.markFirstToken();
+        outputTokens.push(token);
         
-        const tokenText = await detokenizeToken(model, token);
-        await onToken(token);
+        await onToken(token, withLogprobs ? readTokenLogprobs(exports, modelId) : undefined);
         
         exports.freeMemory(tokenPtr);
       }
@@ -407,12 +659,34 @@ async function runInferenceStreaming(model, context, onToken, options, isCancell
     
     exports.freeMemory(inputPtr);
     exports.freeMemory(paramsPtr);
+    if (biasPtr) {
+      exports.freeMemory(biasPtr);
+    }
+    // Ending at a stop leaves the sequence holding every token read but the last,
+    // as a finished generation does; an abort leaves it in an unknown state
+    recordSequence(context, finished || stoppedAtStop ? outputTokens : null);
   } catch (error) {
+    recordSequence(context, null);
     logger.error(`Streaming inference error: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Fetch a text file, such as a tokenizer.json
+ * 
+ * @param {string} url - URL of the file
+ * @returns {Promise<string>} File contents
+ */
+async function readFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch file: ${response.statusText}`);
+  }
+  
+  return response.text();
+}
+
 /**
  * Free resources used by a model
  * 
@@ -440,5 +714,8 @@ module.exports = {
   detokenizeToken,
   runInference,
   runInferenceStreaming,
+  createSessionState,
+  releaseSessionState,
+  readFile,
   freeModel
 };
\ No newline at end of file
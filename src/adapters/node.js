@@ -6,21 +6,30 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { tokenizeWithOffsets } = require('../core/tokenizer');
+const { getCommonPrefixLength } = require('../core/model');
+const { randomSeed } = require('../core/random');
 
 let LlamaModel;
+let TokenBias;
 try {
   const llamaCpp = require('node-llama-cpp');
   LlamaModel = llamaCpp.LlamaModel;
+  TokenBias = llamaCpp.TokenBias || null;
 } catch (error) {
   logger.warn('node-llama-cpp not found. Install it with: npm install node-llama-cpp');
   LlamaModel = null;
+  TokenBias = null;
 }
 
 /**
  * Initialize a GGUF model in Node.js environment
  * @param {string} modelPath - Path to the model file
  * @param {Object} options - Model options
- * @returns {Promise<Object>} Session and tokenizer
+ * @param {number} [options.contextSize] - Context size resolved by the loader;
+ *   node-llama-cpp falls back to the model's trained context length when omitted
+ * @param {number} [options.seed] - Context seed; a random one when omitted
+ * @returns {Promise<Object>} Session, tokenizer and the seed used
  */
 async function initializeModel(modelPath, options = {}) {
   if (!LlamaModel) {
@@ -34,10 +43,10 @@ async function initializeModel(modelPath, options = {}) {
   logger.info(`Initializing GGUF model from: ${modelPath}`);
   
   const {
-    contextSize = 2048,
+    contextSize,
     quantization = 'q4_0',
     lowMemory = false,
-    seed = Math.floor(Math.random() * 4294967295),
+    seed = randomSeed(),
     threads = Math.max(1, require('os').cpus().length / 2)
   } = options;
   
@@ -60,11 +69,12 @@ async function initializeModel(modelPath, options = {}) {
       decodeToken: async (token) => model.detokenize([token])
     };
     
-    logger.info(`Model initialized successfully (context size: ${contextSize}, threads: ${threads})`);
+    logger.info(`Model initialized successfully (context size: ${contextSize || 'model default'}, threads: ${threads}, seed: ${seed})`);
     
     return {
       session: model,
-      tokenizer
+      tokenizer,
+      seed
     };
   } catch (error) {
     logger.error(`Failed to initialize model: ${error.message}`);
@@ -76,13 +86,22 @@ async function initializeModel(modelPath, options = {}) {
  * Tokenize text with the model
  * @param {Object} model - The GGUF model
  * @param {string} text - Text to tokenize
- * @returns {Promise<number[]>} Token IDs
+ * @param {Object} [options={}] - Tokenize options
+ * @param {boolean} [options.offsets=false] - Return `{ids, offsets}` with each token's character range
+ * @returns {Promise<number[]|Object>} Token IDs, or IDs and offsets
  */
-async function tokenize(model, text) {
+async function tokenize(model, text, options = {}) {
   if (!model.session) {
     throw new Error('Model session not initialized');
   }
   
+  if (options.offsets) {
+    return tokenizeWithOffsets(model, text, {
+      encode: (input) => model.session.tokenize(input),
+      decode: (tokens) => model.session.detokenize(tokens)
+    });
+  }
+  
   return model.session.tokenize(text);
 }
 
@@ -115,27 +134,406 @@ async function detokenizeToken(model, token) {
 }
 
 /**
- * Run inference with a model
+ * Create evaluation state that keeps a context sequence alive between calls
+ * Needs a node-llama-cpp model with `createContext`; otherwise returns null and
+ * every call evaluates the full prompt
+ * @param {Object} model - The GGUF model
+ * @returns {Promise<Object|null>} Sequence state, or null when unsupported
+ */
+async function createSessionState(model) {
+  if (!model.session) {
+    throw new Error('Model session not initialized');
+  }
+  
+  if (typeof model.session.createContext !== 'function') {
+    logger.debug('Model does not support context sequences; prompts will be evaluated in full');
+    return null;
+  }
+  
+  const llamaContext = await model.session.createContext({
+    contextSize: model.metadata.contextSize
+  });
+  
+  return {
+    llamaContext,
+    sequence: llamaContext.getSequence(),
+    tokens: []
+  };
+}
+
+/**
+ * Release evaluation state created by createSessionState
+ * @param {Object|null} state - Sequence state
+ * @returns {Promise<void>}
+ */
+async function releaseSessionState(state) {
+  if (state && state.llamaContext && typeof state.llamaContext.dispose === 'function') {
+    await state.llamaContext.dispose();
+  }
+}
+
+/**
+ * Build node-llama-cpp context shift settings that keep the first nKeep tokens
+ * and discard the oldest tokens after them, as llama.cpp does
+ * @private
+ * @param {Object} state - Sequence state
+ * @param {Object} options - Generation options
+ * @returns {Object} Context shift settings for sequence.evaluate
+ */
+function createContextShift(state, options) {
+  const { nKeep, nDiscard } = options;
+  
+  return {
+    size: (sequence) => nDiscard ?? Math.max(1, Math.floor((sequence.nextTokenIndex - nKeep) / 2)),
+    strategy: ({ size }) => {
+      logger.debug(`Context full: discarding ${size} tokens after the first ${nKeep}`);
+      state.tokens.splice(nKeep, size);
+      return [{ start: nKeep, end: nKeep + size }];
+    }
+  };
+}
+
+/**
+ * Sequence state kept per model for generations that need a sequence but have
+ * no session state, so they share one llama context instead of each allocating
+ * a KV cache
+ * @private
+ * @type {WeakMap<Object, {state: Object, busy: boolean}>}
+ */
+const sharedStates = new WeakMap();
+
+/**
+ * Whether a generation without session state needs a context sequence,
+ * for context shifting or log-probabilities
+ * @private
+ * @param {Object} model - The GGUF model
+ * @param {Object} options - Generation options
+ * @returns {boolean} True to generate on the model's shared sequence
+ */
+function needsSequence(model, options) {
+  const logprobs = options.logprobs || options.topLogprobs > 0;
+  return Boolean(options.contextShift || logprobs) && typeof model.session.createContext === 'function';
+}
+
+/**
+ * Generate on the model's shared context sequence, for features only sequences
+ * support. The sequence keeps its tokens between calls, so a repeated prompt
+ * prefix is not evaluated again. While another generation holds it (scheduler
+ * concurrency above 1), a temporary sequence is used instead.
+ * @private
  * @param {Object} model - The GGUF model
  * @param {Object} context - Model context
+ * @param {function} onToken - Called with each generated token
  * @param {Object} options - Generation options
  * @param {function} isCancelled - Function to check if generation is cancelled
- * @returns {Promise<number[]>} Generated token IDs
+ * @returns {Promise<void>}
  */
-async function runInference(model, context, options, isCancelled) {
-  if (!model.session) {
-    throw new Error('Model session not initialized');
+async function generateOnSharedSequence(model, context, onToken, options, isCancelled) {
+  let shared = sharedStates.get(model);
+  
+  if (shared && shared.busy) {
+    const state = await createSessionState(model);
+    
+    try {
+      await generateOnSequence(model, context, state, onToken, options, isCancelled);
+    } finally {
+      await releaseSessionState(state);
+    }
+    return;
+  }
+  
+  if (!shared) {
+    shared = { state: null, busy: true };
+    sharedStates.set(model, shared);
+    
+    try {
+      shared.state = await createSessionState(model);
+    } catch (error) {
+      sharedStates.delete(model);
+      throw error;
+    }
   }
   
-  const params = {
-    nPredict: options.maxTokens,
+  shared.busy = true;
+  try {
+    await generateOnSequence(model, context, shared.state, onToken, options, isCancelled);
+  } finally {
+    shared.busy = false;
+  }
+}
+
+/**
+ * List the entries of a logit bias map
+ * @private
+ * @param {Object<number, number>|Map<number, number>} [logitBias] - Bias per token id
+ * @returns {Array<[number, number]>} Token id and bias pairs
+ */
+function getLogitBiasEntries(logitBias = {}) {
+  const entries = logitBias instanceof Map ? [...logitBias] : Object.entries(logitBias);
+  return entries.map(([token, bias]) => [Number(token), bias]);
+}
+
+/**
+ * Convert node-llama-cpp token probabilities to log-probabilities
+ * @private
+ * @param {number} token - Generated token
+ * @param {Map<number, number>} [probabilities] - Probability per token, most likely first
+ * @param {number} topLogprobs - Alternatives to include
+ * @returns {{logprob: number|null, topLogprobs: Array<{id: number, logprob: number}>}} Token info
+ */
+function getTokenLogprobs(token, probabilities, topLogprobs) {
+  if (!probabilities) {
+    return { logprob: null, topLogprobs: [] };
+  }
+  
+  const alternatives = [];
+  for (const [id, probability] of probabilities) {
+    if (alternatives.length >= topLogprobs) {
+      break;
+    }
+    alternatives.push({ id, logprob: Math.log(probability) });
+  }
+  
+  return {
+    logprob: probabilities.has(token) ? Math.log(probabilities.get(token)) : null,
+    topLogprobs: alternatives
+  };
+}
+
+/**
+ * Check that a generation on a context sequence only uses samplers sequences have
+ * Context sequences only sample with temperature, minP, topK, topP, the
+ * repetition penalties and token biases, so the others cannot be honoured there
+ * @private
+ * @param {Object} options - Generation options
+ * @throws {Error} If typicalP, tfsZ, mirostat or dynatempRange is set
+ */
+function checkSequenceSamplers(options) {
+  const unsupported = [
+    (options.typicalP ?? 1) !== 1 && 'typicalP',
+    (options.tfsZ ?? 1) !== 1 && 'tfsZ',
+    (options.mirostat ?? 0) !== 0 && 'mirostat',
+    (options.dynatempRange ?? 0) !== 0 && 'dynatempRange'
+  ].filter(Boolean);
+  
+  if (unsupported.length > 0) {
+    throw new Error(
+      `node-llama-cpp context sequences, used for chat sessions, contextShift and logprobs, do not support ${unsupported.join(', ')}; ` +
+      'leave these options at their defaults for this generation'
+    );
+  }
+}
+
+/**
+ * Build the node-llama-cpp evaluation options for a sequence
+ * @private
+ * @param {Object} model - The GGUF model
+ * @param {Object} state - Sequence state from createSessionState
+ * @param {Object} options - Generation options
+ * @returns {Object} Options for sequence.evaluate
+ */
+function createEvaluateOptions(model, state, options) {
+  const evaluateOptions = {
+    temperature: options.temperature,
+    minP: options.minP,
+    topK: options.topK,
+    topP: options.topP,
+    seed: options.seed
+  };
+  
+  const repeatLastN = options.repeatLastN ?? 64;
+  if (repeatLastN !== 0) {
+    evaluateOptions.repeatPenalty = {
+      // Read lazily so the window follows the tokens generated so far
+      punishTokens: () => (repeatLastN === -1 ? state.tokens : state.tokens.slice(-repeatLastN)),
+      penalty: options.repetitionPenalty,
+      presencePenalty: options.presencePenalty,
+      frequencyPenalty: options.frequencyPenalty
+    };
+  }
+  
+  const biases = getLogitBiasEntries(options.logitBias);
+  if (biases.length > 0) {
+    if (TokenBias && model.session.tokenizer) {
+      const tokenBias = new TokenBias(model.session.tokenizer);
+      for (const [token, bias] of biases) {
+        tokenBias.set(token, bias === -Infinity ? 'never' : { logit: bias });
+      }
+      evaluateOptions.tokenBias = tokenBias;
+    } else {
+      logger.warn('This node-llama-cpp version does not support token biases; logitBias is ignored');
+    }
+  }
+  
+  return evaluateOptions;
+}
+
+/**
+ * Build the generation params for a model session without context sequences
+ * @private
+ * @param {Object} context - Model context
+ * @param {Object} options - Generation options
+ * @returns {Object} Params for session.generate
+ */
+function createGenerateParams(context, options) {
+  if (options.logprobs) {
+    logger.warn('Log-probabilities need node-llama-cpp context sequences; tokens are reported without them');
+  }
+  
+  return {
+    nPredict: getPredictLimit(context, options),
     temperature: options.temperature,
     topP: options.topP,
     topK: options.topK,
+    minP: options.minP,
+    typicalP: options.typicalP,
+    tfsZ: options.tfsZ,
     repeatPenalty: options.repetitionPenalty,
-    seed: options.seed,
-    stop: options.stopSequences || []
+    presencePenalty: options.presencePenalty,
+    frequencyPenalty: options.frequencyPenalty,
+    repeatLastN: options.repeatLastN,
+    mirostat: options.mirostat,
+    mirostatTau: options.mirostatTau,
+    mirostatEta: options.mirostatEta,
+    logitBias: Object.fromEntries(getLogitBiasEntries(options.logitBias)),
+    dynatempRange: options.dynatempRange,
+    dynatempExponent: options.dynatempExponent,
+    seed: options.seed
   };
+}
+
+/**
+ * Limit the tokens to predict to the space left in the context
+ * @private
+ * @param {Object} context - Model context
+ * @param {Object} options - Generation options
+ * @returns {number} Tokens to predict
+ */
+function getPredictLimit(context, options) {
+  const remaining = context.contextSize - context.tokens.length;
+  
+  if (options.contextShift && options.maxTokens > remaining) {
+    logger.warn('Context shifting needs node-llama-cpp context sequences; generation stops when the context is full');
+  }
+  
+  return Math.min(options.maxTokens, remaining);
+}
+
+/**
+ * Generate on a persistent context sequence, evaluating only the tokens past
+ * the prefix it already holds
+ * @private
+ * @param {Object} model - The GGUF model
+ * @param {Object} context - Model context
+ * @param {Object} state - Sequence state from createSessionState
+ * @param {function} onToken - Called with each generated token
+ * @param {Object} options - Generation options
+ * @param {function} isCancelled - Function to check if generation is cancelled
+ * @returns {Promise<void>}
+ */
+async function generateOnSequence(model, context, state, onToken, options, isCancelled) {
+  checkSequenceSamplers(options);
+  
+  const { sequence } = state;
+  
+  // Always evaluate at least one token so there are logits to sample from
+  const reused = Math.min(
+    getCommonPrefixLength(state.tokens, context.tokens),
+    context.tokens.length - 1
+  );
+  
+  if (sequence.nextTokenIndex > reused) {
+    await sequence.eraseContextTokenRanges([{ start: reused, end: sequence.nextTokenIndex }]);
+  }
+  state.tokens = context.tokens.slice(0, reused);
+  
+  logger.debug(`Reusing ${reused} evaluated tokens, evaluating ${context.tokens.length - reused}`);
+  
+  const evaluateOptions = {
+    ...createEvaluateOptions(model, state, options),
+    ...(options.contextShift ? { contextShift: createContextShift(state, options) } : {})
+  };
+  
+  const logprobs = Boolean(options.logprobs || options.topLogprobs > 0);
+  const withLogprobs = logprobs && typeof sequence.evaluateWithMetadata === 'function';
+  if (logprobs && !withLogprobs) {
+    logger.warn('This node-llama-cpp version cannot report token probabilities; tokens are reported without log-probabilities');
+  }
+  
+  // Yields tokens, or {token, probabilities} with log-probabilities
+  const completion = withLogprobs ?
+    sequence.evaluateWithMetadata(context.tokens.slice(reused), { probabilities: true }, evaluateOptions) :
+    sequence.evaluate(context.tokens.slice(reused), evaluateOptions);
+  
+  // The sequence evaluates each yielded token when the next one is requested,
+  // so the last token is never part of the cached prefix
+  state.tokens.push(...context.tokens.slice(reused));
+  let tokenCount = 0;
+  let previous = null;
+  
+  // The completion only runs out when the model stops by itself
+  context.setFinishReason('eos');
+  
+  try {
+    for await (const item of completion) {
+      const token = withLogprobs ? item.token : item;
+      
+      if (previous !== null) {
+        state.tokens.push(previous);
+      }
+      
+      if (isCancelled && isCancelled()) {
+        logger.info('Generation cancelled');
+        context.setFinishReason('cancelled');
+        break;
+      }
+      
+      if (typeof model.session.isEogToken === 'function' && model.session.isEogToken(token)) {
+        break;
+      }
+      
+      context.markFirstToken();
+      await onToken(token, withLogprobs ? getTokenLogprobs(token, item.probabilities, options.topLogprobs) : undefined);
+      previous = token;
+      tokenCount++;
+      
+      if (tokenCount >= options.maxTokens) {
+        context.setFinishReason('length');
+        break;
+      }
+    }
+  } catch (error) {
+    // The sequence contents are unknown now, so the next call starts over
+    state.tokens = [];
+    throw error;
+  }
+}
+
+/**
+ * Run inference with a model
+ * @param {Object} model - The GGUF model
+ * @param {Object} context - Model context
+ * @param {Object} options - Generation options
+ * @param {function} isCancelled - Function to check if generation is cancelled
+ * @returns {Promise<number[]>} Generated token IDs
+ */
+async function runInference(model, context, options, isCancelled) {
+  if (!model.session) {
+    throw new Error('Model session not initialized');
+  }
+  
+  if (context.state || needsSequence(model, options)) {
+    const outputTokens = [];
+    const onToken = token => outputTokens.push(token);
+    if (context.state) {
+      await generateOnSequence(model, context, context.state, onToken, options, isCancelled);
+    } else {
+      await generateOnSharedSequence(model, context, onToken, options, isCancelled);
+    }
+    return outputTokens;
+  }
+  
+  const params = createGenerateParams(context, options);
   
   return new Promise((resolve, reject) => {
     try {
@@ -145,16 +543,20 @@ async function runInference(model, context, options, isCancelled) {
       });
       
       const outputTokens = [];
+      context.setFinishReason('eos');
       
       for (const token of completion) {
         if (isCancelled && isCancelled()) {
           logger.info('Generation cancelled');
+          context.setFinishReason('cancelled');
           break;
         }
         
+        context.markFirstToken();
         outputTokens.push(token);
         
         if (outputTokens.length >= params.nPredict) {
+          context.setFinishReason('length');
           break;
         }
       }
@@ -180,44 +582,40 @@ async function runInferenceStreaming(model, context, onToken, options, isCancell
     throw new Error('Model session not initialized');
   }
   
-  const params = {
-    nPredict: options.maxTokens,
-    temperature: options.temperature,
-    topP: options.topP,
-    topK: options.topK,
-    repeatPenalty: options.repetitionPenalty,
-    seed: options.seed,
-    stop: options.stopSequences || []
-  };
+  if (context.state) {
+    return generateOnSequence(model, context, context.state, onToken, options, isCancelled);
+  }
   
-  return new Promise((resolve, reject) => {
-    try {
-      const completion = model.session.generate({
-        tokens: context.tokens,
-        ...params
-      });
-      
-      let tokenCount = 0;
-      
-      for (const token of completion) {
-        if (isCancelled && isCancelled()) {
-          logger.info('Streaming generation cancelled');
-          break;
-        }
-        
-        onToken(token);
-        tokenCount++;
-        
-        if (tokenCount >= params.nPredict) {
-          break;
-        }
-      }
-      
-      resolve();
-    } catch (error) {
-      reject(error);
-    }
+  if (needsSequence(model, options)) {
+    return generateOnSharedSequence(model, context, onToken, options, isCancelled);
+  }
+  
+  const params = createGenerateParams(context, options);
+  const completion = model.session.generate({
+    tokens: context.tokens,
+    ...params
   });
+  
+  let tokenCount = 0;
+  context.setFinishReason('eos');
+  
+  for (const token of completion) {
+    if (isCancelled && isCancelled()) {
+      logger.info('Streaming generation cancelled');
+      context.setFinishReason('cancelled');
+      break;
+    }
+    
+    context.markFirstToken();
+    // Wait for the callback so a stop sequence it matches is seen by isCancelled
+    await onToken(token);
+    tokenCount++;
+    
+    if (tokenCount >= params.nPredict) {
+      context.setFinishReason('length');
+      break;
+    }
+  }
 }
 
 /**
@@ -225,12 +623,29 @@ async function runInferenceStreaming(model, context, onToken, options, isCancell
  * @param {Object} model - The model to free
  */
 function freeModel(model) {
+  const shared = sharedStates.get(model);
+  if (shared) {
+    sharedStates.delete(model);
+    releaseSessionState(shared.state).catch((error) => {
+      logger.warn(`Failed to release the shared sequence of ${model.id}: ${error.message}`);
+    });
+  }
+  
   if (model.session && typeof model.session.dispose === 'function') {
     model.session.dispose();
     logger.info(`Model resources freed: ${model.id}`);
   }
 }
 
+/**
+ * Read a text file, such as a tokenizer.json
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} File contents
+ */
+async function readFile(filePath) {
+  return fs.promises.readFile(filePath, 'utf8');
+}
+
 /**
  * Discover GGUF models in a directory
  * @param {string} directory - Directory to search
@@ -282,6 +697,9 @@ module.exports = {
   detokenizeToken,
   runInference,
   runInferenceStreaming,
+  createSessionState,
+  releaseSessionState,
   freeModel,
+  readFile,
   discoverModels
 };
\ No newline at end of file
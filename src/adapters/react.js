@@ -24,6 +24,8 @@ const { GGUFModel } = require('../core/model');
 const loader = require('../core/loader');
 const inference = require('../core/inference');
 const logger = require('../utils/logger');
+const { formatChatPrompt } = require('../utils/formats');
+const { normalizeMessage } = require('../utils/messages');
 
 /**
  * Use state in a React hook or plain object fallback
@@ -184,7 +186,41 @@ function useGeneration(adapter, options = {}) {
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
   const [output, setOutput] = useState('');
-  const isCancelled = useRef(false);
+  const abortController = useRef(null);
+  // Removes the listener each request adds to the caller's signal
+  const signalCleanups = useRef(new Map());
+  
+  const startRequest = useCallback((genOptions) => {
+    const controller = new AbortController();
+    abortController.current = controller;
+    
+    const { signal } = genOptions;
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        signalCleanups.current.set(controller, () => signal.removeEventListener('abort', onAbort));
+      }
+    }
+    
+    return controller;
+  }, []);
+  
+  const endRequest = useCallback((controller) => {
+    const cleanup = signalCleanups.current.get(controller);
+    if (cleanup) {
+      cleanup();
+      signalCleanups.current.delete(controller);
+    }
+    
+    // A newer request may still be running
+    if (abortController.current === controller) {
+      abortController.current = null;
+      setIsGenerating(false);
+    }
+  }, []);
   
   const generate = useCallback(async (model, prompt, genOptions = {}) => {
     if (!model || !model.isLoaded) {
@@ -196,30 +232,29 @@ function useGeneration(adapter, options = {}) {
     setIsGenerating(true);
     setError(null);
     setOutput('');
-    isCancelled.current = false;
+    const controller = startRequest(genOptions);
     
     try {
       const response = await inference.generate(
         model, 
         prompt, 
-        genOptions, 
-        adapter, 
-        () => isCancelled.current
+        { ...genOptions, signal: controller.signal }, 
+        adapter
       );
       
       setOutput(response);
       return response;
     } catch (err) {
-      if (!isCancelled.current) {
+      if (!controller.signal.aborted) {
         const message = err instanceof Error ? err.message : String(err);
         setError(message);
         throw err;
       }
       return '';
     } finally {
-      setIsGenerating(false);
+      endRequest(controller);
     }
-  }, [adapter]);
+  }, [adapter, startRequest, endRequest]);
   
   const streamGenerate = useCallback(async (model, prompt, onToken, genOptions = {}) => {
     if (!model || !model.isLoaded) {
@@ -231,12 +266,12 @@ function useGeneration(adapter, options = {}) {
     setIsGenerating(true);
     setError(null);
     setOutput('');
-    isCancelled.current = false;
+    const controller = startRequest(genOptions);
     
     let fullOutput = '';
     
     const wrappedOnToken = (token, isDone) => {
-      if (!isCancelled.current) {
+      if (!controller.signal.aborted) {
         fullOutput += token;
         setOutput(fullOutput);
         onToken(token, isDone);
@@ -248,28 +283,30 @@ function useGeneration(adapter, options = {}) {
         model, 
         prompt, 
         wrappedOnToken, 
-        genOptions, 
-        adapter, 
-        () => isCancelled.current
+        { ...genOptions, signal: controller.signal }, 
+        adapter
       );
       
       return fullOutput;
     } catch (err) {
-      if (!isCancelled.current) {
+      if (!controller.signal.aborted) {
         const message = err instanceof Error ? err.message : String(err);
         setError(message);
         throw err;
       }
       return fullOutput;
     } finally {
-      setIsGenerating(false);
+      endRequest(controller);
     }
-  }, [adapter]);
+  }, [adapter, startRequest, endRequest]);
   
   const cancelGeneration = useCallback(() => {
-    isCancelled.current = true;
+    const controller = abortController.current;
+    if (controller) {
+      controller.abort();
+    }
     setIsGenerating(false);
-    return true;
+    return Boolean(controller);
   }, []);
   
   return {
@@ -285,8 +322,14 @@ function useGeneration(adapter, options = {}) {
 /**
  * Hook for chat conversation state management
  * 
+ * Prompts are formatted with the model's own chat template when it has one.
+ * Messages follow the ChatMessage schema from utils/messages (names, tool calls,
+ * tool results and typed content parts) and are validated when added.
+ * 
  * @param {Object} adapter - Environment adapter
  * @param {Object} [options={}] - Hook options
+ * @param {string|false} [options.chatTemplate] - Chat template to use instead of the model's
+ * @param {Object} [options.templateVariables] - Extra chat template variables, e.g. `tools`
  * @returns {Object} Chat state and functions
  */
 function useChat(adapter, options = {}) {
@@ -294,51 +337,37 @@ function useChat(adapter, options = {}) {
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
   
-  const addUserMessage = useCallback((content) => {
-    const userMessage = {
+  const addMessage = useCallback((message) => {
+    const chatMessage = {
       id: Date.now(),
-      role: 'user',
-      content,
+      ...normalizeMessage(message),
       timestamp: new Date().toISOString()
     };
     
-    setMessages(prevMessages => [...prevMessages, userMessage]);
-    return userMessage;
+    setMessages(prevMessages => [...prevMessages, chatMessage]);
+    return chatMessage;
   }, []);
   
-  const addAssistantMessage = useCallback((content) => {
-    const assistantMessage = {
-      id: Date.now(),
-      role: 'assistant',
-      content,
-      timestamp: new Date().toISOString()
-    };
-    
-    setMessages(prevMessages => [...prevMessages, assistantMessage]);
-    return assistantMessage;
-  }, []);
+  const addUserMessage = useCallback((content, fields = {}) => {
+    return addMessage({ ...fields, role: 'user', content });
+  }, [addMessage]);
   
-  const formatPrompt = useCallback((systemPrompt) => {
-    let prompt = '';
-    
-    if (systemPrompt) {
-      prompt += `System: ${systemPrompt}\n\n`;
-    }
-    
-    for (const message of messages) {
-      if (message.role === 'user') {
-        prompt += `User: ${message.content}\n\n`;
-      } else if (message.role === 'assistant') {
-        prompt += `Assistant: ${message.content}\n\n`;
-      } else if (message.role === 'system') {
-        prompt += `System: ${message.content}\n\n`;
-      }
-    }
-    
-    prompt += 'Assistant: ';
-    
-    return prompt;
-  }, [messages]);
+  const addAssistantMessage = useCallback((content, fields = {}) => {
+    return addMessage({ ...fields, role: 'assistant', content });
+  }, [addMessage]);
+  
+  const addToolMessage = useCallback((content, toolCallId, fields = {}) => {
+    return addMessage({ ...fields, role: 'tool', content, tool_call_id: toolCallId });
+  }, [addMessage]);
+  
+  const formatPrompt = useCallback((systemPrompt, model = null) => {
+    return formatChatPrompt(messages, {
+      systemPrompt,
+      model,
+      chatTemplate: options.chatTemplate,
+      templateVariables: options.templateVariables
+    });
+  }, [messages, options.chatTemplate, options.templateVariables]);
   
   const generateResponse = useCallback(async (
     model, 
@@ -355,7 +384,7 @@ function useChat(adapter, options = {}) {
     setError(null);
     
     try {
-      const prompt = formatPrompt(systemPrompt);
+      const prompt = formatPrompt(systemPrompt, model);
       
       const response = await inference.generate(
         model,
@@ -427,7 +456,7 @@ function useChat(adapter, options = {}) {
     };
     
     try {
-      const prompt = formatPrompt(systemPrompt);
+      const prompt = formatPrompt(systemPrompt, model);
       
       await inference.streamGenerate(
         model,
@@ -455,8 +484,10 @@ function useChat(adapter, options = {}) {
     messages,
     isGenerating,
     error,
+    addMessage,
     addUserMessage,
     addAssistantMessage,
+    addToolMessage,
     generateResponse,
     streamResponse,
     clearMessages,
@@ -0,0 +1,73 @@
+/**
+ * Error types callers may want to handle specifically
+ * @module core/errors
+ */
+
+/**
+ * Thrown when a prompt does not fit in the model context and the overflow
+ * strategy is 'error' (or a custom strategy returns too many tokens)
+ */
+class ContextOverflowError extends Error {
+  /**
+   * Create a context overflow error
+   * @param {Object} details - Token counts
+   * @param {number} details.promptTokens - Tokens in the prompt
+   * @param {number} details.contextSize - Model context size
+   * @param {number} details.reserveTokens - Tokens reserved for generation
+   */
+  constructor({ promptTokens, contextSize, reserveTokens }) {
+    const maxPromptTokens = contextSize - reserveTokens;
+    super(`Prompt has ${promptTokens} tokens but only ${maxPromptTokens} fit in the ${contextSize}-token context with ${reserveTokens} reserved for generation`);
+
+    this.name = 'ContextOverflowError';
+    this.promptTokens = promptTokens;
+    this.contextSize = contextSize;
+    this.reserveTokens = reserveTokens;
+    this.maxPromptTokens = maxPromptTokens;
+  }
+}
+
+/**
+ * Thrown when a request is rejected because its model's queue is full
+ */
+class QueueFullError extends Error {
+  /**
+   * Create a queue full error
+   * @param {Object} details - Queue details
+   * @param {string} details.modelId - Model whose queue is full
+   * @param {number} details.maxQueueLength - Queue limit
+   */
+  constructor({ modelId, maxQueueLength }) {
+    super(`Request queue for model '${modelId}' is full (${maxQueueLength} waiting)`);
+
+    this.name = 'QueueFullError';
+    this.modelId = modelId;
+    this.maxQueueLength = maxQueueLength;
+  }
+}
+
+/**
+ * Thrown when a request does not finish within its timeout, whether it was
+ * still queued or already generating
+ */
+class RequestTimeoutError extends Error {
+  /**
+   * Create a request timeout error
+   * @param {Object} details - Timeout details
+   * @param {number} details.timeout - Timeout in milliseconds
+   * @param {boolean} details.started - Whether the request had started running
+   */
+  constructor({ timeout, started }) {
+    super(`Request timed out after ${timeout}ms ${started ? 'while generating' : 'while queued'}`);
+
+    this.name = 'RequestTimeoutError';
+    this.timeout = timeout;
+    this.started = started;
+  }
+}
+
+module.exports = {
+  ContextOverflowError,
+  QueueFullError,
+  RequestTimeoutError
+};
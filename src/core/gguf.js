@@ -0,0 +1,707 @@
+/**
+ * GGUF file format reader
+ * @module core/gguf
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Magic number at the start of every GGUF file ("GGUF" read as little-endian uint32)
+ * @type {number}
+ */
+const GGUF_MAGIC = 0x46554747;
+
+/**
+ * Default tensor data alignment when `general.alignment` is not present
+ * @type {number}
+ */
+const GGUF_DEFAULT_ALIGNMENT = 32;
+
+/**
+ * Metadata value types
+ * @enum {number}
+ */
+const GGUF_VALUE_TYPES = {
+  UINT8: 0,
+  INT8: 1,
+  UINT16: 2,
+  INT16: 3,
+  UINT32: 4,
+  INT32: 5,
+  FLOAT32: 6,
+  BOOL: 7,
+  STRING: 8,
+  ARRAY: 9,
+  UINT64: 10,
+  INT64: 11,
+  FLOAT64: 12
+};
+
+/**
+ * Tensor storage types (ggml_type)
+ * @type {Object<number, string>}
+ */
+const GGML_TYPES = {
+  0: 'f32',
+  1: 'f16',
+  2: 'q4_0',
+  3: 'q4_1',
+  6: 'q5_0',
+  7: 'q5_1',
+  8: 'q8_0',
+  9: 'q8_1',
+  10: 'q2_k',
+  11: 'q3_k',
+  12: 'q4_k',
+  13: 'q5_k',
+  14: 'q6_k',
+  15: 'q8_k',
+  16: 'iq2_xxs',
+  17: 'iq2_xs',
+  18: 'iq3_xxs',
+  19: 'iq1_s',
+  20: 'iq4_nl',
+  21: 'iq3_s',
+  22: 'iq2_s',
+  23: 'iq4_xs',
+  24: 'i8',
+  25: 'i16',
+  26: 'i32',
+  27: 'i64',
+  28: 'f64',
+  29: 'iq1_m',
+  30: 'bf16',
+  34: 'tq1_0',
+  35: 'tq2_0'
+};
+
+/**
+ * Whole-file quantization types (`general.file_type`, llama_ftype)
+ * @type {Object<number, string>}
+ */
+const GGUF_FILE_TYPES = {
+  0: 'f32',
+  1: 'f16',
+  2: 'q4_0',
+  3: 'q4_1',
+  4: 'q4_1_some_f16',
+  7: 'q8_0',
+  8: 'q5_0',
+  9: 'q5_1',
+  10: 'q2_k',
+  11: 'q3_k_s',
+  12: 'q3_k_m',
+  13: 'q3_k_l',
+  14: 'q4_k_s',
+  15: 'q4_k_m',
+  16: 'q5_k_s',
+  17: 'q5_k_m',
+  18: 'q6_k',
+  19: 'iq2_xxs',
+  20: 'iq2_xs',
+  21: 'q2_k_s',
+  22: 'iq3_xs',
+  23: 'iq3_xxs',
+  24: 'iq1_s',
+  25: 'iq4_nl',
+  26: 'iq3_s',
+  27: 'iq3_m',
+  28: 'iq2_s',
+  29: 'iq2_m',
+  30: 'iq4_xs',
+  31: 'iq1_m',
+  32: 'bf16',
+  36: 'tq1_0',
+  37: 'tq2_0'
+};
+
+/**
+ * Size of each fixed-width metadata value type in bytes
+ * @type {Object<number, number>}
+ */
+const VALUE_TYPE_SIZES = {
+  [GGUF_VALUE_TYPES.UINT8]: 1,
+  [GGUF_VALUE_TYPES.INT8]: 1,
+  [GGUF_VALUE_TYPES.UINT16]: 2,
+  [GGUF_VALUE_TYPES.INT16]: 2,
+  [GGUF_VALUE_TYPES.UINT32]: 4,
+  [GGUF_VALUE_TYPES.INT32]: 4,
+  [GGUF_VALUE_TYPES.FLOAT32]: 4,
+  [GGUF_VALUE_TYPES.BOOL]: 1,
+  [GGUF_VALUE_TYPES.UINT64]: 8,
+  [GGUF_VALUE_TYPES.INT64]: 8,
+  [GGUF_VALUE_TYPES.FLOAT64]: 8
+};
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+const isNode = typeof process !== 'undefined' && process.versions && process.versions.node;
+
+/**
+ * Parsed GGUF header
+ * @typedef {Object} GGUFHeader
+ * @property {number} version - GGUF format version (1-3)
+ * @property {boolean} littleEndian - Byte order of the file
+ * @property {number} tensorCount - Number of tensors in the file
+ * @property {Object<string, any>} metadata - Metadata key/value pairs
+ * @property {GGUFTensorInfo[]} tensors - Tensor info table
+ * @property {number} alignment - Tensor data alignment in bytes
+ * @property {number} tensorDataOffset - Absolute offset of the tensor data section
+ */
+
+/**
+ * Tensor info entry
+ * @typedef {Object} GGUFTensorInfo
+ * @property {string} name - Tensor name
+ * @property {number[]} dimensions - Tensor dimensions
+ * @property {number} type - ggml type id
+ * @property {string} typeName - ggml type name (e.g. 'q4_k')
+ * @property {number} offset - Offset relative to the tensor data section
+ */
+
+/**
+ * Convert a 64-bit integer to a number when it is safely representable
+ * @private
+ * @param {bigint} value - 64-bit value
+ * @returns {number|bigint} Number, or the original BigInt if too large
+ */
+function toSafeNumber(value) {
+  if (value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Check whether a string looks like a remote URL
+ * @private
+ * @param {string} value - Path or URL
+ * @returns {boolean} Whether the value is an http(s) or blob URL
+ */
+function isUrl(value) {
+  return /^(https?|blob|data):/i.test(value);
+}
+
+/**
+ * Create a random-access byte source from a path, URL, buffer or Blob
+ * @private
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - GGUF source
+ * @returns {Object} Byte source with read(offset, length) and close()
+ */
+function createByteSource(source) {
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    const bytes = source instanceof ArrayBuffer
+      ? new Uint8Array(source)
+      : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+
+    return {
+      read: async (offset, length) => bytes.subarray(offset, Math.min(offset + length, bytes.length)),
+      close: async () => {}
+    };
+  }
+
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return {
+      read: async (offset, length) => {
+        const slice = source.slice(offset, Math.min(offset + length, source.size));
+        return new Uint8Array(await slice.arrayBuffer());
+      },
+      close: async () => {}
+    };
+  }
+
+  if (typeof source !== 'string') {
+    throw new Error('GGUF source must be a path, URL, ArrayBuffer, typed array or Blob');
+  }
+
+  if (isNode && !isUrl(source)) {
+    const fs = require('fs');
+    let handlePromise = null;
+
+    return {
+      read: async (offset, length) => {
+        if (!handlePromise) {
+          handlePromise = fs.promises.open(source, 'r');
+        }
+        const handle = await handlePromise;
+        const buffer = new Uint8Array(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      },
+      close: async () => {
+        if (handlePromise) {
+          const handle = await handlePromise;
+          await handle.close();
+        }
+      }
+    };
+  }
+
+  if (typeof fetch !== 'function') {
+    throw new Error('Fetch API not available in this environment');
+  }
+
+  // Set when the server ignores range requests: the body is read only as far as needed
+  let stream = null;
+
+  const readFromStream = async (offset, length) => {
+    const end = offset + length;
+
+    while (!stream.done && stream.length < end) {
+      const { value, done } = await stream.reader.read();
+      if (done) {
+        stream.done = true;
+        break;
+      }
+
+      if (stream.length + value.length > stream.bytes.length) {
+        const grown = new Uint8Array(Math.max(stream.bytes.length * 2, stream.length + value.length));
+        grown.set(stream.bytes.subarray(0, stream.length));
+        stream.bytes = grown;
+      }
+      stream.bytes.set(value, stream.length);
+      stream.length += value.length;
+    }
+
+    return stream.bytes.subarray(Math.min(offset, stream.length), Math.min(end, stream.length));
+  };
+
+  return {
+    read: async (offset, length) => {
+      if (stream) {
+        return readFromStream(offset, length);
+      }
+
+      const response = await fetch(source, {
+        headers: { Range: `bytes=${offset}-${offset + length - 1}` }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch GGUF header: ${response.status} ${response.statusText}`);
+      }
+
+      if (response.status === 206) {
+        return new Uint8Array(await response.arrayBuffer());
+      }
+
+      if (!response.body || typeof response.body.getReader !== 'function') {
+        throw new Error('Failed to fetch GGUF header: the server ignored the range request and the response cannot be streamed');
+      }
+
+      logger.debug('Server ignored range request, reading the response body only as far as the header');
+      stream = { reader: response.body.getReader(), bytes: new Uint8Array(0), length: 0, done: false };
+      return readFromStream(offset, length);
+    },
+    close: async () => {
+      if (stream) {
+        const { reader, done } = stream;
+        stream = null;
+        if (!done) {
+          await reader.cancel().catch(() => {});
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Buffered sequential reader over a random-access byte source
+ * @private
+ */
+class ByteReader {
+  /**
+   * Create a reader
+   * @param {Object} source - Byte source from createByteSource
+   * @param {Object} [options] - Reader options
+   * @param {number} [options.chunkSize] - Bytes to request per read
+   */
+  constructor(source, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    this.source = source;
+    this.chunkSize = chunkSize;
+    this.buffer = new Uint8Array(0);
+    this.view = new DataView(this.buffer.buffer);
+    this.bufferStart = 0;
+    this.pos = 0;
+    this.littleEndian = true;
+    this.decoder = new TextDecoder('utf-8');
+  }
+
+  /**
+   * Absolute offset of the next unread byte
+   * @type {number}
+   */
+  get offset() {
+    return this.bufferStart + this.pos;
+  }
+
+  /**
+   * Check whether `length` bytes are already buffered
+   * @param {number} length - Number of bytes
+   * @returns {boolean} Whether the bytes are available
+   */
+  has(length) {
+    return this.buffer.length - this.pos >= length;
+  }
+
+  /**
+   * Make sure `length` bytes are buffered, reading more from the source if needed
+   * @param {number} length - Number of bytes
+   * @returns {Promise<void>}
+   */
+  async ensure(length) {
+    if (this.has(length)) return;
+
+    const remaining = this.buffer.subarray(this.pos);
+    const readOffset = this.bufferStart + this.buffer.length;
+    const readLength = Math.max(length - remaining.length, this.chunkSize);
+    const chunk = await this.source.read(readOffset, readLength);
+
+    if (remaining.length + chunk.length < length) {
+      throw new Error(`Unexpected end of GGUF data at offset ${this.offset}`);
+    }
+
+    const merged = new Uint8Array(remaining.length + chunk.length);
+    merged.set(remaining, 0);
+    merged.set(chunk, remaining.length);
+
+    this.bufferStart += this.pos;
+    this.buffer = merged;
+    this.view = new DataView(merged.buffer, merged.byteOffset, merged.byteLength);
+    this.pos = 0;
+  }
+
+  /**
+   * Decode a fixed-width value at the current position
+   * @param {number} type - Value type (GGUF_VALUE_TYPES)
+   * @returns {number|boolean|bigint} Decoded value
+   */
+  readFixed(type) {
+    const { view, pos, littleEndian } = this;
+    this.pos += VALUE_TYPE_SIZES[type];
+
+    switch (type) {
+      case GGUF_VALUE_TYPES.UINT8: return view.getUint8(pos);
+      case GGUF_VALUE_TYPES.INT8: return view.getInt8(pos);
+      case GGUF_VALUE_TYPES.UINT16: return view.getUint16(pos, littleEndian);
+      case GGUF_VALUE_TYPES.INT16: return view.getInt16(pos, littleEndian);
+      case GGUF_VALUE_TYPES.UINT32: return view.getUint32(pos, littleEndian);
+      case GGUF_VALUE_TYPES.INT32: return view.getInt32(pos, littleEndian);
+      case GGUF_VALUE_TYPES.FLOAT32: return view.getFloat32(pos, littleEndian);
+      case GGUF_VALUE_TYPES.BOOL: return view.getUint8(pos) !== 0;
+      case GGUF_VALUE_TYPES.UINT64: return toSafeNumber(view.getBigUint64(pos, littleEndian));
+      case GGUF_VALUE_TYPES.INT64: return toSafeNumber(view.getBigInt64(pos, littleEndian));
+      case GGUF_VALUE_TYPES.FLOAT64: return view.getFloat64(pos, littleEndian);
+      default:
+        throw new Error(`Unknown GGUF value type ${type}`);
+    }
+  }
+
+  /**
+   * Read a uint32 at the current position
+   * @returns {number} Value
+   */
+  uint32() {
+    return this.readFixed(GGUF_VALUE_TYPES.UINT32);
+  }
+
+  /**
+   * Read a uint64 at the current position
+   * @returns {number|bigint} Value
+   */
+  uint64() {
+    return this.readFixed(GGUF_VALUE_TYPES.UINT64);
+  }
+
+  /**
+   * Decode `length` UTF-8 bytes
+   * @param {number} length - Byte length
+   * @returns {string} Decoded string
+   */
+  utf8(length) {
+    const value = this.decoder.decode(this.buffer.subarray(this.pos, this.pos + length));
+    this.pos += length;
+    return value;
+  }
+}
+
+/**
+ * Version-aware GGUF parser
+ * @private
+ */
+class GGUFParser {
+  /**
+   * Create a parser
+   * @param {ByteReader} reader - Byte reader positioned at the start of the file
+   */
+  constructor(reader) {
+    this.reader = reader;
+    this.version = 0;
+  }
+
+  /**
+   * Read a size/count field (uint32 in v1, uint64 afterwards)
+   * @returns {Promise<number>} Count
+   */
+  async readCount() {
+    const reader = this.reader;
+
+    if (this.version === 1) {
+      if (!reader.has(4)) await reader.ensure(4);
+      return reader.uint32();
+    }
+
+    if (!reader.has(8)) await reader.ensure(8);
+    const count = reader.uint64();
+
+    if (typeof count === 'bigint') {
+      throw new Error(`GGUF count too large at offset ${reader.offset - 8}`);
+    }
+    return count;
+  }
+
+  /**
+   * Read a length-prefixed string
+   * @returns {Promise<string>} String value
+   */
+  async readString() {
+    const length = await this.readCount();
+    if (!this.reader.has(length)) await this.reader.ensure(length);
+    return this.reader.utf8(length);
+  }
+
+  /**
+   * Read a single metadata value of the given type
+   * @param {number} type - Value type (GGUF_VALUE_TYPES)
+   * @returns {Promise<any>} Decoded value
+   */
+  async readValue(type) {
+    const reader = this.reader;
+
+    if (type === GGUF_VALUE_TYPES.STRING) {
+      return this.readString();
+    }
+
+    if (type === GGUF_VALUE_TYPES.ARRAY) {
+      return this.readArray();
+    }
+
+    const size = VALUE_TYPE_SIZES[type];
+    if (size === undefined) {
+      throw new Error(`Unknown GGUF value type ${type} at offset ${reader.offset}`);
+    }
+
+    if (!reader.has(size)) await reader.ensure(size);
+    return reader.readFixed(type);
+  }
+
+  /**
+   * Read a typed array value (arrays may nest)
+   * @returns {Promise<Array>} Array of decoded values
+   */
+  async readArray() {
+    const reader = this.reader;
+
+    if (!reader.has(4)) await reader.ensure(4);
+    const elementType = reader.uint32();
+    const length = await this.readCount();
+
+    const size = VALUE_TYPE_SIZES[elementType];
+    const values = new Array(length);
+
+    if (size !== undefined && length * size <= DEFAULT_CHUNK_SIZE * 64) {
+      await reader.ensure(length * size);
+    }
+
+    for (let i = 0; i < length; i++) {
+      values[i] = await this.readValue(elementType);
+    }
+
+    return values;
+  }
+
+  /**
+   * Parse the header, metadata and tensor info table
+   * @param {Object} options - Parse options
+   * @param {boolean} options.includeTensors - Whether to read the tensor info table
+   * @returns {Promise<GGUFHeader>} Parsed header
+   */
+  async parse({ includeTensors }) {
+    const reader = this.reader;
+
+    await reader.ensure(8);
+
+    const magic = reader.uint32();
+    if (magic !== GGUF_MAGIC) {
+      throw new Error('Not a GGUF file (bad magic number)');
+    }
+
+    let version = reader.uint32();
+    if (version > 0xffff) {
+      reader.littleEndian = false;
+      reader.pos -= 4;
+      version = reader.uint32();
+    }
+
+    if (version < 1 || version > 3) {
+      throw new Error(`Unsupported GGUF version: ${version}`);
+    }
+    this.version = version;
+
+    const tensorCount = await this.readCount();
+    const metadataCount = await this.readCount();
+
+    const metadata = {};
+    for (let i = 0; i < metadataCount; i++) {
+      const key = await this.readString();
+      if (!reader.has(4)) await reader.ensure(4);
+      const type = reader.uint32();
+      metadata[key] = await this.readValue(type);
+    }
+
+    const alignment = typeof metadata['general.alignment'] === 'number'
+      ? metadata['general.alignment']
+      : GGUF_DEFAULT_ALIGNMENT;
+
+    const tensors = [];
+    let tensorDataOffset = null;
+
+    if (includeTensors) {
+      for (let i = 0; i < tensorCount; i++) {
+        const name = await this.readString();
+
+        if (!reader.has(4)) await reader.ensure(4);
+        const dimensionCount = reader.uint32();
+
+        const dimensions = [];
+        for (let d = 0; d < dimensionCount; d++) {
+          dimensions.push(await this.readCount());
+        }
+
+        await reader.ensure(12);
+        const type = reader.uint32();
+        const offset = reader.uint64();
+
+        tensors.push({
+          name,
+          dimensions,
+          type,
+          typeName: GGML_TYPES[type] || `unknown_${type}`,
+          offset
+        });
+      }
+
+      tensorDataOffset = Math.ceil(reader.offset / alignment) * alignment;
+    }
+
+    return {
+      version,
+      littleEndian: reader.littleEndian,
+      tensorCount,
+      metadata,
+      tensors,
+      alignment,
+      tensorDataOffset
+    };
+  }
+}
+
+/**
+ * Read the header, metadata and tensor info table of a GGUF file.
+ * Only the header region is read: file handles (Node.js) and HTTP range
+ * requests (browser) are used so multi-gigabyte models are never loaded whole.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - File path, URL, buffer or Blob
+ * @param {Object} [options={}] - Read options
+ * @param {boolean} [options.includeTensors=true] - Whether to read the tensor info table
+ * @param {number} [options.chunkSize=1048576] - Bytes to request per read
+ * @returns {Promise<GGUFHeader>} Parsed header
+ */
+async function readGGUFMetadata(source, options = {}) {
+  const { includeTensors = true, chunkSize = DEFAULT_CHUNK_SIZE } = options;
+
+  const byteSource = createByteSource(source);
+  const reader = new ByteReader(byteSource, { chunkSize });
+
+  try {
+    const header = await new GGUFParser(reader).parse({ includeTensors });
+    logger.debug(`Read GGUF v${header.version} header: ${Object.keys(header.metadata).length} metadata keys, ${header.tensorCount} tensors`);
+    return header;
+  } finally {
+    await byteSource.close();
+  }
+}
+
+/**
+ * Get the most common tensor storage type, used when `general.file_type` is absent
+ * @private
+ * @param {GGUFTensorInfo[]} tensors - Tensor info table
+ * @returns {string|null} Type name
+ */
+function dominantTensorType(tensors) {
+  const counts = new Map();
+
+  for (const tensor of tensors) {
+    if (tensor.dimensions.length < 2) continue;
+    counts.set(tensor.typeName, (counts.get(tensor.typeName) || 0) + 1);
+  }
+
+  let best = null;
+  let bestCount = 0;
+  for (const [typeName, count] of counts) {
+    if (count > bestCount) {
+      best = typeName;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Summarize the commonly used fields of a parsed GGUF header
+ * @param {GGUFHeader} header - Parsed header
+ * @returns {Object} Summary with architecture, name, contextLength, embeddingLength,
+ *   blockCount, headCount, fileType, parameterCount, bosTokenId and eosTokenId (null when unknown)
+ */
+function summarizeGGUFMetadata(header) {
+  const metadata = header.metadata || {};
+  const architecture = metadata['general.architecture'] || null;
+  const archKey = (key) => (architecture ? metadata[`${architecture}.${key}`] : undefined);
+
+  let fileType = null;
+  if (metadata['general.file_type'] !== undefined) {
+    fileType = GGUF_FILE_TYPES[metadata['general.file_type']] || `unknown_${metadata['general.file_type']}`;
+  } else if (header.tensors && header.tensors.length > 0) {
+    fileType = dominantTensorType(header.tensors);
+  }
+
+  let parameterCount = null;
+  if (header.tensors && header.tensors.length > 0) {
+    parameterCount = header.tensors.reduce(
+      (total, tensor) => total + tensor.dimensions.reduce((product, dim) => product * Number(dim), 1),
+      0
+    );
+  }
+
+  return {
+    architecture,
+    name: metadata['general.name'] || null,
+    contextLength: archKey('context_length') ?? null,
+    embeddingLength: archKey('embedding_length') ?? null,
+    blockCount: archKey('block_count') ?? null,
+    headCount: archKey('attention.head_count') ?? null,
+    fileType,
+    parameterCount,
+    bosTokenId: metadata['tokenizer.ggml.bos_token_id'] ?? null,
+    eosTokenId: metadata['tokenizer.ggml.eos_token_id'] ?? null
+  };
+}
+
+module.exports = {
+  readGGUFMetadata,
+  summarizeGGUFMetadata,
+  GGUF_MAGIC,
+  GGUF_VALUE_TYPES,
+  GGML_TYPES,
+  GGUF_FILE_TYPES
+};
@@ -0,0 +1,649 @@
+/**
+ * Hugging Face tokenizer.json support
+ * Translates the `tokenizers` library schema (model, normalizer, pre-tokenizer,
+ * post-processor, decoder and added tokens) into a createTokenizer configuration
+ * @module core/huggingface
+ */
+
+const logger = require('../utils/logger');
+const {
+  PRETOKENIZER_PATTERNS,
+  decodeUtf8,
+  toByteLevel,
+  fromByteLevel,
+  splitByPattern,
+  isPunctuation,
+  isCjk,
+  stripAccents
+} = require('../utils/unicode');
+
+/**
+ * Common special token strings, used when tokenizer.json does not name them
+ * @type {Object<string, string[]>}
+ */
+const SPECIAL_TOKEN_CANDIDATES = {
+  BOS: ['<s>', '<|begin_of_text|>', '<bos>', '<|startoftext|>'],
+  EOS: ['</s>', '<|endoftext|>', '<|end_of_text|>', '<eos>'],
+  UNK: ['<unk>', '[UNK]', '<|unk|>'],
+  PAD: ['<pad>', '[PAD]', '<|pad|>'],
+  SEP: ['[SEP]'],
+  CLS: ['[CLS]'],
+  MASK: ['[MASK]', '<mask>']
+};
+
+/**
+ * Check whether a parsed JSON object is a Hugging Face tokenizer.json
+ * @param {Object} json - Parsed JSON
+ * @returns {boolean} Whether the object follows the tokenizers schema
+ */
+function isHuggingFaceTokenizer(json) {
+  return Boolean(json && json.model && typeof json.model === 'object' && json.model.vocab);
+}
+
+/**
+ * Build a JavaScript regex from a tokenizers pattern (`{String}` or `{Regex}`)
+ * @private
+ * @param {Object} pattern - Pattern object
+ * @returns {RegExp} Global unicode regex
+ */
+function createPattern(pattern) {
+  if (pattern && typeof pattern.String === 'string') {
+    return new RegExp(pattern.String.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gu');
+  }
+  if (pattern && typeof pattern.Regex === 'string') {
+    return new RegExp(toJsPattern(pattern.Regex), 'gu');
+  }
+  throw new Error(`Unsupported pattern: ${JSON.stringify(pattern)}`);
+}
+
+/**
+ * Convert an Oniguruma regex source to a JavaScript one
+ * Expands `(?i:...)` groups into case classes and drops possessive quantifiers,
+ * the two constructs tokenizer.json patterns use that JavaScript lacks
+ * @private
+ * @param {string} source - Oniguruma pattern
+ * @returns {string} JavaScript pattern
+ */
+function toJsPattern(source) {
+  let output = '';
+  let inClass = false;
+  let caseInsensitiveDepth = -1;
+  let depth = 0;
+  let quantified = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      const escape = /^\\[pPu]\{[^}]*\}/.exec(source.slice(i));
+      const length = escape ? escape[0].length : 2;
+      output += source.slice(i, i + length);
+      i += length - 1;
+      quantified = false;
+      continue;
+    }
+
+    if (inClass) {
+      if (char === ']') {
+        inClass = false;
+      } else if (caseInsensitiveDepth >= 0 && /[a-zA-Z]/.test(char)) {
+        output += char.toLowerCase() + char.toUpperCase();
+        continue;
+      }
+      output += char;
+      continue;
+    }
+
+    if (char === '+' && quantified) {
+      quantified = false;
+      continue;
+    }
+
+    if (source.startsWith('(?i:', i)) {
+      if (caseInsensitiveDepth < 0) caseInsensitiveDepth = depth;
+      depth++;
+      output += '(?:';
+      i += 3;
+      quantified = false;
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === caseInsensitiveDepth) caseInsensitiveDepth = -1;
+    } else if (char === '[') {
+      inClass = true;
+    }
+
+    if (caseInsensitiveDepth >= 0 && /[a-zA-Z]/.test(char)) {
+      output += `[${char.toLowerCase()}${char.toUpperCase()}]`;
+    } else {
+      output += char;
+    }
+
+    quantified = '*+?}'.includes(char) && source[i - 1] !== '(';
+  }
+
+  return output;
+}
+
+/**
+ * Build a normalizer function from a tokenizer.json normalizer
+ * @param {Object|null} spec - Normalizer specification
+ * @returns {Function|null} `(text, context) => string`, or null for no normalization
+ */
+function createNormalizer(spec) {
+  if (!spec) return null;
+
+  switch (spec.type) {
+    case 'Sequence': {
+      const steps = spec.normalizers.map(createNormalizer).filter(Boolean);
+      return (text, context) => steps.reduce((result, step) => step(result, context), text);
+    }
+    case 'NFC':
+    case 'NFD':
+    case 'NFKC':
+    case 'NFKD':
+      return text => text.normalize(spec.type);
+    case 'Precompiled':
+      logger.warn('Precompiled tokenizer normalizer is approximated with NFKC');
+      return text => text.normalize('NFKC');
+    case 'Lowercase':
+      return text => text.toLowerCase();
+    case 'StripAccents':
+      return stripAccents;
+    case 'Replace': {
+      const pattern = createPattern(spec.pattern);
+      return text => text.replace(pattern, () => spec.content);
+    }
+    case 'Prepend':
+      return text => (text ? spec.prepend + text : text);
+    case 'Strip':
+      return text => {
+        let result = text;
+        if (spec.strip_left !== false) result = result.trimStart();
+        if (spec.strip_right !== false) result = result.trimEnd();
+        return result;
+      };
+    case 'BertNormalizer':
+      return createBertNormalizer(spec);
+    default:
+      logger.warn(`Unsupported tokenizer normalizer '${spec.type}', skipping it`);
+      return null;
+  }
+}
+
+/**
+ * Build the BERT normalizer (control character cleanup, CJK spacing, lowercasing)
+ * @private
+ * @param {Object} spec - BertNormalizer specification
+ * @returns {Function} Normalizer function
+ */
+function createBertNormalizer(spec) {
+  const {
+    clean_text: cleanText = true,
+    handle_chinese_chars: handleChineseChars = true,
+    lowercase = true
+  } = spec;
+  const removeAccents = spec.strip_accents ?? lowercase;
+
+  return text => {
+    let result = '';
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+
+      if (cleanText) {
+        if (code === 0 || code === 0xfffd || (/\p{C}/u.test(char) && !/[\t\n\r]/.test(char))) continue;
+        if (/\s/.test(char)) {
+          result += ' ';
+          continue;
+        }
+      }
+
+      result += handleChineseChars && isCjk(char) ? ` ${char} ` : char;
+    }
+
+    if (removeAccents) result = stripAccents(result);
+    if (lowercase) result = result.toLowerCase();
+    return result;
+  };
+}
+
+/**
+ * Build a pre-tokenizer function from a tokenizer.json pre-tokenizer
+ * Every stage maps a list of words to a refined list of words
+ * @param {Object|null} spec - Pre-tokenizer specification
+ * @returns {Function} `(text, context) => string[]`
+ */
+function createPreTokenizer(spec) {
+  const stage = createPreTokenizerStage(spec);
+  return (text, context = {}) => stage([text], context);
+}
+
+/**
+ * Build one pre-tokenizer stage
+ * @private
+ * @param {Object|null} spec - Pre-tokenizer specification
+ * @returns {Function} `(words, context) => string[]`
+ */
+function createPreTokenizerStage(spec) {
+  if (!spec) return words => words;
+
+  const splitEach = split => words => words.flatMap(split);
+
+  switch (spec.type) {
+    case 'Sequence': {
+      const stages = spec.pretokenizers.map(createPreTokenizerStage);
+      return (words, context) => stages.reduce((result, stage) => stage(result, context), words);
+    }
+    case 'ByteLevel': {
+      const pattern = new RegExp(PRETOKENIZER_PATTERNS.gpt2, 'gu');
+      const useRegex = spec.use_regex !== false;
+      return splitEach(word => {
+        const text = spec.add_prefix_space && !word.startsWith(' ') ? ' ' + word : word;
+        return (useRegex ? splitByPattern(text, pattern) : [text]).map(toByteLevel);
+      });
+    }
+    case 'Split': {
+      const pattern = createPattern(spec.pattern);
+      return splitEach(word => splitByPattern(word, pattern, spec.behavior, spec.invert === true));
+    }
+    case 'Metaspace':
+      return createMetaspace(spec);
+    case 'Whitespace':
+      return splitEach(word => word.match(/[\p{L}\p{N}\p{M}\p{Pc}]+|[^\p{L}\p{N}\p{M}\p{Pc}\s]+/gu) || []);
+    case 'WhitespaceSplit':
+      return splitEach(word => word.split(/\s+/).filter(Boolean));
+    case 'CharDelimiterSplit':
+      return splitEach(word => word.split(spec.delimiter).filter(Boolean));
+    case 'BertPreTokenizer':
+      return splitEach(word => word.split(/\s+/).flatMap(splitPunctuation));
+    case 'Punctuation':
+      return splitEach(word => splitByPattern(word, /[\p{P}!-/:-@[-`{-~]/gu, spec.behavior || 'Isolated'));
+    case 'Digits': {
+      const pattern = spec.individual_digits ? /\p{N}/gu : /\p{N}+/gu;
+      return splitEach(word => splitByPattern(word, pattern));
+    }
+    default:
+      logger.warn(`Unsupported tokenizer pre-tokenizer '${spec.type}', skipping it`);
+      return words => words;
+  }
+}
+
+/**
+ * Split a word so that every punctuation character is its own piece
+ * @private
+ * @param {string} word - Word to split
+ * @returns {string[]} Pieces
+ */
+function splitPunctuation(word) {
+  const pieces = [];
+  let current = '';
+
+  for (const char of word) {
+    if (isPunctuation(char)) {
+      if (current) pieces.push(current);
+      pieces.push(char);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Resolve the Metaspace prepend scheme, accepting the older `add_prefix_space` flag
+ * @private
+ * @param {Object} spec - Metaspace specification
+ * @returns {string} 'always', 'first' or 'never'
+ */
+function metaspacePrependScheme(spec) {
+  if (spec.prepend_scheme) return spec.prepend_scheme;
+  return spec.add_prefix_space === false ? 'never' : 'always';
+}
+
+/**
+ * Build the Metaspace pre-tokenizer (spaces become ▁, optionally split before each ▁)
+ * @private
+ * @param {Object} spec - Metaspace specification
+ * @returns {Function} Pre-tokenizer stage
+ */
+function createMetaspace(spec) {
+  const replacement = spec.replacement || '▁';
+  const scheme = metaspacePrependScheme(spec);
+  const pattern = new RegExp(replacement.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gu');
+
+  return (words, context = {}) => words.flatMap((word, index) => {
+    let text = word.replace(/ /g, replacement);
+    const prepend = scheme === 'always' || (scheme === 'first' && context.first !== false && index === 0);
+
+    if (prepend && !text.startsWith(replacement)) {
+      text = replacement + text;
+    }
+
+    return spec.split === false ? [text] : splitByPattern(text, pattern, 'MergedWithNext');
+  });
+}
+
+/**
+ * Build a decoder function from a tokenizer.json decoder
+ * @param {Object|null} spec - Decoder specification
+ * @returns {Function} `(tokenStrings) => string`
+ */
+function createDecoder(spec) {
+  if (!spec) {
+    return tokens => tokens.join(' ');
+  }
+
+  const stage = createDecoderStage(spec);
+  return tokens => stage(tokens).join('');
+}
+
+/**
+ * Build one decoder stage
+ * @private
+ * @param {Object} spec - Decoder specification
+ * @returns {Function} `(tokens) => string[]`
+ */
+function createDecoderStage(spec) {
+  switch (spec.type) {
+    case 'Sequence': {
+      const stages = spec.decoders.map(createDecoderStage);
+      return tokens => stages.reduce((result, stage) => stage(result), tokens);
+    }
+    case 'ByteLevel':
+      return tokens => {
+        const bytes = [];
+        for (const token of tokens) fromByteLevel(token, bytes);
+        return [decodeUtf8(bytes)];
+      };
+    case 'Metaspace': {
+      const replacement = spec.replacement || '▁';
+      const stripFirst = metaspacePrependScheme(spec) !== 'never';
+      return tokens => tokens.map((token, i) => token.split(replacement).join(i === 0 && stripFirst ? '' : ' '));
+    }
+    case 'WordPiece': {
+      const prefix = spec.prefix ?? '##';
+      const cleanup = spec.cleanup !== false;
+      return tokens => tokens.map((token, i) => {
+        let text = token;
+        if (i > 0) {
+          text = token.startsWith(prefix) ? token.slice(prefix.length) : ' ' + token;
+        }
+        if (cleanup) text = cleanupTokenization(text);
+        return text;
+      });
+    }
+    case 'Replace': {
+      const pattern = createPattern(spec.pattern);
+      return tokens => tokens.map(token => token.replace(pattern, () => spec.content));
+    }
+    case 'ByteFallback':
+      return decodeByteFallback;
+    case 'Fuse':
+      return tokens => [tokens.join('')];
+    case 'Strip': {
+      const { content = ' ', start = 0, stop = 0 } = spec;
+      return tokens => tokens.map(token => {
+        let chars = Array.from(token);
+        let left = 0;
+        while (left < start && chars[left] === content) left++;
+        chars = chars.slice(left);
+        let right = 0;
+        while (right < stop && chars[chars.length - 1 - right] === content) right++;
+        return chars.slice(0, chars.length - right).join('');
+      });
+    }
+    case 'BPEDecoder': {
+      const suffix = spec.suffix ?? '</w>';
+      return tokens => tokens.map((token, i) => token.split(suffix).join(i === tokens.length - 1 ? '' : ' '));
+    }
+    default:
+      logger.warn(`Unsupported tokenizer decoder '${spec.type}', skipping it`);
+      return tokens => tokens;
+  }
+}
+
+/**
+ * Decode runs of `<0xXX>` byte tokens as UTF-8
+ * @private
+ * @param {string[]} tokens - Token strings
+ * @returns {string[]} Token strings with byte runs decoded
+ */
+function decodeByteFallback(tokens) {
+  const output = [];
+  let bytes = [];
+
+  for (const token of tokens) {
+    const match = /^<0x([0-9A-Fa-f]{2})>$/.exec(token);
+    if (match) {
+      bytes.push(parseInt(match[1], 16));
+      continue;
+    }
+    if (bytes.length > 0) {
+      output.push(decodeUtf8(bytes));
+      bytes = [];
+    }
+    output.push(token);
+  }
+
+  if (bytes.length > 0) {
+    output.push(decodeUtf8(bytes));
+  }
+  return output;
+}
+
+/**
+ * Undo the spacing WordPiece decoding puts around punctuation and contractions
+ * @private
+ * @param {string} text - Decoded token text
+ * @returns {string} Cleaned text
+ */
+function cleanupTokenization(text) {
+  return text
+    .replace(/ \./g, '.')
+    .replace(/ \?/g, '?')
+    .replace(/ !/g, '!')
+    .replace(/ ,/g, ',')
+    .replace(/ ' /g, "'")
+    .replace(/ n't/g, "n't")
+    .replace(/ 'm/g, "'m")
+    .replace(/ do not/g, " don't")
+    .replace(/ 's/g, "'s")
+    .replace(/ 've/g, "'ve")
+    .replace(/ 're/g, "'re");
+}
+
+/**
+ * Check whether a pre-tokenizer maps text to the GPT-2 byte alphabet
+ * @private
+ * @param {Object|null} spec - Pre-tokenizer specification
+ * @returns {boolean} Whether a ByteLevel stage is present
+ */
+function usesByteLevel(spec) {
+  if (!spec) return false;
+  if (spec.type === 'Sequence') return spec.pretokenizers.some(usesByteLevel);
+  return spec.type === 'ByteLevel';
+}
+
+/**
+ * Read the tokens a post-processor adds around a single sequence
+ * @private
+ * @param {Object|null} spec - Post-processor specification
+ * @returns {{prefix: number[], suffix: number[]}} Token IDs before and after the text
+ */
+function readPostProcessor(spec) {
+  const result = { prefix: [], suffix: [] };
+  if (!spec) return result;
+
+  switch (spec.type) {
+    case 'Sequence':
+      for (const processor of spec.processors || []) {
+        const { prefix, suffix } = readPostProcessor(processor);
+        result.prefix.push(...prefix);
+        result.suffix.push(...suffix);
+      }
+      return result;
+    case 'TemplateProcessing': {
+      let seenSequence = false;
+      for (const piece of spec.single || []) {
+        if (piece.Sequence) {
+          seenSequence = true;
+          continue;
+        }
+        const special = piece.SpecialToken && spec.special_tokens[piece.SpecialToken.id];
+        if (special) {
+          (seenSequence ? result.suffix : result.prefix).push(...special.ids);
+        }
+      }
+      return result;
+    }
+    case 'BertProcessing':
+    case 'RobertaProcessing':
+      return { prefix: [spec.cls[1]], suffix: [spec.sep[1]] };
+    default:
+      return result;
+  }
+}
+
+/**
+ * Read a token string from a tokenizer_config.json entry (string or AddedToken object)
+ * @private
+ * @param {string|Object|null} value - Entry value
+ * @returns {string|null} Token content
+ */
+function tokenContent(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? value : value.content || null;
+}
+
+/**
+ * Build a tokenizer configuration from a Hugging Face tokenizer.json.
+ * The result can be passed to createTokenizer.
+ *
+ * @param {Object} json - Parsed tokenizer.json
+ * @param {Object} [tokenizerConfig] - Parsed tokenizer_config.json, for special tokens, the chat template
+ *   and `clean_up_tokenization_spaces`
+ * @returns {Object} Tokenizer configuration
+ */
+function tokenizerConfigFromHuggingFace(json, tokenizerConfig = {}) {
+  if (!isHuggingFaceTokenizer(json)) {
+    throw new Error('Not a Hugging Face tokenizer.json file');
+  }
+
+  const model = json.model;
+  const type = model.type || (Array.isArray(model.vocab) ? 'Unigram' : model.merges ? 'BPE' : 'WordPiece');
+  const addedTokens = (json.added_tokens || []).map(token => ({
+    id: token.id,
+    content: token.content,
+    special: token.special === true
+  }));
+
+  const decoder = createDecoder(json.decoder);
+  const config = {
+    addedTokens,
+    normalizer: createNormalizer(json.normalizer),
+    preTokenizer: createPreTokenizer(json.pre_tokenizer),
+    decoder: tokenizerConfig.clean_up_tokenization_spaces ? tokens => cleanupTokenization(decoder(tokens)) : decoder,
+    chatTemplate: tokenizerConfig.chat_template || null
+  };
+
+  let idOf;
+  let unkId;
+
+  switch (type) {
+    case 'BPE': {
+      const vocab = { ...model.vocab };
+      addedTokens.forEach(token => { vocab[token.content] = token.id; });
+      Object.assign(config, {
+        tokenizer_type: 'bpe',
+        vocab,
+        merges: model.merges || [],
+        byteLevel: usesByteLevel(json.pre_tokenizer),
+        byteFallback: model.byte_fallback === true,
+        ignoreMerges: model.ignore_merges === true
+      });
+      idOf = content => vocab[content];
+      break;
+    }
+    case 'Unigram': {
+      const tokens = model.vocab.map(([piece]) => piece);
+      addedTokens.forEach(token => { tokens[token.id] = token.content; });
+      const scores = model.vocab.map(([, score]) => score);
+      Object.assign(config, {
+        tokenizer_type: 'unigram',
+        algorithm: 'unigram',
+        tokens,
+        scores,
+        byteFallback: model.byte_fallback === true
+      });
+      const ids = new Map(tokens.map((token, id) => [token, id]));
+      idOf = content => ids.get(content);
+      unkId = typeof model.unk_id === 'number' ? model.unk_id : undefined;
+      break;
+    }
+    case 'WordPiece': {
+      const vocab = { ...model.vocab };
+      addedTokens.forEach(token => { vocab[token.content] = token.id; });
+      Object.assign(config, {
+        tokenizer_type: 'wordpiece',
+        vocab,
+        continuingSubwordPrefix: model.continuing_subword_prefix ?? '##',
+        maxInputCharsPerWord: model.max_input_chars_per_word ?? 100
+      });
+      idOf = content => vocab[content];
+      break;
+    }
+    default:
+      throw new Error(`Unsupported tokenizer model type '${type}'`);
+  }
+
+  const { prefix, suffix } = readPostProcessor(json.post_processor);
+  config.prefixTokens = prefix;
+  config.suffixTokens = suffix;
+  config.addBos = prefix.length > 0;
+  config.addEos = suffix.length > 0;
+
+  const specialTokens = {};
+  const named = {
+    BOS: tokenContent(tokenizerConfig.bos_token),
+    EOS: tokenContent(tokenizerConfig.eos_token),
+    UNK: tokenContent(tokenizerConfig.unk_token) || model.unk_token || null,
+    PAD: tokenContent(tokenizerConfig.pad_token),
+    SEP: tokenContent(tokenizerConfig.sep_token),
+    CLS: tokenContent(tokenizerConfig.cls_token),
+    MASK: tokenContent(tokenizerConfig.mask_token)
+  };
+
+  for (const [name, candidates] of Object.entries(SPECIAL_TOKEN_CANDIDATES)) {
+    const content = [named[name], ...candidates].find(candidate => candidate && idOf(candidate) !== undefined);
+    if (content) specialTokens[name] = idOf(content);
+  }
+
+  if (unkId !== undefined) {
+    specialTokens.UNK = unkId;
+  }
+  if (specialTokens.BOS === undefined && prefix.length > 0) {
+    specialTokens.BOS = prefix[0];
+  }
+  if (specialTokens.EOS === undefined && suffix.length > 0) {
+    specialTokens.EOS = suffix[suffix.length - 1];
+  }
+
+  config.specialTokens = specialTokens;
+  return config;
+}
+
+module.exports = {
+  isHuggingFaceTokenizer,
+  tokenizerConfigFromHuggingFace,
+  createNormalizer,
+  createPreTokenizer,
+  createDecoder
+};
@@ -4,23 +4,553 @@
  */
 
 const { ModelContext, GenerationOptions } = require('./model');
+const { ContextOverflowError } = require('./errors');
+const { Scheduler } = require('./scheduler');
+const { StopSequenceMatcher } = require('./stop');
 const logger = require('../utils/logger');
+const { IncrementalDetokenizer } = require('../utils/streaming');
 
 /**
- * Global cancellation flag for inference
- * @type {Map<string, boolean>}
+ * In-flight generation requests by request id
+ * @type {Map<string, {id: string, modelId: string, cancelled: boolean, cancel: function, release: function}>}
  */
-const cancellationFlags = new Map();
+const activeRequests = new Map();
+
+let requestCounter = 0;
+
+/**
+ * Queue that keeps requests on the same model from running at once
+ * @type {Scheduler}
+ */
+const scheduler = new Scheduler();
+
+/**
+ * Register a generation request, cancelled when its AbortSignal aborts
+ * @private
+ * @param {GGUFModel} model - The model the request runs on
+ * @param {Object} options - Generation options
+ * @param {string} [options.requestId] - Caller-chosen request id
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @returns {Object} Request record
+ */
+function startRequest(model, options) {
+  const id = options.requestId || `req-${Date.now().toString(36)}-${(++requestCounter).toString(36)}`;
+  
+  if (activeRequests.has(id)) {
+    throw new Error(`Request id '${id}' is already in use`);
+  }
+  
+  const { signal } = options;
+  const controller = new AbortController();
+  const request = {
+    id,
+    modelId: model && model.id,
+    createdAt: Date.now(),
+    cancelled: false,
+    signal: controller.signal,
+    cancel: () => {
+      request.cancelled = true;
+      controller.abort();
+    }
+  };
+  const onAbort = () => request.cancel();
+  
+  if (signal) {
+    if (signal.aborted) {
+      request.cancel();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+  
+  request.release = () => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    activeRequests.delete(id);
+  };
+  
+  activeRequests.set(id, request);
+  return request;
+}
+
+/**
+ * Queue a generation as a tracked request
+ * @private
+ * @param {GGUFModel} model - The model the request runs on
+ * @param {Object} options - Generation options
+ * @param {number} [options.priority] - Queue priority
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {function(Object): Promise<*>} run - Runs the generation for the request record
+ * @param {function(Object): *} cancelledResult - Result for a request cancelled while queued
+ * @returns {Promise<*>} Result of run, with a `requestId` property
+ */
+function trackRequest(model, options, run, cancelledResult) {
+  let request;
+  try {
+    request = startRequest(model, options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  
+  // A request that timed out while generating is rejected right away but keeps
+  // running until the adapter sees the cancellation, so it stays registered until then
+  let finished = Promise.resolve();
+  const task = () => {
+    const running = run(request);
+    finished = running.then(() => {}, () => {});
+    return running;
+  };
+  
+  const promise = scheduler.schedule(request.modelId, task, {
+    priority: options.priority,
+    timeout: options.timeout,
+    signal: request.signal,
+    onTimeout: () => request.cancel()
+  })
+    .catch(error => {
+      if (error.name === 'AbortError' && request.cancelled) {
+        logger.info(`Request ${request.id} was cancelled while queued`);
+        return cancelledResult(request);
+      }
+      throw error;
+    })
+    .finally(() => {
+      finished.then(() => request.release());
+    });
+  
+  promise.requestId = request.id;
+  return promise;
+}
+
+/**
+ * Set up the model context for a tokenized prompt
+ * @private
+ * @param {GGUFModel} model - The loaded model
+ * @param {number[]} tokens - Prompt tokens
+ * @param {ModelContext} [context] - Existing context to continue, e.g. a ChatSession's
+ * @returns {ModelContext} Context holding the prompt
+ */
+function preparePromptContext(model, tokens, context) {
+  if (!context) {
+    return new ModelContext({
+      tokens,
+      contextSize: model.metadata.contextSize || 2048
+    });
+  }
+  
+  const kept = context.replaceTokens(tokens);
+  logger.debug(`Prompt shares ${kept} tokens with the previous turn, ${tokens.length - kept} new`);
+  return context;
+}
+
+/**
+ * Built-in strategies for prompts that do not fit in the context
+ * @type {string[]}
+ */
+const OVERFLOW_STRATEGIES = ['error', 'truncate-start', 'truncate-middle', 'keep-system'];
+
+/**
+ * Custom overflow strategy
+ * @callback OverflowStrategy
+ * @param {number[]} tokens - Prompt tokens
+ * @param {Object} details - Token counts
+ * @param {number} details.promptTokens - Tokens in the prompt
+ * @param {number} details.maxPromptTokens - Most tokens the prompt may keep
+ * @param {number} details.contextSize - Model context size
+ * @param {number} details.reserveTokens - Tokens reserved for generation
+ * @returns {number[]|Promise<number[]>} Tokens to use, at most maxPromptTokens
+ */
+
+/**
+ * Validate the context overflow options
+ * @private
+ * @param {Object} options - Generation options
+ * @param {number} maxTokens - Maximum tokens to generate
+ * @param {number} contextSize - Model context size
+ * @returns {{overflow: string|OverflowStrategy, reserveTokens: number, keepTokens: number}} Resolved options
+ */
+function resolveOverflowOptions(options, maxTokens, contextSize) {
+  const {
+    overflow = 'truncate-start',
+    reserveTokens = Math.min(maxTokens, Math.floor(contextSize / 2)),
+    keepTokens
+  } = options;
+  
+  if (typeof overflow !== 'function' && !OVERFLOW_STRATEGIES.includes(overflow)) {
+    throw new Error(`Unknown overflow strategy '${overflow}'. Available strategies: ${OVERFLOW_STRATEGIES.join(', ')}`);
+  }
+  
+  if (!Number.isInteger(reserveTokens) || reserveTokens < 1 || reserveTokens >= contextSize) {
+    throw new Error(`reserveTokens must be an integer from 1 to ${contextSize - 1}, got ${reserveTokens}`);
+  }
+  
+  if (overflow === 'keep-system' && (!Number.isInteger(keepTokens) || keepTokens < 0)) {
+    throw new Error("The 'keep-system' overflow strategy needs keepTokens, the number of leading prompt tokens to keep");
+  }
+  
+  return { overflow, reserveTokens, keepTokens };
+}
+
+/**
+ * Shorten the prompt so it leaves the reserved tokens free
+ * @private
+ * @param {ModelContext} context - Context holding the prompt
+ * @param {Object} overflowOptions - Options from resolveOverflowOptions
+ * @returns {Promise<void>}
+ * @throws {ContextOverflowError} If the prompt cannot be made to fit
+ */
+async function fitPromptToContext(context, { overflow, reserveTokens, keepTokens }) {
+  const { tokens, contextSize } = context;
+  const promptTokens = tokens.length;
+  const maxPromptTokens = contextSize - reserveTokens;
+  
+  if (promptTokens <= maxPromptTokens) {
+    return;
+  }
+  
+  const details = { promptTokens, contextSize, reserveTokens };
+  let kept;
+  
+  if (typeof overflow === 'function') {
+    kept = await overflow(tokens.slice(), { ...details, maxPromptTokens });
+    if (!Array.isArray(kept)) {
+      throw new Error('Custom overflow strategy must return an array of tokens');
+    }
+    if (kept.length > maxPromptTokens) {
+      throw new ContextOverflowError({ ...details, promptTokens: kept.length });
+    }
+  } else if (overflow === 'error') {
+    throw new ContextOverflowError(details);
+  } else {
+    let head = 0;
+    if (overflow === 'truncate-middle') {
+      head = Math.floor(maxPromptTokens / 2);
+    } else if (overflow === 'keep-system') {
+      if (keepTokens >= maxPromptTokens) {
+        throw new ContextOverflowError(details);
+      }
+      head = keepTokens;
+    }
+    
+    kept = [
+      ...tokens.slice(0, head),
+      ...tokens.slice(promptTokens - (maxPromptTokens - head))
+    ];
+  }
+  
+  logger.warn(`Prompt exceeds context size: kept ${kept.length} of ${promptTokens} tokens`);
+  context.tokens = kept;
+}
+
+/**
+ * Check the context shift settings against the context size
+ * @private
+ * @param {GenerationOptions} generationOptions - Generation options
+ * @param {number} contextSize - Model context size
+ */
+function validateContextShift({ contextShift, nKeep, nDiscard }, contextSize) {
+  if (!contextShift) {
+    return;
+  }
+  
+  if (!Number.isInteger(nKeep) || nKeep < 0 || nKeep >= contextSize - 1) {
+    throw new Error(`nKeep must be an integer from 0 to ${contextSize - 2}, got ${nKeep}`);
+  }
+  
+  if (nDiscard !== undefined && (!Number.isInteger(nDiscard) || nDiscard < 1 || nDiscard > contextSize - nKeep - 1)) {
+    throw new Error(`nDiscard must be an integer from 1 to ${contextSize - nKeep - 1}, got ${nDiscard}`);
+  }
+}
+
+/**
+ * Log-probability of a generated token
+ * @typedef {Object} TokenLogprob
+ * @property {number} id - Token id
+ * @property {string} text - Token text (a single token may hold part of a character)
+ * @property {number|null} logprob - Natural log of the token's probability, null if the adapter did not report it
+ * @property {Array<{id: number, text: string, logprob: number}>} topLogprobs - Most likely tokens at
+ *   this position, most likely first
+ */
+
+/**
+ * Describe a generated token's log-probability from what the adapter reported
+ * @private
+ * @param {GGUFModel} model - The loaded model
+ * @param {Object} adapter - Environment-specific adapter
+ * @param {number} tokenId - Generated token id
+ * @param {{logprob: number, topLogprobs: Array<{id: number, logprob: number}>}} [info] - Adapter token info
+ * @param {number} topLogprobs - Alternatives to include
+ * @returns {Promise<TokenLogprob>} Log-probability entry
+ */
+async function createTokenLogprob(model, adapter, tokenId, info, topLogprobs) {
+  const alternatives = info && info.topLogprobs ? info.topLogprobs.slice(0, topLogprobs) : [];
+  
+  const [text, ...alternativeTexts] = await Promise.all([
+    adapter.detokenize(model, [tokenId]),
+    ...alternatives.map(alternative => adapter.detokenize(model, [alternative.id]))
+  ]);
+  
+  return {
+    id: tokenId,
+    text,
+    logprob: info && typeof info.logprob === 'number' ? info.logprob : null,
+    topLogprobs: alternatives.map((alternative, i) => ({
+      id: alternative.id,
+      text: alternativeTexts[i],
+      logprob: alternative.logprob
+    }))
+  };
+}
+
+/**
+ * Run streaming inference and pass on the decoded text up to the first stop
+ * @private
+ * @param {Object} request - Request record
+ * @param {GGUFModel} model - The loaded model
+ * @param {ModelContext} context - Context holding the prompt
+ * @param {Object} options - Generation options for the adapter
+ * @param {Object} adapter - Environment-specific adapter
+ * @param {StopSequenceMatcher} stops - Stop matcher for this generation
+ * @param {function(string, TokenLogprob[]=): void} onText - Called with each piece of text, and with
+ *   logprobs the entries of the tokens generated since the previous piece
+ * @returns {Promise<TokenLogprob[]|null>} Entries for every generated token when logprobs were requested
+ */
+async function streamText(request, model, context, options, adapter, stops, onText) {
+  // Decode through a window so split UTF-8 characters and leading spaces
+  // stream exactly as generate() would return them
+  const detokenizer = new IncrementalDetokenizer(ids => adapter.detokenize(model, ids));
+  const logprobs = options.logprobs ? [] : null;
+  let pendingLogprobs = [];
+  let stopped = false;
+  
+  const send = (text) => {
+    if (logprobs) {
+      const chunkLogprobs = pendingLogprobs;
+      pendingLogprobs = [];
+      onText(text, chunkLogprobs);
+    } else {
+      onText(text);
+    }
+  };
+  
+  // Recorded straight away, so the adapter can tell this stop from an abort when isCancelled fires
+  const stop = () => {
+    stopped = true;
+    context.setFinishReason('stop_sequence', stops.stop);
+  };
+  
+  const emit = (text) => {
+    const released = stops.push(text);
+    if (released.stopped) {
+      stop();
+    }
+    if (released.text) {
+      send(released.text);
+    }
+  };
+  
+  const tokenCallback = async (tokenId, info) => {
+    if (stopped) {
+      return;
+    }
+    
+    context.markFirstToken();
+    
+    // Stop tokens are left out of the output, like end-of-generation tokens
+    if (stops.matchToken(tokenId)) {
+      stop();
+      return;
+    }
+    
+    context.addOutputToken(tokenId);
+    
+    try {
+      // Reserve the slot now so entries stay in token order while they are decoded
+      const index = logprobs ? logprobs.push(null) - 1 : -1;
+      const [tokenText, entry] = await Promise.all([
+        detokenizer.push(tokenId),
+        logprobs && createTokenLogprob(model, adapter, tokenId, info, options.topLogprobs)
+      ]);
+      
+      if (entry) {
+        logprobs[index] = entry;
+        pendingLogprobs.push(entry);
+      }
+      if (tokenText) {
+        emit(tokenText);
+      }
+    } catch (error) {
+      logger.error(`Token callback error: ${error.message}`);
+    }
+  };
+  
+  await adapter.runInferenceStreaming(
+    model,
+    context,
+    tokenCallback,
+    options,
+    () => request.cancelled || stopped
+  );
+  
+  if (!stopped) {
+    emit(await detokenizer.flush());
+  }
+  
+  if (stopped) {
+    logger.debug(`Stopped at ${JSON.stringify(stops.stop)}`);
+    context.setFinishReason('stop_sequence', stops.stop);
+  } else {
+    const rest = stops.flush();
+    if (rest) {
+      send(rest);
+    }
+  }
+  
+  return logprobs && logprobs.filter(Boolean);
+}
+
+/**
+ * @typedef {Object} GenerationResult
+ * @property {string} text - Generated text
+ * @property {number[]} tokens - Generated token ids
+ * @property {string} finishReason - Why generation stopped, one of FINISH_REASONS
+ * @property {number|null} seed - Seed the run used; pass it back with the same options to replay it
+ *   (null when the request never started)
+ * @property {string|number|null} stopSequence - Text of the stop sequence that ended generation,
+ *   or the token id for stopTokens
+ * @property {{promptTokens: number, completionTokens: number, totalTokens: number}} usage - Token counts
+ * @property {Object} timings - Timings in milliseconds, measured from when the request left the queue
+ * @property {number} timings.queueMs - Time spent waiting in the request queue
+ * @property {number|null} timings.timeToFirstTokenMs - Time until the first token, including prompt evaluation
+ * @property {number} timings.totalMs - Time until generation ended
+ * @property {number} timings.tokensPerSecond - Generated tokens per second of totalMs
+ * @property {TokenLogprob[]} [logprobs] - Per-token log-probabilities, when `logprobs` was requested
+ * @property {string} requestId - Request id
+ */
+
+/**
+ * Work out why a generation stopped
+ * Adapters report what they saw; the core knows whether the request was
+ * cancelled and whether the context cut maxTokens short
+ * @private
+ * @param {Object} request - Request record
+ * @param {ModelContext} context - Context after generation
+ * @param {number} maxTokens - Requested maximum tokens
+ * @param {number} maxNewTokens - Tokens the adapter was allowed to generate
+ * @returns {string} Finish reason
+ */
+function resolveFinishReason(request, context, maxTokens, maxNewTokens) {
+  if (request.cancelled) {
+    return 'cancelled';
+  }
+  
+  let reason = context.finishReason;
+  if (!reason) {
+    reason = context.outputTokens.length >= maxNewTokens ? 'length' : 'eos';
+  }
+  
+  if (reason === 'length' && maxNewTokens < maxTokens) {
+    return 'context_length';
+  }
+  return reason;
+}
+
+/**
+ * Collect the result details of a generation
+ * @private
+ * @param {Object} request - Request record
+ * @param {Object} run - What happened
+ * @param {string} run.text - Generated text
+ * @param {ModelContext} [run.context] - Context after generation; omitted when nothing ran
+ * @param {string} [run.finishReason] - Finish reason, when already known
+ * @param {number} [run.seed] - Effective seed
+ * @param {TokenLogprob[]|null} [run.logprobs] - Per-token log-probabilities, if requested
+ * @param {number} run.startedAt - When the request left the queue
+ * @returns {GenerationResult} Result details
+ */
+function createResult(request, { text, context, finishReason, seed = null, logprobs = null, startedAt }) {
+  const endedAt = Date.now();
+  const tokens = context ? context.outputTokens.slice() : [];
+  const promptTokens = context ? context.tokens.length : 0;
+  const totalMs = endedAt - startedAt;
+  
+  return {
+    text,
+    tokens,
+    finishReason,
+    seed,
+    stopSequence: context ? context.stopSequence : null,
+    usage: {
+      promptTokens,
+      completionTokens: tokens.length,
+      totalTokens: promptTokens + tokens.length
+    },
+    timings: {
+      queueMs: startedAt - request.createdAt,
+      timeToFirstTokenMs: context && context.firstTokenTime !== null ? context.firstTokenTime - startedAt : null,
+      totalMs,
+      tokensPerSecond: totalMs > 0 ? tokens.length / (totalMs / 1000) : 0
+    },
+    ...(logprobs ? { logprobs } : {}),
+    requestId: request.id
+  };
+}
 
 /**
  * Run text generation with a model
  * @param {GGUFModel} model - The loaded model
  * @param {string} prompt - Input prompt
  * @param {Object} [options={}] - Generation options
+ * @param {ModelContext} [options.context] - Context to continue; its adapter state lets the cached prefix be reused
+ * @param {string|OverflowStrategy} [options.overflow='truncate-start'] - What to do when the prompt does not fit:
+ *   'error', 'truncate-start', 'truncate-middle', 'keep-system' or a custom function
+ * @param {number} [options.reserveTokens] - Context tokens kept free for generation (default: maxTokens, at most half the context)
+ * @param {number} [options.keepTokens] - Leading prompt tokens 'keep-system' always keeps
+ * @param {AbortSignal} [options.signal] - Cancels this request when aborted
+ * @param {string} [options.requestId] - Id for the request (generated when omitted)
+ * @param {number} [options.priority=0] - Queue priority; higher runs first when the model is busy
+ * @param {number} [options.timeout] - Milliseconds before the request fails with a RequestTimeoutError
+ * @param {boolean} [options.details=false] - Resolve with a GenerationResult instead of the text
+ * @param {Object} [adapter] - Environment-specific adapter
+ * @returns {Promise<string|GenerationResult>} Generated text; the promise's `requestId` identifies the request
+ */
+function generate(model, prompt, options = {}, adapter) {
+  const select = result => (options.details ? result : result.text);
+  
+  return trackRequest(
+    model,
+    options,
+    request => runGenerate(request, model, prompt, options, adapter).then(select),
+    request => select(createResult(request, { text: '', finishReason: 'cancelled', startedAt: Date.now() }))
+  );
+}
+
+/**
+ * Run text generation and report how it went
+ * Same as generate with `details: true`
+ * @param {GGUFModel} model - The loaded model
+ * @param {string} prompt - Input prompt
+ * @param {Object} [options={}] - Generation options, as for generate
  * @param {Object} [adapter] - Environment-specific adapter
- * @returns {Promise<string>} Generated text
+ * @returns {Promise<GenerationResult>} Text, tokens, finish reason, usage and timings;
+ *   the promise's `requestId` identifies the request
  */
-async function generate(model, prompt, options = {}, adapter) {
+function generateDetailed(model, prompt, options = {}, adapter) {
+  return generate(model, prompt, { ...options, details: true }, adapter);
+}
+
+/**
+ * Run text generation for a tracked request
+ * @private
+ * @param {Object} request - Request record
+ * @param {GGUFModel} model - The loaded model
+ * @param {string} prompt - Input prompt
+ * @param {Object} options - Generation options
+ * @param {Object} adapter - Environment-specific adapter
+ * @returns {Promise<GenerationResult>} Result details
+ */
+async function runGenerate(request, model, prompt, options, adapter) {
   if (!adapter) {
     throw new Error('No adapter provided. Please use an environment-specific inference engine.');
   }
@@ -29,51 +559,82 @@ async function generate(model, prompt, options = {}, adapter) {
     throw new Error('Model not loaded properly');
   }
   
-  cancellationFlags.set(model.id, false);
+  const generationOptions = new GenerationOptions(options).resolveSeed();
+  const contextSize = options.context ? options.context.contextSize : model.metadata.contextSize || 2048;
+  const overflowOptions = resolveOverflowOptions(options, generationOptions.maxTokens, contextSize);
+  validateContextShift(generationOptions, contextSize);
+  const stops = new StopSequenceMatcher(generationOptions);
+  
+  const startedAt = Date.now();
   
-  const generationOptions = new GenerationOptions(options);
+  if (request.cancelled) {
+    logger.info('Generation was cancelled before it started');
+    return createResult(request, { text: '', finishReason: 'cancelled', seed: generationOptions.seed, startedAt });
+  }
   
   logger.info(`Generating with model: ${model.id}`);
   logger.debug('Prompt:', prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''));
   logger.debug('Options:', generationOptions);
   
+  let context = null;
+  
   try {
     const tokens = await adapter.tokenize(model, prompt);
     logger.debug(`Tokenized prompt: ${tokens.length} tokens`);
     
-    const context = new ModelContext({
-      tokens,
-      contextSize: model.metadata.contextSize || 2048
-    });
+    context = preparePromptContext(model, tokens, options.context);
     
-    if (context.getContextLength() >= context.contextSize) {
-      logger.warn(`Prompt exceeds context size: ${context.getContextLength()} tokens`);
-      context.tokens = context.tokens.slice(-context.contextSize + 100);
-    }
+    await fitPromptToContext(context, overflowOptions);
     
-    const maxNewTokens = Math.min(
-      generationOptions.maxTokens,
-      context.getRemainingSpace() - 10
-    );
+    // With context shifting the adapter makes room as the window fills
+    const maxNewTokens = generationOptions.contextShift ?
+      generationOptions.maxTokens :
+      Math.min(generationOptions.maxTokens, context.getRemainingSpace());
     
-    const outputTokens = await adapter.runInference(
-      model,
-      context,
-      {
-        ...generationOptions,
-        maxTokens: maxNewTokens
-      },
-      () => cancellationFlags.get(model.id)
-    );
+    const adapterOptions = {
+      ...generationOptions,
+      maxTokens: maxNewTokens
+    };
+    let outputText;
+    let logprobs = null;
     
-    const outputText = await adapter.detokenize(model, outputTokens);
+    if (stops.hasStops() || generationOptions.logprobs) {
+      // Stops are found as text is decoded, so generation can end at the stop,
+      // and adapters only report logprobs per streamed token
+      outputText = '';
+      logprobs = await streamText(request, model, context, adapterOptions, adapter, stops, text => {
+        outputText += text;
+      });
+    } else {
+      const outputTokens = await adapter.runInference(
+        model,
+        context,
+        adapterOptions,
+        () => request.cancelled
+      );
+      
+      outputTokens.forEach(token => context.addOutputToken(token));
+      
+      outputText = await adapter.detokenize(model, outputTokens);
+    }
     
-    logger.info(`Generated ${outputTokens.length} tokens`);
-    return outputText;
+    logger.info(`Generated ${context.outputTokens.length} tokens`);
+    return createResult(request, {
+      text: outputText,
+      context,
+      finishReason: resolveFinishReason(request, context, generationOptions.maxTokens, maxNewTokens),
+      seed: generationOptions.seed,
+      logprobs,
+      startedAt
+    });
   } catch (error) {
-    if (cancellationFlags.get(model.id)) {
+    if (error instanceof ContextOverflowError) {
+      throw error;
+    }
+    
+    if (request.cancelled) {
       logger.info('Generation was cancelled');
-      return '';
+      return createResult(request, { text: '', context, finishReason: 'cancelled', seed: generationOptions.seed, startedAt });
     }
     
     logger.error(`Generation failed: ${error.message}`);
@@ -87,7 +648,9 @@ async function generate(model, prompt, options = {}, adapter) {
  * Token callback type 
  * @callback TokenCallback
  * @param {string} token - Generated token
- * @param {boolean} isDone - Whether generation is complete
+ * @param {boolean} isDone - Whether generation is complete; a generation that fails rejects instead
+ * @param {GenerationResult|{logprobs: TokenLogprob[]}} [details] - Result details on the final call of a
+ *   generation that did not fail; with `logprobs`, the entries of the chunk's tokens on the other calls
  */
 
 /**
@@ -96,10 +659,44 @@ async function generate(model, prompt, options = {}, adapter) {
  * @param {string} prompt - Input prompt
  * @param {TokenCallback} onToken - Callback for each token
  * @param {Object} [options={}] - Generation options
+ * @param {ModelContext} [options.context] - Context to continue; its adapter state lets the cached prefix be reused
+ * @param {string|OverflowStrategy} [options.overflow='truncate-start'] - What to do when the prompt does not fit:
+ *   'error', 'truncate-start', 'truncate-middle', 'keep-system' or a custom function
+ * @param {number} [options.reserveTokens] - Context tokens kept free for generation (default: maxTokens, at most half the context)
+ * @param {number} [options.keepTokens] - Leading prompt tokens 'keep-system' always keeps
+ * @param {AbortSignal} [options.signal] - Cancels this request when aborted
+ * @param {string} [options.requestId] - Id for the request (generated when omitted)
+ * @param {number} [options.priority=0] - Queue priority; higher runs first when the model is busy
+ * @param {number} [options.timeout] - Milliseconds before the request fails with a RequestTimeoutError
  * @param {Object} [adapter] - Environment-specific adapter
- * @returns {Promise<void>}
+ * @returns {Promise<GenerationResult>} Resolves with the result details when streaming ends;
+ *   the promise's `requestId` identifies the request
  */
-async function streamGenerate(model, prompt, onToken, options = {}, adapter) {
+function streamGenerate(model, prompt, onToken, options = {}, adapter) {
+  return trackRequest(
+    model,
+    options,
+    request => runStreamGenerate(request, model, prompt, onToken, options, adapter),
+    request => {
+      const result = createResult(request, { text: '', finishReason: 'cancelled', startedAt: Date.now() });
+      onToken('', true, result);
+      return result;
+    }
+  );
+}
+
+/**
+ * Run streaming text generation for a tracked request
+ * @private
+ * @param {Object} request - Request record
+ * @param {GGUFModel} model - The loaded model
+ * @param {string} prompt - Input prompt
+ * @param {TokenCallback} onToken - Callback for each token
+ * @param {Object} options - Generation options
+ * @param {Object} adapter - Environment-specific adapter
+ * @returns {Promise<GenerationResult>} Result details
+ */
+async function runStreamGenerate(request, model, prompt, onToken, options, adapter) {
   if (!adapter) {
     throw new Error('No adapter provided. Please use an environment-specific inference engine.');
   }
@@ -108,62 +705,84 @@ async function streamGenerate(model, prompt, onToken, options = {}, adapter) {
     throw new Error('Model not loaded properly');
   }
   
-  cancellationFlags.set(model.id, false);
+  const generationOptions = new GenerationOptions(options).resolveSeed();
+  const contextSize = options.context ? options.context.contextSize : model.metadata.contextSize || 2048;
+  const overflowOptions = resolveOverflowOptions(options, generationOptions.maxTokens, contextSize);
+  validateContextShift(generationOptions, contextSize);
+  const stops = new StopSequenceMatcher(generationOptions);
   
-  const generationOptions = new GenerationOptions(options);
+  const startedAt = Date.now();
+  
+  if (request.cancelled) {
+    logger.info('Streaming was cancelled before it started');
+    const result = createResult(request, { text: '', finishReason: 'cancelled', seed: generationOptions.seed, startedAt });
+    onToken('', true, result);
+    return result;
+  }
   
   logger.info(`Streaming with model: ${model.id}`);
   logger.debug('Prompt:', prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''));
   
+  let context = null;
+  let outputText = '';
+  
   try {
     const tokens = await adapter.tokenize(model, prompt);
     
-    const context = new ModelContext({
-      tokens,
-      contextSize: model.metadata.contextSize || 2048
-    });
+    context = preparePromptContext(model, tokens, options.context);
     
-    if (context.getContextLength() >= context.contextSize) {
-      logger.warn(`Prompt exceeds context size: ${context.getContextLength()} tokens`);
-      context.tokens = context.tokens.slice(-context.contextSize + 100);
-    }
-    
-    const maxNewTokens = Math.min(
-      generationOptions.maxTokens,
-      context.getRemainingSpace() - 10
-    );
+    await fitPromptToContext(context, overflowOptions);
     
-    const tokenCallback = async (tokenId) => {
-      try {
-        const tokenText = await adapter.detokenizeToken(model, tokenId);
-        onToken(tokenText, false);
-      } catch (error) {
-        logger.error(`Token callback error: ${error.message}`);
-      }
-    };
+    // With context shifting the adapter makes room as the window fills
+    const maxNewTokens = generationOptions.contextShift ?
+      generationOptions.maxTokens :
+      Math.min(generationOptions.maxTokens, context.getRemainingSpace());
     
-    await adapter.runInferenceStreaming(
+    const logprobs = await streamText(
+      request,
       model,
       context,
-      tokenCallback,
       {
         ...generationOptions,
         maxTokens: maxNewTokens
       },
-      () => cancellationFlags.get(model.id)
+      adapter,
+      stops,
+      (text, chunkLogprobs) => {
+        outputText += text;
+        if (chunkLogprobs) {
+          onToken(text, false, { logprobs: chunkLogprobs });
+        } else {
+          onToken(text, false);
+        }
+      }
     );
     
-    onToken('', true);
+    const result = createResult(request, {
+      text: outputText,
+      context,
+      finishReason: resolveFinishReason(request, context, generationOptions.maxTokens, maxNewTokens),
+      seed: generationOptions.seed,
+      logprobs,
+      startedAt
+    });
+    onToken('', true, result);
     logger.info('Streaming generation complete');
+    return result;
   } catch (error) {
-    if (cancellationFlags.get(model.id)) {
+    // Failures reject without calling back as done
+    if (error instanceof ContextOverflowError) {
+      throw error;
+    }
+    
+    if (request.cancelled) {
       logger.info('Streaming was cancelled');
-      onToken('', true);
-      return;
+      const result = createResult(request, { text: outputText, context, finishReason: 'cancelled', seed: generationOptions.seed, startedAt });
+      onToken('', true, result);
+      return result;
     }
     
     logger.error(`Streaming failed: ${error.message}`);
-    onToken('', true);
     throw new Error(`Streaming text generation failed: ${error.message}`);
   } finally {
     model.updateLastUsed();
@@ -171,9 +790,9 @@ async function streamGenerate(model, prompt, onToken, options = {}, adapter) {
 }
 
 /**
- * Cancel an ongoing generation
+ * Cancel all in-flight generations on a model
  * @param {GGUFModel|string} modelOrId - Model or model ID
- * @returns {boolean} Whether cancellation was set
+ * @returns {boolean} Whether any request was cancelled
  */
 function cancelGeneration(modelOrId) {
   const modelId = typeof modelOrId === 'string' ? modelOrId : modelOrId.id;
@@ -184,12 +803,62 @@ function cancelGeneration(modelOrId) {
   }
   
   logger.info(`Cancelling generation for model: ${modelId}`);
-  cancellationFlags.set(modelId, true);
+  
+  let cancelled = false;
+  for (const request of activeRequests.values()) {
+    if (request.modelId === modelId) {
+      request.cancel();
+      cancelled = true;
+    }
+  }
+  return cancelled;
+}
+
+/**
+ * Cancel one in-flight generation
+ * @param {string} requestId - Id from the generate/streamGenerate promise
+ * @returns {boolean} Whether the request was found
+ */
+function cancelRequest(requestId) {
+  const request = activeRequests.get(requestId);
+  
+  if (!request) {
+    return false;
+  }
+  
+  logger.info(`Cancelling request: ${requestId}`);
+  request.cancel();
   return true;
 }
 
+/**
+ * Change how requests are queued per model
+ * @param {Object} options - Scheduler options
+ * @param {number} [options.concurrency] - Requests that may run at once on one model (default 1)
+ * @param {number} [options.maxQueueLength] - Waiting requests per model before new ones fail with a QueueFullError
+ * @param {number} [options.timeout] - Default request timeout in milliseconds (0 for none)
+ */
+function configureScheduler(options) {
+  scheduler.configure(options);
+}
+
+/**
+ * Get request queue statistics
+ * @param {GGUFModel|string} [modelOrId] - Model or model ID; all models when omitted
+ * @returns {Object} Stats for the model, or stats keyed by model id
+ */
+function getQueueStats(modelOrId) {
+  const modelId = modelOrId && typeof modelOrId === 'object' ? modelOrId.id : modelOrId;
+  return scheduler.getQueueStats(modelId);
+}
+
 module.exports = {
+  OVERFLOW_STRATEGIES,
   generate,
+  generateDetailed,
   streamGenerate,
-  cancelGeneration
+  cancelGeneration,
+  cancelRequest,
+  configureScheduler,
+  getQueueStats
 };
\ No newline at end of file
@@ -4,25 +4,65 @@
  */
 
 const { GGUFModel, createModelId } = require('./model');
+const { readGGUFMetadata, summarizeGGUFMetadata } = require('./gguf');
 const logger = require('../utils/logger');
 
 /**
  * Model loading options
  * @typedef {Object} LoadOptions
  * @property {boolean} [useCache=true] - Whether to cache the model
- * @property {string} [quantization='q4_0'] - Quantization format to use
- * @property {number} [contextSize=2048] - Model context size
+ * @property {string} [quantization] - Quantization format (defaults to the file type in the GGUF header, else 'q4_0')
+ * @property {number} [contextSize] - Model context size (defaults to the trained context length, else 2048)
+ * @property {boolean} [strictContextSize=false] - Throw instead of warning when contextSize exceeds the trained length
  * @property {boolean} [lowMemory=false] - Whether to use low memory mode
+ * @property {number} [seed] - Seed of the adapter's context (random when omitted, then stored in model.metadata.seed)
  * @property {string} [modelId] - Custom model ID (auto-generated if not provided)
  * @property {Object} [metadata] - Additional model metadata
+ * @property {boolean} [readMetadata=true] - Whether to parse the GGUF header before loading
  */
 
+const DEFAULT_QUANTIZATION = 'q4_0';
+const DEFAULT_CONTEXT_SIZE = 2048;
+
 /**
  * Registry of loaded models
  * @type {Map<string, GGUFModel>}
  */
 const loadedModels = new Map();
 
+/**
+ * Resolve quantization and context size from explicit options and GGUF metadata
+ * @private
+ * @param {LoadOptions} options - Model loading options
+ * @param {Object} summary - Summary from summarizeGGUFMetadata (empty if unavailable)
+ * @param {boolean} strictContextSize - Whether exceeding the trained length is an error
+ * @returns {{quantization: string, contextSize: number}} Resolved options
+ */
+function resolveLoadOptions(options, summary, strictContextSize) {
+  const trainedContextSize = summary.contextLength || null;
+  
+  let contextSize = options.contextSize;
+  if (contextSize === undefined) {
+    contextSize = trainedContextSize || DEFAULT_CONTEXT_SIZE;
+  } else if (trainedContextSize && contextSize > trainedContextSize) {
+    const message = `Requested context size ${contextSize} exceeds the model's trained context length ${trainedContextSize}`;
+    
+    if (strictContextSize) {
+      throw new Error(message);
+    }
+    logger.warn(`${message}; output quality may degrade beyond ${trainedContextSize} tokens`);
+  }
+  
+  let quantization = options.quantization;
+  if (quantization === undefined) {
+    quantization = summary.fileType || DEFAULT_QUANTIZATION;
+  } else if (summary.fileType && quantization.toLowerCase() !== summary.fileType) {
+    logger.warn(`Requested quantization '${quantization}' does not match the file type '${summary.fileType}'`);
+  }
+  
+  return { quantization, contextSize };
+}
+
 /**
  * Load a GGUF model
  * @param {string} path - Path or URL to the model file
@@ -37,11 +77,11 @@ async function loadModel(path, options = {}, adapter) {
   
   const {
     useCache = true,
-    quantization = 'q4_0',
-    contextSize = 2048,
     lowMemory = false,
+    strictContextSize = false,
     modelId: customModelId,
-    metadata = {}
+    metadata = {},
+    readMetadata = true
   } = options;
   
   const modelId = customModelId || createModelId(path);
@@ -54,13 +94,31 @@ async function loadModel(path, options = {}, adapter) {
   }
   
   logger.info(`Loading model from: ${path}`);
-  logger.debug('Loading options:', { quantization, contextSize, lowMemory });
+  
+  let gguf = null;
+  let ggufSummary = {};
+  
+  if (readMetadata) {
+    try {
+      gguf = await readGGUFMetadata(path);
+      ggufSummary = summarizeGGUFMetadata(gguf);
+      logger.debug('GGUF metadata:', ggufSummary);
+    } catch (error) {
+      logger.warn(`Could not read GGUF metadata: ${error.message}`);
+    }
+  }
+  
+  const { quantization, contextSize } = resolveLoadOptions(options, ggufSummary, strictContextSize);
+  
+  logger.debug('Loading options:', { quantization, contextSize, lowMemory, architecture: ggufSummary.architecture || null });
   
   try {
     const model = new GGUFModel({
       id: modelId,
       path,
+      gguf,
       metadata: {
+        ...ggufSummary,
         ...metadata,
         quantization,
         contextSize,
@@ -68,14 +126,18 @@ async function loadModel(path, options = {}, adapter) {
       }
     });
     
-    const { session, tokenizer } = await adapter.initializeModel(path, {
+    const { session, tokenizer, seed } = await adapter.initializeModel(path, {
       quantization,
       contextSize,
-      lowMemory
+      lowMemory,
+      seed: options.seed
     });
     
     model.session = session;
     model.tokenizer = tokenizer;
+    if (seed !== undefined) {
+      model.metadata.seed = seed;
+    }
     model.isLoaded = true;
     
     if (useCache) {
@@ -3,6 +3,8 @@
  * @module core/model
  */
 
+const { MAX_SEED, randomSeed } = require('./random');
+
 /**
  * Class representing a GGUF model
  */
@@ -15,13 +17,15 @@ class GGUFModel {
      * @param {Object} options.metadata - Model metadata
      * @param {Object} options.session - Model session (implementation specific)
      * @param {Object} options.tokenizer - Tokenizer for the model
+     * @param {Object} [options.gguf] - Parsed GGUF header (see core/gguf)
      */
-    constructor({ id, path, metadata = {}, session = null, tokenizer = null }) {
+    constructor({ id, path, metadata = {}, session = null, tokenizer = null, gguf = null }) {
       this.id = id;
       this.path = path;
       this.metadata = metadata;
       this.session = session;
       this.tokenizer = tokenizer;
+      this.gguf = gguf;
       this.lastUsed = Date.now();
       this.isLoaded = false;
       
@@ -65,8 +69,63 @@ class GGUFModel {
     }
   }
   
+  /**
+   * Check that a numeric generation option is in range
+   * @private
+   * @param {string} name - Option name
+   * @param {*} value - Option value
+   * @param {Object} range - Allowed range
+   * @param {number} [range.min=-Infinity] - Smallest allowed value
+   * @param {number} [range.max=Infinity] - Largest allowed value
+   * @param {boolean} [range.minExclusive=false] - Whether min itself is excluded
+   * @param {boolean} [range.integer=false] - Whether the value must be an integer
+   * @throws {Error} If the value is out of range
+   */
+  function checkRange(name, value, { min = -Infinity, max = Infinity, minExclusive = false, integer = false }) {
+    const valid = typeof value === 'number' && Number.isFinite(value) &&
+      (integer ? Number.isInteger(value) : true) &&
+      (minExclusive ? value > min : value >= min) &&
+      value <= max;
+    
+    if (!valid) {
+      const kind = integer ? 'an integer' : 'a number';
+      const lower = min === -Infinity ? '' : `${minExclusive ? 'greater than' : 'at least'} ${min}`;
+      const upper = max === Infinity ? '' : `at most ${max}`;
+      const bounds = lower && upper && !minExclusive ?
+        `from ${min} to ${max}` :
+        [lower, upper].filter(Boolean).join(' and ');
+      throw new Error(`${name} must be ${kind}${bounds ? ` ${bounds}` : ''}, got ${value}`);
+    }
+  }
+  
+  /**
+   * Check a logit bias map
+   * @private
+   * @param {Object<number, number>|Map<number, number>} logitBias - Bias per token id
+   * @throws {Error} If a token id or bias is invalid
+   */
+  function checkLogitBias(logitBias) {
+    if (!logitBias || typeof logitBias !== 'object' || Array.isArray(logitBias)) {
+      throw new Error('logitBias must be an object or Map from token ids to biases');
+    }
+    
+    const entries = logitBias instanceof Map ? [...logitBias] : Object.entries(logitBias);
+    for (const [token, bias] of entries) {
+      if (!/^\d+$/.test(String(token))) {
+        throw new Error(`logitBias keys must be token ids, got '${token}'`);
+      }
+      // -Infinity bans a token outright
+      if (typeof bias !== 'number' || Number.isNaN(bias) || bias === Infinity) {
+        throw new Error(`logitBias for token ${token} must be a finite number or -Infinity, got ${bias}`);
+      }
+    }
+  }
+  
   /**
    * Generation options for text inference
+   *
+   * Every option is range checked. Neutral values (e.g. minP 0, typicalP 1,
+   * tfsZ 1, mirostat 0) leave the corresponding sampler off.
    */
   class GenerationOptions {
     /**
@@ -76,26 +135,130 @@ class GGUFModel {
      * @param {number} [options.temperature=0.7] - Sampling temperature (0-2)
      * @param {number} [options.topP=0.9] - Top-p sampling parameter (0-1)
      * @param {number} [options.topK=40] - Top-k sampling parameter
-     * @param {number} [options.repetitionPenalty=1.1] - Penalty for repetition
-     * @param {number} [options.seed] - Random seed for reproducibility
-     * @param {string[]} [options.stopSequences] - Sequences to stop generation
+     * @param {number} [options.minP=0] - Drop tokens less likely than minP times the top token (0-1)
+     * @param {number} [options.typicalP=1] - Locally typical sampling mass (0-1, 1 disables)
+     * @param {number} [options.tfsZ=1] - Tail-free sampling parameter (0-1, 1 disables)
+     * @param {number} [options.repetitionPenalty=1.1] - Penalty for repetition (1 disables)
+     * @param {number} [options.presencePenalty=0] - Penalty for tokens that already appeared (-2 to 2)
+     * @param {number} [options.frequencyPenalty=0] - Penalty per earlier occurrence of a token (-2 to 2)
+     * @param {number} [options.repeatLastN=64] - Recent tokens the penalties look at (0 disables, -1 for the whole context)
+     * @param {number} [options.mirostat=0] - Mirostat version: 0 (off), 1 or 2
+     * @param {number} [options.mirostatTau=5] - Mirostat target surprise
+     * @param {number} [options.mirostatEta=0.1] - Mirostat learning rate (0-1)
+     * @param {Object<number, number>|Map<number, number>} [options.logitBias={}] - Bias added to token logits; -Infinity bans a token
+     * @param {number} [options.dynatempRange=0] - Dynamic temperature range: temperature varies by ± this with entropy (0 disables)
+     * @param {number} [options.dynatempExponent=1] - Dynamic temperature exponent
+     * @param {number} [options.seed] - Random seed for reproducibility (0 to 2^32-1)
+     * @param {boolean} [options.deterministic=false] - Make the run reproducible: sample with `seed`,
+     *   or decode greedily when no seed is given
+     * @param {boolean} [options.logprobs=false] - Report the log-probability of each generated token
+     * @param {number} [options.topLogprobs=0] - Most likely alternatives to report per token (0-20); implies logprobs
+     * @param {Array<string|RegExp>} [options.stopSequences] - Strings or patterns that stop generation when generated
+     * @param {number[]} [options.stopTokens] - Token ids that stop generation
+     * @param {number} [options.stopHoldback=32] - Characters streaming holds back while regular expression stops are set
+     * @param {boolean} [options.contextShift=false] - Discard old tokens when the context fills instead of stopping
+     * @param {number} [options.nKeep=0] - Leading tokens a context shift never discards
+     * @param {number} [options.nDiscard] - Tokens discarded per shift (default: half of those after nKeep)
      */
     constructor({
       maxTokens = 100,
       temperature = 0.7,
       topP = 0.9,
       topK = 40,
+      minP = 0,
+      typicalP = 1,
+      tfsZ = 1,
       repetitionPenalty = 1.1,
+      presencePenalty = 0,
+      frequencyPenalty = 0,
+      repeatLastN = 64,
+      mirostat = 0,
+      mirostatTau = 5,
+      mirostatEta = 0.1,
+      logitBias = {},
+      dynatempRange = 0,
+      dynatempExponent = 1,
       seed,
-      stopSequences = []
+      deterministic = false,
+      logprobs = false,
+      topLogprobs = 0,
+      stopSequences = [],
+      stopTokens = [],
+      stopHoldback = 32,
+      contextShift = false,
+      nKeep = 0,
+      nDiscard
     } = {}) {
+      checkRange('maxTokens', maxTokens, { min: 1, integer: true });
+      checkRange('temperature', temperature, { min: 0, max: 2 });
+      checkRange('topP', topP, { min: 0, max: 1 });
+      checkRange('topK', topK, { min: 0, integer: true });
+      checkRange('minP', minP, { min: 0, max: 1 });
+      checkRange('typicalP', typicalP, { min: 0, max: 1, minExclusive: true });
+      checkRange('tfsZ', tfsZ, { min: 0, max: 1, minExclusive: true });
+      checkRange('repetitionPenalty', repetitionPenalty, { min: 0, minExclusive: true });
+      checkRange('presencePenalty', presencePenalty, { min: -2, max: 2 });
+      checkRange('frequencyPenalty', frequencyPenalty, { min: -2, max: 2 });
+      checkRange('repeatLastN', repeatLastN, { min: -1, integer: true });
+      if (![0, 1, 2].includes(mirostat)) {
+        throw new Error(`mirostat must be 0 (off), 1 or 2, got ${mirostat}`);
+      }
+      checkRange('mirostatTau', mirostatTau, { min: 0 });
+      checkRange('mirostatEta', mirostatEta, { min: 0, max: 1, minExclusive: true });
+      checkLogitBias(logitBias);
+      checkRange('topLogprobs', topLogprobs, { min: 0, max: 20, integer: true });
+      checkRange('dynatempRange', dynatempRange, { min: 0 });
+      checkRange('dynatempExponent', dynatempExponent, { min: 0, minExclusive: true });
+      if (seed !== undefined) {
+        checkRange('seed', seed, { min: 0, max: MAX_SEED, integer: true });
+      }
+      
       this.maxTokens = maxTokens;
       this.temperature = temperature;
       this.topP = topP;
       this.topK = topK;
+      this.minP = minP;
+      this.typicalP = typicalP;
+      this.tfsZ = tfsZ;
       this.repetitionPenalty = repetitionPenalty;
+      this.presencePenalty = presencePenalty;
+      this.frequencyPenalty = frequencyPenalty;
+      this.repeatLastN = repeatLastN;
+      this.mirostat = mirostat;
+      this.mirostatTau = mirostatTau;
+      this.mirostatEta = mirostatEta;
+      this.logitBias = logitBias;
+      this.dynatempRange = dynatempRange;
+      this.dynatempExponent = dynatempExponent;
       this.seed = seed;
+      this.deterministic = deterministic;
+      this.logprobs = Boolean(logprobs) || topLogprobs > 0;
+      this.topLogprobs = topLogprobs;
       this.stopSequences = stopSequences;
+      this.stopTokens = stopTokens;
+      this.stopHoldback = stopHoldback;
+      this.contextShift = contextShift;
+      this.nKeep = nKeep;
+      this.nDiscard = nDiscard;
+    }
+    
+    /**
+     * Fix the seed for one run
+     * A given seed is kept. Without one, deterministic mode decodes greedily
+     * with seed 0 and otherwise a random seed is picked, so every run has a
+     * seed it can be replayed with.
+     * @returns {GenerationOptions} Copy of the options with `seed` set
+     */
+    resolveSeed() {
+      if (this.seed !== undefined) {
+        return new GenerationOptions({ ...this });
+      }
+      
+      if (this.deterministic) {
+        return new GenerationOptions({ ...this, seed: 0, temperature: 0 });
+      }
+      
+      return new GenerationOptions({ ...this, seed: randomSeed() });
     }
   }
   
@@ -108,11 +271,16 @@ class GGUFModel {
      * @param {Object} options - Context options
      * @param {number[]} [options.tokens=[]] - Input tokens
      * @param {number} [options.contextSize=2048] - Maximum context size
+     * @param {Object} [options.state=null] - Adapter evaluation state whose cached prefix can be reused (see ChatSession)
      */
-    constructor({ tokens = [], contextSize = 2048 } = {}) {
+    constructor({ tokens = [], contextSize = 2048, state = null } = {}) {
       this.tokens = tokens;
       this.contextSize = contextSize;
       this.outputTokens = [];
+      this.state = state;
+      this.finishReason = null;
+      this.stopSequence = null;
+      this.firstTokenTime = null;
     }
     
     /**
@@ -135,6 +303,26 @@ class GGUFModel {
       this.outputTokens.push(token);
     }
     
+    /**
+     * Record when the first output token was produced
+     * Adapters call this as tokens arrive; later calls are ignored
+     */
+    markFirstToken() {
+      if (this.firstTokenTime === null) {
+        this.firstTokenTime = Date.now();
+      }
+    }
+    
+    /**
+     * Record why generation stopped
+     * @param {string} reason - One of FINISH_REASONS
+     * @param {string|number|null} [stopSequence=null] - Stop sequence text or stop token id that ended generation
+     */
+    setFinishReason(reason, stopSequence = null) {
+      this.finishReason = reason;
+      this.stopSequence = stopSequence;
+    }
+    
     /**
      * Get the current context length
      * @returns {number} Context length
@@ -151,13 +339,65 @@ class GGUFModel {
       return this.contextSize - this.tokens.length;
     }
     
+    /**
+     * Replace the input tokens with the next prompt of the same conversation
+     * @param {number[]} tokens - New input tokens
+     * @returns {number} Number of leading tokens shared with the previous input and output
+     */
+    replaceTokens(tokens) {
+      const kept = getCommonPrefixLength([...this.tokens, ...this.outputTokens], tokens);
+      
+      this.tokens = [...tokens];
+      this.outputTokens = [];
+      this.resetGeneration();
+      
+      return kept;
+    }
+    
     /**
      * Clear all tokens from context
      */
     clear() {
       this.tokens = [];
       this.outputTokens = [];
+      this.resetGeneration();
+    }
+    
+    /**
+     * Forget the finish reason and timing of the last generation
+     * @private
+     */
+    resetGeneration() {
+      this.finishReason = null;
+      this.stopSequence = null;
+      this.firstTokenTime = null;
+    }
+  }
+  
+  /**
+   * Reasons a generation can end
+   * - eos: the model produced an end-of-generation token
+   * - stop_sequence: a stop sequence was generated
+   * - length: maxTokens were generated
+   * - context_length: the context filled up before maxTokens
+   * - cancelled: the request was cancelled
+   * @type {string[]}
+   */
+  const FINISH_REASONS = ['eos', 'stop_sequence', 'length', 'context_length', 'cancelled'];
+  
+  /**
+   * Count the leading tokens two sequences share
+   * @param {number[]} a - First sequence
+   * @param {number[]} b - Second sequence
+   * @returns {number} Length of the common prefix
+   */
+  function getCommonPrefixLength(a, b) {
+    const length = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < length && a[i] === b[i]) {
+      i++;
     }
+    return i;
   }
   
   /**
@@ -181,5 +421,7 @@ class GGUFModel {
     GGUFModel,
     GenerationOptions,
     ModelContext,
+    FINISH_REASONS,
+    getCommonPrefixLength,
     createModelId
   };
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Seeded pseudo-random numbers
+ * @module core/random
+ *
+ * Math.random cannot be seeded, so anything that must be reproducible draws
+ * from a Random instead.
+ */
+
+/**
+ * Largest seed value; seeds are unsigned 32-bit integers
+ * @type {number}
+ */
+const MAX_SEED = 4294967295;
+
+/**
+ * Pick a random seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Deterministic random number generator (mulberry32)
+ * The same seed always gives the same sequence, on every platform
+ */
+class Random {
+  /**
+   * Create a generator
+   * @param {number} [seed] - Unsigned 32-bit seed; a random one when omitted
+   * @throws {Error} If the seed is not an unsigned 32-bit integer
+   */
+  constructor(seed = randomSeed()) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new Error(`seed must be an integer from 0 to ${MAX_SEED}, got ${seed}`);
+    }
+
+    this.seed = seed;
+    this.state = seed;
+  }
+
+  /**
+   * Next unsigned 32-bit integer
+   * @returns {number} Integer from 0 to 2^32-1
+   */
+  nextUint32() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * Next float
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  /**
+   * Start the sequence over from the seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+}
+
+module.exports = {
+  MAX_SEED,
+  Random,
+  randomSeed
+};
@@ -0,0 +1,429 @@
+/**
+ * Reference token sampler working on raw logits
+ * @module core/sampler
+ *
+ * Follows llama.cpp's sampling chain: logit bias and repetition penalties,
+ * then either greedy decoding (temperature 0), mirostat, or top-k, tail-free,
+ * typical, top-p and min-p filtering followed by temperature. Adapters that
+ * can read logits can sample with it; with a seed the picks are reproducible.
+ */
+
+const { GenerationOptions } = require('./model');
+const { Random } = require('./random');
+
+/**
+ * Candidate token during sampling
+ * @typedef {Object} Candidate
+ * @property {number} id - Token id
+ * @property {number} logit - Current logit
+ * @property {number} p - Probability, after the last softmax
+ */
+
+/**
+ * Apply the repetition, presence and frequency penalties
+ * @private
+ * @param {Float32Array} logits - Logits, changed in place
+ * @param {number[]} previousTokens - Tokens so far, oldest first
+ * @param {GenerationOptions} options - Generation options
+ */
+function applyPenalties(logits, previousTokens, options) {
+  const { repeatLastN, repetitionPenalty, presencePenalty, frequencyPenalty } = options;
+
+  if (repeatLastN === 0 || previousTokens.length === 0) {
+    return;
+  }
+  if (repetitionPenalty === 1 && presencePenalty === 0 && frequencyPenalty === 0) {
+    return;
+  }
+
+  const window = repeatLastN === -1 ? previousTokens : previousTokens.slice(-repeatLastN);
+  const counts = new Map();
+  for (const token of window) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  for (const [token, count] of counts) {
+    if (token < 0 || token >= logits.length) {
+      continue;
+    }
+
+    // Dividing a negative logit would make the token more likely
+    logits[token] = logits[token] > 0 ? logits[token] / repetitionPenalty : logits[token] * repetitionPenalty;
+    logits[token] -= count * frequencyPenalty + presencePenalty;
+  }
+}
+
+/**
+ * Add the logit bias
+ * @private
+ * @param {Float32Array} logits - Logits, changed in place
+ * @param {Object<number, number>|Map<number, number>} logitBias - Bias per token id
+ */
+function applyLogitBias(logits, logitBias) {
+  const entries = logitBias instanceof Map ? [...logitBias] : Object.entries(logitBias);
+
+  for (const [token, bias] of entries) {
+    const id = Number(token);
+    if (id < logits.length) {
+      logits[id] += bias;
+    }
+  }
+}
+
+/**
+ * List the tokens that can still be picked, most likely first
+ * @private
+ * @param {Float32Array} logits - Logits
+ * @returns {Candidate[]} Candidates
+ * @throws {Error} If every token is banned
+ */
+function toCandidates(logits) {
+  const candidates = [];
+  for (let id = 0; id < logits.length; id++) {
+    if (logits[id] > -Infinity) {
+      candidates.push({ id, logit: logits[id], p: 0 });
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw new Error('Every token has a logit of -Infinity; nothing can be sampled');
+  }
+
+  // Sorting is stable, so equal logits stay in token id order
+  return candidates.sort((a, b) => b.logit - a.logit);
+}
+
+/**
+ * Set the candidate probabilities from their logits
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @returns {Candidate[]} The same candidates
+ */
+function softmax(candidates) {
+  const max = candidates[0].logit;
+  let sum = 0;
+
+  for (const candidate of candidates) {
+    candidate.p = Math.exp(candidate.logit - max);
+    sum += candidate.p;
+  }
+  for (const candidate of candidates) {
+    candidate.p /= sum;
+  }
+
+  return candidates;
+}
+
+/**
+ * Keep the k most likely tokens
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @param {number} k - Tokens to keep (0 keeps all)
+ * @returns {Candidate[]} Kept candidates
+ */
+function topK(candidates, k) {
+  return k > 0 ? candidates.slice(0, k) : candidates;
+}
+
+/**
+ * Tail-free sampling: cut where the curvature of the sorted probabilities flattens out
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @param {number} z - Curvature mass to keep (1 keeps all)
+ * @returns {Candidate[]} Kept candidates
+ */
+function tailFree(candidates, z) {
+  if (z >= 1 || candidates.length <= 2) {
+    return candidates;
+  }
+
+  softmax(candidates);
+
+  const first = [];
+  for (let i = 0; i < candidates.length - 1; i++) {
+    first.push(candidates[i].p - candidates[i + 1].p);
+  }
+
+  const second = [];
+  for (let i = 0; i < first.length - 1; i++) {
+    second.push(Math.abs(first[i] - first[i + 1]));
+  }
+
+  const total = second.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) {
+    return candidates;
+  }
+
+  let cumulative = 0;
+  let keep = candidates.length;
+  for (let i = 0; i < second.length; i++) {
+    cumulative += second[i] / total;
+    if (cumulative > z && i >= 1) {
+      keep = i;
+      break;
+    }
+  }
+
+  return candidates.slice(0, keep);
+}
+
+/**
+ * Locally typical sampling: keep the tokens whose surprise is closest to the entropy
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @param {number} p - Probability mass to keep (1 keeps all)
+ * @returns {Candidate[]} Kept candidates, most likely first
+ */
+function typical(candidates, p) {
+  if (p >= 1) {
+    return candidates;
+  }
+
+  softmax(candidates);
+
+  const entropy = candidates.reduce((sum, candidate) => (
+    candidate.p > 0 ? sum - candidate.p * Math.log(candidate.p) : sum
+  ), 0);
+  const byTypicality = candidates
+    .map(candidate => ({ candidate, distance: Math.abs(-Math.log(candidate.p) - entropy) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const kept = [];
+  let cumulative = 0;
+  for (const { candidate } of byTypicality) {
+    kept.push(candidate);
+    cumulative += candidate.p;
+    if (cumulative >= p) {
+      break;
+    }
+  }
+
+  return kept.sort((a, b) => b.logit - a.logit);
+}
+
+/**
+ * Nucleus sampling: keep the most likely tokens up to a probability mass
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @param {number} p - Probability mass to keep (1 keeps all)
+ * @returns {Candidate[]} Kept candidates
+ */
+function topP(candidates, p) {
+  if (p >= 1) {
+    return candidates;
+  }
+
+  softmax(candidates);
+
+  let cumulative = 0;
+  for (let i = 0; i < candidates.length; i++) {
+    cumulative += candidates[i].p;
+    if (cumulative >= p) {
+      return candidates.slice(0, i + 1);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Keep tokens at least minP times as likely as the most likely one
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @param {number} p - Relative probability threshold (0 keeps all)
+ * @returns {Candidate[]} Kept candidates
+ */
+function minP(candidates, p) {
+  if (p <= 0) {
+    return candidates;
+  }
+
+  const threshold = candidates[0].logit + Math.log(p);
+  return candidates.filter((candidate, i) => i === 0 || candidate.logit >= threshold);
+}
+
+/**
+ * Scale the logits by the temperature, or by a dynamic temperature that rises
+ * with the entropy of the candidates
+ * @private
+ * @param {Candidate[]} candidates - Candidates, most likely first
+ * @param {GenerationOptions} options - Generation options
+ * @returns {Candidate[]} The same candidates
+ */
+function applyTemperature(candidates, options) {
+  const { temperature, dynatempRange, dynatempExponent } = options;
+  let scale = temperature;
+
+  if (dynatempRange > 0 && candidates.length > 1) {
+    const minTemperature = Math.max(0, temperature - dynatempRange);
+    const maxTemperature = temperature + dynatempRange;
+
+    softmax(candidates);
+    const entropy = candidates.reduce((sum, candidate) => (
+      candidate.p > 0 ? sum - candidate.p * Math.log(candidate.p) : sum
+    ), 0);
+    const normalized = entropy / Math.log(candidates.length);
+
+    scale = minTemperature + (maxTemperature - minTemperature) * Math.pow(normalized, dynatempExponent);
+  }
+
+  if (scale <= 0) {
+    return candidates.slice(0, 1);
+  }
+
+  for (const candidate of candidates) {
+    candidate.logit /= scale;
+  }
+  return candidates;
+}
+
+/**
+ * Draw a token by probability
+ * @private
+ * @param {Candidate[]} candidates - Candidates with probabilities set
+ * @param {Random} random - Random number generator
+ * @returns {Candidate} Picked candidate
+ */
+function draw(candidates, random) {
+  const target = random.next();
+  let cumulative = 0;
+
+  for (const candidate of candidates) {
+    cumulative += candidate.p;
+    if (target < cumulative) {
+      return candidate;
+    }
+  }
+
+  // Rounding can leave the cumulative sum just under 1
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Picks the next token from a model's logits
+ *
+ * Keeps the random generator and mirostat state between calls, so use one
+ * sampler per generation.
+ */
+class Sampler {
+  /**
+   * Create a sampler
+   * @param {GenerationOptions|Object} [options={}] - Generation options; plain objects are validated
+   *   as GenerationOptions
+   */
+  constructor(options = {}) {
+    const generationOptions = options instanceof GenerationOptions ? options : new GenerationOptions(options);
+    this.options = generationOptions.resolveSeed();
+    this.random = new Random(this.options.seed);
+
+    /**
+     * Seed of the random generator, picked by GenerationOptions#resolveSeed when not given
+     * @type {number}
+     */
+    this.seed = this.options.seed;
+    this.mu = 2 * this.options.mirostatTau;
+  }
+
+  /**
+   * Pick a token
+   * @param {Float32Array|number[]} logits - Logits for every token in the vocabulary; not modified
+   * @param {number[]} [previousTokens=[]] - Prompt and generated tokens so far, for the penalties
+   * @returns {number} Token id
+   * @throws {Error} If there are no logits or every token is banned
+   */
+  sample(logits, previousTokens = []) {
+    if (!logits || logits.length === 0) {
+      throw new Error('Sampler needs a non-empty array of logits');
+    }
+
+    const { options } = this;
+    const adjusted = Float32Array.from(logits);
+
+    applyLogitBias(adjusted, options.logitBias);
+    applyPenalties(adjusted, previousTokens, options);
+
+    let candidates = toCandidates(adjusted);
+
+    if (options.temperature === 0) {
+      return candidates[0].id;
+    }
+
+    if (options.mirostat === 1) {
+      return this.sampleMirostat(applyTemperature(candidates, options), logits.length);
+    }
+    if (options.mirostat === 2) {
+      return this.sampleMirostatV2(applyTemperature(candidates, options));
+    }
+
+    candidates = topK(candidates, options.topK);
+    candidates = tailFree(candidates, options.tfsZ);
+    candidates = typical(candidates, options.typicalP);
+    candidates = topP(candidates, options.topP);
+    candidates = minP(candidates, options.minP);
+    candidates = applyTemperature(candidates, options);
+
+    return draw(softmax(candidates), this.random).id;
+  }
+
+  /**
+   * Start over: restart the random sequence from the seed and reset mirostat
+   */
+  reset() {
+    this.random.reset();
+    this.mu = 2 * this.options.mirostatTau;
+  }
+
+  /**
+   * Mirostat v1: estimate the distribution's Zipf exponent and pick top-k to hit the target surprise
+   * @private
+   * @param {Candidate[]} candidates - Candidates after temperature, most likely first
+   * @param {number} vocabularySize - Number of tokens in the vocabulary
+   * @returns {number} Token id
+   */
+  sampleMirostat(candidates, vocabularySize) {
+    const { mirostatTau, mirostatEta } = this.options;
+    softmax(candidates);
+
+    const m = Math.min(100, candidates.length);
+    let sumTiBi = 0;
+    let sumTiSquared = 0;
+    for (let i = 0; i < m - 1; i++) {
+      const ti = Math.log((i + 2) / (i + 1));
+      const bi = Math.log(candidates[i].p / candidates[i + 1].p);
+      sumTiBi += ti * bi;
+      sumTiSquared += ti * ti;
+    }
+    const sHat = sumTiSquared > 0 ? sumTiBi / sumTiSquared : 1;
+
+    const epsilonHat = sHat - 1;
+    const k = epsilonHat === 0 ?
+      candidates.length :
+      Math.pow((epsilonHat * Math.pow(2, this.mu)) / (1 - Math.pow(vocabularySize, -epsilonHat)), 1 / sHat);
+
+    const kept = softmax(topK(candidates, Math.max(1, Math.round(k) || 1)));
+    const picked = draw(kept, this.random);
+
+    this.mu -= mirostatEta * (-Math.log2(picked.p) - mirostatTau);
+    return picked.id;
+  }
+
+  /**
+   * Mirostat v2: drop tokens more surprising than mu, then adjust mu toward the target
+   * @private
+   * @param {Candidate[]} candidates - Candidates after temperature, most likely first
+   * @returns {number} Token id
+   */
+  sampleMirostatV2(candidates) {
+    const { mirostatTau, mirostatEta } = this.options;
+    softmax(candidates);
+
+    const kept = softmax(candidates.filter((candidate, i) => i === 0 || -Math.log2(candidate.p) <= this.mu));
+    const picked = draw(kept, this.random);
+
+    this.mu -= mirostatEta * (-Math.log2(picked.p) - mirostatTau);
+    return picked.id;
+  }
+}
+
+module.exports = {
+  Sampler
+};
@@ -0,0 +1,356 @@
+/**
+ * Per-model request queue
+ * @module core/scheduler
+ *
+ * node-llama-cpp and the WASM module are not reentrant, so requests on the same
+ * model wait for a free slot instead of running on the native session at once.
+ */
+
+const logger = require('../utils/logger');
+const { QueueFullError, RequestTimeoutError } = require('./errors');
+
+/**
+ * Create the error a queued request is rejected with when it is aborted
+ * @private
+ * @returns {Error} Abort error
+ */
+function createAbortError() {
+  const error = new Error('Request was cancelled while queued');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Create empty queue counters
+ * @private
+ * @returns {Object} Counters
+ */
+function createStats() {
+  return { completed: 0, failed: 0, cancelled: 0, timedOut: 0, rejected: 0, started: 0, totalWaitMs: 0 };
+}
+
+/**
+ * Check scheduler options
+ * @private
+ * @param {Object} options - Scheduler options
+ * @throws {Error} If an option is out of range
+ */
+function validateOptions({ concurrency, maxQueueLength, timeout }) {
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+  if (maxQueueLength !== undefined && maxQueueLength !== Infinity &&
+      (!Number.isInteger(maxQueueLength) || maxQueueLength < 0)) {
+    throw new Error(`maxQueueLength must be a non-negative integer or Infinity, got ${maxQueueLength}`);
+  }
+  if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout >= 0))) {
+    throw new Error(`timeout must be a non-negative number of milliseconds, got ${timeout}`);
+  }
+}
+
+/**
+ * Runs tasks per model with bounded concurrency, highest priority first
+ */
+class Scheduler {
+  /**
+   * Create a scheduler
+   * @param {Object} [options={}] - Scheduler options
+   * @param {number} [options.concurrency=1] - Tasks that may run at once on one model
+   * @param {number} [options.maxQueueLength=Infinity] - Waiting tasks per model before new ones are rejected
+   * @param {number} [options.timeout=0] - Default per-task timeout in milliseconds (0 for none)
+   */
+  constructor({ concurrency = 1, maxQueueLength = Infinity, timeout = 0 } = {}) {
+    validateOptions({ concurrency, maxQueueLength, timeout });
+
+    this.options = { concurrency, maxQueueLength, timeout };
+    this.queues = new Map();
+    this.order = 0;
+  }
+
+  /**
+   * Change the scheduler options
+   * Applies to tasks scheduled from now on; running tasks are not interrupted
+   * @param {Object} options - Options to change (see constructor)
+   */
+  configure(options = {}) {
+    validateOptions(options);
+
+    for (const key of ['concurrency', 'maxQueueLength', 'timeout']) {
+      if (options[key] !== undefined) {
+        this.options[key] = options[key];
+      }
+    }
+
+    for (const [modelId, queue] of this.queues) {
+      this.drain(modelId, queue);
+    }
+  }
+
+  /**
+   * Run a task when the model has a free slot
+   * @param {string} modelId - Model the task runs on
+   * @param {function(): Promise<*>} task - Task to run
+   * @param {Object} [options={}] - Task options
+   * @param {number} [options.priority=0] - Higher priorities run first; equal priorities run in order
+   * @param {number} [options.timeout] - Timeout in milliseconds, counted from scheduling (0 for none)
+   * @param {AbortSignal} [options.signal] - Removes the task from the queue when aborted
+   * @param {function} [options.onTimeout] - Called when a running task times out, to stop it
+   * @returns {Promise<*>} Result of the task
+   * @throws {QueueFullError} If the queue is full
+   * @throws {RequestTimeoutError} If the task does not finish in time
+   */
+  schedule(modelId, task, options = {}) {
+    const {
+      priority = 0,
+      timeout = this.options.timeout,
+      signal,
+      onTimeout
+    } = options;
+
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+      return Promise.reject(new Error(`priority must be a number, got ${priority}`));
+    }
+    if (typeof timeout !== 'number' || !(timeout >= 0)) {
+      return Promise.reject(new Error(`timeout must be a non-negative number of milliseconds, got ${timeout}`));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const queue = this.getQueue(modelId);
+    const { concurrency, maxQueueLength } = this.options;
+
+    if (queue.running >= concurrency && queue.pending.length >= maxQueueLength) {
+      queue.stats.rejected++;
+      return Promise.reject(new QueueFullError({ modelId, maxQueueLength }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        task,
+        priority,
+        order: this.order++,
+        enqueuedAt: Date.now(),
+        started: false,
+        settled: false,
+        resolve,
+        reject,
+        onTimeout,
+        timer: null,
+        signal,
+        onAbort: null
+      };
+
+      if (timeout > 0) {
+        entry.timer = setTimeout(() => this.expire(queue, entry, timeout), timeout);
+      }
+
+      if (signal) {
+        entry.onAbort = () => this.abort(queue, entry);
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      // Keep the queue sorted: highest priority first, then first come first served
+      let index = queue.pending.length;
+      while (index > 0 && queue.pending[index - 1].priority < priority) {
+        index--;
+      }
+      queue.pending.splice(index, 0, entry);
+
+      if (queue.running >= concurrency) {
+        logger.debug(`Request queued for model ${modelId} (${queue.pending.length} waiting)`);
+      }
+
+      this.drain(modelId, queue);
+    });
+  }
+
+  /**
+   * Get queue statistics
+   * @param {string} [modelId] - Model to report on; all models when omitted
+   * @returns {Object} Stats for the model, or stats keyed by model id
+   */
+  getQueueStats(modelId) {
+    if (modelId !== undefined) {
+      return this.describeQueue(this.queues.get(modelId));
+    }
+
+    const stats = {};
+    for (const [id, queue] of this.queues) {
+      stats[id] = this.describeQueue(queue);
+    }
+    return stats;
+  }
+
+  /**
+   * Summarize one queue
+   * @private
+   * @param {Object} [queue] - Queue, or undefined for a model never used
+   * @returns {Object} Queue stats
+   */
+  describeQueue(queue) {
+    const { concurrency, maxQueueLength } = this.options;
+    const now = Date.now();
+    const stats = queue ? queue.stats : createStats();
+
+    return {
+      running: queue ? queue.running : 0,
+      queued: queue ? queue.pending.length : 0,
+      concurrency,
+      maxQueueLength,
+      completed: stats.completed,
+      failed: stats.failed,
+      cancelled: stats.cancelled,
+      timedOut: stats.timedOut,
+      rejected: stats.rejected,
+      oldestWaitMs: queue && queue.pending.length > 0 ?
+        Math.max(...queue.pending.map(entry => now - entry.enqueuedAt)) :
+        0,
+      averageWaitMs: stats.started > 0 ? Math.round(stats.totalWaitMs / stats.started) : 0
+    };
+  }
+
+  /**
+   * Get or create the queue for a model
+   * @private
+   * @param {string} modelId - Model id
+   * @returns {Object} Queue
+   */
+  getQueue(modelId) {
+    let queue = this.queues.get(modelId);
+    if (!queue) {
+      queue = {
+        running: 0,
+        pending: [],
+        stats: createStats()
+      };
+      this.queues.set(modelId, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Start waiting tasks while the model has free slots
+   * @private
+   * @param {string} modelId - Model id
+   * @param {Object} queue - Queue
+   */
+  drain(modelId, queue) {
+    while (queue.running < this.options.concurrency && queue.pending.length > 0) {
+      this.start(modelId, queue, queue.pending.shift());
+    }
+  }
+
+  /**
+   * Run a task and free its slot when it settles
+   * @private
+   * @param {string} modelId - Model id
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Queued task
+   */
+  start(modelId, queue, entry) {
+    queue.running++;
+    queue.stats.started++;
+    queue.stats.totalWaitMs += Date.now() - entry.enqueuedAt;
+    entry.started = true;
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(
+        result => {
+          if (!entry.settled) {
+            queue.stats.completed++;
+            this.settle(entry, () => entry.resolve(result));
+          }
+        },
+        error => {
+          if (!entry.settled) {
+            queue.stats.failed++;
+            this.settle(entry, () => entry.reject(error));
+          }
+        }
+      )
+      .finally(() => {
+        this.cleanup(entry);
+        queue.running--;
+        this.drain(modelId, queue);
+      });
+  }
+
+  /**
+   * Reject a task that ran out of time
+   * A running task keeps its slot until it actually stops
+   * @private
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Task
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  expire(queue, entry, timeout) {
+    if (entry.settled) {
+      return;
+    }
+
+    queue.stats.timedOut++;
+
+    if (entry.started) {
+      if (entry.onTimeout) {
+        entry.onTimeout();
+      }
+    } else {
+      queue.pending.splice(queue.pending.indexOf(entry), 1);
+    }
+
+    this.settle(entry, () => entry.reject(new RequestTimeoutError({ timeout, started: entry.started })));
+  }
+
+  /**
+   * Drop a task whose signal aborted while it was waiting
+   * Running tasks are stopped by their own cancellation instead
+   * @private
+   * @param {Object} queue - Queue
+   * @param {Object} entry - Task
+   */
+  abort(queue, entry) {
+    if (entry.started || entry.settled) {
+      return;
+    }
+
+    queue.pending.splice(queue.pending.indexOf(entry), 1);
+    queue.stats.cancelled++;
+    this.settle(entry, () => entry.reject(createAbortError()));
+  }
+
+  /**
+   * Settle a task once
+   * @private
+   * @param {Object} entry - Task
+   * @param {function} settle - Resolves or rejects the task's promise
+   */
+  settle(entry, settle) {
+    entry.settled = true;
+    if (!entry.started) {
+      this.cleanup(entry);
+    }
+    settle();
+  }
+
+  /**
+   * Clear a task's timer and abort listener
+   * @private
+   * @param {Object} entry - Task
+   */
+  cleanup(entry) {
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+    if (entry.signal && entry.onAbort) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+      entry.onAbort = null;
+    }
+  }
+}
+
+module.exports = {
+  Scheduler
+};
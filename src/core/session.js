@@ -0,0 +1,396 @@
+/**
+ * Stateful chat sessions that keep the evaluated conversation between turns
+ * @module core/session
+ */
+
+const { ModelContext, getCommonPrefixLength } = require('./model');
+const inference = require('./inference');
+const logger = require('../utils/logger');
+const { formatChatPrompt, formatChatPromptWithStops } = require('../utils/formats');
+const { normalizeMessage, normalizeMessages } = require('../utils/messages');
+
+/**
+ * A conversation with a model that reuses the evaluated prompt across turns
+ *
+ * Each turn renders the whole history, but only the tokens after the prefix the
+ * adapter has already evaluated are processed. Adapters opt in by implementing
+ * `createSessionState`/`releaseSessionState`; without them every turn is
+ * evaluated in full, with the same results.
+ */
+class ChatSession {
+  /**
+   * Create a chat session
+   * @param {GGUFModel} model - The loaded model
+   * @param {Object} adapter - Environment-specific adapter
+   * @param {Object} [options={}] - Session options
+   * @param {string} [options.systemPrompt=''] - System prompt placed before the history
+   * @param {Array<Object>} [options.messages=[]] - Initial history (see utils/messages)
+   * @param {string|false} [options.chatTemplate] - Jinja chat template, or false for plain labels
+   * @param {string} [options.template] - Built-in chat template preset name
+   * @param {Object} [options.templateVariables] - Extra variables for the chat template
+   * @param {Object} [options.generationOptions={}] - Defaults for every turn (maxTokens, temperature, ...)
+   */
+  constructor(model, adapter, options = {}) {
+    if (!adapter) {
+      throw new Error('No adapter provided. Please use an environment-specific inference engine.');
+    }
+
+    if (!model || !model.isLoaded || !model.session) {
+      throw new Error('Model not loaded properly');
+    }
+
+    const {
+      systemPrompt = '',
+      messages = [],
+      chatTemplate,
+      template,
+      templateVariables,
+      generationOptions = {}
+    } = options;
+
+    this.model = model;
+    this.adapter = adapter;
+    this.systemPrompt = systemPrompt;
+    this.messages = normalizeMessages(messages);
+    this.formatOptions = { chatTemplate, template, templateVariables };
+    this.generationOptions = generationOptions;
+    this.context = new ModelContext({
+      contextSize: model.metadata.contextSize || 2048
+    });
+    this.hasState = false;
+    this.isGenerating = false;
+    this.abortController = null;
+  }
+
+  /**
+   * Get a copy of the conversation history
+   * @returns {ChatMessage[]} Messages, oldest first
+   */
+  getHistory() {
+    return this.messages.map(message => ({ ...message }));
+  }
+
+  /**
+   * Append a message without generating a reply
+   * @param {Object} message - Message to add
+   * @returns {number} Index of the added message
+   */
+  addMessage(message) {
+    this.assertIdle();
+    this.messages.push(normalizeMessage(message, this.messages.length));
+    return this.messages.length - 1;
+  }
+
+  /**
+   * Change a message in the history
+   * The next turn re-evaluates the conversation from the first changed token
+   * @param {number} index - Message index
+   * @param {Object} changes - Fields to replace, e.g. `{content: 'new text'}`
+   * @returns {ChatMessage} Updated message
+   */
+  editMessage(index, changes) {
+    this.assertIdle();
+    this.assertIndex(index);
+
+    this.messages[index] = normalizeMessage({ ...this.messages[index], ...changes }, index);
+    return { ...this.messages[index] };
+  }
+
+  /**
+   * Remove a message from the history
+   * @param {number} index - Message index
+   * @returns {ChatMessage} Removed message
+   */
+  removeMessage(index) {
+    this.assertIdle();
+    this.assertIndex(index);
+
+    return this.messages.splice(index, 1)[0];
+  }
+
+  /**
+   * Mark the current point in the conversation
+   * @returns {number} Checkpoint to pass to rollback
+   */
+  checkpoint() {
+    return this.messages.length;
+  }
+
+  /**
+   * Drop messages after a checkpoint
+   * Without a checkpoint the last user message and everything after it is removed,
+   * undoing the latest exchange
+   * @param {number} [checkpoint] - Value returned by checkpoint()
+   * @returns {ChatMessage[]} Removed messages
+   */
+  rollback(checkpoint) {
+    this.assertIdle();
+
+    let index = checkpoint;
+    if (index === undefined) {
+      index = this.messages.map(message => message.role).lastIndexOf('user');
+      if (index === -1) {
+        return [];
+      }
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index > this.messages.length) {
+      throw new Error(`Invalid checkpoint ${checkpoint}: the session has ${this.messages.length} messages`);
+    }
+
+    return this.messages.splice(index);
+  }
+
+  /**
+   * Clear the history
+   * The evaluated prefix is kept, so a new conversation with the same system prompt
+   * does not evaluate it again
+   * @param {Array<Object>} [messages=[]] - New history
+   */
+  reset(messages = []) {
+    this.assertIdle();
+    this.messages = normalizeMessages(messages);
+  }
+
+  /**
+   * Add a user message and generate the reply
+   * @param {string|Object} message - Message text or a full message
+   * @param {Object} [options={}] - Generation options for this turn
+   * @returns {Promise<string>} Reply text
+   */
+  async send(message, options = {}) {
+    const checkpoint = this.checkpoint();
+    this.addMessage(typeof message === 'string' ? { role: 'user', content: message } : message);
+
+    try {
+      return await this.generate(options);
+    } catch (error) {
+      this.messages.splice(checkpoint);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a user message and stream the reply
+   * @param {string|Object} message - Message text or a full message
+   * @param {TokenCallback} onToken - Callback for each piece of text
+   * @param {Object} [options={}] - Generation options for this turn
+   * @returns {Promise<string>} Reply text
+   */
+  async stream(message, onToken, options = {}) {
+    const checkpoint = this.checkpoint();
+    this.addMessage(typeof message === 'string' ? { role: 'user', content: message } : message);
+
+    try {
+      return await this.generateStream(onToken, options);
+    } catch (error) {
+      this.messages.splice(checkpoint);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate an assistant reply to the current history and append it
+   * Use after editing or rolling back to regenerate a reply
+   * @param {Object} [options={}] - Generation options for this turn
+   * @returns {Promise<string>} Reply text
+   */
+  async generate(options = {}) {
+    return this.runTurn(options, null);
+  }
+
+  /**
+   * Stream an assistant reply to the current history and append it
+   * @param {TokenCallback} onToken - Callback for each piece of text
+   * @param {Object} [options={}] - Generation options for this turn
+   * @returns {Promise<string>} Reply text
+   */
+  async generateStream(onToken, options = {}) {
+    return this.runTurn(options, onToken);
+  }
+
+  /**
+   * Cancel the reply being generated
+   * Other requests on the same model keep running
+   * @returns {boolean} Whether a reply was being generated
+   */
+  cancel() {
+    if (!this.abortController) {
+      return false;
+    }
+    this.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Release the adapter's evaluation state
+   * The session can still be used afterwards, starting from an empty cache
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    this.assertIdle();
+
+    const { state } = this.context;
+    this.context.clear();
+    this.context.state = null;
+    this.hasState = false;
+
+    if (state && typeof this.adapter.releaseSessionState === 'function') {
+      await this.adapter.releaseSessionState(state);
+    }
+  }
+
+  /**
+   * Render the history, run one generation and append the reply
+   * @private
+   * @param {Object} options - Generation options for this turn
+   * @param {TokenCallback|null} onToken - Streaming callback, or null for a single result
+   * @returns {Promise<string>} Reply text
+   */
+  async runTurn(options, onToken) {
+    this.assertIdle();
+    this.isGenerating = true;
+
+    // Cancel through our own controller so cancel() works before the request
+    // starts, while still following the caller's signal
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    this.abortController = controller;
+    if (options.signal) {
+      if (options.signal.aborted) {
+        abort();
+      } else {
+        options.signal.addEventListener('abort', abort, { once: true });
+      }
+    }
+
+    try {
+      if (!this.hasState && typeof this.adapter.createSessionState === 'function') {
+        this.context.state = await this.adapter.createSessionState(this.model);
+        this.hasState = true;
+      }
+
+      const { prompt, stopSequences } = formatChatPromptWithStops(this.messages, {
+        ...this.formatOptions,
+        systemPrompt: this.systemPrompt,
+        model: this.model
+      });
+
+      const turnOptions = { ...this.generationOptions, ...options };
+      if (stopSequences.length > 0) {
+        turnOptions.stopSequences = [
+          ...stopSequences,
+          ...(turnOptions.stopSequences || [])
+        ];
+      }
+      turnOptions.context = this.context;
+      turnOptions.signal = controller.signal;
+
+      if (turnOptions.overflow === 'keep-system' && turnOptions.keepTokens === undefined) {
+        turnOptions.keepTokens = await this.countSystemTokens(prompt);
+      }
+
+      let reply;
+      if (onToken) {
+        reply = '';
+        await inference.streamGenerate(this.model, prompt, (text, isDone) => {
+          reply += text;
+          onToken(text, isDone);
+        }, turnOptions, this.adapter);
+      } else {
+        ({ text: reply } = await inference.generateDetailed(this.model, prompt, turnOptions, this.adapter));
+      }
+
+      // A turn cancelled before any text leaves no reply behind
+      if (reply) {
+        this.messages.push(normalizeMessage({ role: 'assistant', content: reply }, this.messages.length));
+      }
+      logger.debug(`Chat session context: ${this.context.getContextLength()} prompt tokens, ${this.context.outputTokens.length} generated`);
+
+      return reply;
+    } finally {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', abort);
+      }
+      this.abortController = null;
+      this.isGenerating = false;
+    }
+  }
+
+  /**
+   * Count the prompt tokens taken by the system prompt and leading system messages
+   * Used as keepTokens for the 'keep-system' overflow strategy
+   * @private
+   * @param {string} prompt - Rendered prompt for the whole history
+   * @returns {Promise<number>} Number of leading prompt tokens to keep
+   */
+  async countSystemTokens(prompt) {
+    let count = 0;
+    while (count < this.messages.length && this.messages[count].role === 'system') {
+      count++;
+    }
+
+    if (!this.systemPrompt && count === 0) {
+      return 0;
+    }
+
+    let systemPrompt;
+    try {
+      systemPrompt = formatChatPrompt(this.messages.slice(0, count), {
+        ...this.formatOptions,
+        systemPrompt: this.systemPrompt,
+        model: this.model,
+        addGenerationPrompt: false
+      });
+    } catch (error) {
+      // Some templates refuse a conversation without a user turn
+      logger.debug(`Could not render the system prompt alone: ${error.message}`);
+      return 0;
+    }
+
+    const [systemTokens, promptTokens] = await Promise.all([
+      this.adapter.tokenize(this.model, systemPrompt),
+      this.adapter.tokenize(this.model, prompt)
+    ]);
+
+    // Templates that fold the system prompt into the first user turn only share part of it
+    return getCommonPrefixLength(systemTokens, promptTokens);
+  }
+
+  /**
+   * Throw if a reply is being generated
+   * @private
+   */
+  assertIdle() {
+    if (this.isGenerating) {
+      throw new Error('Chat session is busy generating a reply');
+    }
+  }
+
+  /**
+   * Throw if an index is not in the history
+   * @private
+   * @param {number} index - Message index
+   */
+  assertIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.messages.length) {
+      throw new Error(`Message index ${index} is out of range (0-${this.messages.length - 1})`);
+    }
+  }
+}
+
+/**
+ * Create a chat session
+ * @param {GGUFModel} model - The loaded model
+ * @param {Object} adapter - Environment-specific adapter
+ * @param {Object} [options={}] - Session options (see ChatSession)
+ * @returns {ChatSession} Chat session
+ */
+function createChatSession(model, adapter, options = {}) {
+  return new ChatSession(model, adapter, options);
+}
+
+module.exports = {
+  ChatSession,
+  createChatSession
+};
@@ -0,0 +1,184 @@
+/**
+ * Stop-sequence matching on generated text
+ * @module core/stop
+ *
+ * Adapters differ in which stops they support, so stops are matched in the
+ * core on the decoded text. Text that could still turn into a stop sequence is
+ * held back, so a stop never reaches the caller, not even in part.
+ */
+
+/**
+ * Remove the flags that make RegExp#exec stateful
+ * @private
+ * @param {RegExp} pattern - Stop pattern
+ * @returns {RegExp} Pattern that always searches from the start
+ */
+function toSearchPattern(pattern) {
+  return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+}
+
+/**
+ * Check the stop options
+ * @private
+ * @param {Array<string|RegExp>} stopSequences - Stop strings and patterns
+ * @param {number[]} stopTokens - Stop token ids
+ * @param {number} stopHoldback - Characters held back for patterns
+ * @throws {Error} If a stop is invalid
+ */
+function validateStops(stopSequences, stopTokens, stopHoldback) {
+  if (!Array.isArray(stopSequences)) {
+    throw new Error('stopSequences must be an array of strings or regular expressions');
+  }
+  for (const stop of stopSequences) {
+    if (!(stop instanceof RegExp) && (typeof stop !== 'string' || stop === '')) {
+      throw new Error(`Invalid stop sequence ${JSON.stringify(stop)}: expected a non-empty string or a RegExp`);
+    }
+  }
+
+  if (!Array.isArray(stopTokens) || !stopTokens.every(Number.isInteger)) {
+    throw new Error('stopTokens must be an array of token ids');
+  }
+
+  if (!Number.isInteger(stopHoldback) || stopHoldback < 0) {
+    throw new Error(`stopHoldback must be a non-negative integer, got ${stopHoldback}`);
+  }
+}
+
+/**
+ * Finds stop sequences in streamed text
+ *
+ * String stops are matched exactly; text is held back only while it could be
+ * the start of one. Regular expressions cannot say whether more text would
+ * complete a match, so while any are set the last `stopHoldback` characters are
+ * always held back, and only matches within the held-back text are found.
+ */
+class StopSequenceMatcher {
+  /**
+   * Create a stop matcher
+   * @param {Object} [options={}] - Stop options
+   * @param {Array<string|RegExp>} [options.stopSequences=[]] - Stop strings and patterns
+   * @param {number[]} [options.stopTokens=[]] - Token ids that end generation
+   * @param {number} [options.stopHoldback=32] - Characters held back while patterns are set
+   * @throws {Error} If a stop is invalid
+   */
+  constructor({ stopSequences = [], stopTokens = [], stopHoldback = 32 } = {}) {
+    validateStops(stopSequences, stopTokens, stopHoldback);
+
+    this.strings = stopSequences.filter(stop => typeof stop === 'string');
+    this.patterns = stopSequences.filter(stop => stop instanceof RegExp).map(toSearchPattern);
+    this.tokens = new Set(stopTokens);
+    this.holdback = this.patterns.length > 0 ? stopHoldback : 0;
+    this.pending = '';
+    this.stop = null;
+  }
+
+  /**
+   * Whether any stops are set
+   * @returns {boolean} True if text or tokens can stop generation
+   */
+  hasStops() {
+    return this.strings.length > 0 || this.patterns.length > 0 || this.tokens.size > 0;
+  }
+
+  /**
+   * Check a generated token id against the stop tokens
+   * @param {number} tokenId - Generated token id
+   * @returns {boolean} Whether the token ends generation
+   */
+  matchToken(tokenId) {
+    if (this.stop === null && this.tokens.has(tokenId)) {
+      this.stop = tokenId;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Add generated text
+   * @param {string} text - Newly decoded text
+   * @returns {{text: string, stopped: boolean}} Text that is safe to emit, and
+   *   whether a stop sequence was found (the text before it is included)
+   */
+  push(text) {
+    if (this.stop !== null) {
+      return { text: '', stopped: true };
+    }
+
+    this.pending += text;
+
+    const match = this.findMatch();
+    if (match) {
+      const released = this.pending.slice(0, match.index);
+      this.pending = '';
+      this.stop = match.stop;
+      return { text: released, stopped: true };
+    }
+
+    const keep = Math.max(this.getPartialMatchLength(), this.holdback);
+    const end = Math.max(0, this.pending.length - keep);
+    const released = this.pending.slice(0, end);
+    this.pending = this.pending.slice(end);
+    return { text: released, stopped: false };
+  }
+
+  /**
+   * Release the held-back text at the end of generation
+   * @returns {string} Remaining text
+   */
+  flush() {
+    const rest = this.stop === null ? this.pending : '';
+    this.pending = '';
+    return rest;
+  }
+
+  /**
+   * Find the earliest stop in the pending text
+   * @private
+   * @returns {{index: number, stop: string}|null} Match position and the matched text
+   */
+  findMatch() {
+    let best = null;
+
+    for (const stop of this.strings) {
+      const index = this.pending.indexOf(stop);
+      if (index !== -1 && (!best || index < best.index)) {
+        best = { index, stop };
+      }
+    }
+
+    for (const pattern of this.patterns) {
+      const match = pattern.exec(this.pending);
+      // Empty matches would stop at every position
+      if (match && match[0] !== '' && (!best || match.index < best.index)) {
+        best = { index: match.index, stop: match[0] };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Length of the longest pending suffix that starts a stop string
+   * @private
+   * @returns {number} Characters to hold back
+   */
+  getPartialMatchLength() {
+    let longest = 0;
+
+    for (const stop of this.strings) {
+      const max = Math.min(stop.length - 1, this.pending.length);
+      for (let length = max; length > longest; length--) {
+        if (this.pending.endsWith(stop.slice(0, length))) {
+          longest = length;
+          break;
+        }
+      }
+    }
+
+    return longest;
+  }
+}
+
+module.exports = {
+  StopSequenceMatcher
+};
@@ -0,0 +1,227 @@
+/**
+ * Async iterator interface for streamed generation
+ * @module core/stream
+ */
+
+const inference = require('./inference');
+
+/**
+ * @typedef {Object} StreamChunk
+ * @property {string} text - Newly generated text
+ * @property {number} index - Position of the chunk in the stream, from 0
+ * @property {TokenLogprob[]} [logprobs] - Log-probabilities of the chunk's tokens,
+ *   when requested with `logprobs` or `topLogprobs`
+ */
+
+/**
+ * @typedef {Object} StreamResult
+ * @property {string} text - All generated text
+ * @property {boolean} aborted - Whether the stream was aborted before generation finished
+ * @property {string} requestId - Request id of the generation
+ * @property {string} [finishReason] - Why generation stopped; the other GenerationResult
+ *   fields (tokens, usage, timings, ...) are included too when generation did not fail
+ */
+
+/**
+ * A running generation that can be consumed with `for await`
+ *
+ * Generation starts right away and chunks are buffered until read. Errors reject
+ * the iteration and `result`; breaking out of the loop aborts the generation.
+ */
+class GenerationStream {
+  /**
+   * Create a generation stream
+   * @param {function(function(string, TokenLogprob[]=): void, AbortSignal): Promise<void>} run -
+   *   Starts the generation, calling back with each piece of text and optionally
+   *   the log-probabilities of its tokens; the returned
+   *   promise may carry a `requestId` and resolve with result details
+   * @param {Object} [options={}] - Stream options
+   * @param {AbortSignal} [options.signal] - Aborts the stream
+   */
+  constructor(run, options = {}) {
+    this.chunks = [];
+    this.fullText = '';
+    this.chunkCount = 0;
+    this.finished = false;
+    this.error = null;
+    this.waiting = null;
+    this.iterating = false;
+    this.controller = new AbortController();
+
+    const { signal } = options;
+    const onAbort = () => this.abort();
+    if (signal) {
+      if (signal.aborted) {
+        this.controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    const generation = run((text, logprobs) => this.push(text, logprobs), this.controller.signal);
+
+    /**
+     * Request id of the generation
+     * @type {string|undefined}
+     */
+    this.requestId = generation.requestId;
+
+    /**
+     * Settles when generation ends
+     * @type {Promise<StreamResult>}
+     */
+    this.result = generation.then(
+      details => {
+        this.finish(null);
+        return {
+          ...details,
+          text: this.fullText,
+          aborted: this.controller.signal.aborted,
+          requestId: this.requestId
+        };
+      },
+      error => {
+        this.finish(error);
+        throw error;
+      }
+    );
+
+    // Errors also reach iterating callers, so an unobserved result is not an unhandled rejection
+    this.result.catch(() => {}).finally(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  /**
+   * Stop generating
+   * The stream ends after the chunks generated so far, and `result` resolves with their text
+   */
+  abort() {
+    this.controller.abort();
+  }
+
+  /**
+   * Wait for the whole generated text
+   * @returns {Promise<string>} Generated text
+   */
+  async text() {
+    const { text } = await this.result;
+    return text;
+  }
+
+  /**
+   * Iterate over the generated chunks
+   * @returns {AsyncIterator<StreamChunk>} Iterator
+   * @throws {Error} If the stream is already being iterated
+   */
+  [Symbol.asyncIterator]() {
+    if (this.iterating) {
+      throw new Error('A generation stream can only be iterated once');
+    }
+    this.iterating = true;
+
+    return {
+      next: () => this.next(),
+      return: async () => {
+        this.abort();
+        return { value: undefined, done: true };
+      }
+    };
+  }
+
+  /**
+   * Take the next chunk, waiting for one if needed
+   * @private
+   * @returns {Promise<IteratorResult<StreamChunk>>} Next chunk
+   */
+  async next() {
+    while (this.chunks.length === 0 && !this.finished) {
+      await new Promise(resolve => {
+        this.waiting = resolve;
+      });
+    }
+
+    if (this.chunks.length > 0) {
+      return { value: this.chunks.shift(), done: false };
+    }
+    if (this.error) {
+      throw this.error;
+    }
+    return { value: undefined, done: true };
+  }
+
+  /**
+   * Buffer a piece of text
+   * @private
+   * @param {string} text - Generated text
+   * @param {TokenLogprob[]} [logprobs] - Log-probabilities of its tokens
+   */
+  push(text, logprobs) {
+    if (!text || this.finished) {
+      return;
+    }
+
+    this.fullText += text;
+    const chunk = { text, index: this.chunkCount++ };
+    if (logprobs) {
+      chunk.logprobs = logprobs;
+    }
+    this.chunks.push(chunk);
+    this.wake();
+  }
+
+  /**
+   * Mark the stream as ended
+   * @private
+   * @param {Error|null} error - Generation error, if any
+   */
+  finish(error) {
+    this.finished = true;
+    this.error = error;
+    this.wake();
+  }
+
+  /**
+   * Resume a reader waiting for chunks
+   * @private
+   */
+  wake() {
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve();
+    }
+  }
+}
+
+/**
+ * Stream generated text as an async iterable
+ * @param {GGUFModel} model - The loaded model
+ * @param {string} prompt - Input prompt
+ * @param {Object} [options={}] - Generation options, as for streamGenerate
+ * @param {Object} [adapter] - Environment-specific adapter
+ * @returns {GenerationStream} Stream of generated chunks
+ */
+function stream(model, prompt, options = {}, adapter) {
+  return new GenerationStream(
+    (onText, signal) => inference.streamGenerate(
+      model,
+      prompt,
+      (text, isDone, details) => {
+        if (!isDone) {
+          onText(text, details && details.logprobs);
+        }
+      },
+      { ...options, signal },
+      adapter
+    ),
+    { signal: options.signal }
+  );
+}
+
+module.exports = {
+  GenerationStream,
+  stream
+};
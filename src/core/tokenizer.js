@@ -4,192 +4,1662 @@
  */
 
 const logger = require('../utils/logger');
+const { readGGUFMetadata } = require('./gguf');
+const {
+  isHuggingFaceTokenizer,
+  tokenizerConfigFromHuggingFace,
+  createNormalizer,
+  createPreTokenizer
+} = require('./huggingface');
+const {
+  PRETOKENIZER_PATTERNS,
+  encodeUtf8,
+  decodeUtf8,
+  toByteLevel,
+  fromByteLevel,
+  splitByPattern,
+  stripAccents
+} = require('../utils/unicode');
+
+/**
+ * GGUF token types (`tokenizer.ggml.token_type`)
+ * @enum {number}
+ */
+const TOKEN_TYPES = {
+  UNDEFINED: 0,
+  NORMAL: 1,
+  UNKNOWN: 2,
+  CONTROL: 3,
+  USER_DEFINED: 4,
+  UNUSED: 5,
+  BYTE: 6
+};
+
+/**
+ * GGUF metadata keys holding special token ids, by special token name
+ * @type {Object<string, string>}
+ */
+const GGUF_SPECIAL_TOKEN_KEYS = {
+  BOS: 'tokenizer.ggml.bos_token_id',
+  EOS: 'tokenizer.ggml.eos_token_id',
+  UNK: 'tokenizer.ggml.unknown_token_id',
+  PAD: 'tokenizer.ggml.padding_token_id',
+  SEP: 'tokenizer.ggml.seperator_token_id',
+  CLS: 'tokenizer.ggml.cls_token_id',
+  MASK: 'tokenizer.ggml.mask_token_id',
+  EOT: 'tokenizer.ggml.eot_token_id',
+  EOM: 'tokenizer.ggml.eom_token_id'
+};
+
+/**
+ * Added token entry
+ * @typedef {Object} AddedToken
+ * @property {number} id - Token ID
+ * @property {string} content - Exact text of the token
+ * @property {boolean} special - Whether this is a control token (BOS, EOS, chat markers, ...)
+ */
+
+/**
+ * Encode options
+ * @typedef {Object} EncodeOptions
+ * @property {boolean} [parseSpecial] - Match special token strings in the input as single tokens
+ * @property {boolean} [addBos] - Prepend the BOS token
+ * @property {boolean} [addEos] - Append the EOS token
+ */
+
+/**
+ * Token IDs with the character range each token covers
+ * @typedef {Object} EncodingWithOffsets
+ * @property {Array<number>} ids - Token IDs
+ * @property {Array<Array<number>>} offsets - `[start, end)` UTF-16 indices into the input for each token;
+ *   BOS/EOS and other inserted tokens get `[0, 0]`
+ */
+
+/**
+ * Decode options
+ * @typedef {Object} DecodeOptions
+ * @property {boolean} [skipSpecialTokens] - Leave special tokens out of the decoded text
+ */
+
+/**
+ * Encoding context passed to normalizers, pre-tokenizers and encodeText()
+ * @typedef {Object} EncodeContext
+ * @property {boolean} afterSpecial - Whether the text starts the input or follows an added token
+ * @property {boolean} first - Whether the text starts the input
+ */
 
 /**
  * Base tokenizer interface
+ * Subclasses implement encodeText() and decodeIds(); added and special tokens,
+ * BOS/EOS insertion, special token skipping and the optional normalizer,
+ * pre-tokenizer and decoder pipeline stages are handled here
  */
 class BaseTokenizer {
   /**
-   * Encode text to token IDs
+   * Create a tokenizer
+   * @param {Object} [config={}] - Tokenizer configuration
+   * @param {AddedToken[]} [config.addedTokens] - Tokens matched atomically in the input
+   * @param {boolean} [config.addBos=false] - Prepend BOS by default
+   * @param {boolean} [config.addEos=false] - Append EOS by default
+   * @param {boolean} [config.parseSpecial=true] - Match special token strings by default
+   * @param {boolean} [config.skipSpecialTokens=true] - Skip special tokens when decoding by default
+   * @param {number[]} [config.prefixTokens] - Tokens added in place of BOS (e.g. `[CLS]`)
+   * @param {number[]} [config.suffixTokens] - Tokens added in place of EOS (e.g. `[SEP]`)
+   * @param {Function} [config.normalizer] - `(text, context) => string`, applied to text between added tokens
+   * @param {Function} [config.preTokenizer] - `(text, context) => string[]`, splits normalized text into words
+   * @param {Function} [config.decoder] - `(tokenStrings) => string`, replaces the built-in decoding
+   * @param {string} [config.chatTemplate] - Jinja chat template shipped with the vocabulary
+   */
+  constructor(config = {}) {
+    this.specialTokens = config.specialTokens || {};
+    this.addBos = config.addBos ?? false;
+    this.addEos = config.addEos ?? false;
+    this.parseSpecial = config.parseSpecial ?? true;
+    this.skipSpecialTokens = config.skipSpecialTokens ?? true;
+    this.prefixTokens = config.prefixTokens || null;
+    this.suffixTokens = config.suffixTokens || null;
+    this.normalizer = config.normalizer || null;
+    this.preTokenizer = config.preTokenizer || null;
+    this.decodePipeline = config.decoder || null;
+    this.chatTemplate = config.chatTemplate || null;
+    this.setAddedTokens(config.addedTokens || []);
+  }
+
+  /**
+   * Set the tokens that are matched atomically during encoding
+   * @param {AddedToken[]} addedTokens - Added tokens
+   */
+  setAddedTokens(addedTokens) {
+    this.addedTokens = addedTokens.filter(token => token.content);
+    this.addedTokenIds = new Map(this.addedTokens.map(token => [token.id, token]));
+    this.addedTokensByContent = new Map(this.addedTokens.map(token => [token.content, token.id]));
+    this.specialTokenIds = new Set([
+      ...Object.values(this.specialTokens || {}),
+      ...this.addedTokens.filter(token => token.special).map(token => token.id)
+    ]);
+
+    const byLength = [...this.addedTokens].sort((a, b) => b.content.length - a.content.length);
+    this.addedTokenPatterns = {
+      all: createAlternation(byLength),
+      nonSpecial: createAlternation(byLength.filter(token => !token.special))
+    };
+  }
+
+  /**
+   * Check whether a token ID is a special (control) token
+   * @param {number} id - Token ID
+   * @returns {boolean} Whether the token is special
+   */
+  isSpecial(id) {
+    return this.specialTokenIds.has(id);
+  }
+
+  /**
+   * Get the text of every special token
+   * @returns {string[]} Special token strings
+   */
+  getSpecialTokenStrings() {
+    return this.addedTokens.filter(token => token.special).map(token => token.content);
+  }
+
+  /**
+   * Split text into plain text runs and added token matches
+   * @param {string} text - Text to split
+   * @param {boolean} parseSpecial - Whether special tokens may match
+   * @returns {Array<{text: string, start: number}|{id: number, start: number}>} Segments in order
+   */
+  splitAddedTokens(text, parseSpecial) {
+    const pattern = parseSpecial ? this.addedTokenPatterns.all : this.addedTokenPatterns.nonSpecial;
+
+    if (!pattern) {
+      return text ? [{ text, start: 0 }] : [];
+    }
+
+    const segments = [];
+    let end = 0;
+
+    for (const match of text.matchAll(pattern)) {
+      if (match.index > end) {
+        segments.push({ text: text.slice(end, match.index), start: end });
+      }
+      segments.push({ id: this.addedTokensByContent.get(match[0]), start: match.index });
+      end = match.index + match[0].length;
+    }
+
+    if (end < text.length) {
+      segments.push({ text: text.slice(end), start: end });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Encode text to token IDs
+   * @param {string} text - Text to encode
+   * @param {EncodeOptions} [options={}] - Encode options
+   * @returns {Array<number>} Token IDs
+   */
+  encode(text, options = {}) {
+    return this.encodeSegments(text, options).flatMap(segment => segment.ids);
+  }
+
+  /**
+   * Encode text to token IDs along with the character range of each token
+   * Offsets refer to the original text, before normalization; a character split
+   * across several byte tokens is covered by each of them
+   * @param {string} text - Text to encode
+   * @param {EncodeOptions} [options={}] - Encode options
+   * @returns {EncodingWithOffsets} Token IDs and offsets
+   */
+  encodeWithOffsets(text, options = {}) {
+    const ids = [];
+    const offsets = [];
+
+    for (const segment of this.encodeSegments(text, options)) {
+      ids.push(...segment.ids);
+
+      if (segment.text === undefined) {
+        const end = segment.start + (segment.length || 0);
+        segment.ids.forEach(() => offsets.push([segment.start, end]));
+        continue;
+      }
+
+      const pieces = segment.ids.map(id => this.pieceBytes(id));
+      for (const [start, end] of alignPieces(segment.text, pieces)) {
+        offsets.push([segment.start + start, segment.start + end]);
+      }
+    }
+
+    return { ids, offsets };
+  }
+
+  /**
+   * Encode text into groups of token IDs tied to the input ranges they came from
+   * @private
+   * @param {string} text - Text to encode
+   * @param {EncodeOptions} options - Encode options
+   * @returns {Array<{ids: number[], start: number, length?: number, text?: string}>} Encoded segments
+   */
+  encodeSegments(text, options) {
+    const {
+      parseSpecial = this.parseSpecial,
+      addBos = this.addBos,
+      addEos = this.addEos
+    } = options;
+
+    const segments = [];
+
+    if (addBos) {
+      segments.push({ ids: this.prefixTokens || this.tokenList('BOS'), start: 0 });
+    }
+
+    let afterSpecial = true;
+    let first = true;
+    for (const segment of this.splitAddedTokens(text || '', parseSpecial)) {
+      if (segment.id !== undefined) {
+        const { content } = this.addedTokenIds.get(segment.id);
+        segments.push({ ids: [segment.id], start: segment.start, length: content.length });
+        afterSpecial = true;
+      } else {
+        const context = { afterSpecial, first };
+        const normalized = this.normalizer ? this.normalizer(segment.text, context) : segment.text;
+        segments.push({ ids: this.encodeText(normalized, context), start: segment.start, text: segment.text });
+        afterSpecial = false;
+      }
+      first = false;
+    }
+
+    if (addEos) {
+      segments.push({ ids: this.suffixTokens || this.tokenList('EOS'), start: 0 });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Get a named special token as a list of zero or one IDs
+   * @private
+   * @param {string} name - Special token name (BOS, EOS, ...)
+   * @returns {Array<number>} Token IDs
+   */
+  tokenList(name) {
+    return this.specialTokens[name] !== undefined ? [this.specialTokens[name]] : [];
+  }
+
+  /**
+   * Encode a run of plain text that contains no added tokens
+   * @param {string} text - Text to encode, already normalized
+   * @param {EncodeContext} context - Encoding context
+   * @returns {Array<number>} Token IDs
+   */
+  encodeText(text, context) {
+    throw new Error('encodeText() method must be implemented by subclass');
+  }
+
+  /**
+   * Decode token IDs to text
+   * @param {Array<number>} tokens - Token IDs to decode
+   * @param {DecodeOptions} [options={}] - Decode options
+   * @returns {string} Decoded text
+   */
+  decode(tokens, options = {}) {
+    const { skipSpecialTokens = this.skipSpecialTokens } = options;
+    const ids = skipSpecialTokens ? tokens.filter(token => !this.isSpecial(token)) : tokens;
+
+    if (this.decodePipeline) {
+      return this.decodePipeline(ids.map(id => this.idToToken(id) ?? ''));
+    }
+
+    return this.decodeIds(ids);
+  }
+
+  /**
+   * Get the vocabulary string for a token ID
+   * @param {number} id - Token ID
+   * @returns {string|null} Token string, or null if the ID is not in the vocabulary
+   */
+  idToToken(id) {
+    const added = this.addedTokenIds.get(id);
+    return added ? added.content : null;
+  }
+
+  /**
+   * Get the ID of a vocabulary string
+   * @param {string} token - Token string
+   * @returns {number|null} Token ID, or null if the string is not in the vocabulary
+   */
+  tokenToId(token) {
+    return this.addedTokensByContent.get(token) ?? null;
+  }
+
+  /**
+   * Number of token IDs in the vocabulary, including added tokens
+   * @type {number}
+   */
+  get vocabSize() {
+    throw new Error('vocabSize must be implemented by subclass');
+  }
+
+  /**
+   * Get the normalized text a token stands for, as UTF-8 bytes
+   * Used to map tokens back to input offsets
+   * @param {number} id - Token ID
+   * @returns {Uint8Array|number[]|null} Bytes, or null for the unknown token
+   */
+  pieceBytes(id) {
+    const token = this.idToToken(id);
+    return token === null || id === this.specialTokens.UNK ? null : encodeUtf8(token);
+  }
+
+  /**
+   * Decode token IDs to text, rendering every token
+   * @param {Array<number>} tokens - Token IDs to decode
+   * @returns {string} Decoded text
+   */
+  decodeIds(tokens) {
+    throw new Error('decodeIds() method must be implemented by subclass');
+  }
+
+  /**
+   * Decode a single token ID to text
+   * @param {number} token - Token ID to decode
+   * @param {DecodeOptions} [options={}] - Decode options
+   * @returns {string} Decoded text for the token
+   */
+  decodeToken(token, options = {}) {
+    return this.decode([token], options);
+  }
+}
+
+/**
+ * Split UTF-8 bytes from consecutive tokens into characters
+ * A character whose bytes come from several tokens belongs to each of them
+ * @private
+ * @param {Array<Uint8Array|number[]|null>} pieces - Bytes of each token, null for unknown tokens
+ * @returns {Array<{char: string|null, first: number, last: number}>} Characters with the tokens they
+ *   came from (`char` is null for an unknown token)
+ */
+function piecesToChars(pieces) {
+  const chars = [];
+  let bytes = [];
+  let owners = [];
+
+  const flush = () => {
+    let i = 0;
+    while (i < bytes.length) {
+      const lead = bytes[i];
+      const length = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+      const valid = i + length <= bytes.length &&
+        bytes.slice(i + 1, i + length).every(byte => (byte & 0xc0) === 0x80);
+      const size = valid ? length : 1;
+
+      chars.push({ char: decodeUtf8(bytes.slice(i, i + size)), first: owners[i], last: owners[i + size - 1] });
+      i += size;
+    }
+    bytes = [];
+    owners = [];
+  };
+
+  pieces.forEach((piece, index) => {
+    if (piece === null) {
+      flush();
+      chars.push({ char: null, first: index, last: index });
+      return;
+    }
+    for (const byte of piece) {
+      bytes.push(byte);
+      owners.push(index);
+    }
+  });
+  flush();
+
+  return chars;
+}
+
+/**
+ * Comparison key used to align token text with the input
+ * @private
+ * @param {string} char - Single character
+ * @returns {string} Case and accent folded text, ' ' for whitespace and ▁
+ */
+function alignmentKey(char) {
+  if (char === '\u2581' || /^\s$/u.test(char)) return ' ';
+  return stripAccents(char.normalize('NFKC')).toLowerCase();
+}
+
+const ALIGNMENT_LOOKAHEAD = 8;
+
+/**
+ * Find the input range covered by each token of an encoded text run
+ * Token text is matched against the input character by character, tolerating the
+ * case, accent and whitespace changes made by normalizers
+ * @private
+ * @param {string} text - Original (unnormalized) text
+ * @param {Array<Uint8Array|number[]|null>} pieces - Bytes of each token, null for unknown tokens
+ * @returns {Array<Array<number>>} `[start, end)` for each token
+ */
+function alignPieces(text, pieces) {
+  const input = [];
+  for (let index = 0; index < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(index));
+    input.push({ start: index, end: index + char.length, key: alignmentKey(char) });
+    index += char.length;
+  }
+
+  const chars = piecesToChars(pieces);
+  const ranges = pieces.map(() => null);
+  let cursor = 0;
+  let lastMatched = null;
+
+  const position = () => (cursor < input.length ? input[cursor].start : text.length);
+
+  const assign = (char, start, end) => {
+    for (let token = char.first; token <= char.last; token++) {
+      const range = ranges[token];
+      if (!range || (range[0] === range[1] && start < end)) {
+        ranges[token] = [start, end];
+      } else if (start < end) {
+        ranges[token] = [Math.min(range[0], start), Math.max(range[1], end)];
+      }
+    }
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (char.char === null) {
+      const next = chars[i + 1];
+      while (cursor < input.length && input[cursor].key === ' ') cursor++;
+
+      const start = position();
+      if (cursor < input.length) cursor++;
+      if (!next || next.char !== null) {
+        const nextKey = next ? alignmentKey(next.char) : ' ';
+        while (cursor < input.length && input[cursor].key !== nextKey) cursor++;
+      }
+
+      let end = position();
+      while (end > start && /\s/u.test(text[end - 1])) end--;
+      assign(char, start, end);
+      lastMatched = null;
+      continue;
+    }
+
+    const key = alignmentKey(char.char);
+    if (key === '') {
+      assign(char, position(), position());
+      continue;
+    }
+
+    while (cursor < input.length && input[cursor].key === '') {
+      if (lastMatched) assign(lastMatched, input[cursor].start, input[cursor].end);
+      cursor++;
+    }
+
+    if (cursor >= input.length) {
+      assign(char, text.length, text.length);
+      continue;
+    }
+
+    const current = input[cursor];
+
+    if (current.key === key) {
+      assign(char, current.start, current.end);
+      lastMatched = char;
+      cursor++;
+      continue;
+    }
+
+    if (current.key.length > key.length && current.key.startsWith(key)) {
+      let combined = key;
+      assign(char, current.start, current.end);
+      while (combined !== current.key && i + 1 < chars.length && chars[i + 1].char !== null &&
+        current.key.startsWith(combined + alignmentKey(chars[i + 1].char))) {
+        combined += alignmentKey(chars[++i].char);
+        assign(chars[i], current.start, current.end);
+      }
+      lastMatched = chars[i];
+      cursor++;
+      continue;
+    }
+
+    if (key.length > current.key.length && key.startsWith(current.key)) {
+      let combined = '';
+      while (cursor < input.length && combined !== key && key.startsWith(combined + input[cursor].key)) {
+        combined += input[cursor++].key;
+      }
+      assign(char, current.start, input[cursor - 1].end);
+      lastMatched = char;
+      continue;
+    }
+
+    if (current.key === ' ') {
+      cursor++;
+      i--;
+      continue;
+    }
+
+    if (key === ' ') {
+      assign(char, current.start, current.start);
+      continue;
+    }
+
+    const ahead = input.slice(cursor, cursor + ALIGNMENT_LOOKAHEAD).findIndex(candidate => candidate.key === key);
+    if (ahead > 0) {
+      cursor += ahead;
+      i--;
+      continue;
+    }
+
+    assign(char, current.start, current.start);
+  }
+
+  let previousEnd = 0;
+  return ranges.map(range => {
+    const result = range || [previousEnd, previousEnd];
+    previousEnd = result[1];
+    return result;
+  });
+}
+
+/**
+ * Build a regex matching any of the given tokens, longest first
+ * @private
+ * @param {AddedToken[]} tokens - Tokens sorted by descending length
+ * @returns {RegExp|null} Alternation regex, or null when there are no tokens
+ */
+function createAlternation(tokens) {
+  if (tokens.length === 0) return null;
+  const escaped = tokens.map(token => token.content.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(escaped.join('|'), 'g');
+}
+
+/**
+ * Collect added tokens from GGUF token types (control, user-defined and unknown tokens)
+ * @private
+ * @param {Object} config - Tokenizer configuration
+ * @returns {AddedToken[]} Added tokens
+ */
+function collectAddedTokens(config) {
+  if (Array.isArray(config.addedTokens)) {
+    return config.addedTokens;
+  }
+
+  const tokens = config.tokens || [];
+  const tokenTypes = config.tokenTypes || [];
+  const addedTokens = [];
+
+  tokenTypes.forEach((type, id) => {
+    if (type === TOKEN_TYPES.CONTROL || type === TOKEN_TYPES.UNKNOWN) {
+      addedTokens.push({ id, content: tokens[id], special: true });
+    } else if (type === TOKEN_TYPES.USER_DEFINED) {
+      addedTokens.push({ id, content: tokens[id], special: false });
+    }
+  });
+
+  return addedTokens;
+}
+
+/**
+ * Build a token-to-ID map from either a vocab object or a token array
+ * @private
+ * @param {Object} config - Tokenizer configuration
+ * @returns {Map<string, number>} Vocabulary
+ */
+function buildVocab(config) {
+  if (Array.isArray(config.tokens)) {
+    const vocab = new Map();
+    config.tokens.forEach((token, id) => vocab.set(token, id));
+    return vocab;
+  }
+  
+  return new Map(Object.entries(config.vocab || {}).map(([k, v]) => [k, Number(v)]));
+}
+
+/**
+ * Binary heap ordered by a comparator
+ * @private
+ */
+class PriorityQueue {
+  /**
+   * Create a priority queue
+   * @param {Function} compare - Returns a negative number when `a` should be popped before `b`
+   */
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  /**
+   * Number of queued items
+   * @type {number}
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add an item
+   * @param {any} item - Item to add
+   */
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Remove and return the first item
+   * @returns {any} First item, or undefined when empty
+   */
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      let index = 0;
+      while (true) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let first = index;
+
+        if (left < items.length && this.compare(items[left], items[first]) < 0) first = left;
+        if (right < items.length && this.compare(items[right], items[first]) < 0) first = right;
+        if (first === index) break;
+
+        [items[index], items[first]] = [items[first], items[index]];
+        index = first;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Simple fallback tokenizer that works at character level
+ * Used when a model doesn't provide its own tokenizer
+ */
+class CharacterTokenizer extends BaseTokenizer {
+  /**
+   * Create a character tokenizer
+   * @param {Object} [config={}] - Tokenizer configuration (see BaseTokenizer)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.encoder = new Map();
+    this.decoder = new Map();
+    
+    for (let i = 0; i < 128; i++) {
+      const char = String.fromCharCode(i);
+      this.encoder.set(char, i);
+      this.decoder.set(i, char);
+    }
+
+    this.specialTokens = {
+      BOS: 128,
+      EOS: 129, 
+      PAD: 130, 
+      UNK: 131, 
+    };
+
+    Object.entries(this.specialTokens).forEach(([name, id]) => {
+      this.decoder.set(id, `<${name}>`);
+    });
+
+    this.setAddedTokens(Object.entries(this.specialTokens).map(([name, id]) => ({
+      id,
+      content: `<${name}>`,
+      special: true
+    })));
+  }
+
+  /**
+   * Encode plain text to token IDs
+   * @param {string} text - Text to encode
+   * @returns {Array<number>} Token IDs
+   */
+  encodeText(text) {
+    return Array.from(text).map(char => {
+      if (this.encoder.has(char)) {
+        return this.encoder.get(char);
+      }
+      return this.specialTokens.UNK; 
+    });
+  }
+
+  /**
+   * Decode token IDs to text
+   * @param {Array<number>} tokens - Token IDs to decode
+   * @returns {string} Decoded text
+   */
+  decodeIds(tokens) {
+    return tokens.map(token => {
+      if (this.decoder.has(token)) {
+        return this.decoder.get(token);
+      }
+      return ''; 
+    }).join('');
+  }
+
+  /**
+   * Get the vocabulary string for a token ID
+   * @param {number} id - Token ID
+   * @returns {string|null} Token string, or null if the ID is not in the vocabulary
+   */
+  idToToken(id) {
+    return this.decoder.get(id) ?? null;
+  }
+
+  /**
+   * Get the ID of a vocabulary string
+   * @param {string} token - Token string
+   * @returns {number|null} Token ID, or null if the string is not in the vocabulary
+   */
+  tokenToId(token) {
+    return this.encoder.get(token) ?? super.tokenToId(token);
+  }
+
+  /**
+   * Number of token IDs in the vocabulary, including added tokens
+   * @type {number}
+   */
+  get vocabSize() {
+    return this.decoder.size;
+  }
+}
+
+/**
+ * Aliases for pretokenizer names used in GGUF files, grouped as llama.cpp groups them
+ * @type {Object<string, string>}
+ */
+const PRETOKENIZER_ALIASES = {
+  default: 'gpt2',
+  mpt: 'gpt2',
+  olmo: 'gpt2',
+  jais: 'gpt2',
+  trillion: 'gpt2',
+  'llama-bpe': 'llama3',
+  'llama-v3': 'llama3',
+  falcon3: 'llama3',
+  pixtral: 'llama3',
+  'smaug-bpe': 'llama3',
+  dbrx: 'llama3',
+  'chatglm-bpe': 'llama3',
+  stablelm2: 'qwen2',
+  hunyuan: 'qwen2',
+  megrez: 'qwen2',
+  'deepseek-r1-qwen': 'qwen2',
+  refact: 'starcoder',
+  'command-r': 'starcoder',
+  smollm: 'starcoder',
+  codeshell: 'starcoder',
+  exaone: 'starcoder',
+  'minerva-7b': 'starcoder',
+  bloom: 'poro',
+  'gpt3-finnish': 'poro',
+  'poro-chat': 'poro'
+};
+
+const BPE_CACHE_SIZE = 10000;
+
+/**
+ * Resolve a pretokenizer option to the global unicode regular expressions it applies
+ * @private
+ * @param {RegExp|string|Array<RegExp|string>|null} pretokenizer - Regex, pattern source,
+ *   preset name or a list of regexes and pattern sources applied in order
+ * @returns {RegExp[]} Pretokenizer regexes
+ */
+function resolvePretokenizer(pretokenizer) {
+  if (pretokenizer instanceof RegExp) {
+    const flags = new Set([...pretokenizer.flags, 'g', 'u']);
+    return [new RegExp(pretokenizer.source, [...flags].join(''))];
+  }
+
+  if (Array.isArray(pretokenizer)) {
+    return pretokenizer.map(pattern => (pattern instanceof RegExp ? resolvePretokenizer(pattern)[0] : new RegExp(pattern, 'gu')));
+  }
+
+  const name = PRETOKENIZER_ALIASES[pretokenizer] || pretokenizer || 'gpt2';
+
+  if (PRETOKENIZER_PATTERNS[name]) {
+    return [].concat(PRETOKENIZER_PATTERNS[name]).map(pattern => new RegExp(pattern, 'gu'));
+  }
+
+  if (pretokenizer && !/^[\w-]+$/.test(pretokenizer)) {
+    return [new RegExp(pretokenizer, 'gu')];
+  }
+
+  logger.warn(`Unknown pretokenizer '${pretokenizer}', using GPT-2 pretokenization`);
+  return [new RegExp(PRETOKENIZER_PATTERNS.gpt2, 'gu')];
+}
+
+/**
+ * BPE (Byte-Pair Encoding) tokenizer
+ * Byte-level BPE as used by GPT-2, Llama 3 and Qwen models: text is split with a
+ * pretokenizer regex, mapped to the GPT-2 byte alphabet and merged by rank
+ */
+class BPETokenizer extends BaseTokenizer {
+  /**
+   * Create a BPE tokenizer
+   * @param {Object} config - Tokenizer configuration
+   * @param {Object} [config.vocab] - Vocabulary mapping (token string to ID)
+   * @param {string[]} [config.tokens] - Vocabulary as an array indexed by token ID
+   * @param {Array<Array<string>|string>} config.merges - BPE merge rules, highest priority first
+   * @param {number[]} [config.tokenTypes] - GGUF token type for each token (TOKEN_TYPES)
+   * @param {RegExp|string|Array<RegExp|string>} [config.pretokenizer] - Pretokenizer regex, pattern,
+   *   preset name (a `tokenizer.ggml.pre` value) or list of regexes applied in order
+   * @param {string} [config.pre] - GGUF pretokenizer name, used when pretokenizer is not set
+   * @param {boolean} [config.byteLevel=true] - Whether tokens use the GPT-2 byte alphabet
+   * @param {boolean} [config.byteFallback=false] - Encode unknown characters as `<0xXX>` byte tokens
+   * @param {boolean} [config.ignoreMerges=false] - Emit whole words found in the vocabulary without merging
+   */
+  constructor(config) {
+    super(config);
+    this.vocab = buildVocab(config);
+    this.decoder = new Map(Array.from(this.vocab.entries()).map(([k, v]) => [v, k]));
+    this.merges = (config.merges || []).map(merge => (typeof merge === 'string' ? merge.split(' ') : merge));
+    this.tokenTypes = config.tokenTypes || [];
+    this.byteLevel = config.byteLevel !== false;
+    this.byteFallback = config.byteFallback === true;
+    this.ignoreMerges = config.ignoreMerges === true;
+    this.pretokenizer = resolvePretokenizer(config.pretokenizer || config.pre);
+    this.unkTokenId = this.specialTokens.UNK ?? this.vocab.get('<UNK>') ?? this.vocab.get('<unk>') ?? 0;
+
+    this.mergeRanks = new Map();
+    this.merges.forEach(([first, second], rank) => {
+      const key = `${first} ${second}`;
+      if (!this.mergeRanks.has(key)) {
+        this.mergeRanks.set(key, rank);
+      }
+    });
+
+    this.cache = new Map();
+    this.setAddedTokens(collectAddedTokens(config));
+  }
+
+  /**
+   * Encode plain text using the BPE algorithm
+   * @param {string} text - Text to encode
+   * @param {EncodeContext} [context] - Encoding context
+   * @returns {Array<number>} Token IDs
+   */
+  encodeText(text, context) {
+    if (!text) return [];
+
+    const output = [];
+    for (const word of this.pretokenize(text, context)) {
+      output.push(...this.encodeWord(word));
+    }
+    return output;
+  }
+
+  /**
+   * Split text into pretokenized words
+   * @param {string} text - Text to split
+   * @param {EncodeContext} [context] - Encoding context
+   * @returns {string[]} Words, in the byte-level alphabet when enabled
+   */
+  pretokenize(text, context) {
+    if (this.preTokenizer) {
+      return this.preTokenizer(text, context);
+    }
+
+    // Each regex splits the pieces left by the previous one, keeping the text between matches
+    const words = this.pretokenizer.reduce(
+      (pieces, pattern) => pieces.flatMap(piece => splitByPattern(piece, pattern)),
+      [text]
+    );
+
+    if (!this.byteLevel) {
+      return words;
+    }
+
+    return words.map(toByteLevel);
+  }
+
+  /**
+   * Encode a single pretokenized word, using the per-word cache
+   * @param {string} word - Word to encode
+   * @returns {Array<number>} Token IDs
+   */
+  encodeWord(word) {
+    const cached = this.cache.get(word);
+    if (cached) return cached;
+
+    const whole = this.ignoreMerges ? this.vocab.get(word) : undefined;
+    const pieces = whole !== undefined ? [word] : this.applyMerges(word);
+
+    const ids = [];
+    for (const piece of pieces) {
+      const id = this.vocab.get(piece);
+
+      if (id !== undefined) {
+        ids.push(id);
+        continue;
+      }
+
+      for (const char of piece) {
+        const charId = this.vocab.get(char);
+        if (charId !== undefined) {
+          ids.push(charId);
+        } else if (this.byteFallback) {
+          ids.push(...this.byteTokens(char));
+        } else {
+          ids.push(this.unkTokenId);
+        }
+      }
+    }
+
+    if (this.cache.size >= BPE_CACHE_SIZE) {
+      this.cache.clear();
+    }
+    this.cache.set(word, ids);
+
+    return ids;
+  }
+
+  /**
+   * Encode a character as `<0xXX>` byte tokens
+   * @private
+   * @param {string} char - Character missing from the vocabulary
+   * @returns {Array<number>} Token IDs, or the unknown token if byte tokens are missing
+   */
+  byteTokens(char) {
+    const ids = [];
+    for (const byte of encodeUtf8(char)) {
+      const id = this.vocab.get(`<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`);
+      if (id === undefined) return [this.unkTokenId];
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Apply merge rules to a word, lowest rank first
+   * @private
+   * @param {string} word - Word to merge
+   * @returns {string[]} Merged pieces
+   */
+  applyMerges(word) {
+    const chars = Array.from(word);
+    if (chars.length < 2) return chars;
+
+    const symbols = chars.map((char, i) => ({
+      text: char,
+      prev: i - 1,
+      next: i + 1 < chars.length ? i + 1 : -1
+    }));
+
+    const queue = new PriorityQueue((a, b) => (a.rank - b.rank) || (a.left - b.left));
+
+    const tryAddPair = (left, right) => {
+      if (left === -1 || right === -1) return;
+
+      const rank = this.mergeRanks.get(`${symbols[left].text} ${symbols[right].text}`);
+      if (rank === undefined) return;
+
+      queue.push({ left, right, rank, text: symbols[left].text + symbols[right].text });
+    };
+
+    for (let i = 1; i < symbols.length; i++) {
+      tryAddPair(i - 1, i);
+    }
+
+    while (queue.size > 0) {
+      const pair = queue.pop();
+      const left = symbols[pair.left];
+      const right = symbols[pair.right];
+
+      if (!left.text || !right.text || left.next !== pair.right || left.text + right.text !== pair.text) {
+        continue;
+      }
+
+      left.text = pair.text;
+      right.text = '';
+      left.next = right.next;
+      if (right.next >= 0) {
+        symbols[right.next].prev = pair.left;
+      }
+
+      tryAddPair(left.prev, pair.left);
+      tryAddPair(pair.left, left.next);
+    }
+
+    const pieces = [];
+    for (let i = 0; i !== -1; i = symbols[i].next) {
+      pieces.push(symbols[i].text);
+    }
+    return pieces;
+  }
+
+  /**
+   * Decode token IDs back to text
+   * @param {Array<number>} tokens - Token IDs to decode
+   * @returns {string} Decoded text
+   */
+  decodeIds(tokens) {
+    if (!this.byteLevel) {
+      return tokens.map(token => this.decoder.get(token) ?? '').join('');
+    }
+
+    let text = '';
+    let bytes = [];
+
+    for (const token of tokens) {
+      const added = this.addedTokenIds.get(token);
+
+      if (added) {
+        text += decodeUtf8(bytes) + added.content;
+        bytes = [];
+        continue;
+      }
+
+      fromByteLevel(this.decoder.get(token) ?? '', bytes);
+    }
+
+    return text + decodeUtf8(bytes);
+  }
+
+  /**
+   * Get the vocabulary string for a token ID
+   * @param {number} id - Token ID
+   * @returns {string|null} Token string, or null if the ID is not in the vocabulary
+   */
+  idToToken(id) {
+    return this.decoder.get(id) ?? super.idToToken(id);
+  }
+
+  /**
+   * Get the ID of a vocabulary string
+   * @param {string} token - Token string
+   * @returns {number|null} Token ID, or null if the string is not in the vocabulary
+   */
+  tokenToId(token) {
+    return this.vocab.get(token) ?? super.tokenToId(token);
+  }
+
+  /**
+   * Number of token IDs in the vocabulary, including added tokens
+   * @type {number}
+   */
+  get vocabSize() {
+    return this.decoder.size;
+  }
+
+  /**
+   * Get the normalized text a token stands for, as UTF-8 bytes
+   * @param {number} id - Token ID
+   * @returns {Uint8Array|number[]|null} Bytes, or null for the unknown token
+   */
+  pieceBytes(id) {
+    const token = this.decoder.get(id);
+    if (token === undefined || id === this.specialTokens.UNK) return super.pieceBytes(id);
+    if (this.byteLevel) return fromByteLevel(token);
+
+    const byte = this.byteFallback && /^<0x([0-9A-Fa-f]{2})>$/.exec(token);
+    return byte ? [parseInt(byte[1], 16)] : encodeUtf8(token);
+  }
+}
+
+/**
+ * Unigram scoring penalty for characters missing from the vocabulary,
+ * relative to the lowest piece score (matches SentencePiece)
+ * @type {number}
+ */
+const UNIGRAM_UNK_PENALTY = 10;
+
+/**
+ * SentencePiece tokenizer
+ * Score-based merging as implemented by llama.cpp for Llama/Mistral-family models,
+ * with the ▁ whitespace marker, byte-fallback tokens and the dummy-prefix space.
+ * With `algorithm: 'unigram'` (T5, XLM-R and other Unigram models) the highest
+ * scoring segmentation is found with Viterbi search instead
+ */
+class SentencePieceTokenizer extends BaseTokenizer {
+  /**
+   * Create a SentencePiece tokenizer
+   * @param {Object} config - Tokenizer configuration
+   * @param {string[]} config.tokens - Vocabulary as an array indexed by token ID
+   * @param {number[]} [config.scores] - Merge score for each token
+   * @param {number[]} [config.tokenTypes] - GGUF token type for each token (TOKEN_TYPES)
+   * @param {Object} [config.specialTokens] - Special token IDs by name (BOS, EOS, UNK, ...)
+   * @param {boolean} [config.addSpacePrefix=true] - Whether to prepend a space to the input
+   * @param {string} [config.algorithm='bpe'] - 'bpe' for score-based merging or 'unigram' for Viterbi search
+   * @param {boolean} [config.byteFallback=true] - Encode unknown characters as byte tokens when available
+   */
+  constructor(config) {
+    super(config);
+    this.tokens = config.tokens || [];
+    this.scores = config.scores || [];
+    this.tokenTypes = config.tokenTypes || [];
+    this.vocab = buildVocab(config);
+    this.addBos = config.addBos ?? true;
+    this.addSpacePrefix = config.addSpacePrefix !== false;
+    this.algorithm = config.algorithm || 'bpe';
+    this.byteFallback = config.byteFallback !== false;
+    this.unkTokenId = this.specialTokens.UNK ?? this.vocab.get('<unk>') ?? 0;
+
+    this.byteTokens = new Array(256).fill(-1);
+    this.tokenBytes = new Map();
+
+    this.tokens.forEach((token, id) => {
+      const match = /^<0x([0-9A-Fa-f]{2})>$/.exec(token);
+      const isByte = this.tokenTypes.length > 0
+        ? this.tokenTypes[id] === TOKEN_TYPES.BYTE
+        : match !== null;
+
+      if (isByte && match) {
+        const byte = parseInt(match[1], 16);
+        this.byteTokens[byte] = id;
+        this.tokenBytes.set(id, byte);
+      }
+    });
+
+    if (this.algorithm === 'unigram') {
+      this.initUnigram();
+    }
+
+    this.setAddedTokens(collectAddedTokens(config));
+  }
+
+  /**
+   * Prepare the piece lookup used by the unigram algorithm
+   * @private
+   */
+  initUnigram() {
+    const excluded = new Set([TOKEN_TYPES.CONTROL, TOKEN_TYPES.UNUSED, TOKEN_TYPES.BYTE]);
+    this.maxPieceLength = 1;
+    this.minScore = Infinity;
+
+    this.pieces = new Map();
+    this.tokens.forEach((token, id) => {
+      if (!token || excluded.has(this.tokenTypes[id]) || this.tokenBytes.has(id)) return;
+
+      const score = this.scores[id] || 0;
+      this.pieces.set(token, id);
+      this.maxPieceLength = Math.max(this.maxPieceLength, Array.from(token).length);
+      this.minScore = Math.min(this.minScore, score);
+    });
+
+    this.unkScore = (Number.isFinite(this.minScore) ? this.minScore : 0) - UNIGRAM_UNK_PENALTY;
+  }
+
+  /**
+   * Encode plain text to token IDs
+   * Without a pre-tokenizer, spaces become ▁ and the dummy prefix is added here
    * @param {string} text - Text to encode
+   * @param {EncodeContext} [context={}] - Encoding context
    * @returns {Array<number>} Token IDs
    */
-  encode(text) {
-    throw new Error('encode() method must be implemented by subclass');
+  encodeText(text, context = {}) {
+    if (!text) return [];
+
+    let words;
+    if (this.preTokenizer) {
+      words = this.preTokenizer(text, context);
+    } else {
+      const addPrefix = this.addSpacePrefix && (context.afterSpecial ?? true);
+      words = [(addPrefix ? ' ' + text : text).replace(/ /g, '\u2581')];
+    }
+
+    const output = [];
+    for (const word of words) {
+      output.push(...(this.algorithm === 'unigram' ? this.encodeUnigram(word) : this.encodeBigrams(word)));
+    }
+    return output;
   }
 
   /**
-   * Decode token IDs to text
+   * Find the highest scoring segmentation of a word (Viterbi search)
+   * @private
+   * @param {string} word - Word to encode
+   * @returns {Array<number>} Token IDs
+   */
+  encodeUnigram(word) {
+    const chars = Array.from(word);
+    const best = new Array(chars.length + 1).fill(null);
+    best[0] = { score: 0, start: -1, id: null };
+
+    for (let start = 0; start < chars.length; start++) {
+      if (!best[start]) continue;
+
+      const base = best[start].score;
+      let piece = '';
+      let hasSingle = false;
+
+      for (let end = start + 1; end <= Math.min(chars.length, start + this.maxPieceLength); end++) {
+        piece += chars[end - 1];
+        const id = this.pieces.get(piece);
+        if (id === undefined) continue;
+
+        if (end === start + 1) hasSingle = true;
+        const score = base + (this.scores[id] || 0);
+        if (!best[end] || score > best[end].score) {
+          best[end] = { score, start, id };
+        }
+      }
+
+      if (!hasSingle) {
+        const score = base + this.unkScore;
+        if (!best[start + 1] || score > best[start + 1].score) {
+          best[start + 1] = { score, start, id: null };
+        }
+      }
+    }
+
+    const segments = [];
+    for (let end = chars.length; end > 0; end = best[end].start) {
+      segments.push({ id: best[end].id, text: chars.slice(best[end].start, end).join('') });
+    }
+    segments.reverse();
+
+    const output = [];
+    for (const { id, text } of segments) {
+      if (id !== null) {
+        output.push(id);
+      } else if (this.byteFallback && this.tokenBytes.size > 0) {
+        for (const byte of encodeUtf8(text)) {
+          output.push(this.byteTokens[byte] >= 0 ? this.byteTokens[byte] : this.unkTokenId);
+        }
+      } else if (output[output.length - 1] !== this.unkTokenId) {
+        output.push(this.unkTokenId);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Encode a word by merging the highest scoring bigrams first
+   * @private
+   * @param {string} word - Word to encode, with ▁ for spaces
+   * @returns {Array<number>} Token IDs
+   */
+  encodeBigrams(word) {
+    const chars = Array.from(word);
+
+    const symbols = chars.map((char, i) => ({
+      text: char,
+      prev: i - 1,
+      next: i + 1 < chars.length ? i + 1 : -1
+    }));
+
+    const queue = new PriorityQueue((a, b) => (b.score - a.score) || (a.left - b.left));
+    const revMerge = new Map();
+
+    const tryAddBigram = (left, right) => {
+      if (left === -1 || right === -1) return;
+
+      const merged = symbols[left].text + symbols[right].text;
+      const id = this.vocab.get(merged);
+      if (id === undefined) return;
+
+      queue.push({ left, right, score: this.scores[id] || 0, text: merged });
+      revMerge.set(merged, [left, right]);
+    };
+
+    for (let i = 1; i < symbols.length; i++) {
+      tryAddBigram(i - 1, i);
+    }
+
+    while (queue.size > 0) {
+      const bigram = queue.pop();
+      const left = symbols[bigram.left];
+      const right = symbols[bigram.right];
+
+      if (!left.text || !right.text || left.text + right.text !== bigram.text) {
+        continue;
+      }
+
+      left.text = bigram.text;
+      right.text = '';
+      left.next = right.next;
+      if (right.next >= 0) {
+        symbols[right.next].prev = bigram.left;
+      }
+
+      tryAddBigram(left.prev, bigram.left);
+      tryAddBigram(bigram.left, left.next);
+    }
+
+    const output = [];
+    for (let i = symbols.length > 0 ? 0 : -1; i !== -1; i = symbols[i].next) {
+      this.resegment(symbols, symbols[i].text, revMerge, output);
+    }
+
+    return output;
+  }
+
+  /**
+   * Emit the token for a symbol, splitting it or falling back to bytes when needed
+   * @private
+   * @param {Object[]} symbols - Symbol list
+   * @param {string} text - Symbol text
+   * @param {Map<string, number[]>} revMerge - Merged text to source symbol indices
+   * @param {number[]} output - Output token IDs
+   */
+  resegment(symbols, text, revMerge, output) {
+    const id = this.vocab.get(text);
+    if (id !== undefined) {
+      output.push(id);
+      return;
+    }
+
+    const merge = revMerge.get(text);
+    if (!merge) {
+      if (!this.byteFallback) {
+        output.push(this.unkTokenId);
+        return;
+      }
+      for (const byte of encodeUtf8(text)) {
+        const byteId = this.byteTokens[byte];
+        output.push(byteId >= 0 ? byteId : this.unkTokenId);
+      }
+      return;
+    }
+
+    this.resegment(symbols, symbols[merge[0]].text, revMerge, output);
+    this.resegment(symbols, symbols[merge[1]].text, revMerge, output);
+  }
+
+  /**
+   * Get the raw bytes or text piece for a token
+   * @private
+   * @param {number} token - Token ID
+   * @returns {number|string} Byte value for byte-fallback tokens, otherwise text
+   */
+  piece(token) {
+    if (this.tokenBytes.has(token)) {
+      return this.tokenBytes.get(token);
+    }
+
+    if (this.tokenTypes[token] === TOKEN_TYPES.UNKNOWN) return '\u2585';
+
+    const added = this.addedTokenIds.get(token);
+    if (added) return added.content;
+
+    const text = this.tokens[token];
+    if (text === undefined) return '';
+
+    return text.replace(/\u2581/g, ' ');
+  }
+
+  /**
+   * Decode token IDs to text, removing the dummy-prefix space
    * @param {Array<number>} tokens - Token IDs to decode
    * @returns {string} Decoded text
    */
-  decode(tokens) {
-    throw new Error('decode() method must be implemented by subclass');
+  decodeIds(tokens) {
+    const text = this.decodePieces(tokens);
+    return this.addSpacePrefix && text.startsWith(' ') ? text.slice(1) : text;
   }
 
   /**
-   * Decode a single token ID to text
+   * Decode a single token ID to text, keeping its leading space
    * @param {number} token - Token ID to decode
+   * @param {DecodeOptions} [options={}] - Decode options
    * @returns {string} Decoded text for the token
    */
-  decodeToken(token) {
-    return this.decode([token]);
+  decodeToken(token, options = {}) {
+    if (this.decodePipeline) return super.decodeToken(token, options);
+
+    const { skipSpecialTokens = this.skipSpecialTokens } = options;
+    if (skipSpecialTokens && this.isSpecial(token)) return '';
+    return this.decodePieces([token]);
   }
-}
 
-/**
- * Simple fallback tokenizer that works at character level
- * Used when a model doesn't provide its own tokenizer
- */
-class CharacterTokenizer extends BaseTokenizer {
-  constructor() {
-    super();
-    this.encoder = new Map();
-    this.decoder = new Map();
-    
-    for (let i = 0; i < 128; i++) {
-      const char = String.fromCharCode(i);
-      this.encoder.set(char, i);
-      this.decoder.set(i, char);
+  /**
+   * Join token pieces, decoding runs of byte-fallback tokens as UTF-8
+   * @private
+   * @param {Array<number>} tokens - Token IDs
+   * @returns {string} Decoded text
+   */
+  decodePieces(tokens) {
+    let text = '';
+    let bytes = [];
+
+    for (const token of tokens) {
+      const piece = this.piece(token);
+
+      if (typeof piece === 'number') {
+        bytes.push(piece);
+        continue;
+      }
+
+      if (bytes.length > 0) {
+        text += decodeUtf8(bytes);
+        bytes = [];
+      }
+      text += piece;
     }
 
-    this.specialTokens = {
-      BOS: 128,
-      EOS: 129, 
-      PAD: 130, 
-      UNK: 131, 
-    };
+    if (bytes.length > 0) {
+      text += decodeUtf8(bytes);
+    }
 
-    Object.entries(this.specialTokens).forEach(([name, id]) => {
-      this.decoder.set(id, `<${name}>`);
-    });
+    return text;
   }
 
   /**
-   * Encode text to token IDs
-   * @param {string} text - Text to encode
-   * @returns {Array<number>} Token IDs
+   * Get the vocabulary string for a token ID
+   * @param {number} id - Token ID
+   * @returns {string|null} Token string, or null if the ID is not in the vocabulary
    */
-  encode(text) {
-    return Array.from(text).map(char => {
-      if (this.encoder.has(char)) {
-        return this.encoder.get(char);
-      }
-      return this.specialTokens.UNK; 
-    });
+  idToToken(id) {
+    return this.tokens[id] ?? super.idToToken(id);
   }
 
   /**
-   * Decode token IDs to text
-   * @param {Array<number>} tokens - Token IDs to decode
-   * @returns {string} Decoded text
+   * Get the ID of a vocabulary string
+   * @param {string} token - Token string
+   * @returns {number|null} Token ID, or null if the string is not in the vocabulary
    */
-  decode(tokens) {
-    return tokens.map(token => {
-      if (this.decoder.has(token)) {
-        return this.decoder.get(token);
-      }
-      return ''; 
-    }).join('');
+  tokenToId(token) {
+    return this.vocab.get(token) ?? super.tokenToId(token);
+  }
+
+  /**
+   * Number of token IDs in the vocabulary, including added tokens
+   * @type {number}
+   */
+  get vocabSize() {
+    return this.tokens.length;
+  }
+
+  /**
+   * Get the normalized text a token stands for, as UTF-8 bytes
+   * @param {number} id - Token ID
+   * @returns {Uint8Array|number[]|null} Bytes, or null for the unknown token
+   */
+  pieceBytes(id) {
+    if (this.tokenBytes.has(id)) return [this.tokenBytes.get(id)];
+    if (id === this.unkTokenId || this.tokenTypes[id] === TOKEN_TYPES.UNKNOWN) return null;
+    return super.pieceBytes(id);
   }
 }
 
 /**
- * BPE (Byte-Pair Encoding) tokenizer
- * Basic implementation of BPE tokenization used by many LLMs
+ * WordPiece tokenizer
+ * Greedy longest-match-first subword splitting as used by BERT-style encoders.
+ * Continuation pieces are marked with `##` in Hugging Face vocabularies; GGUF
+ * vocabularies converted by llama.cpp instead mark word starts with ▁
  */
-class BPETokenizer extends BaseTokenizer {
+class WordPieceTokenizer extends BaseTokenizer {
   /**
-   * Create a BPE tokenizer
+   * Create a WordPiece tokenizer
    * @param {Object} config - Tokenizer configuration
-   * @param {Object} config.vocab - Vocabulary mapping (token string to ID)
-   * @param {Array<Array<string>>} config.merges - BPE merge rules
+   * @param {Object} [config.vocab] - Vocabulary mapping (token string to ID)
+   * @param {string[]} [config.tokens] - Vocabulary as an array indexed by token ID
+   * @param {number[]} [config.tokenTypes] - GGUF token type for each token (TOKEN_TYPES)
+   * @param {string} [config.continuingSubwordPrefix='##'] - Prefix of pieces that continue a word
+   * @param {string} [config.wordPrefix=''] - Prefix of pieces that start a word
+   * @param {number} [config.maxInputCharsPerWord=100] - Longer words become the unknown token
+   * @param {boolean} [config.lowercase=true] - Lowercase the input (when no normalizer is given)
+   * @param {boolean} [config.stripAccents] - Remove accents (defaults to `lowercase`)
    */
   constructor(config) {
-    super();
-    this.vocab = new Map(Object.entries(config.vocab || {}).map(([k, v]) => [k, Number(v)]));
+    super(config);
+    this.vocab = buildVocab(config);
     this.decoder = new Map(Array.from(this.vocab.entries()).map(([k, v]) => [v, k]));
-    this.merges = config.merges || [];
-    this.specialTokens = config.specialTokens || {};
-    
-    this.mergePatterns = new Map();
-    this.buildMergePatterns();
-  }
+    this.tokenTypes = config.tokenTypes || [];
+    this.continuingSubwordPrefix = config.continuingSubwordPrefix ?? '##';
+    this.wordPrefix = config.wordPrefix ?? '';
+    this.maxInputCharsPerWord = config.maxInputCharsPerWord ?? 100;
+    this.unkTokenId = this.specialTokens.UNK ?? this.vocab.get('[UNK]') ?? 0;
 
-  /**
-   * Build cached patterns for BPE merges
-   */
-  buildMergePatterns() {
-    this.merges.forEach((pair, i) => {
-      const [first, second] = pair;
-      const pattern = new RegExp(`(?<=^|\\s)(${first})(${second})(?=\\s|$)`, 'g');
-      this.mergePatterns.set(i, {
-        pattern,
-        replacement: `${first}${second}`
-      });
+    const cls = this.specialTokens.CLS ?? this.specialTokens.BOS;
+    const sep = this.specialTokens.SEP ?? this.specialTokens.EOS;
+    this.addBos = config.addBos ?? true;
+    this.addEos = config.addEos ?? true;
+    this.prefixTokens = this.prefixTokens || (cls !== undefined ? [cls] : []);
+    this.suffixTokens = this.suffixTokens || (sep !== undefined ? [sep] : []);
+
+    this.normalizer = this.normalizer || createNormalizer({
+      type: 'BertNormalizer',
+      lowercase: config.lowercase ?? true,
+      strip_accents: config.stripAccents ?? null
     });
+    this.preTokenizer = this.preTokenizer || createPreTokenizer({ type: 'BertPreTokenizer' });
+
+    this.setAddedTokens(collectAddedTokens(config));
   }
 
   /**
-   * Encode text using BPE algorithm
+   * Encode normalized text to token IDs
    * @param {string} text - Text to encode
+   * @param {EncodeContext} [context] - Encoding context
    * @returns {Array<number>} Token IDs
    */
-  encode(text) {
+  encodeText(text, context) {
     if (!text) return [];
-    
-    return text.split(/(\s+)/).flatMap(part => {
-      if (!part.trim()) {
-        const whitespaceId = this.vocab.get(part) || this.vocab.get('<UNK>') || 0;
-        return [whitespaceId];
+
+    const output = [];
+    for (const word of this.preTokenizer(text, context)) {
+      output.push(...this.encodeWord(word));
+    }
+    return output;
+  }
+
+  /**
+   * Split a word into the longest matching vocabulary pieces
+   * @param {string} word - Word to encode
+   * @returns {Array<number>} Token IDs, or the unknown token if the word cannot be covered
+   */
+  encodeWord(word) {
+    const chars = Array.from(word);
+    if (chars.length > this.maxInputCharsPerWord) {
+      return [this.unkTokenId];
+    }
+
+    const ids = [];
+    let start = 0;
+
+    while (start < chars.length) {
+      const prefix = start === 0 ? this.wordPrefix : this.continuingSubwordPrefix;
+      let id;
+      let end = chars.length;
+
+      for (; end > start; end--) {
+        id = this.vocab.get(prefix + chars.slice(start, end).join(''));
+        if (id !== undefined) break;
       }
-      
-      let tokens = Array.from(part).map(c => c);
-      
-      for (let i = 0; i < this.merges.length; i++) {
-        const [first, second] = this.merges[i];
-        
-        let j = 0;
-        while (j < tokens.length - 1) {
-          if (tokens[j] === first && tokens[j + 1] === second) {
-            tokens = [
-              ...tokens.slice(0, j),
-              first + second,
-              ...tokens.slice(j + 2)
-            ];
-          } else {
-            j++;
-          }
-        }
+
+      if (id === undefined) {
+        return [this.unkTokenId];
       }
-      
-      return tokens.map(token => {
-        if (this.vocab.has(token)) {
-          return this.vocab.get(token);
-        }
-        return this.vocab.get('<UNK>') || 0;
-      });
-    });
+
+      ids.push(id);
+      start = end;
+    }
+
+    return ids;
   }
 
   /**
-   * Decode token IDs back to text
+   * Decode token IDs to text, joining continuation pieces onto their word
    * @param {Array<number>} tokens - Token IDs to decode
    * @returns {string} Decoded text
    */
-  decode(tokens) {
-    return tokens.map(token => {
-      if (this.decoder.has(token)) {
-        return this.decoder.get(token);
+  decodeIds(tokens) {
+    let text = '';
+
+    for (const token of tokens) {
+      const added = this.addedTokenIds.get(token);
+      const piece = added ? added.content : this.decoder.get(token);
+      if (piece === undefined) continue;
+
+      if (added) {
+        text += ' ' + piece;
+      } else if (this.continuingSubwordPrefix && piece.startsWith(this.continuingSubwordPrefix)) {
+        text += piece.slice(this.continuingSubwordPrefix.length);
+      } else if (this.wordPrefix) {
+        text += piece.startsWith(this.wordPrefix) ? ' ' + piece.slice(this.wordPrefix.length) : piece;
+      } else {
+        text += ' ' + piece;
       }
-      return ''; 
-    }).join('');
+    }
+
+    return text.startsWith(' ') ? text.slice(1) : text;
+  }
+
+  /**
+   * Get the vocabulary string for a token ID
+   * @param {number} id - Token ID
+   * @returns {string|null} Token string, or null if the ID is not in the vocabulary
+   */
+  idToToken(id) {
+    return this.decoder.get(id) ?? super.idToToken(id);
+  }
+
+  /**
+   * Get the ID of a vocabulary string
+   * @param {string} token - Token string
+   * @returns {number|null} Token ID, or null if the string is not in the vocabulary
+   */
+  tokenToId(token) {
+    return this.vocab.get(token) ?? super.tokenToId(token);
+  }
+
+  /**
+   * Number of token IDs in the vocabulary, including added tokens
+   * @type {number}
+   */
+  get vocabSize() {
+    return this.decoder.size;
+  }
+
+  /**
+   * Get the normalized text a token stands for, as UTF-8 bytes
+   * @param {number} id - Token ID
+   * @returns {Uint8Array|number[]|null} Bytes, or null for the unknown token
+   */
+  pieceBytes(id) {
+    const token = this.decoder.get(id);
+    if (token === undefined || id === this.unkTokenId) return super.pieceBytes(id);
+
+    for (const prefix of [this.continuingSubwordPrefix, this.wordPrefix]) {
+      if (prefix && token.startsWith(prefix)) return encodeUtf8(token.slice(prefix.length));
+    }
+    return encodeUtf8(token);
   }
 }
 
 /**
  * Creates a tokenizer from a vocabulary or model config
- * @param {Object} config - Tokenizer configuration
+ * @param {Object} config - Tokenizer configuration, or a parsed Hugging Face tokenizer.json
  * @returns {BaseTokenizer} Appropriate tokenizer instance
  */
 function createTokenizer(config) {
@@ -198,22 +1668,109 @@ function createTokenizer(config) {
     return new CharacterTokenizer();
   }
   
-  if (config.tokenizer_type === 'bpe' || config.merges) {
+  if (isHuggingFaceTokenizer(config)) {
+    config = tokenizerConfigFromHuggingFace(config);
+  }
+  
+  if (config.tokenizer_type === 'llama' || config.tokenizer_type === 'spm') {
+    logger.info('Creating SentencePiece tokenizer');
+    return new SentencePieceTokenizer(config);
+  }
+  
+  if (config.tokenizer_type === 'unigram' || config.tokenizer_type === 't5') {
+    logger.info('Creating Unigram tokenizer');
+    return new SentencePieceTokenizer({ ...config, algorithm: 'unigram' });
+  }
+  
+  if (config.tokenizer_type === 'wordpiece') {
+    logger.info('Creating WordPiece tokenizer');
+    return new WordPieceTokenizer(config);
+  }
+  
+  if (config.tokenizer_type === 'bert') {
+    logger.info('Creating WordPiece tokenizer');
+    return new WordPieceTokenizer({ wordPrefix: '\u2581', continuingSubwordPrefix: '', ...config });
+  }
+  
+  if (config.tokenizer_type === 'bpe' || config.tokenizer_type === 'gpt2' || config.merges) {
     logger.info('Creating BPE tokenizer');
     return new BPETokenizer(config);
   }
     
-  logger.warn('Unknown tokenizer type, using fallback character tokenizer');
+  logger.warn(`Unknown tokenizer type${config.tokenizer_type ? ` '${config.tokenizer_type}'` : ''}, using fallback character tokenizer`);
   return new CharacterTokenizer();
 }
 
 /**
- * Load a tokenizer from a file
+ * Build a tokenizer configuration from GGUF metadata.
+ * The result can be passed to createTokenizer.
+ * 
+ * @param {Object} metadata - GGUF metadata key/value pairs
+ * @returns {Object|null} Tokenizer configuration, or null if the metadata has no vocabulary
+ */
+function tokenizerConfigFromGGUF(metadata) {
+  const tokens = metadata['tokenizer.ggml.tokens'];
+  
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    return null;
+  }
+  
+  const specialTokens = {};
+  for (const [name, key] of Object.entries(GGUF_SPECIAL_TOKEN_KEYS)) {
+    const id = metadata[key];
+    if (typeof id === 'number' && id >= 0 && id < tokens.length) {
+      specialTokens[name] = id;
+    }
+  }
+  
+  const merges = (metadata['tokenizer.ggml.merges'] || []).map(merge => {
+    const index = merge.indexOf(' ', 1);
+    return [merge.slice(0, index), merge.slice(index + 1)];
+  });
+  
+  return {
+    tokenizer_type: metadata['tokenizer.ggml.model'] || null,
+    pre: metadata['tokenizer.ggml.pre'] || null,
+    tokens,
+    scores: metadata['tokenizer.ggml.scores'] || null,
+    tokenTypes: metadata['tokenizer.ggml.token_type'] || null,
+    merges: merges.length > 0 ? merges : undefined,
+    specialTokens,
+    addBos: metadata['tokenizer.ggml.add_bos_token'],
+    addEos: metadata['tokenizer.ggml.add_eos_token'],
+    addSpacePrefix: metadata['tokenizer.ggml.add_space_prefix'],
+    chatTemplate: metadata['tokenizer.chat_template'] || null
+  };
+}
+
+/**
+ * Load a tokenizer straight from a GGUF file's metadata.
+ * Only the header is read, so no inference backend needs to be loaded.
+ * 
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - GGUF path, URL, buffer or Blob
+ * @returns {Promise<BaseTokenizer>} Tokenizer built from the model vocabulary
+ */
+async function loadTokenizerFromGGUF(source) {
+  const header = await readGGUFMetadata(source, { includeTensors: false });
+  const config = tokenizerConfigFromGGUF(header.metadata);
+  
+  if (!config) {
+    throw new Error('GGUF file does not contain tokenizer metadata');
+  }
+  
+  return createTokenizer(config);
+}
+
+/**
+ * Load a tokenizer from a JSON file
+ * Accepts Hugging Face tokenizer.json files as well as plain createTokenizer configs
  * @param {string} path - Path to tokenizer file
  * @param {Object} adapter - Environment adapter
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.configPath] - Path to a tokenizer_config.json with special tokens and the chat template
  * @returns {Promise<BaseTokenizer>} Loaded tokenizer
  */
-async function loadTokenizerFromFile(path, adapter) {
+async function loadTokenizerFromFile(path, adapter, options = {}) {
   try {
     if (!adapter || !adapter.readFile) {
       throw new Error('Environment adapter does not support file reading');
@@ -221,6 +1778,12 @@ async function loadTokenizerFromFile(path, adapter) {
     
     const data = await adapter.readFile(path);
     const config = JSON.parse(data);
+    
+    if (isHuggingFaceTokenizer(config)) {
+      const tokenizerConfig = options.configPath ? JSON.parse(await adapter.readFile(options.configPath)) : {};
+      return createTokenizer(tokenizerConfigFromHuggingFace(config, tokenizerConfig));
+    }
+    
     return createTokenizer(config);
   } catch (error) {
     logger.error(`Failed to load tokenizer from ${path}: ${error.message}`);
@@ -230,30 +1793,115 @@ async function loadTokenizerFromFile(path, adapter) {
 
 /**
  * Extract a tokenizer from a GGUF model
- * This is model-specific and depends on the adapter implementation
+ * Uses the tokenizer metadata in the model's GGUF header when available,
+ * otherwise defers to the adapter implementation
  * @param {Object} model - GGUF model object
- * @param {Object} adapter - Environment adapter
+ * @param {Object} [adapter] - Environment adapter
  * @returns {Promise<BaseTokenizer>} Extracted tokenizer
  */
 async function extractTokenizerFromModel(model, adapter) {
   try {
+    const config = model.gguf ? tokenizerConfigFromGGUF(model.gguf.metadata) : null;
+    
+    if (config) {
+      return createTokenizer(config);
+    }
+    
     if (!adapter || !adapter.extractTokenizer) {
       throw new Error('Environment adapter does not support tokenizer extraction');
     }
     
-    const config = await adapter.extractTokenizer(model);
-    return createTokenizer(config);
+    return createTokenizer(await adapter.extractTokenizer(model));
   } catch (error) {
     logger.error(`Failed to extract tokenizer from model: ${error.message}`);
     return new CharacterTokenizer();
   }
 }
 
+/**
+ * JavaScript tokenizers built from loaded models' GGUF metadata, by model
+ * @type {WeakMap<Object, BaseTokenizer|null>}
+ */
+const modelTokenizers = new WeakMap();
+
+/**
+ * Most tokens the detokenized-offsets fallback decodes at once
+ * @type {number}
+ */
+const DETOKENIZE_WINDOW = 16;
+
+/**
+ * Tokenize text with a model's native tokenizer and find each token's character range
+ * Offsets come from the model's JavaScript tokenizer (built from its GGUF metadata)
+ * when it reproduces the native token IDs; otherwise they are recovered by
+ * detokenizing each token together with the tokens just before it
+ * @param {Object} model - Loaded GGUF model
+ * @param {string} text - Text to tokenize
+ * @param {Object} native - Native tokenizer functions
+ * @param {Function} native.encode - `async (text) => number[]`
+ * @param {Function} native.decode - `async (ids) => string`
+ * @returns {Promise<EncodingWithOffsets>} Token IDs and offsets
+ */
+async function tokenizeWithOffsets(model, text, native) {
+  const ids = Array.from(await native.encode(text));
+
+  if (!modelTokenizers.has(model)) {
+    const config = model.gguf ? tokenizerConfigFromGGUF(model.gguf.metadata) : null;
+    modelTokenizers.set(model, config ? createTokenizer(config) : null);
+  }
+
+  const tokenizer = modelTokenizers.get(model);
+  if (tokenizer) {
+    const encoding = tokenizer.encodeWithOffsets(text);
+    if (encoding.ids.length === ids.length && encoding.ids.every((id, i) => id === ids[i])) {
+      return encoding;
+    }
+    logger.debug('JavaScript tokenizer does not match the model, using detokenized offsets');
+  }
+
+  // The text of a token is what it adds to the decoded window ids[prefixStart, i],
+  // so decoders that treat the first token specially (such as SentencePiece dropping
+  // its leading space) affect both sides alike. The window moves on once its text
+  // decodes to whole characters, and is cut off at DETOKENIZE_WINDOW tokens
+  const pieces = [];
+  let prefixStart = 0;
+  let readStart = 0;
+  let prefixText = '';
+
+  for (let i = 0; i < ids.length; i++) {
+    const decoded = await native.decode(ids.slice(prefixStart, i + 1));
+    const last = i === ids.length - 1;
+    const full = i + 1 - prefixStart >= DETOKENIZE_WINDOW;
+
+    if ((last || full || !decoded.endsWith('\ufffd')) && decoded.startsWith(prefixText)) {
+      pieces.push(encodeUtf8(decoded.slice(prefixText.length)));
+      prefixStart = readStart;
+      readStart = i + 1;
+      prefixText = last ? '' : await native.decode(ids.slice(prefixStart, readStart));
+    } else {
+      pieces.push([]);
+      if (full) {
+        prefixStart = readStart = i + 1;
+        prefixText = '';
+      }
+    }
+  }
+
+  return { ids, offsets: alignPieces(text, pieces) };
+}
+
 module.exports = {
   BaseTokenizer,
   CharacterTokenizer,
   BPETokenizer,
+  SentencePieceTokenizer,
+  WordPieceTokenizer,
   createTokenizer,
+  tokenizerConfigFromGGUF,
+  tokenizerConfigFromHuggingFace,
   loadTokenizerFromFile,
-  extractTokenizerFromModel
+  loadTokenizerFromGGUF,
+  extractTokenizerFromModel,
+  tokenizeWithOffsets,
+  TOKEN_TYPES
 };
\ No newline at end of file
@@ -3,10 +3,17 @@
  * @module gguf
  */
 
-const { GGUFModel, GenerationOptions, ModelContext, createModelId } = require('./core/model');
+const { GGUFModel, GenerationOptions, ModelContext, FINISH_REASONS, createModelId } = require('./core/model');
 const loader = require('./core/loader');
 const inference = require('./core/inference');
+const { ChatSession, createChatSession } = require('./core/session');
+const { ContextOverflowError, QueueFullError, RequestTimeoutError } = require('./core/errors');
+const { Scheduler } = require('./core/scheduler');
+const { GenerationStream, stream } = require('./core/stream');
+const { Sampler } = require('./core/sampler');
+const { Random } = require('./core/random');
 const tokenizer = require('./core/tokenizer');
+const gguf = require('./core/gguf');
 
 const nodeAdapter = require('./adapters/node');
 const browserAdapter = require('./adapters/browser');
@@ -16,6 +23,8 @@ const logger = require('./utils/logger');
 const memory = require('./utils/memory');
 const streaming = require('./utils/streaming');
 const formats = require('./utils/formats');
+const jinja = require('./utils/jinja');
+const messages = require('./utils/messages');
 
 const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && process.versions && process.versions.node;
 const isBrowser = typeof window !== 'undefined';
@@ -44,12 +53,19 @@ function createInstance(adapter) {
     getModel: (modelId) => loader.getModel(modelId),
     listModels: () => loader.listModels(),
     clearModels: () => loader.clearModels(adapter),
+    readGGUFMetadata: (source, options) => gguf.readGGUFMetadata(source, options),
     
     generate: (model, prompt, options) => inference.generate(model, prompt, options, adapter),
+    generateDetailed: (model, prompt, options) => inference.generateDetailed(model, prompt, options, adapter),
     streamGenerate: (model, prompt, onToken, options) => inference.streamGenerate(model, prompt, onToken, options, adapter),
+    stream: (model, prompt, options) => stream(model, prompt, options, adapter),
     cancelGeneration: (modelOrId) => inference.cancelGeneration(modelOrId),
+    cancelRequest: (requestId) => inference.cancelRequest(requestId),
+    configureScheduler: (options) => inference.configureScheduler(options),
+    getQueueStats: (modelOrId) => inference.getQueueStats(modelOrId),
+    createChatSession: (model, options) => createChatSession(model, adapter, options),
     
-    tokenize: (model, text) => adapter.tokenize(model, text),
+    tokenize: (model, text, options) => adapter.tokenize(model, text, options),
     detokenize: (model, tokens) => adapter.detokenize(model, tokens),
     
     ...(adapter.discoverModels ? { discoverModels: (dir) => adapter.discoverModels(dir) } : {}),
@@ -71,6 +87,15 @@ module.exports = {
   GGUFModel,
   GenerationOptions,
   ModelContext,
+  ChatSession,
+  GenerationStream,
+  Scheduler,
+  Sampler,
+  Random,
+  ContextOverflowError,
+  QueueFullError,
+  RequestTimeoutError,
+  FINISH_REASONS,
   createModelId,
   
   createInstance,
@@ -82,12 +107,15 @@ module.exports = {
   },
   
   tokenizer,
+  gguf,
   
   utils: {
     logger,
     memory,
     streaming,
-    formats
+    formats,
+    jinja,
+    messages
   },
   
   environment: {
@@ -3,17 +3,287 @@
  * @module utils/formats
  */
 
+const { renderTemplate } = require('./jinja');
+const { normalizeMessages, contentToText } = require('./messages');
+
+/**
+ * Built-in chat formats for models that do not ship a chat template
+ * Each preset is a Jinja template with the control tokens of that format and the stop
+ * sequences that end an assistant turn
+ * @type {Object<string, {template: string, bosToken: string, eosToken: string, stopSequences: string[]}>}
+ */
+const CHAT_TEMPLATES = {
+  chatml: {
+    template: String.raw`
+{%- for message in messages %}
+  {{- '<|im_start|>' + message.role + '\n' + message.content + '<|im_end|>\n' }}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- '<|im_start|>assistant\n' }}
+{%- endif %}`,
+    bosToken: '',
+    eosToken: '<|im_end|>',
+    stopSequences: ['<|im_end|>', '<|im_start|>']
+  },
+
+  llama2: {
+    template: String.raw`
+{%- if messages[0].role == 'system' %}
+  {%- set system_message = messages[0].content %}
+  {%- set loop_messages = messages[1:] %}
+{%- else %}
+  {%- set loop_messages = messages %}
+{%- endif %}
+{%- for message in loop_messages %}
+  {%- if (message.role == 'user') != (loop.index0 % 2 == 0) %}
+    {{- raise_exception('Conversation roles must alternate user/assistant/user/assistant/...') }}
+  {%- endif %}
+  {%- if message.role == 'user' %}
+    {%- if loop.first and system_message is defined %}
+      {%- set content = '<<SYS>>\n' + system_message + '\n<</SYS>>\n\n' + message.content %}
+    {%- else %}
+      {%- set content = message.content %}
+    {%- endif %}
+    {{- bos_token + '[INST] ' + content | trim + ' [/INST]' }}
+  {%- else %}
+    {{- ' ' + message.content | trim + ' ' + eos_token }}
+  {%- endif %}
+{%- endfor %}`,
+    bosToken: '<s>',
+    eosToken: '</s>',
+    stopSequences: ['</s>', '[INST]']
+  },
+
+  llama3: {
+    template: String.raw`
+{{- bos_token }}
+{%- for message in messages %}
+  {{- '<|start_header_id|>' + message.role + '<|end_header_id|>\n\n' + message.content | trim + '<|eot_id|>' }}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- '<|start_header_id|>assistant<|end_header_id|>\n\n' }}
+{%- endif %}`,
+    bosToken: '<|begin_of_text|>',
+    eosToken: '<|eot_id|>',
+    stopSequences: ['<|eot_id|>', '<|end_of_text|>', '<|start_header_id|>']
+  },
+
+  mistral: {
+    template: String.raw`
+{%- if messages[0].role == 'system' %}
+  {%- set system_message = messages[0].content %}
+  {%- set loop_messages = messages[1:] %}
+{%- else %}
+  {%- set loop_messages = messages %}
+{%- endif %}
+{{- bos_token }}
+{%- for message in loop_messages %}
+  {%- if (message.role == 'user') != (loop.index0 % 2 == 0) %}
+    {{- raise_exception('After the optional system message, conversation roles must alternate user/assistant/user/assistant/...') }}
+  {%- endif %}
+  {%- if message.role == 'user' %}
+    {%- if loop.first and system_message is defined %}
+      {{- '[INST] ' + system_message + '\n\n' + message.content + ' [/INST]' }}
+    {%- else %}
+      {{- '[INST] ' + message.content + ' [/INST]' }}
+    {%- endif %}
+  {%- else %}
+    {{- message.content + eos_token }}
+  {%- endif %}
+{%- endfor %}`,
+    bosToken: '<s>',
+    eosToken: '</s>',
+    stopSequences: ['</s>', '[INST]']
+  },
+
+  alpaca: {
+    template: String.raw`
+{%- if messages[0].role == 'system' %}
+  {{- messages[0].content + '\n\n' }}
+  {%- set loop_messages = messages[1:] %}
+{%- else %}
+  {{- 'Below is an instruction that describes a task. Write a response that appropriately completes the request.\n\n' }}
+  {%- set loop_messages = messages %}
+{%- endif %}
+{%- for message in loop_messages %}
+  {%- if message.role == 'user' %}
+    {{- '### Instruction:\n' + message.content + '\n\n' }}
+  {%- elif message.role == 'assistant' %}
+    {{- '### Response:\n' + message.content + '\n\n' }}
+  {%- endif %}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- '### Response:\n' }}
+{%- endif %}`,
+    bosToken: '',
+    eosToken: '',
+    stopSequences: ['### Instruction:', '### Response:']
+  },
+
+  vicuna: {
+    template: String.raw`
+{%- if messages[0].role == 'system' %}
+  {{- messages[0].content + ' ' }}
+  {%- set loop_messages = messages[1:] %}
+{%- else %}
+  {{- "A chat between a curious user and an artificial intelligence assistant. The assistant gives helpful, detailed, and polite answers to the user's questions. " }}
+  {%- set loop_messages = messages %}
+{%- endif %}
+{%- for message in loop_messages %}
+  {%- if message.role == 'user' %}
+    {{- 'USER: ' + message.content + ' ' }}
+  {%- elif message.role == 'assistant' %}
+    {{- 'ASSISTANT: ' + message.content + eos_token }}
+  {%- endif %}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- 'ASSISTANT:' }}
+{%- endif %}`,
+    bosToken: '<s>',
+    eosToken: '</s>',
+    stopSequences: ['</s>', 'USER:']
+  },
+
+  gemma: {
+    template: String.raw`
+{%- if messages[0].role == 'system' %}
+  {%- set system_message = messages[0].content %}
+  {%- set loop_messages = messages[1:] %}
+{%- else %}
+  {%- set loop_messages = messages %}
+{%- endif %}
+{{- bos_token }}
+{%- for message in loop_messages %}
+  {%- if (message.role == 'user') != (loop.index0 % 2 == 0) %}
+    {{- raise_exception('Conversation roles must alternate user/assistant/user/assistant/...') }}
+  {%- endif %}
+  {%- set role = 'model' if message.role == 'assistant' else message.role %}
+  {%- set content = system_message + '\n\n' + message.content if loop.first and system_message is defined else message.content %}
+  {{- '<start_of_turn>' + role + '\n' + content | trim + '<end_of_turn>\n' }}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- '<start_of_turn>model\n' }}
+{%- endif %}`,
+    bosToken: '<bos>',
+    eosToken: '<eos>',
+    stopSequences: ['<end_of_turn>', '<start_of_turn>', '<eos>']
+  },
+
+  phi3: {
+    template: String.raw`
+{%- for message in messages %}
+  {{- '<|' + message.role + '|>\n' + message.content + '<|end|>\n' }}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- '<|assistant|>\n' }}
+{%- else %}
+  {{- eos_token }}
+{%- endif %}`,
+    bosToken: '<s>',
+    eosToken: '<|endoftext|>',
+    stopSequences: ['<|end|>', '<|endoftext|>', '<|user|>']
+  },
+
+  zephyr: {
+    template: String.raw`
+{%- for message in messages %}
+  {{- '<|' + message.role + '|>\n' + message.content + eos_token + '\n' }}
+{%- endfor %}
+{%- if add_generation_prompt %}
+  {{- '<|assistant|>\n' }}
+{%- endif %}`,
+    bosToken: '<s>',
+    eosToken: '</s>',
+    stopSequences: ['</s>', '<|user|>']
+  }
+};
+
+/**
+ * Find the chat template and its special token strings for formatChatPrompt
+ * @private
+ * @param {Object} options - formatChatPrompt options
+ * @returns {{source: string, bosToken: string, eosToken: string, addBos: boolean}|null} Template, or null to use labels
+ * @throws {Error} If a preset name is unknown
+ */
+function resolveChatTemplate(options) {
+  const { template: presetName, chatTemplate, model = null, tokenizer = null } = options;
+
+  const ggufMetadata = (model && model.gguf && model.gguf.metadata) || {};
+  const tokenSource = tokenizer || (model && model.tokenizer && model.tokenizer.idToToken ? model.tokenizer : null);
+  const addBos = tokenSource ? tokenSource.addBos !== false : ggufMetadata['tokenizer.ggml.add_bos_token'] !== false;
+
+  if (presetName) {
+    const preset = Object.prototype.hasOwnProperty.call(CHAT_TEMPLATES, presetName) ? CHAT_TEMPLATES[presetName] : null;
+    if (!preset) {
+      throw new Error(`Unknown chat template '${presetName}'. Available templates: ${Object.keys(CHAT_TEMPLATES).join(', ')}`);
+    }
+    return {
+      source: preset.template,
+      bosToken: options.bosToken ?? preset.bosToken,
+      eosToken: options.eosToken ?? preset.eosToken,
+      addBos
+    };
+  }
+
+  if (chatTemplate === false) return null;
+
+  const source = chatTemplate ||
+    (tokenizer && tokenizer.chatTemplate) ||
+    ggufMetadata['tokenizer.chat_template'] ||
+    (model && model.metadata && model.metadata.chatTemplate) ||
+    (tokenSource && tokenSource.chatTemplate) ||
+    null;
+
+  if (!source) return null;
+
+  const tokenString = (name, metadataKey) => {
+    if (tokenSource && tokenSource.specialTokens && tokenSource.specialTokens[name] !== undefined) {
+      return tokenSource.idToToken(tokenSource.specialTokens[name]) || '';
+    }
+    const id = ggufMetadata[metadataKey];
+    const tokens = ggufMetadata['tokenizer.ggml.tokens'];
+    return id !== undefined && tokens && tokens[id] !== undefined ? tokens[id] : '';
+  };
+
+  return {
+    source,
+    bosToken: options.bosToken ?? tokenString('BOS', 'tokenizer.ggml.bos_token_id'),
+    eosToken: options.eosToken ?? tokenString('EOS', 'tokenizer.ggml.eos_token_id'),
+    addBos
+  };
+}
+
 /**
  * Formats a prompt for chat completion
  * 
- * @param {Array<Object>} messages - Array of message objects with role and content
+ * When a chat template is available (passed directly, or the `tokenizer.chat_template`
+ * of the model or tokenizer) it is rendered with the messages. Otherwise the messages
+ * are written out with role labels.
+ * 
+ * To get the stop sequences of a built-in format as well, use formatChatPromptWithStops().
+ * 
+ * Messages follow the ChatMessage schema from utils/messages and are validated
+ * first. Content parts are flattened to text, with image and file parts written as
+ * `[image: ...]` / `[file: ...]` references.
+ * 
+ * @param {Array<Object>} messages - Chat messages (role, content, and optionally name, tool_calls, tool_call_id)
  * @param {Object} options - Formatting options
+ * @param {string} [options.template] - Built-in format: 'chatml', 'llama2', 'llama3', 'mistral', 'alpaca', 'vicuna', 'gemma', 'phi3' or 'zephyr'
+ * @param {Object} [options.model] - Loaded model whose chat template should be used
+ * @param {Object} [options.tokenizer] - Tokenizer whose chat template should be used
+ * @param {string|false} [options.chatTemplate] - Jinja chat template, or false to always use labels
+ * @param {boolean} [options.addGenerationPrompt=true] - End the prompt with the assistant turn header
+ * @param {Object} [options.templateVariables={}] - Extra template variables, e.g. `tools`
+ * @param {string} [options.bosToken] - BOS token string (read from the model by default)
+ * @param {string} [options.eosToken] - EOS token string (read from the model by default)
  * @param {string} [options.systemPrompt=''] - System prompt to prepend
  * @param {boolean} [options.useMarkdown=false] - Whether to format in markdown
  * @param {string} [options.userLabel='User'] - Label for user messages
  * @param {string} [options.assistantLabel='Assistant'] - Label for assistant messages
  * @param {string} [options.systemLabel='System'] - Label for system messages
+ * @param {string} [options.toolLabel='Tool'] - Label for tool and function results
  * @returns {string} Formatted prompt
+ * @throws {Error} If a message is invalid or `template` is not a known format
  */
 function formatChatPrompt(messages, options = {}) {
   const {
@@ -21,34 +291,62 @@ function formatChatPrompt(messages, options = {}) {
     useMarkdown = false,
     userLabel = 'User',
     assistantLabel = 'Assistant',
-    systemLabel = 'System'
+    systemLabel = 'System',
+    toolLabel = 'Tool',
+    addGenerationPrompt = true,
+    templateVariables = {}
   } = options;
 
-  let prompt = '';
+  const conversation = normalizeMessages(systemPrompt ?
+    [{ role: 'system', content: systemPrompt }, ...messages] :
+    messages);
+  const template = resolveChatTemplate(options);
   
-  if (systemPrompt) {
-    if (useMarkdown) {
-      prompt += `**${systemLabel}**: ${systemPrompt}\n\n`;
-    } else {
-      prompt += `${systemLabel}: ${systemPrompt}\n\n`;
+  if (template) {
+    const templateMessages = conversation.map(message => ({
+      ...message,
+      content: contentToText(message.content)
+    }));
+    
+    let prompt = renderTemplate(template.source, {
+      ...templateVariables,
+      messages: templateMessages,
+      add_generation_prompt: addGenerationPrompt,
+      bos_token: template.bosToken,
+      eos_token: template.eosToken
+    });
+    
+    // The tokenizer adds BOS itself when the prompt is encoded
+    if (template.addBos && template.bosToken && prompt.startsWith(template.bosToken)) {
+      prompt = prompt.slice(template.bosToken.length);
     }
+    
+    return prompt;
   }
+
+  const labels = {
+    system: systemLabel,
+    user: userLabel,
+    assistant: assistantLabel,
+    tool: toolLabel,
+    function: toolLabel
+  };
   
-  for (const message of messages) {
-    let label = '';
+  let prompt = '';
+  
+  for (const message of conversation) {
+    const label = message.name ? `${labels[message.role]} (${message.name})` : labels[message.role];
+    let text = contentToText(message.content);
     
-    if (message.role === 'user') {
-      label = userLabel;
-    } else if (message.role === 'assistant') {
-      label = assistantLabel;
-    } else if (message.role === 'system') {
-      label = systemLabel;
+    for (const call of message.tool_calls || []) {
+      const callText = `${call.function.name}(${JSON.stringify(call.function.arguments)})`;
+      text += text ? `\n${callText}` : callText;
     }
     
     if (useMarkdown) {
-      prompt += `**${label}**: ${message.content}\n\n`;
+      prompt += `**${label}**: ${text}\n\n`;
     } else {
-      prompt += `${label}: ${message.content}\n\n`;
+      prompt += `${label}: ${text}\n\n`;
     }
   }
   
@@ -61,6 +359,25 @@ function formatChatPrompt(messages, options = {}) {
   return prompt;
 }
 
+/**
+ * Formats a prompt for chat completion together with the stop sequences that end
+ * an assistant turn, ready to pass to generate()
+ * 
+ * Built-in formats named with `template` supply their stop sequences; prompts from a
+ * model's own template or role labels have none.
+ * 
+ * @param {Array<Object>} messages - Chat messages, as for formatChatPrompt
+ * @param {Object} options - Formatting options, as for formatChatPrompt
+ * @returns {{prompt: string, stopSequences: string[]}} Formatted prompt and its stop sequences
+ * @throws {Error} If a message is invalid or `template` is not a known format
+ */
+function formatChatPromptWithStops(messages, options = {}) {
+  const prompt = formatChatPrompt(messages, options);
+  const stopSequences = options.template ? [...CHAT_TEMPLATES[options.template].stopSequences] : [];
+  
+  return { prompt, stopSequences };
+}
+
 /**
  * Formats a completion prompt
  * 
@@ -110,6 +427,13 @@ function formatInstructions(instructions, options = {}) {
   return formatted;
 }
 
+/**
+ * Pattern for common control token shapes, used when no special token list is provided.
+ * Matches `<|...|>` markers and well-known tokens such as `</s>`, but not ordinary HTML
+ * @type {RegExp}
+ */
+const DEFAULT_SPECIAL_TOKEN_PATTERN = /<\|[^|<>\s]+\|>|<\/?s>|<(?:unk|pad|eos|bos|start_of_turn|end_of_turn)>|\[\/?INST\]/g;
+
 /**
  * Cleans and normalizes text output from the model
  * 
@@ -118,19 +442,31 @@ function formatInstructions(instructions, options = {}) {
  * @param {boolean} [options.trimWhitespace=true] - Whether to trim whitespace
  * @param {boolean} [options.removeExtraNewlines=true] - Whether to remove extra newlines
  * @param {boolean} [options.removeSpecialTokens=true] - Whether to remove special tokens like <eos>
+ * @param {string[]} [options.specialTokens] - Exact special token strings to remove
+ * @param {Object} [options.tokenizer] - Tokenizer whose special tokens should be removed
  * @returns {string} Cleaned text
  */
 function cleanOutput(text, options = {}) {
   const {
     trimWhitespace = true,
     removeExtraNewlines = true,
-    removeSpecialTokens = true
+    removeSpecialTokens = true,
+    tokenizer = null
   } = options;
   
   let cleaned = text;
   
   if (removeSpecialTokens) {
-    cleaned = cleaned.replace(/<[^>]+>/g, '');
+    const specialTokens = options.specialTokens ||
+      (tokenizer && tokenizer.getSpecialTokenStrings ? tokenizer.getSpecialTokenStrings() : null);
+    
+    if (specialTokens) {
+      for (const token of specialTokens) {
+        cleaned = cleaned.split(token).join('');
+      }
+    } else {
+      cleaned = cleaned.replace(DEFAULT_SPECIAL_TOKEN_PATTERN, '');
+    }
   }
   
   if (removeExtraNewlines) {
@@ -269,7 +605,9 @@ function truncatePrompt(text, maxTokens, tokenCounter, options = {}) {
 }
 
 module.exports = {
+  CHAT_TEMPLATES,
   formatChatPrompt,
+  formatChatPromptWithStops,
   formatCompletionPrompt,
   formatInstructions,
   cleanOutput,
@@ -0,0 +1,2283 @@
+/**
+ * Sandboxed renderer for the Jinja subset used by chat templates
+ * Covers what GGUF `tokenizer.chat_template` and tokenizer_config.json templates use:
+ * output and statement tags with whitespace control, if/for/set/macro/filter blocks,
+ * loop controls, filters, tests, printf-style % formatting and Python-style string and dict methods.
+ * Templates can only reach the data passed to render(), never JavaScript internals
+ * @module utils/jinja
+ */
+
+/**
+ * Largest sequence range() may produce, as in Jinja's sandbox
+ * @type {number}
+ */
+const MAX_RANGE = 100000;
+
+/**
+ * Widest field printf-style % formatting may pad to, for the same reason
+ * @type {number}
+ */
+const MAX_FORMAT_WIDTH = 100000;
+
+/**
+ * Multi-character operators, longest first
+ * @type {string[]}
+ */
+const OPERATORS = ['//', '**', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '~', '<', '>', '|', '.', ',', ':', '(', ')', '[', ']', '{', '}', '='];
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '>', '<=', '>=']);
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Functions registered here are called with (args, kwargs) instead of spread arguments
+ * @type {WeakSet<Function>}
+ */
+const kwargFunctions = new WeakSet();
+
+/**
+ * Mutable attribute holder created by namespace()
+ */
+class Namespace {
+  /**
+   * Create a namespace
+   * @param {Object} [values={}] - Initial attributes
+   */
+  constructor(values = {}) {
+    for (const [key, value] of Object.entries(values)) {
+      defineValue(this, key, value);
+    }
+  }
+}
+
+/**
+ * Thrown by {% break %} and {% continue %}
+ * @private
+ */
+class LoopControl {
+  /**
+   * @param {string} kind - 'break' or 'continue'
+   */
+  constructor(kind) {
+    this.kind = kind;
+  }
+}
+
+/**
+ * Variable scope; lookups fall through to the parent
+ * @private
+ */
+class Scope {
+  /**
+   * @param {Scope|null} parent - Enclosing scope
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.vars = new Map();
+  }
+
+  /**
+   * Look up a variable
+   * @param {string} name - Variable name
+   * @returns {*} Value, or undefined when not set
+   */
+  get(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.vars.has(name)) return scope.vars.get(name);
+    }
+    return undefined;
+  }
+
+  /**
+   * Set a variable in this scope
+   * @param {string} name - Variable name
+   * @param {*} value - Value
+   */
+  set(name, value) {
+    this.vars.set(name, value);
+  }
+}
+
+/**
+ * Create a syntax error
+ * @private
+ * @param {string} message - Error message
+ * @param {number} line - Template line number
+ * @returns {Error} Error
+ */
+function syntaxError(message, line) {
+  return new Error(`Template syntax error on line ${line}: ${message}`);
+}
+
+/**
+ * Set an own property without invoking setters such as __proto__
+ * @private
+ * @param {Object} target - Object to set the property on
+ * @param {string} key - Property name
+ * @param {*} value - Value
+ */
+function defineValue(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Mark a function as taking (args, kwargs)
+ * @private
+ * @param {Function} fn - Function
+ * @returns {Function} The same function
+ */
+function kwargFunction(fn) {
+  kwargFunctions.add(fn);
+  return fn;
+}
+
+/**
+ * Split a template into text, output and statement chunks
+ * Applies whitespace control as Hugging Face does (trim_blocks and lstrip_blocks
+ * enabled, `-` strips all surrounding whitespace, `+` keeps it) and drops a single
+ * trailing newline as Jinja does by default
+ * @private
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Chunks ({type: 'text', value} or {type: 'output'|'block', tokens, line})
+ */
+function lexTemplate(source) {
+  source = source.replace(/\r?\n$/, '');
+  const chunks = [];
+  let pos = 0;
+  let line = 1;
+  let stripLeading = false;
+  let trimNewline = false;
+
+  const pushText = (text) => {
+    if (stripLeading) {
+      text = text.replace(/^\s+/, '');
+    } else if (trimNewline) {
+      text = text.replace(/^\r?\n/, '');
+    }
+    if (text) chunks.push({ type: 'text', value: text });
+  };
+
+  const opening = /\{[{%#]/g;
+
+  while (pos < source.length) {
+    opening.lastIndex = pos;
+    const match = opening.exec(source);
+    if (!match) {
+      pushText(source.slice(pos));
+      break;
+    }
+
+    const start = match.index;
+    const kind = source[start + 1];
+    const modifier = source[start + 2];
+    let text = source.slice(pos, start);
+
+    if (modifier === '-') {
+      text = text.replace(/\s+$/, '');
+    } else if (modifier !== '+' && kind !== '{') {
+      const lineStart = text.lastIndexOf('\n');
+      const tail = text.slice(lineStart + 1);
+      const atLineStart = lineStart !== -1 || pos === 0 || source[pos - 1] === '\n';
+      if (atLineStart && /^[ \t]*$/.test(tail)) {
+        text = text.slice(0, lineStart + 1);
+      }
+    }
+
+    pushText(text);
+    line += countNewlines(source, pos, start);
+
+    const bodyStart = start + (modifier === '-' || modifier === '+' ? 3 : 2);
+    let end;
+    let closeModifier;
+
+    if (kind === '#') {
+      const close = source.indexOf('#}', bodyStart);
+      if (close === -1) throw syntaxError('unclosed comment', line);
+      closeModifier = source[close - 1];
+      end = close + 2;
+    } else {
+      const closing = kind === '{' ? '}}' : '%}';
+      const lexed = lexExpression(source, bodyStart, line, closing);
+      closeModifier = lexed.modifier;
+      end = lexed.end;
+      chunks.push({ type: kind === '{' ? 'output' : 'block', tokens: lexed.tokens, line });
+    }
+
+    stripLeading = closeModifier === '-';
+    trimNewline = kind !== '{' && closeModifier !== '+';
+    line += countNewlines(source, start, end);
+    pos = end;
+
+    const last = chunks[chunks.length - 1];
+    if (kind === '%' && last.tokens.length === 1 && last.tokens[0].value === 'raw') {
+      chunks.pop();
+      const rawEnd = /\{%([-+]?)\s*endraw\s*([-+]?)%\}/g;
+      rawEnd.lastIndex = pos;
+      const match = rawEnd.exec(source);
+      if (!match) throw syntaxError('unclosed raw block', line);
+      let raw = source.slice(pos, match.index);
+      if (match[1] === '-') raw = raw.replace(/\s+$/, '');
+      pushText(raw);
+      stripLeading = match[2] === '-';
+      trimNewline = match[2] !== '+';
+      line += countNewlines(source, pos, rawEnd.lastIndex);
+      pos = rawEnd.lastIndex;
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Count newlines in part of a string
+ * @private
+ * @param {string} source - String
+ * @param {number} start - Start index
+ * @param {number} end - End index
+ * @returns {number} Newline count
+ */
+function countNewlines(source, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (source[i] === '\n') count++;
+  }
+  return count;
+}
+
+/**
+ * Lex the expression inside a tag up to its closing delimiter
+ * @private
+ * @param {string} source - Template source
+ * @param {number} pos - Position after the opening delimiter
+ * @param {number} line - Line number of the tag
+ * @param {string} closing - '}}' or '%}'
+ * @returns {{tokens: Array<Object>, end: number, modifier: string|undefined}} Tokens and end position
+ */
+function lexExpression(source, pos, line, closing) {
+  const tokens = [];
+  let depth = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      if (char === '\n') line++;
+      pos++;
+      continue;
+    }
+
+    if (depth === 0) {
+      if ((char === '-' || char === '+') && source.startsWith(closing, pos + 1)) {
+        return { tokens, end: pos + 1 + closing.length, modifier: char };
+      }
+      if (source.startsWith(closing, pos)) {
+        return { tokens, end: pos + closing.length, modifier: undefined };
+      }
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = lexString(source, pos, line);
+      tokens.push({ type: 'string', value, line });
+      pos = end;
+      continue;
+    }
+
+    const number = /^\d[\d_]*(\.\d+)?([eE][-+]?\d+)?/.exec(source.slice(pos, pos + 64));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0].replace(/_/g, '')), line });
+      pos += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(pos, pos + 256));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], line });
+      pos += name[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, pos));
+    if (!operator) {
+      throw syntaxError(`unexpected character '${char}'`, line);
+    }
+    if (operator === '(' || operator === '[' || operator === '{') depth++;
+    if (operator === ')' || operator === ']' || operator === '}') depth--;
+    tokens.push({ type: 'op', value: operator, line });
+    pos += operator.length;
+  }
+
+  throw syntaxError(`missing '${closing}'`, line);
+}
+
+/**
+ * Lex a quoted string literal
+ * @private
+ * @param {string} source - Template source
+ * @param {number} pos - Position of the opening quote
+ * @param {number} line - Line number
+ * @returns {{value: string, end: number}} String value and end position
+ */
+function lexString(source, pos, line) {
+  const quote = source[pos];
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '\\': '\\', "'": "'", '"': '"', '0': '\0' };
+  let value = '';
+  let i = pos + 1;
+
+  while (i < source.length && source[i] !== quote) {
+    if (source[i] === '\\' && i + 1 < source.length) {
+      const next = source[i + 1];
+      if (next === 'u' || next === 'x') {
+        const length = next === 'u' ? 4 : 2;
+        const hex = source.slice(i + 2, i + 2 + length);
+        if (/^[0-9a-fA-F]+$/.test(hex) && hex.length === length) {
+          value += String.fromCharCode(parseInt(hex, 16));
+          i += 2 + length;
+          continue;
+        }
+      }
+      if (next === '\n') {
+        i += 2;
+        continue;
+      }
+      value += escapes[next] !== undefined ? escapes[next] : '\\' + next;
+      i += 2;
+      continue;
+    }
+    value += source[i++];
+  }
+
+  if (i >= source.length) throw syntaxError('unterminated string', line);
+  return { value, end: i + 1 };
+}
+
+/**
+ * Recursive descent parser for one tag's tokens
+ * @private
+ */
+class ExpressionParser {
+  /**
+   * @param {Array<Object>} tokens - Tokens from lexExpression
+   * @param {number} line - Line number for errors
+   */
+  constructor(tokens, line) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.line = line;
+  }
+
+  /**
+   * Look at a token without consuming it
+   * @param {number} [offset=0] - Tokens ahead
+   * @returns {Object|undefined} Token
+   */
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  /**
+   * Check whether the next token has the given value
+   * @param {string} value - Operator or name
+   * @param {number} [offset=0] - Tokens ahead
+   * @returns {boolean} Whether it matches
+   */
+  at(value, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token) && token.type !== 'string' && token.value === value;
+  }
+
+  /**
+   * Consume the next token if it has the given value
+   * @param {string} value - Operator or name
+   * @returns {boolean} Whether it was consumed
+   */
+  accept(value) {
+    if (this.at(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a token with the given value or throw
+   * @param {string} value - Operator or name
+   */
+  expect(value) {
+    if (!this.accept(value)) {
+      throw this.error(`expected '${value}'`);
+    }
+  }
+
+  /**
+   * Consume a name token or throw
+   * @returns {string} Name
+   */
+  expectName() {
+    const token = this.peek();
+    if (!token || token.type !== 'name') throw this.error('expected a name');
+    this.pos++;
+    return token.value;
+  }
+
+  /**
+   * Check whether all tokens were consumed
+   * @returns {boolean} Whether the parser is at the end
+   */
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  /**
+   * Throw unless all tokens were consumed
+   */
+  expectEnd() {
+    if (!this.done()) throw this.error(`unexpected '${this.peek().value}'`);
+  }
+
+  /**
+   * Create an error pointing at the current token
+   * @param {string} message - Error message
+   * @returns {Error} Error
+   */
+  error(message) {
+    const token = this.peek();
+    return syntaxError(message, token ? token.line : this.line);
+  }
+
+  /**
+   * Parse an expression, including unparenthesized tuples
+   * @returns {Object} Expression node
+   */
+  parseTuple() {
+    const first = this.parseExpression();
+    if (!this.at(',')) return first;
+    const items = [first];
+    while (this.accept(',')) {
+      if (this.done() || this.at(')') || this.at('=')) break;
+      items.push(this.parseExpression());
+    }
+    return { type: 'tuple', items };
+  }
+
+  /**
+   * Parse a conditional expression
+   * @returns {Object} Expression node
+   */
+  parseExpression() {
+    const value = this.parseOr();
+    if (this.at('if')) {
+      this.pos++;
+      const test = this.parseOr();
+      const otherwise = this.accept('else') ? this.parseExpression() : { type: 'literal', value: undefined };
+      return { type: 'conditional', test, then: value, otherwise };
+    }
+    return value;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('or')) {
+      left = { type: 'binary', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('and')) {
+      left = { type: 'binary', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseNot() {
+    if (this.accept('not')) {
+      return { type: 'unary', op: 'not', operand: this.parseNot() };
+    }
+    return this.parseCompare();
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseCompare() {
+    const first = this.parseAdditive();
+    const ops = [];
+
+    for (;;) {
+      const token = this.peek();
+      if (token && token.type === 'op' && COMPARISON_OPERATORS.has(token.value)) {
+        this.pos++;
+        ops.push({ op: token.value, right: this.parseAdditive() });
+      } else if (this.at('in')) {
+        this.pos++;
+        ops.push({ op: 'in', right: this.parseAdditive() });
+      } else if (this.at('not') && this.at('in', 1)) {
+        this.pos += 2;
+        ops.push({ op: 'not in', right: this.parseAdditive() });
+      } else {
+        break;
+      }
+    }
+
+    return ops.length > 0 ? { type: 'compare', first, ops } : first;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseAdditive() {
+    let left = this.parseConcat();
+    while (this.at('+') || this.at('-')) {
+      const op = this.tokens[this.pos++].value;
+      left = { type: 'binary', op, left, right: this.parseConcat() };
+    }
+    return left;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseConcat() {
+    let left = this.parseMultiplicative();
+    while (this.accept('~')) {
+      left = { type: 'binary', op: '~', left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseMultiplicative() {
+    let left = this.parsePower();
+    while (this.at('*') || this.at('/') || this.at('//') || this.at('%')) {
+      const op = this.tokens[this.pos++].value;
+      left = { type: 'binary', op, left, right: this.parsePower() };
+    }
+    return left;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parsePower() {
+    let left = this.parseUnary();
+    while (this.accept('**')) {
+      left = { type: 'binary', op: '**', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  /**
+   * @returns {Object} Expression node
+   */
+  parseUnary() {
+    if (this.at('-') || this.at('+')) {
+      const op = this.tokens[this.pos++].value;
+      return this.parseFilters({ type: 'unary', op, operand: this.parseUnary() });
+    }
+    return this.parseFilters(this.parsePostfix(this.parsePrimary()));
+  }
+
+  /**
+   * Parse `| filter` and `is test` suffixes
+   * @param {Object} node - Filtered expression
+   * @returns {Object} Expression node
+   */
+  parseFilters(node) {
+    for (;;) {
+      if (this.accept('|')) {
+        const { name, args, kwargs } = this.parseFilterCall();
+        node = { type: 'filter', value: node, name, args, kwargs };
+      } else if (this.accept('is')) {
+        const negated = this.accept('not');
+        const name = this.at('none') || this.at('true') || this.at('false') ? this.tokens[this.pos++].value : this.expectTestName();
+        let args = [];
+        if (this.at('(')) {
+          args = this.parseArguments().args;
+        } else {
+          const token = this.peek();
+          if (token && (token.type === 'string' || token.type === 'number' || (token.type === 'name' && !['and', 'or', 'else', 'if', 'in', 'not', 'is'].includes(token.value)))) {
+            args = [this.parsePostfix(this.parsePrimary())];
+          }
+        }
+        node = { type: 'test', value: node, name, args, negated };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parse a test name, which may be an operator such as `==`
+   * @returns {string} Test name
+   */
+  expectTestName() {
+    const token = this.peek();
+    if (token && token.type === 'op' && COMPARISON_OPERATORS.has(token.value)) {
+      this.pos++;
+      return token.value;
+    }
+    return this.expectName();
+  }
+
+  /**
+   * Parse a filter name and optional arguments
+   * @returns {{name: string, args: Array<Object>, kwargs: Object}} Filter call
+   */
+  parseFilterCall() {
+    let name = this.expectName();
+    while (this.accept('.')) {
+      name += '.' + this.expectName();
+    }
+    const { args, kwargs } = this.at('(') ? this.parseArguments() : { args: [], kwargs: {} };
+    return { name, args, kwargs };
+  }
+
+  /**
+   * Parse attribute access, subscripts and calls
+   * @param {Object} node - Base expression
+   * @returns {Object} Expression node
+   */
+  parsePostfix(node) {
+    for (;;) {
+      if (this.accept('.')) {
+        const token = this.peek();
+        if (token && token.type === 'number' && Number.isInteger(token.value)) {
+          this.pos++;
+          node = { type: 'item', object: node, index: { type: 'literal', value: token.value } };
+        } else {
+          node = { type: 'attribute', object: node, name: this.expectName() };
+        }
+      } else if (this.accept('[')) {
+        node = this.parseSubscript(node);
+      } else if (this.at('(')) {
+        const { args, kwargs } = this.parseArguments();
+        node = { type: 'call', callee: node, args, kwargs };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parse a subscript or slice after '['
+   * @param {Object} object - Subscripted expression
+   * @returns {Object} Expression node
+   */
+  parseSubscript(object) {
+    const parts = [null];
+    while (!this.at(']')) {
+      if (this.accept(':')) {
+        parts.push(null);
+      } else {
+        if (parts[parts.length - 1] !== null) throw this.error("expected ':' or ']'");
+        parts[parts.length - 1] = this.parseExpression();
+      }
+    }
+    this.expect(']');
+
+    if (parts.length === 1) {
+      if (!parts[0]) throw this.error('empty subscript');
+      return { type: 'item', object, index: parts[0] };
+    }
+    if (parts.length > 3) throw this.error('invalid slice');
+    return { type: 'slice', object, start: parts[0], stop: parts[1], step: parts[2] || null };
+  }
+
+  /**
+   * Parse a parenthesized argument list
+   * @returns {{args: Array<Object>, kwargs: Object<string, Object>}} Arguments
+   */
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    const kwargs = {};
+
+    while (!this.accept(')')) {
+      const token = this.peek();
+      if (token && token.type === 'name' && this.at('=', 1)) {
+        this.pos += 2;
+        defineValue(kwargs, token.value, this.parseExpression());
+      } else {
+        args.push(this.parseExpression());
+      }
+      if (!this.at(')')) this.expect(',');
+    }
+
+    return { args, kwargs };
+  }
+
+  /**
+   * Parse a literal, name or bracketed expression
+   * @returns {Object} Expression node
+   */
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw this.error('unexpected end of expression');
+    this.pos++;
+
+    if (token.type === 'string') {
+      let value = token.value;
+      while (this.peek() && this.peek().type === 'string') {
+        value += this.tokens[this.pos++].value;
+      }
+      return { type: 'literal', value };
+    }
+
+    if (token.type === 'number') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'true': case 'True': return { type: 'literal', value: true };
+        case 'false': case 'False': return { type: 'literal', value: false };
+        case 'none': case 'None': return { type: 'literal', value: null };
+        default: return { type: 'name', name: token.value };
+      }
+    }
+
+    if (token.value === '(') {
+      if (this.accept(')')) return { type: 'tuple', items: [] };
+      const node = this.parseTuple();
+      this.expect(')');
+      return node;
+    }
+
+    if (token.value === '[') {
+      const items = [];
+      while (!this.accept(']')) {
+        items.push(this.parseExpression());
+        if (!this.at(']')) this.expect(',');
+      }
+      return { type: 'list', items };
+    }
+
+    if (token.value === '{') {
+      const pairs = [];
+      while (!this.accept('}')) {
+        const key = this.parseExpression();
+        this.expect(':');
+        pairs.push([key, this.parseExpression()]);
+        if (!this.at('}')) this.expect(',');
+      }
+      return { type: 'dict', pairs };
+    }
+
+    this.pos--;
+    throw this.error(`unexpected '${token.value}'`);
+  }
+
+  /**
+   * Parse an assignment target (a name, tuple of names or namespace attribute)
+   * @param {boolean} [allowAttribute=false] - Allow `ns.attr` targets
+   * @returns {Object} Target node
+   */
+  parseTarget(allowAttribute = false) {
+    const parseOne = () => {
+      const name = this.expectName();
+      if (allowAttribute && this.accept('.')) {
+        return { type: 'attribute', object: { type: 'name', name }, name: this.expectName() };
+      }
+      return { type: 'name', name };
+    };
+
+    const parenthesized = this.accept('(');
+    const items = [parseOne()];
+    while (this.accept(',')) {
+      items.push(parseOne());
+    }
+    if (parenthesized) this.expect(')');
+
+    return items.length === 1 && !parenthesized ? items[0] : { type: 'tuple', items };
+  }
+}
+
+/**
+ * Builds the statement tree from lexed chunks
+ * @private
+ */
+class TemplateParser {
+  /**
+   * @param {Array<Object>} chunks - Chunks from lexTemplate
+   */
+  constructor(chunks) {
+    this.chunks = chunks;
+    this.pos = 0;
+  }
+
+  /**
+   * Parse the whole template
+   * @returns {Array<Object>} Statement nodes
+   */
+  parse() {
+    const { body, end } = this.parseBody([]);
+    if (end) {
+      throw syntaxError(`unexpected '${end.name}'`, end.line);
+    }
+    return body;
+  }
+
+  /**
+   * Parse statements until one of the given block tags
+   * @param {string[]} endTags - Tags that end the body
+   * @returns {{body: Array<Object>, end: Object|null}} Statements and the ending tag ({name, parser, line})
+   */
+  parseBody(endTags) {
+    const body = [];
+
+    while (this.pos < this.chunks.length) {
+      const chunk = this.chunks[this.pos++];
+
+      if (chunk.type === 'text') {
+        body.push({ type: 'text', value: chunk.value });
+        continue;
+      }
+
+      const parser = new ExpressionParser(chunk.tokens, chunk.line);
+
+      if (chunk.type === 'output') {
+        const expression = parser.parseTuple();
+        parser.expectEnd();
+        body.push({ type: 'output', expression });
+        continue;
+      }
+
+      const name = parser.expectName();
+      if (endTags.includes(name)) {
+        return { body, end: { name, parser, line: chunk.line } };
+      }
+      body.push(this.parseStatement(name, parser, chunk.line));
+    }
+
+    if (endTags.length > 0) {
+      throw syntaxError(`missing '${endTags[endTags.length - 1]}'`, this.lastLine());
+    }
+    return { body, end: null };
+  }
+
+  /**
+   * Line number of the last chunk, for end-of-template errors
+   * @returns {number} Line number
+   */
+  lastLine() {
+    for (let i = this.chunks.length - 1; i >= 0; i--) {
+      if (this.chunks[i].line) return this.chunks[i].line;
+    }
+    return 1;
+  }
+
+  /**
+   * Parse one block statement
+   * @param {string} name - Tag name
+   * @param {ExpressionParser} parser - Parser over the rest of the tag
+   * @param {number} line - Line number
+   * @returns {Object} Statement node
+   */
+  parseStatement(name, parser, line) {
+    switch (name) {
+      case 'if': {
+        const branches = [];
+        let test = parser.parseExpression();
+        parser.expectEnd();
+        for (;;) {
+          const { body, end } = this.parseBody(['elif', 'else', 'endif']);
+          branches.push({ test, body });
+          if (end.name === 'elif') {
+            test = end.parser.parseExpression();
+            end.parser.expectEnd();
+            continue;
+          }
+          end.parser.expectEnd();
+          let otherwise = [];
+          if (end.name === 'else') {
+            const rest = this.parseBody(['endif']);
+            rest.end.parser.expectEnd();
+            otherwise = rest.body;
+          }
+          return { type: 'if', branches, otherwise };
+        }
+      }
+
+      case 'for': {
+        const target = parser.parseTarget();
+        parser.expect('in');
+        const iterable = parser.parseOr();
+        const filter = parser.accept('if') ? parser.parseExpression() : null;
+        if (parser.at('recursive')) throw parser.error('recursive loops are not supported');
+        parser.expectEnd();
+        const { body, end } = this.parseBody(['else', 'endfor']);
+        end.parser.expectEnd();
+        let otherwise = [];
+        if (end.name === 'else') {
+          const rest = this.parseBody(['endfor']);
+          rest.end.parser.expectEnd();
+          otherwise = rest.body;
+        }
+        return { type: 'for', target, iterable, filter, body, otherwise };
+      }
+
+      case 'set': {
+        const target = parser.parseTarget(true);
+        if (parser.accept('=')) {
+          const value = parser.parseTuple();
+          parser.expectEnd();
+          return { type: 'set', target, value };
+        }
+        const filters = [];
+        while (parser.accept('|')) {
+          filters.push(parser.parseFilterCall());
+        }
+        parser.expectEnd();
+        const { body, end } = this.parseBody(['endset']);
+        end.parser.expectEnd();
+        return { type: 'set', target, body, filters };
+      }
+
+      case 'macro': {
+        const macroName = parser.expectName();
+        const params = [];
+        parser.expect('(');
+        while (!parser.accept(')')) {
+          const param = parser.expectName();
+          params.push({ name: param, defaultValue: parser.accept('=') ? parser.parseExpression() : null });
+          if (!parser.at(')')) parser.expect(',');
+        }
+        parser.expectEnd();
+        const { body, end } = this.parseBody(['endmacro']);
+        end.parser.accept(macroName);
+        end.parser.expectEnd();
+        return { type: 'macro', name: macroName, params, body };
+      }
+
+      case 'filter': {
+        const filters = [parser.parseFilterCall()];
+        while (parser.accept('|')) {
+          filters.push(parser.parseFilterCall());
+        }
+        parser.expectEnd();
+        const { body, end } = this.parseBody(['endfilter']);
+        end.parser.expectEnd();
+        return { type: 'filterBlock', filters, body };
+      }
+
+      case 'generation': {
+        parser.expectEnd();
+        const { body, end } = this.parseBody(['endgeneration']);
+        end.parser.expectEnd();
+        return { type: 'group', body };
+      }
+
+      case 'break':
+      case 'continue':
+        parser.expectEnd();
+        return { type: name };
+
+      case 'do': {
+        const expression = parser.parseTuple();
+        parser.expectEnd();
+        return { type: 'do', expression };
+      }
+
+      default:
+        throw syntaxError(`unknown tag '${name}'`, line);
+    }
+  }
+}
+
+/**
+ * Check whether a value is a plain object (a Python dict)
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a mapping
+ */
+function isMapping(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Python truthiness
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is truthy
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (isMapping(value)) return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Convert a value to its Python str() form
+ * @private
+ * @param {*} value - Value
+ * @returns {string} String
+ */
+function toStr(value) {
+  if (value === undefined) return '';
+  if (typeof value === 'string') return value;
+  return toRepr(value);
+}
+
+/**
+ * Convert a value to its Python repr() form
+ * @private
+ * @param {*} value - Value
+ * @returns {string} String
+ */
+function toRepr(value) {
+  if (value === undefined || value === null) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'string') {
+    const quote = value.includes("'") && !value.includes('"') ? '"' : "'";
+    const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+    return quote + (quote === "'" ? escaped.replace(/'/g, "\\'") : escaped) + quote;
+  }
+  if (Array.isArray(value)) return `[${value.map(toRepr).join(', ')}]`;
+  if (isMapping(value)) {
+    return `{${Object.entries(value).map(([key, item]) => `${toRepr(key)}: ${toRepr(item)}`).join(', ')}}`;
+  }
+  if (value instanceof Namespace) return '<Namespace>';
+  if (typeof value === 'function') return '<function>';
+  return String(value);
+}
+
+/**
+ * Serialize a value like Python's json.dumps (as used by Hugging Face's tojson)
+ * @private
+ * @param {*} value - Value
+ * @param {string|null} indent - Indent string, or null for a single line
+ * @param {boolean} sortKeys - Sort object keys
+ * @param {string[]} separators - Item and key separators
+ * @param {string} [prefix=''] - Current indentation
+ * @returns {string} JSON text
+ */
+function toJson(value, indent, sortKeys, separators, prefix = '') {
+  if (value === undefined || value === null || typeof value === 'function') return 'null';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return 'NaN';
+    if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+    return JSON.stringify(value);
+  }
+  if (typeof value !== 'object') return JSON.stringify(value);
+
+  const isArray = Array.isArray(value);
+  let entries = isArray ? value.map(item => [null, item]) : Object.entries(value);
+  if (sortKeys && !isArray) entries = entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) return open + close;
+
+  const inner = indent === null ? '' : prefix + indent;
+  const items = entries.map(([key, item]) => {
+    const serialized = toJson(item, indent, sortKeys, separators, inner);
+    return inner + (isArray ? serialized : JSON.stringify(key) + separators[1] + serialized);
+  });
+
+  if (indent === null) {
+    return open + items.join(separators[0]) + close;
+  }
+  return `${open}\n${items.join(separators[0].trimEnd() + '\n')}\n${prefix}${close}`;
+}
+
+/**
+ * Deep equality for template values
+ * @private
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return a === b;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isMapping(a) && isMapping(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Convert an iterable value to an array
+ * @private
+ * @param {*} value - String, list, dict or undefined
+ * @returns {Array} Items (dict keys for mappings)
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return Array.from(value);
+  if (isMapping(value) || value instanceof Namespace) return Object.keys(value);
+  throw new Error(`Template error: ${toRepr(value)} is not iterable`);
+}
+
+/**
+ * Normalize a Python index against a length
+ * @private
+ * @param {*} index - Index
+ * @param {number} length - Sequence length
+ * @returns {number} Non-negative index (may be out of range)
+ */
+function normalizeIndex(index, length) {
+  return index < 0 ? length + index : index;
+}
+
+/**
+ * Python-style subscript
+ * @private
+ * @param {*} object - Subscripted value
+ * @param {*} index - Key or index
+ * @returns {*} Item, or undefined when missing
+ */
+function getItem(object, index) {
+  if (object === undefined || object === null) return undefined;
+  if (Array.isArray(object) && typeof index === 'number') {
+    return object[normalizeIndex(index, object.length)];
+  }
+  if (typeof object === 'string' && typeof index === 'number') {
+    const chars = Array.from(object);
+    return chars[normalizeIndex(index, chars.length)];
+  }
+  if ((isMapping(object) || object instanceof Namespace) && Object.prototype.hasOwnProperty.call(object, index)) {
+    return object[index];
+  }
+  return typeof index === 'string' ? getAttribute(object, index) : undefined;
+}
+
+/**
+ * Python-style slice
+ * @private
+ * @param {*} object - String or list
+ * @param {number|null} start - Start index
+ * @param {number|null} stop - Stop index
+ * @param {number|null} step - Step
+ * @returns {*} Sliced value
+ */
+function getSlice(object, start, stop, step) {
+  if (object === undefined || object === null) return undefined;
+  const isString = typeof object === 'string';
+  const items = isString ? Array.from(object) : toList(object);
+  const length = items.length;
+  step = step ?? 1;
+  if (step === 0) throw new Error('Template error: slice step cannot be zero');
+
+  const clamp = (value, fallback, low, high) => {
+    if (value === null || value === undefined) return fallback;
+    const index = normalizeIndex(value, length);
+    return Math.min(Math.max(index, low), high);
+  };
+
+  const result = [];
+  if (step > 0) {
+    for (let i = clamp(start, 0, 0, length); i < clamp(stop, length, 0, length); i += step) {
+      result.push(items[i]);
+    }
+  } else {
+    for (let i = clamp(start, length - 1, -1, length - 1); i > clamp(stop, -1, -1, length - 1); i += step) {
+      result.push(items[i]);
+    }
+  }
+
+  return isString ? result.join('') : result;
+}
+
+/**
+ * Strip characters from one or both ends of a string, like Python's str.strip
+ * @private
+ * @param {string} text - Text
+ * @param {string|null|undefined} chars - Characters to strip (whitespace by default)
+ * @param {boolean} left - Strip the start
+ * @param {boolean} right - Strip the end
+ * @returns {string} Stripped text
+ */
+function stripChars(text, chars, left, right) {
+  if (chars === undefined || chars === null) {
+    if (left) text = text.replace(/^\s+/, '');
+    if (right) text = text.replace(/\s+$/, '');
+    return text;
+  }
+  const set = new Set(Array.from(chars));
+  const items = Array.from(text);
+  let start = 0;
+  let end = items.length;
+  if (left) while (start < end && set.has(items[start])) start++;
+  if (right) while (end > start && set.has(items[end - 1])) end--;
+  return items.slice(start, end).join('');
+}
+
+/**
+ * Python's str.split
+ * @private
+ * @param {string} text - Text
+ * @param {string|null} [separator=null] - Separator (runs of whitespace by default)
+ * @param {number} [maxSplit=-1] - Maximum number of splits
+ * @returns {string[]} Parts
+ */
+function splitString(text, separator = null, maxSplit = -1) {
+  if (separator === null || separator === undefined) {
+    const parts = [];
+    let rest = text.replace(/^\s+/, '');
+    while (rest) {
+      if (maxSplit >= 0 && parts.length === maxSplit) {
+        parts.push(rest);
+        break;
+      }
+      const match = /\s+/.exec(rest);
+      if (!match) {
+        parts.push(rest);
+        break;
+      }
+      parts.push(rest.slice(0, match.index));
+      rest = rest.slice(match.index + match[0].length);
+    }
+    return parts;
+  }
+  if (separator === '') throw new Error('Template error: empty separator');
+  const parts = text.split(separator);
+  if (maxSplit >= 0 && parts.length > maxSplit + 1) {
+    return [...parts.slice(0, maxSplit), parts.slice(maxSplit).join(separator)];
+  }
+  return parts;
+}
+
+/**
+ * Replace occurrences of a substring, optionally limited to a count
+ * @private
+ * @param {string} text - Text
+ * @param {string} oldValue - Substring to replace
+ * @param {string} newValue - Replacement
+ * @param {number} [count=-1] - Maximum replacements
+ * @returns {string} Text with replacements
+ */
+function replaceString(text, oldValue, newValue, count = -1) {
+  const parts = text.split(toStr(oldValue));
+  if (count < 0 || parts.length - 1 <= count) return parts.join(toStr(newValue));
+  return parts.slice(0, count + 1).join(toStr(newValue)) + toStr(oldValue) + parts.slice(count + 1).join(toStr(oldValue));
+}
+
+/**
+ * Python's str.title
+ * @private
+ * @param {string} text - Text
+ * @returns {string} Title-cased text
+ */
+function titleCase(text) {
+  return text.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+/**
+ * Python's str.capitalize
+ * @private
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+}
+
+/**
+ * Python string methods available in templates
+ * @type {Object<string, Function>}
+ */
+const STRING_METHODS = {
+  strip: (text, chars) => stripChars(text, chars, true, true),
+  lstrip: (text, chars) => stripChars(text, chars, true, false),
+  rstrip: (text, chars) => stripChars(text, chars, false, true),
+  split: (text, separator, maxSplit) => splitString(text, separator, maxSplit),
+  splitlines: (text) => text.split(/\r\n|\r|\n/).filter((part, i, parts) => i < parts.length - 1 || part !== ''),
+  startswith: (text, prefix) => (Array.isArray(prefix) ? prefix : [prefix]).some(p => text.startsWith(p)),
+  endswith: (text, suffix) => (Array.isArray(suffix) ? suffix : [suffix]).some(s => text.endsWith(s)),
+  upper: (text) => text.toUpperCase(),
+  lower: (text) => text.toLowerCase(),
+  title: (text) => titleCase(text),
+  capitalize: (text) => capitalize(text),
+  replace: (text, oldValue, newValue, count) => replaceString(text, oldValue, newValue, count),
+  find: (text, sub) => text.indexOf(sub),
+  count: (text, sub) => (sub === '' ? Array.from(text).length + 1 : text.split(sub).length - 1),
+  join: (text, items) => toList(items).map(toStr).join(text),
+  isdigit: (text) => /^\d+$/.test(text),
+  isspace: (text) => /^\s+$/.test(text)
+};
+
+/**
+ * Python dict methods available in templates
+ * @type {Object<string, Function>}
+ */
+const DICT_METHODS = {
+  items: (dict) => Object.entries(dict),
+  keys: (dict) => Object.keys(dict),
+  values: (dict) => Object.values(dict),
+  get: (dict, key, fallback = null) => (Object.prototype.hasOwnProperty.call(dict, key) ? dict[key] : fallback)
+};
+
+/**
+ * Attribute access, limited to data and whitelisted methods
+ * @private
+ * @param {*} object - Value
+ * @param {string} name - Attribute name
+ * @returns {*} Attribute value, or undefined
+ */
+function getAttribute(object, name) {
+  if (object === undefined || object === null) return undefined;
+
+  if (typeof object === 'string') {
+    const method = STRING_METHODS[name];
+    return method && Object.prototype.hasOwnProperty.call(STRING_METHODS, name) ? (...args) => method(object, ...args) : undefined;
+  }
+
+  if (isMapping(object) || object instanceof Namespace || object instanceof LoopContext) {
+    if (Object.prototype.hasOwnProperty.call(object, name)) return object[name];
+    if (isMapping(object) && Object.prototype.hasOwnProperty.call(DICT_METHODS, name)) {
+      return (...args) => DICT_METHODS[name](object, ...args);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * The `loop` variable inside for loops
+ * @private
+ */
+class LoopContext {
+  /**
+   * @param {Array} items - Items being iterated
+   * @param {number} index - Zero-based index of the current item
+   */
+  constructor(items, index) {
+    const length = items.length;
+    this.index0 = index;
+    this.index = index + 1;
+    this.revindex = length - index;
+    this.revindex0 = length - index - 1;
+    this.first = index === 0;
+    this.last = index === length - 1;
+    this.length = length;
+    this.previtem = index > 0 ? items[index - 1] : undefined;
+    this.nextitem = index < length - 1 ? items[index + 1] : undefined;
+    this.cycle = (...values) => values[index % values.length];
+  }
+}
+
+/**
+ * Read an attribute path such as 'a.b' for filters that take `attribute=`
+ * @private
+ * @param {*} value - Value
+ * @param {string|number} path - Dotted attribute path
+ * @returns {*} Attribute value
+ */
+function getPath(value, path) {
+  return String(path).split('.').reduce((current, part) => getItem(current, /^\d+$/.test(part) ? Number(part) : part), value);
+}
+
+/**
+ * Compare two values for sorting
+ * @private
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {boolean} caseSensitive - Compare strings case-sensitively
+ * @returns {number} Sort order
+ */
+function compareValues(a, b, caseSensitive) {
+  if (!caseSensitive && typeof a === 'string' && typeof b === 'string') {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Apply a test by name to a value
+ * @private
+ * @param {string} name - Test name
+ * @param {*} value - Tested value
+ * @param {Array} args - Test arguments
+ * @returns {boolean} Test result
+ */
+function applyTest(name, value, args) {
+  if (!Object.prototype.hasOwnProperty.call(TESTS, name)) {
+    throw new Error(`Template error: unknown test '${name}'`);
+  }
+  return TESTS[name](value, ...args);
+}
+
+/**
+ * Apply a filter by name to a value
+ * @private
+ * @param {string} name - Filter name
+ * @param {*} value - Filtered value
+ * @param {Array} args - Positional arguments
+ * @param {Object} kwargs - Keyword arguments
+ * @returns {*} Filtered value
+ */
+function applyFilter(name, value, args, kwargs) {
+  if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+    throw new Error(`Template error: unknown filter '${name}'`);
+  }
+  return FILTERS[name](value, args, kwargs);
+}
+
+/**
+ * Shared implementation of select/reject/selectattr/rejectattr
+ * @private
+ * @param {*} value - Sequence
+ * @param {Array} args - Test name and arguments (after the attribute for *attr filters)
+ * @param {boolean} byAttribute - First argument is an attribute path
+ * @param {boolean} keep - Keep items that pass (select) or fail (reject)
+ * @returns {Array} Selected items
+ */
+function selectItems(value, args, byAttribute, keep) {
+  const [attribute, ...rest] = byAttribute ? args : [null, ...args];
+  const [testName, ...testArgs] = rest;
+  return toList(value).filter(item => {
+    const subject = byAttribute ? getPath(item, attribute) : item;
+    const passed = testName === undefined ? isTruthy(subject) : applyTest(testName, subject, testArgs);
+    return passed === keep;
+  });
+}
+
+/**
+ * Filters available in templates; each takes (value, args, kwargs)
+ * @type {Object<string, Function>}
+ */
+const FILTERS = {
+  abs: (value) => Math.abs(value),
+  attr: (value, [name]) => getAttribute(value, name),
+  batch: (value, [size, fill]) => {
+    const items = toList(value);
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+      const batch = items.slice(i, i + size);
+      while (fill !== undefined && batch.length < size) batch.push(fill);
+      batches.push(batch);
+    }
+    return batches;
+  },
+  capitalize: (value) => capitalize(toStr(value)),
+  center: (value, [width = 80]) => {
+    const text = toStr(value);
+    const total = Math.max(width - text.length, 0);
+    const left = Math.floor(total / 2) + (total % 2 && width % 2 ? 1 : 0);
+    return ' '.repeat(left) + text + ' '.repeat(total - left);
+  },
+  count: (value) => FILTERS.length(value),
+  d: (value, args, kwargs) => FILTERS.default(value, args, kwargs),
+  default: (value, [fallback = '', boolean = false], kwargs) => {
+    const useBoolean = kwargs.boolean ?? boolean;
+    const defaultValue = kwargs.default_value ?? fallback;
+    return value === undefined || (useBoolean && !isTruthy(value)) ? defaultValue : value;
+  },
+  dictsort: (value, [caseSensitive = false, by = 'key', reverse = false], kwargs) => {
+    const index = (kwargs.by ?? by) === 'value' ? 1 : 0;
+    const sorted = Object.entries(value || {}).sort((a, b) => compareValues(a[index], b[index], kwargs.case_sensitive ?? caseSensitive));
+    return (kwargs.reverse ?? reverse) ? sorted.reverse() : sorted;
+  },
+  e: (value) => FILTERS.escape(value),
+  escape: (value) => toStr(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&#34;').replace(/'/g, '&#39;'),
+  first: (value) => toList(value)[0],
+  float: (value, [fallback = 0.0]) => {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : number;
+  },
+  indent: (value, [width = 4, first = false, blank = false], kwargs) => {
+    const pad = typeof (kwargs.width ?? width) === 'string' ? (kwargs.width ?? width) : ' '.repeat(kwargs.width ?? width);
+    const lines = toStr(value).split('\n');
+    return lines.map((text, i) => {
+      if (i === 0 && !(kwargs.first ?? first)) return text;
+      if (!text && !(kwargs.blank ?? blank)) return text;
+      return pad + text;
+    }).join('\n');
+  },
+  int: (value, [fallback = 0]) => {
+    const number = typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : number;
+  },
+  items: (value) => (value === undefined ? [] : Object.entries(value)),
+  join: (value, [separator = '', attribute = null], kwargs) => {
+    const attr = kwargs.attribute ?? attribute;
+    return toList(value).map(item => toStr(attr === null ? item : getPath(item, attr))).join(toStr(kwargs.d ?? separator));
+  },
+  last: (value) => {
+    const items = toList(value);
+    return items[items.length - 1];
+  },
+  length: (value) => {
+    if (typeof value === 'string') return Array.from(value).length;
+    if (isMapping(value)) return Object.keys(value).length;
+    return toList(value).length;
+  },
+  list: (value) => [...toList(value)],
+  lower: (value) => toStr(value).toLowerCase(),
+  map: (value, args, kwargs) => {
+    const items = toList(value);
+    if (kwargs.attribute !== undefined) {
+      return items.map(item => {
+        const result = getPath(item, kwargs.attribute);
+        return result === undefined && kwargs.default !== undefined ? kwargs.default : result;
+      });
+    }
+    const [name, ...filterArgs] = args;
+    return items.map(item => applyFilter(name, item, filterArgs, {}));
+  },
+  max: (value) => toList(value).reduce((best, item) => (best === undefined || compareValues(item, best, false) > 0 ? item : best), undefined),
+  min: (value) => toList(value).reduce((best, item) => (best === undefined || compareValues(item, best, false) < 0 ? item : best), undefined),
+  reject: (value, args) => selectItems(value, args, false, false),
+  rejectattr: (value, args) => selectItems(value, args, true, false),
+  replace: (value, [oldValue, newValue, count = -1]) => replaceString(toStr(value), oldValue, newValue, count),
+  reverse: (value) => (typeof value === 'string' ? Array.from(value).reverse().join('') : [...toList(value)].reverse()),
+  round: (value, [precision = 0, method = 'common']) => {
+    const factor = Math.pow(10, precision);
+    const round = method === 'ceil' ? Math.ceil : method === 'floor' ? Math.floor : Math.round;
+    return round(value * factor) / factor;
+  },
+  safe: (value) => value,
+  select: (value, args) => selectItems(value, args, false, true),
+  selectattr: (value, args) => selectItems(value, args, true, true),
+  sort: (value, [reverse = false, caseSensitive = false, attribute = null], kwargs) => {
+    const attr = kwargs.attribute ?? attribute;
+    const key = item => (attr === null ? item : getPath(item, attr));
+    const sorted = [...toList(value)].sort((a, b) => compareValues(key(a), key(b), kwargs.case_sensitive ?? caseSensitive));
+    return (kwargs.reverse ?? reverse) ? sorted.reverse() : sorted;
+  },
+  string: (value) => toStr(value),
+  sum: (value, [attribute = null, start = 0], kwargs) => {
+    const attr = kwargs.attribute ?? attribute;
+    return toList(value).reduce((total, item) => total + (attr === null ? item : getPath(item, attr)), kwargs.start ?? start);
+  },
+  title: (value) => titleCase(toStr(value)),
+  tojson: (value, [indent = null], kwargs) => {
+    const indentValue = kwargs.indent ?? indent;
+    const indentString = indentValue === null ? null : (typeof indentValue === 'number' ? ' '.repeat(indentValue) : toStr(indentValue));
+    const separators = kwargs.separators || (indentString === null ? [', ', ': '] : [',', ': ']);
+    return toJson(value, indentString, Boolean(kwargs.sort_keys), separators);
+  },
+  trim: (value, [chars = null]) => stripChars(toStr(value), chars, true, true),
+  truncate: (value, [length = 255, killwords = false, end = '...', leeway = 5]) => {
+    const text = toStr(value);
+    if (text.length <= length + leeway) return text;
+    if (killwords) return text.slice(0, length - end.length) + end;
+    const cut = text.slice(0, length - end.length);
+    const space = cut.lastIndexOf(' ');
+    return (space > 0 ? cut.slice(0, space) : cut) + end;
+  },
+  unique: (value) => {
+    const result = [];
+    for (const item of toList(value)) {
+      if (!result.some(existing => isEqual(existing, item))) result.push(item);
+    }
+    return result;
+  },
+  upper: (value) => toStr(value).toUpperCase(),
+  wordcount: (value) => (toStr(value).match(/\w+/g) || []).length
+};
+
+/**
+ * Tests available after `is`; each takes (value, ...args)
+ * @type {Object<string, Function>}
+ */
+const TESTS = {
+  boolean: (value) => typeof value === 'boolean',
+  callable: (value) => typeof value === 'function',
+  defined: (value) => value !== undefined,
+  divisibleby: (value, divisor) => value % divisor === 0,
+  eq: (value, other) => isEqual(value, other),
+  equalto: (value, other) => isEqual(value, other),
+  even: (value) => value % 2 === 0,
+  false: (value) => value === false,
+  float: (value) => typeof value === 'number' && !Number.isInteger(value),
+  ge: (value, other) => value >= other,
+  gt: (value, other) => value > other,
+  greaterthan: (value, other) => value > other,
+  in: (value, container) => containsValue(container, value),
+  integer: (value) => Number.isInteger(value),
+  iterable: (value) => typeof value === 'string' || Array.isArray(value) || isMapping(value),
+  le: (value, other) => value <= other,
+  lower: (value) => typeof value === 'string' && value === value.toLowerCase(),
+  lt: (value, other) => value < other,
+  lessthan: (value, other) => value < other,
+  mapping: (value) => isMapping(value),
+  ne: (value, other) => !isEqual(value, other),
+  none: (value) => value === null,
+  number: (value) => typeof value === 'number',
+  odd: (value) => value % 2 === 1 || value % 2 === -1,
+  sameas: (value, other) => value === other,
+  sequence: (value) => typeof value === 'string' || Array.isArray(value) || isMapping(value),
+  string: (value) => typeof value === 'string',
+  true: (value) => value === true,
+  undefined: (value) => value === undefined,
+  upper: (value) => typeof value === 'string' && value === value.toUpperCase(),
+  '==': (value, other) => isEqual(value, other),
+  '!=': (value, other) => !isEqual(value, other),
+  '<': (value, other) => value < other,
+  '<=': (value, other) => value <= other,
+  '>': (value, other) => value > other,
+  '>=': (value, other) => value >= other
+};
+
+/**
+ * Python's `in` operator
+ * @private
+ * @param {*} container - String, list or dict
+ * @param {*} value - Value to find
+ * @returns {boolean} Whether the container holds the value
+ */
+function containsValue(container, value) {
+  if (typeof container === 'string') return typeof value === 'string' && container.includes(value);
+  if (Array.isArray(container)) return container.some(item => isEqual(item, value));
+  if (isMapping(container)) return Object.prototype.hasOwnProperty.call(container, value);
+  if (container === undefined || container === null) return false;
+  throw new Error(`Template error: cannot test membership in ${toRepr(container)}`);
+}
+
+/**
+ * printf-style conversion specifier: optional %(key), flags, width, precision and conversion
+ * @type {RegExp}
+ */
+const PERCENT_FORMAT = /%(?:\(([^)]*)\))?([-+ 0#]*)(\d+)?(?:\.(\d+))?([diouxXeEfFgGcrsa%])/g;
+
+/**
+ * Write a float in exponent notation with Python's two-digit exponent
+ * @private
+ * @param {number} value - Finite number
+ * @param {number} precision - Digits after the point
+ * @returns {string} Formatted number
+ */
+function toExponent(value, precision) {
+  return value.toExponential(precision).replace(/e([+-])(\d)$/, 'e$10$2');
+}
+
+/**
+ * Convert a number for a numeric printf-style conversion
+ * @private
+ * @param {*} value - Value to convert
+ * @param {string} conversion - Conversion character
+ * @param {number|undefined} precision - Precision, if given
+ * @param {boolean} alternate - Whether the # flag is set (keeps the trailing zeros of %g)
+ * @returns {string} Digits without the sign
+ * @throws {Error} If the value is not a number
+ */
+function formatNumber(value, conversion, precision, alternate) {
+  if (typeof value === 'boolean') value = Number(value);
+  if (typeof value !== 'number') {
+    throw new Error(`Template error: %${conversion} format: a number is required, not ${toRepr(value)}`);
+  }
+
+  const magnitude = Math.abs(value);
+  if (!Number.isFinite(magnitude)) {
+    const text = Number.isNaN(magnitude) ? 'nan' : 'inf';
+    return /[EFG]/.test(conversion) ? text.toUpperCase() : text;
+  }
+
+  switch (conversion) {
+    case 'd': case 'i': case 'u':
+      return String(Math.trunc(magnitude));
+    case 'o':
+      return Math.trunc(magnitude).toString(8);
+    case 'x':
+      return Math.trunc(magnitude).toString(16);
+    case 'X':
+      return Math.trunc(magnitude).toString(16).toUpperCase();
+    case 'e': case 'E': {
+      const text = toExponent(magnitude, precision ?? 6);
+      return conversion === 'E' ? text.toUpperCase() : text;
+    }
+    case 'f': case 'F':
+      return magnitude.toFixed(precision ?? 6);
+    default: {
+      // %g picks fixed or exponent notation by the exponent, then drops trailing zeros
+      const digits = Math.max(precision ?? 6, 1);
+      const exponent = magnitude === 0 ? 0 : Math.floor(Math.log10(Number(magnitude.toPrecision(digits))));
+      const text = exponent >= -4 && exponent < digits
+        ? magnitude.toFixed(digits - 1 - exponent)
+        : toExponent(magnitude, digits - 1);
+      const [mantissa, power] = text.split('e');
+      const trimmed = alternate || !mantissa.includes('.') ? mantissa : mantissa.replace(/\.?0+$/, '');
+      const result = power === undefined ? trimmed : `${trimmed}e${power}`;
+      return conversion === 'G' ? result.toUpperCase() : result;
+    }
+  }
+}
+
+/**
+ * Format a string with Python's printf-style % operator
+ * @private
+ * @param {string} format - Format string
+ * @param {*} values - A single value, a list (tuple) of values, or a mapping for %(key)s
+ * @returns {string} Formatted string
+ * @throws {Error} If the values do not fit the format
+ */
+function formatPercent(format, values) {
+  const args = Array.isArray(values) ? values : [values];
+  let next = 0;
+
+  const result = format.replace(PERCENT_FORMAT, (match, key, flags, width, precision, conversion) => {
+    if (conversion === '%') return '%';
+
+    let value;
+    if (key !== undefined) {
+      if (!isMapping(values)) {
+        throw new Error('Template error: format requires a mapping');
+      }
+      if (!Object.prototype.hasOwnProperty.call(values, key)) {
+        throw new Error(`Template error: format key ${toRepr(key)} is missing`);
+      }
+      value = values[key];
+    } else {
+      if (next >= args.length) {
+        throw new Error('Template error: not enough arguments for format string');
+      }
+      value = args[next++];
+    }
+
+    if (Number(width || 0) > MAX_FORMAT_WIDTH) {
+      throw new Error(`Template error: % format width is limited to ${MAX_FORMAT_WIDTH}`);
+    }
+
+    const digits = precision === undefined ? undefined : Number(precision);
+    const numeric = !'srac'.includes(conversion);
+    let sign = '';
+    let text;
+
+    if (conversion === 's' || conversion === 'r' || conversion === 'a') {
+      text = conversion === 's' ? toStr(value) : toRepr(value);
+      if (digits !== undefined) text = text.slice(0, digits);
+    } else if (conversion === 'c') {
+      text = typeof value === 'number' ? String.fromCodePoint(value) : toStr(value);
+      if (Array.from(text).length !== 1) {
+        throw new Error(`Template error: %c requires a single character, not ${toRepr(value)}`);
+      }
+    } else {
+      text = formatNumber(value, conversion, digits, flags.includes('#'));
+      // Integer conversions take the sign of the truncated value, so -0.4 gives 0
+      const negative = 'diuoxX'.includes(conversion) ? Math.trunc(value) < 0 : value < 0 || Object.is(value, -0);
+      if (negative) sign = '-';
+      else if (flags.includes('+')) sign = '+';
+      else if (flags.includes(' ')) sign = ' ';
+
+      // The # prefix goes between the sign and any zero padding, as in Python
+      if (flags.includes('#') && (conversion === 'o' || conversion === 'x' || conversion === 'X')) {
+        sign += `0${conversion}`;
+      }
+    }
+
+    const padding = Math.max(Number(width || 0) - sign.length - text.length, 0);
+    if (flags.includes('-')) return sign + text + ' '.repeat(padding);
+    if (flags.includes('0') && numeric && Number.isFinite(Number(value))) return sign + '0'.repeat(padding) + text;
+    return ' '.repeat(padding) + sign + text;
+  });
+
+  if (next < args.length && !isMapping(values)) {
+    throw new Error('Template error: not all arguments converted during string formatting');
+  }
+  return result;
+}
+
+/**
+ * Format a date like Python's strftime (common directives only)
+ * @private
+ * @param {Date} date - Date
+ * @param {string} format - Format string
+ * @returns {string} Formatted date
+ */
+function strftime(date, format) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours12 = date.getHours() % 12 || 12;
+  const directives = {
+    a: DAY_NAMES[date.getDay()].slice(0, 3),
+    A: DAY_NAMES[date.getDay()],
+    b: MONTH_NAMES[date.getMonth()].slice(0, 3),
+    B: MONTH_NAMES[date.getMonth()],
+    d: pad(date.getDate()),
+    '-d': String(date.getDate()),
+    H: pad(date.getHours()),
+    I: pad(hours12),
+    m: pad(date.getMonth() + 1),
+    '-m': String(date.getMonth() + 1),
+    M: pad(date.getMinutes()),
+    p: date.getHours() < 12 ? 'AM' : 'PM',
+    S: pad(date.getSeconds()),
+    y: pad(date.getFullYear() % 100),
+    Y: String(date.getFullYear()),
+    '%': '%'
+  };
+  return format.replace(/%(-?[a-zA-Z%])/g, (match, directive) => directives[directive] ?? match);
+}
+
+/**
+ * Functions available to every template
+ * @private
+ * @returns {Object<string, Function>} Globals
+ */
+function createGlobals() {
+  return {
+    raise_exception: (message) => {
+      throw new Error(toStr(message));
+    },
+    range: (start, stop, step = 1) => {
+      if (stop === undefined) {
+        stop = start;
+        start = 0;
+      }
+      if (step === 0) throw new Error('Template error: range() step cannot be zero');
+      const length = Math.max(Math.ceil((stop - start) / step), 0);
+      if (length > MAX_RANGE) throw new Error(`Template error: range() is limited to ${MAX_RANGE} items`);
+      return Array.from({ length }, (_, i) => start + i * step);
+    },
+    namespace: kwargFunction((args, kwargs) => new Namespace({ ...(isMapping(args[0]) ? args[0] : {}), ...kwargs })),
+    dict: kwargFunction((args, kwargs) => {
+      const result = {};
+      for (const [key, value] of [...(isMapping(args[0]) ? Object.entries(args[0]) : toList(args[0])), ...Object.entries(kwargs)]) {
+        defineValue(result, key, value);
+      }
+      return result;
+    }),
+    strftime_now: (format) => strftime(new Date(), toStr(format))
+  };
+}
+
+/**
+ * Evaluate arguments of a call or filter
+ * @private
+ * @param {Array<Object>} args - Positional argument nodes
+ * @param {Object<string, Object>} kwargs - Keyword argument nodes
+ * @param {Scope} scope - Current scope
+ * @returns {{args: Array, kwargs: Object}} Argument values
+ */
+function evaluateArguments(args, kwargs, scope) {
+  const kwargValues = {};
+  for (const [key, node] of Object.entries(kwargs)) {
+    defineValue(kwargValues, key, evaluate(node, scope));
+  }
+  return { args: args.map(arg => evaluate(arg, scope)), kwargs: kwargValues };
+}
+
+/**
+ * Apply a binary arithmetic or logical operator
+ * @private
+ * @param {string} op - Operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {*} Result
+ */
+function applyBinary(op, left, right) {
+  switch (op) {
+    case '+':
+      if (Array.isArray(left) && Array.isArray(right)) return [...left, ...right];
+      if ((typeof left === 'string') !== (typeof right === 'string')) {
+        throw new Error(`Template error: cannot add ${toRepr(left)} and ${toRepr(right)}`);
+      }
+      return left + right;
+    case '-': return left - right;
+    case '*':
+      if (typeof left === 'string' && typeof right === 'number') return left.repeat(Math.max(right, 0));
+      if (Array.isArray(left) && typeof right === 'number') return Array.from({ length: Math.max(right, 0) }, () => left).flat();
+      return left * right;
+    case '/': return left / right;
+    case '//': return Math.floor(left / right);
+    case '%':
+      if (typeof left === 'string') return formatPercent(left, right);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw new Error(`Template error: cannot apply % to ${toRepr(left)} and ${toRepr(right)}`);
+      }
+      return ((left % right) + right) % right;
+    case '**': return Math.pow(left, right);
+    case '~': return toStr(left) + toStr(right);
+    default: throw new Error(`Template error: unknown operator '${op}'`);
+  }
+}
+
+/**
+ * Apply a comparison operator
+ * @private
+ * @param {string} op - Operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} Result
+ */
+function applyCompare(op, left, right) {
+  switch (op) {
+    case '==': return isEqual(left, right);
+    case '!=': return !isEqual(left, right);
+    case '<': return left < right;
+    case '>': return left > right;
+    case '<=': return left <= right;
+    case '>=': return left >= right;
+    case 'in': return containsValue(right, left);
+    case 'not in': return !containsValue(right, left);
+    default: throw new Error(`Template error: unknown operator '${op}'`);
+  }
+}
+
+/**
+ * Evaluate an expression node
+ * @private
+ * @param {Object} node - Expression node
+ * @param {Scope} scope - Current scope
+ * @returns {*} Value
+ */
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'name':
+      return scope.get(node.name);
+
+    case 'list':
+    case 'tuple':
+      return node.items.map(item => evaluate(item, scope));
+
+    case 'dict': {
+      const result = {};
+      for (const [key, value] of node.pairs) {
+        defineValue(result, toStr(evaluate(key, scope)), evaluate(value, scope));
+      }
+      return result;
+    }
+
+    case 'attribute':
+      return getItem(evaluate(node.object, scope), node.name);
+
+    case 'item':
+      return getItem(evaluate(node.object, scope), evaluate(node.index, scope));
+
+    case 'slice': {
+      const bound = (part) => (part ? evaluate(part, scope) : null);
+      return getSlice(evaluate(node.object, scope), bound(node.start), bound(node.stop), bound(node.step));
+    }
+
+    case 'call': {
+      const callee = evaluate(node.callee, scope);
+      if (typeof callee !== 'function') {
+        throw new Error(`Template error: ${describeNode(node.callee)} is not callable`);
+      }
+      const { args, kwargs } = evaluateArguments(node.args, node.kwargs, scope);
+      if (kwargFunctions.has(callee)) return callee(args, kwargs);
+      return Object.keys(kwargs).length > 0 ? callee(...args, kwargs) : callee(...args);
+    }
+
+    case 'filter': {
+      const value = evaluate(node.value, scope);
+      const { args, kwargs } = evaluateArguments(node.args, node.kwargs, scope);
+      return applyFilter(node.name, value, args, kwargs);
+    }
+
+    case 'test': {
+      const value = evaluate(node.value, scope);
+      const result = applyTest(node.name, value, node.args.map(arg => evaluate(arg, scope)));
+      return node.negated ? !result : result;
+    }
+
+    case 'unary': {
+      const operand = evaluate(node.operand, scope);
+      if (node.op === 'not') return !isTruthy(operand);
+      return node.op === '-' ? -operand : +operand;
+    }
+
+    case 'binary': {
+      const left = evaluate(node.left, scope);
+      if (node.op === 'and') return isTruthy(left) ? evaluate(node.right, scope) : left;
+      if (node.op === 'or') return isTruthy(left) ? left : evaluate(node.right, scope);
+      return applyBinary(node.op, left, evaluate(node.right, scope));
+    }
+
+    case 'compare': {
+      let left = evaluate(node.first, scope);
+      for (const { op, right } of node.ops) {
+        const value = evaluate(right, scope);
+        if (!applyCompare(op, left, value)) return false;
+        left = value;
+      }
+      return true;
+    }
+
+    case 'conditional':
+      return isTruthy(evaluate(node.test, scope)) ? evaluate(node.then, scope) : evaluate(node.otherwise, scope);
+
+    default:
+      throw new Error(`Template error: unknown expression '${node.type}'`);
+  }
+}
+
+/**
+ * Describe an expression node for error messages
+ * @private
+ * @param {Object} node - Expression node
+ * @returns {string} Description
+ */
+function describeNode(node) {
+  if (node.type === 'name') return `'${node.name}'`;
+  if (node.type === 'attribute') return `'${node.name}'`;
+  return 'expression';
+}
+
+/**
+ * Assign a value to a target node
+ * @private
+ * @param {Object} target - Name, tuple or namespace attribute node
+ * @param {*} value - Value
+ * @param {Scope} scope - Scope to assign in
+ */
+function assign(target, value, scope) {
+  if (target.type === 'name') {
+    scope.set(target.name, value);
+    return;
+  }
+
+  if (target.type === 'attribute') {
+    const namespace = evaluate(target.object, scope);
+    if (!(namespace instanceof Namespace)) {
+      throw new Error(`Template error: cannot assign attribute on ${describeNode(target.object)}, use namespace()`);
+    }
+    defineValue(namespace, target.name, value);
+    return;
+  }
+
+  const items = toList(value);
+  if (items.length !== target.items.length) {
+    throw new Error(`Template error: expected ${target.items.length} values to unpack, got ${items.length}`);
+  }
+  target.items.forEach((item, i) => assign(item, items[i], scope));
+}
+
+/**
+ * Render statement nodes
+ * @private
+ * @param {Array<Object>} nodes - Statement nodes
+ * @param {Scope} scope - Current scope
+ * @param {string[]} output - Output parts
+ */
+function renderNodes(nodes, scope, output) {
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output.push(node.value);
+        break;
+
+      case 'output':
+        output.push(toStr(evaluate(node.expression, scope)));
+        break;
+
+      case 'if': {
+        const branch = node.branches.find(({ test }) => isTruthy(evaluate(test, scope)));
+        renderNodes(branch ? branch.body : node.otherwise, scope, output);
+        break;
+      }
+
+      case 'for':
+        renderFor(node, scope, output);
+        break;
+
+      case 'set':
+        if (node.value) {
+          assign(node.target, evaluate(node.value, scope), scope);
+        } else {
+          const parts = [];
+          renderNodes(node.body, scope, parts);
+          const value = node.filters.reduce((text, filter) => {
+            const { args, kwargs } = evaluateArguments(filter.args, filter.kwargs, scope);
+            return applyFilter(filter.name, text, args, kwargs);
+          }, parts.join(''));
+          assign(node.target, value, scope);
+        }
+        break;
+
+      case 'macro':
+        scope.set(node.name, createMacro(node, scope));
+        break;
+
+      case 'filterBlock': {
+        const parts = [];
+        renderNodes(node.body, scope, parts);
+        output.push(toStr(node.filters.reduce((value, filter) => {
+          const { args, kwargs } = evaluateArguments(filter.args, filter.kwargs, scope);
+          return applyFilter(filter.name, value, args, kwargs);
+        }, parts.join(''))));
+        break;
+      }
+
+      case 'group':
+        renderNodes(node.body, scope, output);
+        break;
+
+      case 'do':
+        evaluate(node.expression, scope);
+        break;
+
+      case 'break':
+      case 'continue':
+        throw new LoopControl(node.type);
+
+      default:
+        throw new Error(`Template error: unknown statement '${node.type}'`);
+    }
+  }
+}
+
+/**
+ * Render a for loop
+ * @private
+ * @param {Object} node - For node
+ * @param {Scope} scope - Current scope
+ * @param {string[]} output - Output parts
+ */
+function renderFor(node, scope, output) {
+  const iterable = evaluate(node.iterable, scope);
+  let items = isMapping(iterable) ? Object.keys(iterable) : toList(iterable);
+
+  if (node.filter) {
+    items = items.filter(item => {
+      const filterScope = new Scope(scope);
+      assign(node.target, item, filterScope);
+      return isTruthy(evaluate(node.filter, filterScope));
+    });
+  }
+
+  if (items.length === 0) {
+    renderNodes(node.otherwise, scope, output);
+    return;
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const loopScope = new Scope(scope);
+    loopScope.set('loop', new LoopContext(items, i));
+    assign(node.target, items[i], loopScope);
+    try {
+      renderNodes(node.body, loopScope, output);
+    } catch (error) {
+      if (!(error instanceof LoopControl)) throw error;
+      if (error.kind === 'break') break;
+    }
+  }
+}
+
+/**
+ * Create a callable for a macro definition
+ * @private
+ * @param {Object} node - Macro node
+ * @param {Scope} definitionScope - Scope the macro was defined in
+ * @returns {Function} Macro function taking (args, kwargs)
+ */
+function createMacro(node, definitionScope) {
+  return kwargFunction((args, kwargs) => {
+    const macroScope = new Scope(definitionScope);
+    node.params.forEach((param, i) => {
+      let value;
+      if (i < args.length) {
+        value = args[i];
+      } else if (Object.prototype.hasOwnProperty.call(kwargs, param.name)) {
+        value = kwargs[param.name];
+      } else if (param.defaultValue) {
+        value = evaluate(param.defaultValue, macroScope);
+      }
+      macroScope.set(param.name, value);
+    });
+    macroScope.set('varargs', args.slice(node.params.length));
+    const output = [];
+    renderNodes(node.body, macroScope, output);
+    return output.join('');
+  });
+}
+
+/**
+ * A parsed template
+ */
+class Template {
+  /**
+   * Parse a template
+   * @param {string} source - Template source
+   * @throws {Error} On syntax errors
+   */
+  constructor(source) {
+    if (typeof source !== 'string') {
+      throw new Error('Template source must be a string');
+    }
+    this.source = source;
+    this.body = new TemplateParser(lexTemplate(source)).parse();
+  }
+
+  /**
+   * Render the template
+   * @param {Object} [context={}] - Template variables
+   * @returns {string} Rendered text
+   * @throws {Error} When the template calls raise_exception or fails to evaluate
+   */
+  render(context = {}) {
+    const globals = new Scope();
+    for (const [name, value] of Object.entries(createGlobals())) {
+      globals.set(name, value);
+    }
+
+    const scope = new Scope(globals);
+    for (const [name, value] of Object.entries(context)) {
+      scope.set(name, value);
+    }
+
+    const output = [];
+    try {
+      renderNodes(this.body, scope, output);
+    } catch (error) {
+      if (error instanceof LoopControl) {
+        throw new Error(`Template error: '${error.kind}' outside of a loop`);
+      }
+      throw error;
+    }
+    return output.join('');
+  }
+}
+
+/**
+ * Parsed templates by source, since chat templates are rendered once per request
+ * @type {Map<string, Template>}
+ */
+const templateCache = new Map();
+
+/**
+ * Parse a template, reusing earlier parses of the same source
+ * @param {string} source - Template source
+ * @returns {Template} Parsed template
+ */
+function compileTemplate(source) {
+  let template = templateCache.get(source);
+  if (!template) {
+    template = new Template(source);
+    if (templateCache.size >= 32) {
+      templateCache.delete(templateCache.keys().next().value);
+    }
+    templateCache.set(source, template);
+  }
+  return template;
+}
+
+/**
+ * Render a template with the given variables
+ * @param {string} source - Template source
+ * @param {Object} [context={}] - Template variables
+ * @returns {string} Rendered text
+ */
+function renderTemplate(source, context = {}) {
+  return compileTemplate(source).render(context);
+}
+
+module.exports = {
+  Template,
+  compileTemplate,
+  renderTemplate
+};
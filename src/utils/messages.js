@@ -0,0 +1,291 @@
+/**
+ * Chat message schema shared by prompt formatting and the chat APIs
+ * @module utils/messages
+ */
+
+/**
+ * Roles a chat message may have
+ * @type {string[]}
+ */
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool', 'function'];
+
+/**
+ * @typedef {Object} TextPart
+ * @property {'text'} type - Part type
+ * @property {string} text - Text
+ */
+
+/**
+ * @typedef {Object} ImagePart
+ * @property {'image'} type - Part type
+ * @property {string} [url] - Image URL (http(s) or data URL)
+ * @property {string} [path] - Local file path
+ * @property {string} [mimeType] - Media type, e.g. 'image/png'
+ */
+
+/**
+ * @typedef {Object} FilePart
+ * @property {'file'} type - Part type
+ * @property {string} [url] - File URL
+ * @property {string} [path] - Local file path
+ * @property {string} [id] - File identifier
+ * @property {string} [name] - File name
+ * @property {string} [mimeType] - Media type
+ */
+
+/**
+ * @typedef {TextPart|ImagePart|FilePart} ContentPart
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} [id] - Call identifier, echoed by the tool message's tool_call_id
+ * @property {'function'} type - Call type
+ * @property {{name: string, arguments: Object}} function - Called function and its arguments
+ */
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'system'|'user'|'assistant'|'tool'|'function'} role - Author role
+ * @property {string|ContentPart[]|null} content - Text or typed parts (null only for assistant tool calls)
+ * @property {string} [name] - Participant name; the function name for 'function' messages
+ * @property {ToolCall[]} [tool_calls] - Tool calls made by an assistant message
+ * @property {string} [tool_call_id] - The call a 'tool' message answers
+ */
+
+/**
+ * Create a validation error for a message
+ * @private
+ * @param {number} index - Message index
+ * @param {string} detail - What is wrong
+ * @returns {Error} Error
+ */
+function messageError(index, detail) {
+  return new Error(`Invalid chat message at index ${index}: ${detail}`);
+}
+
+/**
+ * Check whether a value is a non-empty string
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Validate and normalize one content part
+ * Accepts the OpenAI `image_url` shape as an alias for image parts
+ * @private
+ * @param {*} part - Content part
+ * @param {number} index - Message index
+ * @param {number} partIndex - Part index
+ * @returns {ContentPart} Normalized part
+ * @throws {Error} If the part is malformed or of an unsupported type
+ */
+function normalizePart(part, index, partIndex) {
+  const where = `content part ${partIndex}`;
+
+  if (typeof part === 'string') {
+    return { type: 'text', text: part };
+  }
+  if (!part || typeof part !== 'object' || Array.isArray(part)) {
+    throw messageError(index, `${where} must be an object with a 'type'`);
+  }
+
+  switch (part.type) {
+    case 'text':
+      if (typeof part.text !== 'string') {
+        throw messageError(index, `${where} is a text part without a string 'text'`);
+      }
+      return { type: 'text', text: part.text };
+
+    case 'image':
+    case 'image_url': {
+      const reference = part.type === 'image_url' ? part.image_url : part;
+      const url = typeof reference === 'string' ? reference : reference && reference.url;
+      const path = reference && typeof reference === 'object' ? reference.path : undefined;
+      if (!isNonEmptyString(url) && !isNonEmptyString(path)) {
+        throw messageError(index, `${where} is an image part without a 'url' or 'path'`);
+      }
+      return {
+        type: 'image',
+        ...(url ? { url } : { path }),
+        ...(part.mimeType ? { mimeType: part.mimeType } : {})
+      };
+    }
+
+    case 'file': {
+      const reference = part.file && typeof part.file === 'object' ? part.file : part;
+      const normalized = { type: 'file' };
+      for (const key of ['url', 'path', 'id', 'name', 'mimeType']) {
+        if (reference[key] !== undefined) {
+          if (!isNonEmptyString(reference[key])) {
+            throw messageError(index, `${where} has a non-string '${key}'`);
+          }
+          normalized[key] = reference[key];
+        }
+      }
+      if (!normalized.url && !normalized.path && !normalized.id) {
+        throw messageError(index, `${where} is a file part without a 'url', 'path' or 'id'`);
+      }
+      return normalized;
+    }
+
+    default:
+      throw messageError(index, `${where} has unsupported type '${part.type}' (expected 'text', 'image' or 'file')`);
+  }
+}
+
+/**
+ * Validate and normalize one tool call
+ * String arguments are parsed so templates receive an object, as llama.cpp does
+ * @private
+ * @param {*} call - Tool call
+ * @param {number} index - Message index
+ * @param {number} callIndex - Call index
+ * @returns {ToolCall} Normalized tool call
+ * @throws {Error} If the call is malformed
+ */
+function normalizeToolCall(call, index, callIndex) {
+  const where = `tool call ${callIndex}`;
+
+  if (!call || typeof call !== 'object' || !call.function || typeof call.function !== 'object') {
+    throw messageError(index, `${where} must have a 'function' object`);
+  }
+  if (call.type !== undefined && call.type !== 'function') {
+    throw messageError(index, `${where} has unsupported type '${call.type}' (expected 'function')`);
+  }
+  if (call.id !== undefined && typeof call.id !== 'string') {
+    throw messageError(index, `${where} has a non-string 'id'`);
+  }
+  if (!isNonEmptyString(call.function.name)) {
+    throw messageError(index, `${where} is missing the function name`);
+  }
+
+  let args = call.function.arguments ?? {};
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args || '{}');
+    } catch (error) {
+      throw messageError(index, `${where} has arguments that are not valid JSON`);
+    }
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw messageError(index, `${where} arguments must be a JSON object`);
+  }
+
+  return {
+    ...(call.id !== undefined ? { id: call.id } : {}),
+    type: 'function',
+    function: { name: call.function.name, arguments: args }
+  };
+}
+
+/**
+ * Validate and normalize a chat message
+ * The result only carries schema fields, so UI state such as ids and timestamps is dropped
+ * @param {*} message - Message to check
+ * @param {number} [index=0] - Position in the conversation, for error messages
+ * @returns {ChatMessage} Normalized message
+ * @throws {Error} If the message does not follow the schema
+ */
+function normalizeMessage(message, index = 0) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw messageError(index, 'message must be an object');
+  }
+
+  const { role, content, name, tool_calls: toolCalls, tool_call_id: toolCallId } = message;
+
+  if (!MESSAGE_ROLES.includes(role)) {
+    throw messageError(index, `unknown role '${role}' (expected ${MESSAGE_ROLES.join(', ')})`);
+  }
+
+  const normalized = { role };
+
+  if (typeof content === 'string') {
+    normalized.content = content;
+  } else if (Array.isArray(content)) {
+    normalized.content = content.map((part, partIndex) => normalizePart(part, index, partIndex));
+  } else if (content === null || content === undefined) {
+    if (!(role === 'assistant' && Array.isArray(toolCalls) && toolCalls.length > 0)) {
+      throw messageError(index, `'${role}' message is missing content`);
+    }
+    normalized.content = null;
+  } else {
+    throw messageError(index, 'content must be a string or an array of content parts');
+  }
+
+  if (name !== undefined) {
+    if (!isNonEmptyString(name)) {
+      throw messageError(index, "'name' must be a non-empty string");
+    }
+    normalized.name = name;
+  } else if (role === 'function') {
+    throw messageError(index, "'function' message is missing the function 'name'");
+  }
+
+  if (toolCalls !== undefined) {
+    if (role !== 'assistant') {
+      throw messageError(index, `only assistant messages can have tool_calls, not '${role}'`);
+    }
+    if (!Array.isArray(toolCalls)) {
+      throw messageError(index, 'tool_calls must be an array');
+    }
+    normalized.tool_calls = toolCalls.map((call, callIndex) => normalizeToolCall(call, index, callIndex));
+  }
+
+  if (toolCallId !== undefined) {
+    if (role !== 'tool') {
+      throw messageError(index, `only tool messages can have a tool_call_id, not '${role}'`);
+    }
+    if (!isNonEmptyString(toolCallId)) {
+      throw messageError(index, 'tool_call_id must be a non-empty string');
+    }
+    normalized.tool_call_id = toolCallId;
+  }
+
+  if (role !== 'user' && Array.isArray(normalized.content) && normalized.content.some(part => part.type !== 'text')) {
+    throw messageError(index, `'${role}' messages can only contain text parts`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate and normalize a conversation
+ * @param {Array<Object>} messages - Messages to check
+ * @returns {ChatMessage[]} Normalized messages
+ * @throws {Error} If any message does not follow the schema
+ */
+function normalizeMessages(messages) {
+  if (!Array.isArray(messages)) {
+    throw new Error('Chat messages must be an array');
+  }
+  return messages.map((message, index) => normalizeMessage(message, index));
+}
+
+/**
+ * Flatten message content to text
+ * Image and file parts become `[image: ...]` / `[file: ...]` references
+ * @param {string|ContentPart[]|null} content - Message content
+ * @returns {string} Text
+ */
+function contentToText(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+
+  return content.map(part => {
+    if (part.type === 'text') return part.text;
+    const reference = part.url || part.path || part.name || part.id;
+    return `[${part.type}: ${reference}]`;
+  }).join('\n');
+}
+
+module.exports = {
+  MESSAGE_ROLES,
+  normalizeMessage,
+  normalizeMessages,
+  contentToText
+};
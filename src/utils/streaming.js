@@ -190,6 +190,74 @@ class TokenStream {
   }
 }
 
+/**
+ * Incremental detokenizer for streamed generation
+ * Decodes a sliding window of recent tokens instead of each token on its own, so
+ * characters split across byte tokens are held back until complete and SentencePiece
+ * word-start spaces come out exactly as they do when the whole output is decoded
+ */
+class IncrementalDetokenizer {
+  /**
+   * Create an incremental detokenizer
+   * @param {function(number[]): Promise<string>|string} decode - Decodes a token ID sequence to text
+   */
+  constructor(decode) {
+    this.decode = decode;
+    this.tokens = [];
+    this.prefixOffset = 0;
+    this.readOffset = 0;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Add a token and get the text it completes
+   * Calls are serialized, so tokens may be pushed without awaiting the previous push
+   * @param {number} tokenId - Generated token ID
+   * @returns {Promise<string>} Newly completed text (empty while a character is incomplete)
+   */
+  push(tokenId) {
+    const result = this.pending.then(() => {
+      this.tokens.push(tokenId);
+      return this._readNewText(false);
+    });
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Emit any text still held back, including incomplete characters
+   * @returns {Promise<string>} Remaining text
+   */
+  flush() {
+    const result = this.pending.then(() => this._readNewText(true));
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Decode the window and return the text added since the last read
+   * @private
+   * @param {boolean} final - Whether to emit an incomplete trailing character
+   * @returns {Promise<string>} New text
+   */
+  async _readNewText(final) {
+    if (this.readOffset >= this.tokens.length) return '';
+
+    const prefixText = this.readOffset > this.prefixOffset
+      ? await this.decode(this.tokens.slice(this.prefixOffset, this.readOffset))
+      : '';
+    const fullText = await this.decode(this.tokens.slice(this.prefixOffset));
+
+    if (!final && (fullText.length <= prefixText.length || fullText.endsWith('\uFFFD'))) {
+      return '';
+    }
+
+    this.prefixOffset = this.readOffset;
+    this.readOffset = this.tokens.length;
+    return fullText.slice(prefixText.length);
+  }
+}
+
 /**
  * Create a token stream from an array of tokens
  * @param {Array<string|number>} tokens - Tokens to stream
@@ -509,6 +577,7 @@ function createChunkedLoader(url, chunkSize = 10 * 1024 * 1024, onProgress) {
 
 module.exports = {
   TokenStream,
+  IncrementalDetokenizer,
   createTokenStream,
   collectStream,
   streamToString,
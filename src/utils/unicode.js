@@ -0,0 +1,251 @@
+/**
+ * Unicode and byte-level text utilities shared by the tokenizers
+ * @module utils/unicode
+ */
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder('utf-8');
+
+/**
+ * Build the GPT-2 byte to printable unicode character table
+ * @private
+ * @returns {{byteToChar: string[], charToByte: Map<string, number>}} Lookup tables
+ */
+function createByteLevelTables() {
+  const byteToChar = new Array(256);
+  const charToByte = new Map();
+  let extra = 0;
+
+  for (let byte = 0; byte < 256; byte++) {
+    const printable = (byte >= 0x21 && byte <= 0x7e) || (byte >= 0xa1 && byte <= 0xac) || (byte >= 0xae && byte <= 0xff);
+    const char = String.fromCharCode(printable ? byte : 256 + extra++);
+    byteToChar[byte] = char;
+    charToByte.set(char, byte);
+  }
+
+  return { byteToChar, charToByte };
+}
+
+const BYTE_LEVEL = createByteLevelTables();
+
+const GPT2_PATTERN = "'s|'t|'re|'ve|'m|'ll|'d| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+";
+const CJK_RUN_PATTERN = '[\\u{4e00}-\\u{9fa5}\\u{800}-\\u{4e00}\\u{ac00}-\\u{d7ff}]+';
+
+/**
+ * Cased letters as listed by the DeepSeek LLM tokenizer
+ * @private
+ * @type {string}
+ */
+const DEEPSEEK_LETTERS = 'A-Za-z\\u{b5}\\u{c0}-\\u{d6}\\u{d8}-\\u{f6}\\u{f8}-\\u{1ba}\\u{1bc}-\\u{1bf}\\u{1c4}-\\u{293}\\u{295}-\\u{2af}\\u{370}-\\u{373}\\u{376}-\\u{377}\\u{37b}-\\u{37d}\\u{37f}\\u{386}\\u{388}-\\u{38a}\\u{38c}\\u{38e}-\\u{3a1}\\u{3a3}-\\u{3f5}\\u{3f7}-\\u{481}\\u{48a}-\\u{52f}\\u{531}-\\u{556}\\u{10a0}-\\u{10c5}\\u{13a0}-\\u{13f5}\\u{13f8}-\\u{13fd}\\u{1c90}-\\u{1cba}\\u{1cbd}-\\u{1cbf}\\u{1d00}-\\u{1d2b}\\u{1d6b}-\\u{1d77}\\u{1d79}-\\u{1d9a}\\u{1e00}-\\u{1f15}\\u{1f18}-\\u{1f1d}\\u{1f20}-\\u{1f45}\\u{1f48}-\\u{1f4d}\\u{1f50}-\\u{1f57}\\u{1f59}\\u{1f5b}\\u{1f5d}\\u{1f5f}-\\u{1f7d}\\u{1f80}-\\u{1fb4}\\u{1fb6}-\\u{1fbc}\\u{1fbe}\\u{1fc2}-\\u{1fc4}\\u{1fc6}-\\u{1fcc}\\u{1fd0}-\\u{1fd3}\\u{1fd6}-\\u{1fdb}\\u{1fe0}-\\u{1fec}\\u{1ff2}-\\u{1ff4}\\u{1ff6}-\\u{1ffc}\\u{2102}\\u{2107}\\u{210a}-\\u{2113}\\u{2115}\\u{2119}-\\u{211d}\\u{2124}\\u{2126}\\u{2128}\\u{212a}-\\u{212d}\\u{212f}-\\u{2134}\\u{2139}\\u{213c}-\\u{213f}\\u{2145}-\\u{2149}\\u{214e}\\u{2183}-\\u{2184}\\u{2c00}-\\u{2c7b}\\u{2c7e}-\\u{2ce4}\\u{2ceb}-\\u{2cee}\\u{2cf2}-\\u{2cf3}\\u{a640}-\\u{a66d}\\u{a680}-\\u{a69b}\\u{a722}-\\u{a76f}\\u{a771}-\\u{a787}\\u{a78b}-\\u{a78e}\\u{ab70}-\\u{abbf}\\u{fb00}-\\u{fb06}\\u{fb13}-\\u{fb17}\\u{ff21}-\\u{ff3a}\\u{ff41}-\\u{ff5a}\\u{10400}-\\u{1044f}\\u{104b0}-\\u{104d3}\\u{104d8}-\\u{104fb}\\u{10c80}-\\u{10cb2}\\u{10cc0}-\\u{10cf2}\\u{118a0}-\\u{118df}\\u{1e900}-\\u{1e943}';
+
+/**
+ * Pretokenizer regular expressions for byte-level BPE vocabularies, as applied by
+ * llama.cpp for each `tokenizer.ggml.pre` value. A list is applied in order, each
+ * pattern splitting the pieces left by the previous one
+ * @type {Object<string, string|string[]>}
+ */
+const PRETOKENIZER_PATTERNS = {
+  gpt2: GPT2_PATTERN,
+  llama3: "(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+",
+  qwen2: "(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+",
+  'gpt-4o': "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|" +
+    "[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|" +
+    "\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+",
+  tekken: "[^\\r\\n\\p{L}\\p{N}]?(?:(?=\\p{L})[^a-z])*(?:(?=\\p{L})[^A-Z])+|[^\\r\\n\\p{L}\\p{N}]?(?:(?=\\p{L})[^a-z])+(?:(?=\\p{L})[^A-Z])*|" +
+    "\\p{N}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+",
+  starcoder: ['\\p{N}', GPT2_PATTERN],
+  falcon: ['[\\p{P}$+<=>^~|`]+', GPT2_PATTERN, '[0-9][0-9][0-9]'],
+  'deepseek-llm': [
+    '[\\r\\n]',
+    `\\s?[${DEEPSEEK_LETTERS}]+`,
+    '\\s?[!-/:-~\\u{ff01}-\\u{ff0f}\\u{ff1a}-\\u{ff5e}\\u{2018}-\\u{201f}\\u{3000}-\\u{3002}]+',
+    '\\s+$',
+    CJK_RUN_PATTERN,
+    '\\p{N}+'
+  ],
+  'deepseek-coder': ['[\\r\\n]', '\\s?\\p{L}+', '\\s?\\p{P}+', CJK_RUN_PATTERN, '\\p{N}'],
+  'deepseek-v3': [
+    '\\p{N}{1,3}',
+    '[\\u{4e00}-\\u{9fa5}\\u{3040}-\\u{309f}\\u{30a0}-\\u{30ff}]+',
+    "[!\"#$%&'()*+,\\-./:;<=>?@\\[\\\\\\]^_`{|}~][A-Za-z]+|[^\\r\\n\\p{L}\\p{P}\\p{S}]?[\\p{L}\\p{M}]+| ?[\\p{P}\\p{S}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+"
+  ],
+  poro: ' ?[^(\\s|.,!?\\u{2026}\\u{3002}\\u{ff0c}\\u{3001}\\u{964}\\u{6d4}\\u{60c})]+',
+  viking: [' ?[^(\\s|.,!?\\u{2026}\\u{3002}\\u{ff0c}\\u{3001}\\u{964}\\u{6d4}\\u{60c})]+', '\\p{N}']
+};
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function encodeUtf8(text) {
+  return utf8Encoder.encode(text);
+}
+
+/**
+ * Decode UTF-8 bytes to a string (invalid sequences become U+FFFD)
+ * @param {Uint8Array|number[]} bytes - UTF-8 bytes
+ * @returns {string} Decoded text
+ */
+function decodeUtf8(bytes) {
+  return utf8Decoder.decode(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+}
+
+/**
+ * Map text to the GPT-2 byte-level alphabet
+ * @param {string} text - Text to map
+ * @returns {string} Byte-level string (one character per UTF-8 byte)
+ */
+function toByteLevel(text) {
+  let mapped = '';
+  for (const byte of utf8Encoder.encode(text)) {
+    mapped += BYTE_LEVEL.byteToChar[byte];
+  }
+  return mapped;
+}
+
+/**
+ * Map byte-level characters back to their UTF-8 bytes
+ * Characters outside the byte-level alphabet are encoded as UTF-8
+ * @param {string} text - Byte-level string
+ * @param {number[]} [bytes=[]] - Array to append the bytes to
+ * @returns {number[]} Bytes
+ */
+function fromByteLevel(text, bytes = []) {
+  for (const char of text) {
+    const byte = BYTE_LEVEL.charToByte.get(char);
+    if (byte !== undefined) {
+      bytes.push(byte);
+    } else {
+      bytes.push(...utf8Encoder.encode(char));
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Split text on a pattern
+ * Behaviors follow the Hugging Face tokenizers names: 'Isolated' keeps matches as
+ * their own pieces, 'Removed' drops them, 'MergedWithPrevious'/'MergedWithNext'
+ * attach them to a neighbour and 'Contiguous' joins adjacent matches
+ * @param {string} text - Text to split
+ * @param {RegExp} pattern - Global regex
+ * @param {string} [behavior='Isolated'] - What to do with the matches
+ * @param {boolean} [invert=false] - Treat the text between matches as the matches
+ * @returns {string[]} Non-empty pieces
+ */
+function splitByPattern(text, pattern, behavior = 'Isolated', invert = false) {
+  const segments = [];
+  let end = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    if (match.index > end) {
+      segments.push({ start: end, end: match.index, isMatch: invert });
+    }
+    segments.push({ start: match.index, end: match.index + match[0].length, isMatch: !invert });
+    end = match.index + match[0].length;
+  }
+
+  if (end < text.length) {
+    segments.push({ start: end, end: text.length, isMatch: invert });
+  }
+
+  const merged = [];
+  let previousMatch = false;
+
+  switch (behavior) {
+    case 'Removed':
+      merged.push(...segments.filter(segment => !segment.isMatch));
+      break;
+    case 'MergedWithPrevious':
+      for (const segment of segments) {
+        if (segment.isMatch && !previousMatch && merged.length > 0) {
+          merged[merged.length - 1].end = segment.end;
+        } else {
+          merged.push({ ...segment });
+        }
+        previousMatch = segment.isMatch;
+      }
+      break;
+    case 'MergedWithNext':
+      for (let i = segments.length - 1; i >= 0; i--) {
+        const segment = segments[i];
+        if (segment.isMatch && !previousMatch && merged.length > 0) {
+          merged[merged.length - 1].start = segment.start;
+        } else {
+          merged.push({ ...segment });
+        }
+        previousMatch = segment.isMatch;
+      }
+      merged.reverse();
+      break;
+    case 'Contiguous':
+      for (const segment of segments) {
+        if (segment.isMatch && previousMatch) {
+          merged[merged.length - 1].end = segment.end;
+        } else {
+          merged.push({ ...segment });
+        }
+        previousMatch = segment.isMatch;
+      }
+      break;
+    default:
+      merged.push(...segments);
+  }
+
+  return merged.map(segment => text.slice(segment.start, segment.end));
+}
+
+/**
+ * Check whether a character is punctuation (Unicode P category or ASCII symbol)
+ * @param {string} char - Single character
+ * @returns {boolean} Whether the character is punctuation
+ */
+function isPunctuation(char) {
+  const code = char.codePointAt(0);
+  if ((code >= 33 && code <= 47) || (code >= 58 && code <= 64) ||
+      (code >= 91 && code <= 96) || (code >= 123 && code <= 126)) {
+    return true;
+  }
+  return /^\p{P}$/u.test(char);
+}
+
+/**
+ * Check whether a character is a CJK ideograph
+ * @param {string} char - Single character
+ * @returns {boolean} Whether the character is CJK
+ */
+function isCjk(char) {
+  const code = char.codePointAt(0);
+  return (code >= 0x4e00 && code <= 0x9fff) ||
+    (code >= 0x3400 && code <= 0x4dbf) ||
+    (code >= 0x20000 && code <= 0x2a6df) ||
+    (code >= 0x2a700 && code <= 0x2b73f) ||
+    (code >= 0x2b740 && code <= 0x2b81f) ||
+    (code >= 0x2b820 && code <= 0x2ceaf) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0x2f800 && code <= 0x2fa1f);
+}
+
+/**
+ * Remove combining accent marks
+ * @param {string} text - Text to strip
+ * @returns {string} Text without accents (NFD form)
+ */
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/\p{Mn}/gu, '');
+}
+
+module.exports = {
+  BYTE_LEVEL,
+  PRETOKENIZER_PATTERNS,
+  encodeUtf8,
+  decodeUtf8,
+  toByteLevel,
+  fromByteLevel,
+  splitByPattern,
+  isPunctuation,
+  isCjk,
+  stripAccents
+};
@@ -0,0 +1,119 @@
+const logger = require('../src/utils/logger');
+const browserAdapter = require('../src/adapters/browser');
+const { ChatSession } = require('../src/core/session');
+const { GGUFModel } = require('../src/core/model');
+const { formatChatPrompt } = require('../src/utils/formats');
+
+logger.configure({ level: 'error' });
+
+const codes = text => Array.from(text, char => char.codePointAt(0));
+
+/**
+ * Create WASM exports that stream scripted replies one character token at a time,
+ * each followed by '<|im_end|>' and more text
+ * @returns {Object} Exports; `script(replies)` sets the replies of the next calls,
+ *   and `evaluated` holds the tokens evaluated per call
+ */
+function createFakeExports() {
+  const memory = { buffer: new ArrayBuffer(1 << 20) };
+  let next = 8;
+  let replies = [];
+  let queue = [];
+
+  const exports = {
+    memory,
+    evaluated: [],
+    script: (texts) => {
+      replies = [...texts];
+      exports.evaluated = [];
+    },
+    allocateMemory: (size) => {
+      const pointer = next;
+      next += Math.ceil(size / 8) * 8;
+      return pointer;
+    },
+    freeMemory: () => {},
+    createSequence: () => 1,
+    freeSequence: () => {},
+    startStreamingGeneration: (modelId, inputPtr, inputLength, paramsPtr) => {
+      const reused = new DataView(memory.buffer, paramsPtr).getInt32(32, true);
+      exports.evaluated.push(inputLength - reused);
+      queue = codes(`${replies.shift()}<|im_end|>\nmore`);
+    },
+    getNextToken: () => {
+      if (queue.length === 0) {
+        return -1;
+      }
+      const pointer = exports.allocateMemory(4);
+      new DataView(memory.buffer).setInt32(pointer, queue.shift(), true);
+      return pointer;
+    },
+    cancelGeneration: () => {
+      queue = [];
+    }
+  };
+  return exports;
+}
+
+/**
+ * Create a loaded model on the fake WASM module with a character tokenizer
+ * @param {string} id - Model id
+ * @returns {GGUFModel} Model
+ */
+function createModel(id) {
+  const model = new GGUFModel({ id, path: id, metadata: { contextSize: 4096 }, session: { modelId: 0 } });
+  model.tokenizer = {
+    encode: async (text) => codes(text),
+    decode: async (tokens) => String.fromCodePoint(...tokens),
+    decodeToken: async (token) => String.fromCodePoint(token)
+  };
+  model.isLoaded = true;
+  return model;
+}
+
+const chatml = messages => formatChatPrompt(messages, { template: 'chatml' });
+
+describe('browser adapter sequences', () => {
+  const exports = createFakeExports();
+  const originalFetch = global.fetch;
+
+  beforeAll(async () => {
+    global.fetch = async () => new Response(new Uint8Array(8));
+    jest.spyOn(WebAssembly, 'compile').mockResolvedValue({});
+    jest.spyOn(WebAssembly, 'instantiate').mockResolvedValue({ exports });
+    await expect(browserAdapter.initializeWasm()).resolves.toBe(true);
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('keep the evaluated turn when generation ends at a stop sequence', async () => {
+    exports.script(['Hello!', 'Goodbye.']);
+    const session = new ChatSession(createModel('browser-stop'), browserAdapter, { template: 'chatml' });
+
+    await expect(session.send('Hi')).resolves.toBe('Hello!');
+    await expect(session.send('Bye')).resolves.toBe('Goodbye.');
+
+    const first = chatml([{ role: 'user', content: 'Hi' }]);
+    const second = chatml([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Bye' }
+    ]);
+    expect(exports.evaluated).toEqual([first.length, second.length - (first + 'Hello!<|im_end|').length]);
+  });
+
+  test('evaluate the whole prompt again after an abort', async () => {
+    exports.script(['Hello!', 'Goodbye.']);
+    const session = new ChatSession(createModel('browser-abort'), browserAdapter, { template: 'chatml' });
+
+    await session.stream('Hi', () => session.cancel());
+    await session.send('Bye');
+
+    // The history holds the partial reply; the prompt for 'Bye' is everything before the last reply
+    const second = chatml(session.getHistory().slice(0, -1));
+    expect(exports.evaluated[1]).toBe(second.length);
+  });
+});
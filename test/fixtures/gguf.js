@@ -0,0 +1,181 @@
+/**
+ * Hand-built GGUF files for parser tests
+ */
+
+const { GGUF_MAGIC, GGUF_VALUE_TYPES } = require('../../src/core/gguf');
+
+const T = GGUF_VALUE_TYPES;
+
+/**
+ * Write GGUF fields into a growing list of buffers
+ * @private
+ */
+class GGUFWriter {
+  /**
+   * Create a writer
+   * @param {number} version - GGUF version; v1 writes counts as uint32
+   * @param {boolean} littleEndian - Byte order
+   */
+  constructor(version, littleEndian) {
+    this.version = version;
+    this.littleEndian = littleEndian;
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /**
+   * Append a fixed-width value
+   * @param {number} type - Value type
+   * @param {number|bigint|boolean} value - Value
+   */
+  fixed(type, value) {
+    const le = this.littleEndian;
+    const sizes = { [T.UINT8]: 1, [T.INT8]: 1, [T.BOOL]: 1, [T.UINT16]: 2, [T.INT16]: 2, [T.UINT32]: 4, [T.INT32]: 4,
+      [T.FLOAT32]: 4, [T.UINT64]: 8, [T.INT64]: 8, [T.FLOAT64]: 8 };
+    const view = new DataView(new ArrayBuffer(sizes[type]));
+
+    switch (type) {
+      case T.UINT8: view.setUint8(0, value); break;
+      case T.INT8: view.setInt8(0, value); break;
+      case T.BOOL: view.setUint8(0, value ? 1 : 0); break;
+      case T.UINT16: view.setUint16(0, value, le); break;
+      case T.INT16: view.setInt16(0, value, le); break;
+      case T.UINT32: view.setUint32(0, value, le); break;
+      case T.INT32: view.setInt32(0, value, le); break;
+      case T.FLOAT32: view.setFloat32(0, value, le); break;
+      case T.UINT64: view.setBigUint64(0, BigInt(value), le); break;
+      case T.INT64: view.setBigInt64(0, BigInt(value), le); break;
+      case T.FLOAT64: view.setFloat64(0, value, le); break;
+      default: throw new Error(`Cannot write value type ${type}`);
+    }
+
+    this.bytes(new Uint8Array(view.buffer));
+  }
+
+  /**
+   * Append raw bytes
+   * @param {Uint8Array} bytes - Bytes
+   */
+  bytes(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Append a count (uint32 in v1, uint64 afterwards)
+   * @param {number} count - Count
+   */
+  count(count) {
+    this.fixed(this.version === 1 ? T.UINT32 : T.UINT64, count);
+  }
+
+  /**
+   * Append a length-prefixed UTF-8 string
+   * @param {string} text - String
+   */
+  string(text) {
+    const bytes = new TextEncoder().encode(text);
+    this.count(bytes.length);
+    this.bytes(bytes);
+  }
+
+  /**
+   * Append a metadata value
+   * @param {number} type - Value type
+   * @param {*} value - Value; arrays are `{ type, values }`
+   */
+  value(type, value) {
+    if (type === T.STRING) {
+      this.string(value);
+    } else if (type === T.ARRAY) {
+      this.fixed(T.UINT32, value.type);
+      this.count(value.values.length);
+      value.values.forEach(item => this.value(value.type, item));
+    } else {
+      this.fixed(type, value);
+    }
+  }
+
+  /**
+   * Concatenate everything written
+   * @returns {Uint8Array} File bytes
+   */
+  toBytes() {
+    const out = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+}
+
+/**
+ * Build a GGUF file
+ * @param {Object} [options={}] - File contents
+ * @param {number} [options.version=3] - GGUF version
+ * @param {boolean} [options.littleEndian=true] - Byte order
+ * @param {Array<[string, number, *]>} [options.metadata=[]] - Key, value type and value
+ * @param {Array<{name: string, dimensions: number[], type: number, offset: number}>} [options.tensors=[]] - Tensor infos
+ * @returns {Uint8Array} File bytes
+ */
+function buildGGUF({ version = 3, littleEndian = true, metadata = [], tensors = [] } = {}) {
+  const writer = new GGUFWriter(version, littleEndian);
+
+  // The magic is the bytes "GGUF" whatever the byte order
+  writer.fixed(T.UINT32, GGUF_MAGIC);
+  if (!littleEndian) {
+    writer.chunks[0].reverse();
+  }
+  writer.fixed(T.UINT32, version);
+  writer.count(tensors.length);
+  writer.count(metadata.length);
+
+  for (const [key, type, value] of metadata) {
+    writer.string(key);
+    writer.fixed(T.UINT32, type);
+    writer.value(type, value);
+  }
+
+  for (const tensor of tensors) {
+    writer.string(tensor.name);
+    writer.fixed(T.UINT32, tensor.dimensions.length);
+    tensor.dimensions.forEach(dimension => writer.count(dimension));
+    writer.fixed(T.UINT32, tensor.type);
+    writer.fixed(T.UINT64, tensor.offset);
+  }
+
+  return writer.toBytes();
+}
+
+/**
+ * One metadata entry of every value type, with the values the parser should return
+ * @type {Array<[string, number, *, *]>}
+ */
+const EVERY_VALUE_TYPE = [
+  ['u8', T.UINT8, 200, 200],
+  ['i8', T.INT8, -5, -5],
+  ['u16', T.UINT16, 60000, 60000],
+  ['i16', T.INT16, -300, -300],
+  ['u32', T.UINT32, 4000000000, 4000000000],
+  ['i32', T.INT32, -2000000000, -2000000000],
+  ['f32', T.FLOAT32, 1.5, 1.5],
+  ['bool', T.BOOL, true, true],
+  ['str', T.STRING, 'héllo ▁ 🙂', 'héllo ▁ 🙂'],
+  ['u64', T.UINT64, 2 ** 40, 2 ** 40],
+  ['u64.big', T.UINT64, 2n ** 63n, 2n ** 63n],
+  ['i64', T.INT64, -(2 ** 40), -(2 ** 40)],
+  ['f64', T.FLOAT64, Math.PI, Math.PI],
+  ['arr.u32', T.ARRAY, { type: T.UINT32, values: [1, 2, 3] }, [1, 2, 3]],
+  ['arr.str', T.ARRAY, { type: T.STRING, values: ['a', '', 'c'] }, ['a', '', 'c']],
+  ['arr.nested', T.ARRAY, {
+    type: T.ARRAY,
+    values: [{ type: T.INT8, values: [-1, 1] }, { type: T.STRING, values: ['x'] }, { type: T.BOOL, values: [] }]
+  }, [[-1, 1], ['x'], []]]
+];
+
+module.exports = {
+  buildGGUF,
+  EVERY_VALUE_TYPE
+};
@@ -0,0 +1,185 @@
+/**
+ * Small Hugging Face tokenizer.json files for tokenizer tests
+ * Each follows the layout the `tokenizers` library writes for a model family
+ */
+
+/**
+ * Build a token to ID map from a list of tokens
+ * @param {string[]} tokens - Tokens, by ID
+ * @param {number} [first=0] - ID of the first token
+ * @returns {Object<string, number>} Vocabulary
+ */
+function vocabFrom(tokens, first = 0) {
+  return Object.fromEntries(tokens.map((token, i) => [token, first + i]));
+}
+
+/**
+ * Build an added token entry
+ * @param {number} id - Token ID
+ * @param {string} content - Token string
+ * @param {boolean} [special=true] - Whether the token is special
+ * @returns {Object} Added token
+ */
+function addedToken(id, content, special = true) {
+  return { id, content, single_word: false, lstrip: false, rstrip: false, normalized: !special, special };
+}
+
+/**
+ * Build a TemplateProcessing post-processor for single sequences
+ * @param {string[]} before - Special tokens before the sequence
+ * @param {string[]} after - Special tokens after the sequence
+ * @param {Object<string, number>} ids - ID of each special token
+ * @returns {Object} Post-processor
+ */
+function template(before, after, ids) {
+  const special = id => ({ SpecialToken: { id, type_id: 0 } });
+  return {
+    type: 'TemplateProcessing',
+    single: [...before.map(special), { Sequence: { id: 'A', type_id: 0 } }, ...after.map(special)],
+    pair: [],
+    special_tokens: Object.fromEntries([...before, ...after].map(id => [id, { id, ids: [ids[id]], tokens: [id] }]))
+  };
+}
+
+/**
+ * Llama 3-style byte-level BPE: a Split pre-tokenizer with `(?i:...)` contractions,
+ * then ByteLevel without its own regex; Ġ is the byte-level space and âĤ¬ are the
+ * three bytes of €
+ */
+const byteLevelBpe = {
+  version: '1.0',
+  added_tokens: [
+    addedToken(0, '<|begin_of_text|>'),
+    addedToken(1, '<|end_of_text|>'),
+    addedToken(2, '<tool>', false)
+  ],
+  normalizer: null,
+  pre_tokenizer: {
+    type: 'Sequence',
+    pretokenizers: [
+      {
+        type: 'Split',
+        pattern: { Regex: "(?i:'s|'t|'re|'ve|'m|'ll|'d)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+" },
+        behavior: 'Isolated',
+        invert: false
+      },
+      { type: 'ByteLevel', add_prefix_space: false, trim_offsets: true, use_regex: false }
+    ]
+  },
+  post_processor: template(['<|begin_of_text|>'], [], { '<|begin_of_text|>': 0 }),
+  decoder: { type: 'ByteLevel', add_prefix_space: true, trim_offsets: true, use_regex: true },
+  model: {
+    type: 'BPE',
+    dropout: null,
+    unk_token: null,
+    continuing_subword_prefix: null,
+    end_of_word_suffix: null,
+    fuse_unk: false,
+    byte_fallback: false,
+    ignore_merges: true,
+    vocab: vocabFrom([
+      'H', 'e', 'l', 'o', 'Ġ', 'w', 'r', 'd', 'I', 'T', "'", 'S', '1', '2', '3', '4', 'â', 'Ĥ', '¬',
+      'He', 'll', 'Hell', 'Hello', 'Ġw', 'or', 'Ġwor', 'ld', 'Ġworld', "'S", '12', '123'
+    ], 3),
+    merges: ['H e', 'l l', 'He ll', 'Hell o', 'Ġ w', 'o r', 'Ġw or', 'l d', 'Ġwor ld', "' S", '1 2', '12 3']
+  }
+};
+
+/**
+ * Llama 2-style SentencePiece BPE: the normalizer adds ▁ for spaces, unknown
+ * characters fall back to byte tokens and the decoder undoes both
+ */
+const metaspaceBpe = {
+  version: '1.0',
+  added_tokens: [addedToken(0, '<unk>'), addedToken(1, '<s>'), addedToken(2, '</s>')],
+  normalizer: {
+    type: 'Sequence',
+    normalizers: [
+      { type: 'Prepend', prepend: '▁' },
+      { type: 'Replace', pattern: { String: ' ' }, content: '▁' }
+    ]
+  },
+  pre_tokenizer: null,
+  post_processor: template(['<s>'], [], { '<s>': 1 }),
+  decoder: {
+    type: 'Sequence',
+    decoders: [
+      { type: 'Replace', pattern: { String: '▁' }, content: ' ' },
+      { type: 'ByteFallback' },
+      { type: 'Fuse' },
+      { type: 'Strip', content: ' ', start: 1, stop: 0 }
+    ]
+  },
+  model: {
+    type: 'BPE',
+    dropout: null,
+    unk_token: '<unk>',
+    fuse_unk: true,
+    byte_fallback: true,
+    vocab: vocabFrom(['<unk>', '<s>', '</s>', '<0x0A>', '<0xE2>', '<0x82>', '<0xAC>', '▁', 'a', 'b', 'ab', '▁ab', 'h', 'i', '▁h', '▁hi']),
+    merges: ['a b', '▁ ab', '▁ h', '▁h i']
+  }
+};
+
+/**
+ * T5-style Unigram: multiple spaces are collapsed and NFKC applied, Metaspace
+ * splits words and `</s>` closes every sequence
+ */
+const unigram = {
+  version: '1.0',
+  added_tokens: [addedToken(0, '<pad>'), addedToken(1, '</s>'), addedToken(2, '<unk>'), addedToken(17, '<extra_id_0>')],
+  normalizer: {
+    type: 'Sequence',
+    normalizers: [
+      { type: 'Replace', pattern: { Regex: ' {2,}' }, content: ' ' },
+      { type: 'NFKC' }
+    ]
+  },
+  pre_tokenizer: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always', split: true },
+  post_processor: template([], ['</s>'], { '</s>': 1 }),
+  decoder: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always', split: true },
+  model: {
+    type: 'Unigram',
+    unk_id: 2,
+    byte_fallback: false,
+    vocab: [
+      ['<pad>', 0], ['</s>', 0], ['<unk>', 0], ['▁', -2], ['▁he', -3], ['llo', -3], ['▁hello', -4.5], ['▁hell', -4],
+      ['h', -5], ['e', -5], ['l', -5], ['o', -5], ['▁wor', -3], ['ld', -3], ['w', -5], ['r', -5], ['d', -5]
+    ]
+  }
+};
+
+/**
+ * BERT-style WordPiece: lowercasing, accent stripping and CJK splitting in the
+ * normalizer, with `[CLS]` and `[SEP]` from the template
+ */
+const wordPiece = {
+  version: '1.0',
+  added_tokens: [
+    addedToken(0, '[PAD]'),
+    addedToken(1, '[UNK]'),
+    addedToken(2, '[CLS]'),
+    addedToken(3, '[SEP]'),
+    addedToken(4, '[MASK]')
+  ],
+  normalizer: { type: 'BertNormalizer', clean_text: true, handle_chinese_chars: true, strip_accents: null, lowercase: true },
+  pre_tokenizer: { type: 'BertPreTokenizer' },
+  post_processor: template(['[CLS]'], ['[SEP]'], { '[CLS]': 2, '[SEP]': 3 }),
+  decoder: { type: 'WordPiece', prefix: '##', cleanup: true },
+  model: {
+    type: 'WordPiece',
+    unk_token: '[UNK]',
+    continuing_subword_prefix: '##',
+    max_input_chars_per_word: 100,
+    vocab: vocabFrom([
+      '[PAD]', '[UNK]', '[CLS]', '[SEP]', '[MASK]', 'hello', 'world', 'un', '##aff', '##able', ',', '!', 'cafe', '中', '文'
+    ])
+  }
+};
+
+module.exports = {
+  byteLevelBpe,
+  metaspaceBpe,
+  unigram,
+  wordPiece
+};
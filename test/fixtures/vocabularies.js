@@ -0,0 +1,174 @@
+/**
+ * Small synthetic vocabularies for tokenizer tests
+ * Each is shaped like the GGUF metadata llama.cpp writes, so the tests also go
+ * through tokenizerConfigFromGGUF
+ */
+
+const { TOKEN_TYPES } = require('../../src/core/tokenizer');
+const { BYTE_LEVEL } = require('../../src/utils/unicode');
+
+const { NORMAL, UNKNOWN, CONTROL, USER_DEFINED, BYTE } = TOKEN_TYPES;
+
+/**
+ * Build GGUF tokenizer metadata from [token, type, score] rows
+ * @param {string} model - tokenizer.ggml.model
+ * @param {Array<Array>} rows - Token, token type and score, by token id
+ * @param {Object} [extra={}] - Further metadata keys
+ * @returns {Object} GGUF metadata
+ */
+function ggufMetadata(model, rows, extra = {}) {
+  return {
+    'tokenizer.ggml.model': model,
+    'tokenizer.ggml.tokens': rows.map(([token]) => token),
+    'tokenizer.ggml.token_type': rows.map(([, type]) => type),
+    'tokenizer.ggml.scores': rows.map(([, , score]) => score ?? 0),
+    ...extra
+  };
+}
+
+/**
+ * Llama-style SentencePiece BPE vocabulary with byte-fallback tokens
+ */
+const spmBpe = ggufMetadata('llama', [
+  ['<unk>', UNKNOWN],
+  ['<s>', CONTROL],
+  ['</s>', CONTROL],
+  ['<|im_start|>', CONTROL],
+  ['<0x0A>', BYTE],
+  ['<0xE2>', BYTE],
+  ['<0x82>', BYTE],
+  ['<0xAC>', BYTE],
+  ['▁', NORMAL, -10],
+  ['a', NORMAL, -11],
+  ['b', NORMAL, -12],
+  ['ab', NORMAL, -3],
+  ['▁ab', NORMAL, -2],
+  ['▁a', NORMAL, -5],
+  ['h', NORMAL, -13],
+  ['i', NORMAL, -14],
+  ['▁h', NORMAL, -6],
+  ['▁hi', NORMAL, -4],
+  ['<tool>', USER_DEFINED]
+], {
+  'tokenizer.ggml.bos_token_id': 1,
+  'tokenizer.ggml.eos_token_id': 2,
+  'tokenizer.ggml.unknown_token_id': 0,
+  'tokenizer.ggml.add_bos_token': true
+});
+
+/**
+ * T5-style SentencePiece Unigram vocabulary, with byte-fallback tokens for €
+ */
+const spmUnigram = ggufMetadata('t5', [
+  ['<pad>', CONTROL],
+  ['</s>', CONTROL],
+  ['<unk>', UNKNOWN],
+  ['<0xE2>', BYTE],
+  ['<0x82>', BYTE],
+  ['<0xAC>', BYTE],
+  ['▁', NORMAL, -2],
+  ['▁he', NORMAL, -3],
+  ['llo', NORMAL, -3],
+  ['▁hello', NORMAL, -4.5],
+  ['▁hell', NORMAL, -4],
+  ['h', NORMAL, -5],
+  ['e', NORMAL, -5],
+  ['l', NORMAL, -5],
+  ['o', NORMAL, -5],
+  ['▁wor', NORMAL, -3],
+  ['ld', NORMAL, -3],
+  ['w', NORMAL, -5],
+  ['r', NORMAL, -5],
+  ['d', NORMAL, -5],
+  ['<extra_id_0>', USER_DEFINED]
+], {
+  'tokenizer.ggml.eos_token_id': 1,
+  'tokenizer.ggml.padding_token_id': 0,
+  'tokenizer.ggml.unknown_token_id': 2,
+  'tokenizer.ggml.add_bos_token': false,
+  'tokenizer.ggml.add_eos_token': true
+});
+
+/**
+ * GPT-2-style byte-level BPE vocabulary
+ * Ġ is the byte-level space; âĤ¬ are the three bytes of €
+ */
+const byteLevelBpe = ggufMetadata('gpt2', [
+  ['<|endoftext|>', CONTROL],
+  ['h', NORMAL],
+  ['e', NORMAL],
+  ['l', NORMAL],
+  ['o', NORMAL],
+  ['Ġ', NORMAL],
+  ['w', NORMAL],
+  ['r', NORMAL],
+  ['d', NORMAL],
+  ['â', NORMAL],
+  ['Ĥ', NORMAL],
+  ['¬', NORMAL],
+  ['he', NORMAL],
+  ['ll', NORMAL],
+  ['hell', NORMAL],
+  ['hello', NORMAL],
+  ['Ġw', NORMAL],
+  ['or', NORMAL],
+  ['Ġwor', NORMAL],
+  ['ld', NORMAL],
+  ['Ġworld', NORMAL],
+  ['âĤ', NORMAL]
+], {
+  'tokenizer.ggml.pre': 'gpt2',
+  'tokenizer.ggml.merges': ['h e', 'l l', 'he ll', 'hell o', 'Ġ w', 'o r', 'Ġw or', 'l d', 'Ġwor ld', 'â Ĥ'],
+  'tokenizer.ggml.bos_token_id': 0,
+  'tokenizer.ggml.eos_token_id': 0
+});
+
+/**
+ * BERT-style WordPiece vocabulary, as llama.cpp converts it: word starts are
+ * marked with ▁ and continuation pieces are unmarked
+ */
+const wordPiece = ggufMetadata('bert', [
+  ['[PAD]', CONTROL],
+  ['[UNK]', UNKNOWN],
+  ['[CLS]', CONTROL],
+  ['[SEP]', CONTROL],
+  ['[MASK]', CONTROL],
+  ['▁hello', NORMAL],
+  ['▁world', NORMAL],
+  ['▁un', NORMAL],
+  ['aff', NORMAL],
+  ['able', NORMAL],
+  ['▁,', NORMAL],
+  ['▁!', NORMAL]
+], {
+  'tokenizer.ggml.unknown_token_id': 1,
+  'tokenizer.ggml.cls_token_id': 2,
+  'tokenizer.ggml.seperator_token_id': 3,
+  'tokenizer.ggml.padding_token_id': 0,
+  'tokenizer.ggml.mask_token_id': 4
+});
+
+/**
+ * Byte-level BPE vocabulary holding every byte, for comparing pretokenizers
+ * The merges join digits into 12, 34, 123 and 45 ('3 4' ranks first), contractions
+ * and a full stop followed by newlines; Ċ is the byte-level newline
+ * @param {string} pre - tokenizer.ggml.pre
+ * @returns {Object} GGUF metadata
+ */
+function pretokenizerBpe(pre) {
+  const merged = ['34', '12', '123', '45', "'s", "'S", '.Ċ', '.ĊĊ', 'ĊĊ'];
+  const rows = [...BYTE_LEVEL.byteToChar, ...merged].map(token => [token, NORMAL]);
+
+  return ggufMetadata('gpt2', rows, {
+    'tokenizer.ggml.pre': pre,
+    'tokenizer.ggml.merges': ['3 4', '1 2', '12 3', '4 5', "' s", "' S", '. Ċ', '.Ċ Ċ', 'Ċ Ċ']
+  });
+}
+
+module.exports = {
+  spmBpe,
+  spmUnigram,
+  byteLevelBpe,
+  wordPiece,
+  pretokenizerBpe
+};
@@ -0,0 +1,32 @@
+const { CHAT_TEMPLATES, formatChatPrompt, formatChatPromptWithStops } = require('../src/utils/formats');
+
+const MESSAGES = [{ role: 'user', content: 'Hi' }];
+
+describe('formatChatPrompt', () => {
+  test('returns a string for a built-in format', () => {
+    expect(formatChatPrompt(MESSAGES, { template: 'chatml' }))
+      .toBe('<|im_start|>user\nHi<|im_end|>\n<|im_start|>assistant\n');
+  });
+
+  test('returns a string with role labels', () => {
+    expect(typeof formatChatPrompt(MESSAGES)).toBe('string');
+  });
+});
+
+describe('formatChatPromptWithStops', () => {
+  test('returns the stop sequences of a built-in format', () => {
+    const { prompt, stopSequences } = formatChatPromptWithStops(MESSAGES, { template: 'chatml' });
+
+    expect(prompt).toBe(formatChatPrompt(MESSAGES, { template: 'chatml' }));
+    expect(stopSequences).toEqual(CHAT_TEMPLATES.chatml.stopSequences);
+    expect(stopSequences).not.toBe(CHAT_TEMPLATES.chatml.stopSequences);
+  });
+
+  test('returns no stop sequences without a built-in format', () => {
+    expect(formatChatPromptWithStops(MESSAGES).stopSequences).toEqual([]);
+  });
+
+  test('throws for an unknown format', () => {
+    expect(() => formatChatPromptWithStops(MESSAGES, { template: 'nope' })).toThrow("Unknown chat template 'nope'");
+  });
+});
@@ -0,0 +1,86 @@
+const { GenerationOptions } = require('../src/core/model');
+
+describe('GenerationOptions', () => {
+  test('accepts the defaults', () => {
+    const options = new GenerationOptions();
+
+    expect(options).toMatchObject({ maxTokens: 100, temperature: 0.7, topP: 0.9, topK: 40, seed: undefined, logprobs: false });
+  });
+
+  test.each([
+    [{ maxTokens: 1 }],
+    [{ temperature: 0 }],
+    [{ temperature: 2 }],
+    [{ topP: 0, topK: 0, minP: 1 }],
+    [{ typicalP: 1, tfsZ: 1 }],
+    [{ presencePenalty: -2, frequencyPenalty: 2 }],
+    [{ repeatLastN: -1 }],
+    [{ mirostat: 1, mirostatTau: 0, mirostatEta: 1 }],
+    [{ topLogprobs: 20 }],
+    [{ dynatempRange: 0.5, dynatempExponent: 0.1 }],
+    [{ seed: 0 }],
+    [{ seed: 4294967295 }],
+    [{ logitBias: { 5: -Infinity, 7: 2.5 } }],
+    [{ logitBias: new Map([[5, -1]]) }]
+  ])('accepts %j', (options) => {
+    expect(() => new GenerationOptions(options)).not.toThrow();
+  });
+
+  test.each([
+    [{ maxTokens: 0 }, 'maxTokens must be an integer at least 1, got 0'],
+    [{ maxTokens: 1.5 }, 'maxTokens must be an integer at least 1, got 1.5'],
+    [{ temperature: -0.1 }, 'temperature must be a number from 0 to 2, got -0.1'],
+    [{ temperature: 1000 }, 'temperature must be a number from 0 to 2, got 1000'],
+    [{ temperature: NaN }, 'temperature must be a number from 0 to 2, got NaN'],
+    [{ temperature: '1' }, 'temperature must be a number from 0 to 2, got 1'],
+    [{ topP: 1.1 }, 'topP must be a number from 0 to 1, got 1.1'],
+    [{ topK: -1 }, 'topK must be an integer at least 0, got -1'],
+    [{ minP: -0.1 }, 'minP must be a number from 0 to 1, got -0.1'],
+    [{ typicalP: 0 }, 'typicalP must be a number greater than 0 and at most 1, got 0'],
+    [{ tfsZ: 1.5 }, 'tfsZ must be a number greater than 0 and at most 1, got 1.5'],
+    [{ repetitionPenalty: 0 }, 'repetitionPenalty must be a number greater than 0, got 0'],
+    [{ presencePenalty: 3 }, 'presencePenalty must be a number from -2 to 2, got 3'],
+    [{ frequencyPenalty: -3 }, 'frequencyPenalty must be a number from -2 to 2, got -3'],
+    [{ repeatLastN: -2 }, 'repeatLastN must be an integer at least -1, got -2'],
+    [{ mirostat: 3 }, 'mirostat must be 0 (off), 1 or 2, got 3'],
+    [{ mirostatTau: -1 }, 'mirostatTau must be a number at least 0, got -1'],
+    [{ mirostatEta: 0 }, 'mirostatEta must be a number greater than 0 and at most 1, got 0'],
+    [{ topLogprobs: 21 }, 'topLogprobs must be an integer from 0 to 20, got 21'],
+    [{ dynatempRange: -1 }, 'dynatempRange must be a number at least 0, got -1'],
+    [{ dynatempExponent: 0 }, 'dynatempExponent must be a number greater than 0, got 0'],
+    [{ seed: -1 }, 'seed must be an integer from 0 to 4294967295, got -1'],
+    [{ seed: 2 ** 32 }, 'seed must be an integer from 0 to 4294967295, got 4294967296'],
+    [{ logitBias: [] }, 'logitBias must be an object or Map from token ids to biases'],
+    [{ logitBias: { a: 1 } }, "logitBias keys must be token ids, got 'a'"],
+    [{ logitBias: { 1: Infinity } }, 'logitBias for token 1 must be a finite number or -Infinity, got Infinity'],
+    [{ logitBias: new Map([[1, NaN]]) }, 'logitBias for token 1 must be a finite number or -Infinity, got NaN']
+  ])('rejects %j', (options, message) => {
+    expect(() => new GenerationOptions(options)).toThrow(message);
+  });
+
+  test('treats topLogprobs as a request for logprobs', () => {
+    expect(new GenerationOptions({ topLogprobs: 3 }).logprobs).toBe(true);
+    expect(new GenerationOptions({ logprobs: true }).topLogprobs).toBe(0);
+  });
+
+  describe('resolveSeed', () => {
+    test('keeps a given seed', () => {
+      expect(new GenerationOptions({ seed: 7, temperature: 1 }).resolveSeed()).toMatchObject({ seed: 7, temperature: 1 });
+    });
+
+    test('decodes greedily with seed 0 when deterministic without a seed', () => {
+      expect(new GenerationOptions({ deterministic: true, temperature: 1 }).resolveSeed()).toMatchObject({ seed: 0, temperature: 0 });
+    });
+
+    test('keeps sampling with a seed when deterministic', () => {
+      expect(new GenerationOptions({ deterministic: true, seed: 3, temperature: 1 }).resolveSeed()).toMatchObject({ seed: 3, temperature: 1 });
+    });
+
+    test('picks a random seed otherwise', () => {
+      const { seed } = new GenerationOptions().resolveSeed();
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThanOrEqual(4294967295);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/utils/logger');
+const { readGGUFMetadata, summarizeGGUFMetadata, GGUF_VALUE_TYPES: T } = require('../src/core/gguf');
+const { buildGGUF, EVERY_VALUE_TYPE } = require('./fixtures/gguf');
+
+logger.configure({ level: 'error' });
+
+const ALL_TYPES = EVERY_VALUE_TYPE.map(([key, type, value]) => [key, type, value]);
+const EXPECTED = Object.fromEntries(EVERY_VALUE_TYPE.map(([key, , , expected]) => [key, expected]));
+
+const TENSORS = [
+  { name: 'token_embd.weight', dimensions: [64, 10], type: 12, offset: 0 },
+  { name: 'output_norm.weight', dimensions: [64], type: 0, offset: 4096 }
+];
+
+/**
+ * Serve bytes through a fake fetch
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} [options={}] - Server behaviour
+ * @param {boolean} [options.ranges=true] - Whether Range headers are honoured
+ * @param {Object} [stats={}] - Receives requests, pulled chunks and whether the body was cancelled
+ * @returns {function} fetch replacement
+ */
+function fakeFetch(bytes, { ranges = true } = {}, stats = {}) {
+  Object.assign(stats, { requests: 0, pulled: 0, cancelled: false });
+
+  return async (url, { headers }) => {
+    stats.requests++;
+    const [, start, end] = /bytes=(\d+)-(\d+)/.exec(headers.Range).map(Number);
+
+    if (ranges) {
+      return new Response(bytes.slice(start, end + 1), { status: 206 });
+    }
+
+    // The whole file, 100 bytes at a time, as the reader pulls it
+    let offset = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        if (offset >= bytes.length) {
+          controller.close();
+          return;
+        }
+        stats.pulled++;
+        controller.enqueue(bytes.slice(offset, offset + 100));
+        offset += 100;
+      },
+      cancel() {
+        stats.cancelled = true;
+      }
+    });
+    return new Response(body, { status: 200 });
+  };
+}
+
+describe('readGGUFMetadata', () => {
+  test.each([1, 2, 3])('reads every value type in version %i', async (version) => {
+    const header = await readGGUFMetadata(buildGGUF({ version, metadata: ALL_TYPES }));
+
+    expect(header.version).toBe(version);
+    expect(header.littleEndian).toBe(true);
+    expect(header.metadata).toEqual(EXPECTED);
+  });
+
+  test('reads big-endian files', async () => {
+    const header = await readGGUFMetadata(buildGGUF({ littleEndian: false, metadata: ALL_TYPES, tensors: TENSORS }));
+
+    expect(header.littleEndian).toBe(false);
+    expect(header.metadata).toEqual(EXPECTED);
+    expect(header.tensors.map(tensor => tensor.dimensions)).toEqual([[64, 10], [64]]);
+  });
+
+  test('reads the tensor table and aligns the data offset', async () => {
+    const bytes = buildGGUF({ metadata: [['general.alignment', T.UINT32, 64]], tensors: TENSORS });
+    const header = await readGGUFMetadata(bytes);
+
+    expect(header.tensorCount).toBe(2);
+    expect(header.alignment).toBe(64);
+    expect(header.tensors).toEqual([
+      { name: 'token_embd.weight', dimensions: [64, 10], type: 12, typeName: 'q4_k', offset: 0 },
+      { name: 'output_norm.weight', dimensions: [64], type: 0, typeName: 'f32', offset: 4096 }
+    ]);
+    expect(header.tensorDataOffset).toBe(Math.ceil(bytes.length / 64) * 64);
+  });
+
+  test('skips the tensor table when asked', async () => {
+    const header = await readGGUFMetadata(buildGGUF({ tensors: TENSORS }), { includeTensors: false });
+
+    expect(header.tensorCount).toBe(2);
+    expect(header.tensors).toEqual([]);
+    expect(header.tensorDataOffset).toBeNull();
+  });
+
+  test('reads across chunk boundaries', async () => {
+    const header = await readGGUFMetadata(buildGGUF({ metadata: ALL_TYPES, tensors: TENSORS }), { chunkSize: 3 });
+    expect(header.metadata).toEqual(EXPECTED);
+    expect(header.tensors).toHaveLength(2);
+  });
+
+  test('rejects files that are not GGUF', async () => {
+    await expect(readGGUFMetadata(new Uint8Array(16))).rejects.toThrow('Not a GGUF file');
+
+    const bytes = buildGGUF();
+    new DataView(bytes.buffer).setUint32(4, 4, true);
+    await expect(readGGUFMetadata(bytes)).rejects.toThrow('Unsupported GGUF version: 4');
+  });
+
+  test('rejects truncated files', async () => {
+    const bytes = buildGGUF({ metadata: ALL_TYPES });
+    await expect(readGGUFMetadata(bytes.subarray(0, bytes.length - 3))).rejects.toThrow('Unexpected end of GGUF data');
+  });
+
+  describe('sources', () => {
+    const bytes = buildGGUF({ metadata: ALL_TYPES, tensors: TENSORS });
+
+    test('reads a file path', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gguf-'));
+      const file = path.join(dir, 'model.gguf');
+      fs.writeFileSync(file, bytes);
+
+      try {
+        expect((await readGGUFMetadata(file)).metadata).toEqual(EXPECTED);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('reads a Buffer, a typed array view, an ArrayBuffer and a Blob', async () => {
+      const padded = new Uint8Array(bytes.length + 8);
+      padded.set(bytes, 5);
+
+      for (const source of [Buffer.from(bytes), padded.subarray(5, 5 + bytes.length), bytes.slice().buffer, new Blob([bytes])]) {
+        expect((await readGGUFMetadata(source)).metadata).toEqual(EXPECTED);
+      }
+    });
+
+    test('rejects other sources', async () => {
+      await expect(readGGUFMetadata(42)).rejects.toThrow('GGUF source must be');
+    });
+
+    describe('URLs', () => {
+      const originalFetch = global.fetch;
+
+      afterEach(() => {
+        global.fetch = originalFetch;
+      });
+
+      test('uses range requests', async () => {
+        const stats = {};
+        global.fetch = fakeFetch(bytes, {}, stats);
+
+        const header = await readGGUFMetadata('https://example.com/model.gguf', { chunkSize: 64 });
+
+        expect(header.metadata).toEqual(EXPECTED);
+        expect(stats.requests).toBeGreaterThan(1);
+      });
+
+      test('reads only the header when the server ignores ranges', async () => {
+        // Tensor data the reader must not download
+        const file = new Uint8Array(bytes.length + 100000);
+        file.set(bytes);
+        const stats = {};
+        global.fetch = fakeFetch(file, { ranges: false }, stats);
+
+        const header = await readGGUFMetadata('https://example.com/model.gguf', { chunkSize: 64 });
+
+        expect(header.metadata).toEqual(EXPECTED);
+        expect(stats.requests).toBe(1);
+        expect(stats.pulled).toBeLessThan(Math.ceil(bytes.length / 100) + 3);
+        expect(stats.cancelled).toBe(true);
+      });
+
+      test('reports HTTP errors', async () => {
+        global.fetch = async () => new Response('missing', { status: 404, statusText: 'Not Found' });
+        await expect(readGGUFMetadata('https://example.com/model.gguf')).rejects.toThrow('Failed to fetch GGUF header: 404');
+      });
+    });
+  });
+});
+
+describe('summarizeGGUFMetadata', () => {
+  test('collects the common fields', async () => {
+    const header = await readGGUFMetadata(buildGGUF({
+      metadata: [
+        ['general.architecture', T.STRING, 'llama'],
+        ['general.name', T.STRING, 'Tiny'],
+        ['llama.context_length', T.UINT32, 4096],
+        ['general.file_type', T.UINT32, 15],
+        ['tokenizer.ggml.bos_token_id', T.UINT32, 1]
+      ],
+      tensors: TENSORS
+    }));
+
+    expect(summarizeGGUFMetadata(header)).toEqual({
+      architecture: 'llama',
+      name: 'Tiny',
+      contextLength: 4096,
+      embeddingLength: null,
+      blockCount: null,
+      headCount: null,
+      fileType: 'q4_k_m',
+      parameterCount: 704,
+      bosTokenId: 1,
+      eosTokenId: null
+    });
+  });
+
+  test('falls back to the most common tensor type', async () => {
+    const header = await readGGUFMetadata(buildGGUF({ tensors: TENSORS }));
+    expect(summarizeGGUFMetadata(header).fileType).toBe('q4_k');
+  });
+});
@@ -0,0 +1,167 @@
+const logger = require('../src/utils/logger');
+const { createTokenizer } = require('../src/core/tokenizer');
+const {
+  isHuggingFaceTokenizer,
+  tokenizerConfigFromHuggingFace,
+  createNormalizer,
+  createPreTokenizer,
+  createDecoder
+} = require('../src/core/huggingface');
+const tokenizerJson = require('./fixtures/tokenizer-json');
+
+logger.configure({ level: 'error' });
+
+/**
+ * Encode text and show the token strings
+ * @param {BaseTokenizer} tokenizer - Tokenizer
+ * @param {string} text - Text to encode
+ * @returns {string[]} Tokens
+ */
+function tokens(tokenizer, text) {
+  return tokenizer.encode(text).map(id => tokenizer.idToToken(id));
+}
+
+describe('byte-level BPE tokenizer.json', () => {
+  const tokenizer = createTokenizer(tokenizerJson.byteLevelBpe);
+
+  test('adds the template BOS and merges by rank', () => {
+    expect(tokenizer.encode('Hello world')).toEqual([0, 25, 30]);
+    expect(tokenizer.decode([0, 25, 30])).toBe('Hello world');
+    expect(tokenizer.decode([0, 25, 30], { skipSpecialTokens: false })).toBe('<|begin_of_text|>Hello world');
+  });
+
+  test('matches case-insensitive contractions and groups digits in threes', () => {
+    expect(tokens(tokenizer, "IT'S 1234")).toEqual(['<|begin_of_text|>', 'I', 'T', "'S", 'Ġ', '123', '4']);
+  });
+
+  test('splits on added tokens and round-trips multibyte text', () => {
+    const ids = tokenizer.encode('Hello<tool> world€');
+
+    expect(tokens(tokenizer, 'Hello<tool> world€')).toEqual(['<|begin_of_text|>', 'Hello', '<tool>', 'Ġworld', 'â', 'Ĥ', '¬']);
+    expect(tokenizer.isSpecial(2)).toBe(false);
+    expect(tokenizer.decode(ids)).toBe('Hello<tool> world€');
+  });
+
+  test('names the special tokens', () => {
+    expect(tokenizer.specialTokens).toEqual({ BOS: 0, EOS: 1 });
+  });
+});
+
+describe('SentencePiece BPE tokenizer.json', () => {
+  const tokenizer = createTokenizer(tokenizerJson.metaspaceBpe);
+
+  test('marks spaces with the normalizer and strips the prefix when decoding', () => {
+    expect(tokenizer.encode('hi ab')).toEqual([1, 15, 11]);
+    expect(tokenizer.decode([1, 15, 11])).toBe('hi ab');
+  });
+
+  test('falls back to byte tokens and fuses them when decoding', () => {
+    expect(tokens(tokenizer, 'hi€\nab')).toEqual(['<s>', '▁hi', '<0xE2>', '<0x82>', '<0xAC>', '<0x0A>', 'ab']);
+    expect(tokenizer.decode(tokenizer.encode('hi€\nab'))).toBe('hi€\nab');
+  });
+});
+
+describe('Unigram tokenizer.json', () => {
+  const tokenizer = createTokenizer(tokenizerJson.unigram);
+
+  test('normalizes, picks the best segmentation and appends the template EOS', () => {
+    expect(tokenizer.encode('hello  world')).toEqual([6, 12, 13, 1]);
+    expect(tokenizer.encode('ｈｅｌｌｏ world')).toEqual([6, 12, 13, 1]);
+    expect(tokenizer.decode([6, 12, 13, 1])).toBe('hello world');
+  });
+
+  test('uses unk_id for characters it cannot cover', () => {
+    expect(tokenizer.encode('hellz')).toEqual([7, 2, 1]);
+  });
+
+  test('splits on added tokens', () => {
+    expect(tokenizer.encode('hello<extra_id_0> world')).toEqual([6, 17, 12, 13, 1]);
+    expect(tokenizer.decode([6, 17, 12, 13, 1], { skipSpecialTokens: false })).toBe('hello<extra_id_0> world</s>');
+  });
+});
+
+describe('WordPiece tokenizer.json', () => {
+  const tokenizer = createTokenizer(tokenizerJson.wordPiece);
+
+  test('adds [CLS] and [SEP] from the template', () => {
+    expect(tokenizer.encode('Hello, UNAFFABLE world!')).toEqual([2, 5, 10, 7, 8, 9, 6, 11, 3]);
+    expect(tokenizer.encode('Hello', { addBos: false, addEos: false })).toEqual([5]);
+  });
+
+  test('joins continuation pieces and punctuation when decoding', () => {
+    expect(tokenizer.decode([2, 5, 10, 7, 8, 9, 6, 11, 3])).toBe('hello, unaffable world!');
+    expect(tokenizer.decode([2, 5, 3], { skipSpecialTokens: false })).toBe('[CLS] hello [SEP]');
+  });
+
+  test('strips accents and splits CJK characters', () => {
+    expect(tokens(tokenizer, 'Café 中文')).toEqual(['[CLS]', 'cafe', '中', '文', '[SEP]']);
+  });
+
+  test('splits on added tokens and uses [UNK] for unknown words', () => {
+    expect(tokenizer.encode('hello [MASK] xyz')).toEqual([2, 5, 4, 1, 3]);
+  });
+});
+
+describe('tokenizerConfigFromHuggingFace', () => {
+  test('reads special tokens, the chat template and cleanup from tokenizer_config.json', () => {
+    const config = tokenizerConfigFromHuggingFace(tokenizerJson.byteLevelBpe, {
+      bos_token: { content: '<|begin_of_text|>' },
+      eos_token: '<tool>',
+      chat_template: '{{ messages }}',
+      clean_up_tokenization_spaces: true
+    });
+
+    expect(config.specialTokens).toMatchObject({ BOS: 0, EOS: 2 });
+    expect(config.chatTemplate).toBe('{{ messages }}');
+    expect(config.decoder(['Hello', 'Ġ,'])).toBe('Hello,');
+  });
+
+  test('rejects other JSON', () => {
+    expect(isHuggingFaceTokenizer({ vocab: {} })).toBe(false);
+    expect(() => tokenizerConfigFromHuggingFace({ vocab: {} })).toThrow('Not a Hugging Face tokenizer.json file');
+    expect(() => tokenizerConfigFromHuggingFace({ model: { type: 'WordLevel', vocab: {} } }))
+      .toThrow("Unsupported tokenizer model type 'WordLevel'");
+  });
+});
+
+describe('tokenizer.json pipeline stages', () => {
+  test.each([
+    [{ type: 'Lowercase' }, 'HeLLo', 'hello'],
+    [{ type: 'NFD' }, '\u00e9', 'e\u0301'],
+    [{ type: 'Sequence', normalizers: [{ type: 'NFD' }, { type: 'StripAccents' }] }, 'café', 'cafe'],
+    [{ type: 'Strip', strip_left: true, strip_right: false }, '  hi  ', 'hi  '],
+    [{ type: 'Prepend', prepend: '▁' }, 'hi', '▁hi'],
+    [{ type: 'Replace', pattern: { Regex: '\\s+' }, content: '_' }, 'a \t b', 'a_b']
+  ])('normalizer %j', (spec, input, expected) => {
+    expect(createNormalizer(spec)(input)).toBe(expected);
+  });
+
+  test.each([
+    [{ type: 'Whitespace' }, 'hi, you!', ['hi', ',', 'you', '!']],
+    [{ type: 'WhitespaceSplit' }, 'hi, you!', ['hi,', 'you!']],
+    [{ type: 'Digits', individual_digits: true }, 'a123', ['a', '1', '2', '3']],
+    [{ type: 'Digits', individual_digits: false }, 'a123', ['a', '123']],
+    [{ type: 'Punctuation', behavior: 'Isolated' }, 'a.b', ['a', '.', 'b']],
+    [{ type: 'Split', pattern: { String: '-' }, behavior: 'Removed', invert: false }, 'a-b', ['a', 'b']],
+    [{ type: 'Split', pattern: { String: '-' }, behavior: 'MergedWithPrevious', invert: false }, 'a-b', ['a-', 'b']],
+    [{ type: 'ByteLevel', add_prefix_space: true, use_regex: true }, 'hi you', ['Ġhi', 'Ġyou']],
+    [{ type: 'Metaspace', replacement: '▁', prepend_scheme: 'first', split: true }, 'hi you', ['▁hi', '▁you']]
+  ])('pre-tokenizer %j', (spec, input, expected) => {
+    expect(createPreTokenizer(spec)(input)).toEqual(expected);
+  });
+
+  test('Metaspace prepends ▁ only to the first segment with prepend_scheme first', () => {
+    const preTokenizer = createPreTokenizer({ type: 'Metaspace', replacement: '▁', prepend_scheme: 'first', split: true });
+    expect(preTokenizer('hi', { first: false })).toEqual(['hi']);
+  });
+
+  test.each([
+    [{ type: 'BPEDecoder', suffix: '</w>' }, ['hel', 'lo</w>', 'you</w>'], 'hello you'],
+    [{ type: 'Metaspace', replacement: '▁', prepend_scheme: 'always' }, ['▁hi', '▁you'], 'hi you'],
+    [{ type: 'Sequence', decoders: [{ type: 'ByteFallback' }, { type: 'Fuse' }] }, ['a', '<0xE2>', '<0x82>', '<0xAC>'], 'a€'],
+    [{ type: 'Strip', content: ' ', start: 1, stop: 1 }, [' hi '], 'hi'],
+    [null, ['hi', 'you'], 'hi you']
+  ])('decoder %j', (spec, input, expected) => {
+    expect(createDecoder(spec)(input)).toBe(expected);
+  });
+});
@@ -0,0 +1,149 @@
+const logger = require('../src/utils/logger');
+const inference = require('../src/core/inference');
+const { GGUFModel } = require('../src/core/model');
+const { ContextOverflowError, RequestTimeoutError } = require('../src/core/errors');
+
+logger.configure({ level: 'error' });
+
+/**
+ * Create a loaded model with no backend
+ * @param {string} id - Model id
+ * @returns {GGUFModel} Model
+ */
+function createModel(id) {
+  const model = new GGUFModel({ id, path: id, metadata: { contextSize: 64 }, session: {} });
+  model.isLoaded = true;
+  return model;
+}
+
+/**
+ * Create an adapter that encodes characters as tokens and generates after a delay
+ * @param {number} delay - Milliseconds each generation takes, ignoring cancellation
+ * @param {string[]} log - Receives 'start' and 'end' events
+ * @returns {Object} Adapter
+ */
+function createSlowAdapter(delay, log) {
+  return {
+    tokenize: async (model, text) => Array.from(text, char => char.codePointAt(0)),
+    detokenize: async (model, tokens) => String.fromCodePoint(...tokens),
+    runInference: async (model, context) => {
+      log.push(`start ${context.tokens.length}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      log.push(`end ${context.tokens.length}`);
+      context.setFinishReason('eos');
+      return [120];
+    }
+  };
+}
+
+/**
+ * Create an adapter that encodes characters as tokens and records the prompt it is given
+ * @param {string[]} prompts - Receives the prompt text of each generation
+ * @returns {Object} Adapter
+ */
+function createRecordingAdapter(prompts) {
+  return {
+    tokenize: async (model, text) => Array.from(text, char => char.codePointAt(0)),
+    detokenize: async (model, tokens) => String.fromCodePoint(...tokens),
+    runInference: async (model, context) => {
+      prompts.push(String.fromCodePoint(...context.tokens));
+      context.setFinishReason('eos');
+      return [];
+    }
+  };
+}
+
+describe('request timeouts', () => {
+  test('keep a timed-out request on the model until its generation stops', async () => {
+    const log = [];
+    const adapter = createSlowAdapter(80, log);
+    const model = createModel('timeout-model');
+
+    const first = inference.generate(model, 'a', { timeout: 10, requestId: 'slow' }, adapter);
+    await expect(first).rejects.toBeInstanceOf(RequestTimeoutError);
+
+    // Still generating: the id stays taken and the next request waits for the slot
+    expect(log).toEqual(['start 1']);
+    expect(inference.getQueueStats(model.id).running).toBe(1);
+    await expect(inference.generate(model, 'b', { requestId: 'slow' }, adapter)).rejects.toThrow('already in use');
+
+    await expect(inference.generate(model, 'bb', {}, adapter)).resolves.toBe('x');
+    expect(log).toEqual(['start 1', 'end 1', 'start 2', 'end 2']);
+    expect(inference.cancelRequest('slow')).toBe(false);
+  });
+});
+
+describe('context overflow', () => {
+  // 20 prompt tokens, of which 10 fit next to the 54 reserved in the 64-token context
+  const PROMPT = '0123456789abcdefghij';
+
+  /**
+   * Generate with a recording adapter
+   * @param {Object} options - Generation options
+   * @param {string} [prompt=PROMPT] - Prompt
+   * @returns {Promise<string[]>} Prompts the adapter was given
+   */
+  async function promptsFor(options, prompt = PROMPT) {
+    const prompts = [];
+    await inference.generate(createModel('overflow-model'), prompt, { reserveTokens: 54, ...options }, createRecordingAdapter(prompts));
+    return prompts;
+  }
+
+  test('leaves a prompt that fits alone', async () => {
+    await expect(promptsFor({ overflow: 'error' }, '0123456789')).resolves.toEqual(['0123456789']);
+  });
+
+  test("'error' rejects with the token counts and does not generate", async () => {
+    const prompts = [];
+    const result = inference.generate(createModel('overflow-model'), PROMPT, { overflow: 'error', reserveTokens: 54 },
+      createRecordingAdapter(prompts));
+
+    await expect(result).rejects.toBeInstanceOf(ContextOverflowError);
+    await expect(result).rejects.toMatchObject({ promptTokens: 20, contextSize: 64, reserveTokens: 54, maxPromptTokens: 10 });
+    await expect(result).rejects.toThrow('Prompt has 20 tokens but only 10 fit in the 64-token context with 54 reserved for generation');
+    expect(prompts).toEqual([]);
+  });
+
+  test("'truncate-start' keeps the end of the prompt, and is the default", async () => {
+    await expect(promptsFor({ overflow: 'truncate-start' })).resolves.toEqual(['abcdefghij']);
+    await expect(promptsFor({})).resolves.toEqual(['abcdefghij']);
+  });
+
+  test("'truncate-middle' keeps both ends of the prompt", async () => {
+    await expect(promptsFor({ overflow: 'truncate-middle' })).resolves.toEqual(['01234fghij']);
+  });
+
+  test("'keep-system' keeps keepTokens leading tokens and the end of the prompt", async () => {
+    await expect(promptsFor({ overflow: 'keep-system', keepTokens: 3 })).resolves.toEqual(['012defghij']);
+  });
+
+  test("'keep-system' rejects when the kept tokens leave no room", async () => {
+    await expect(promptsFor({ overflow: 'keep-system', keepTokens: 10 })).rejects.toBeInstanceOf(ContextOverflowError);
+    await expect(promptsFor({ overflow: 'keep-system' })).rejects.toThrow("The 'keep-system' overflow strategy needs keepTokens");
+  });
+
+  test('a custom strategy gets the tokens and counts and returns the tokens to use', async () => {
+    const overflow = jest.fn(tokens => tokens.filter((token, i) => i % 2 === 0));
+
+    await expect(promptsFor({ overflow })).resolves.toEqual(['02468acegi']);
+    expect(overflow).toHaveBeenCalledWith(Array.from(PROMPT, char => char.codePointAt(0)), {
+      promptTokens: 20,
+      contextSize: 64,
+      reserveTokens: 54,
+      maxPromptTokens: 10
+    });
+  });
+
+  test('a custom strategy that returns too many tokens or no array is rejected', async () => {
+    const tooMany = promptsFor({ overflow: tokens => tokens.slice(1) });
+    await expect(tooMany).rejects.toBeInstanceOf(ContextOverflowError);
+    await expect(tooMany).rejects.toMatchObject({ promptTokens: 19, maxPromptTokens: 10 });
+
+    await expect(promptsFor({ overflow: () => 'abc' })).rejects.toThrow('Custom overflow strategy must return an array of tokens');
+  });
+
+  test('rejects unknown strategies and reserves that leave no room', async () => {
+    await expect(promptsFor({ overflow: 'truncate-end' })).rejects.toThrow("Unknown overflow strategy 'truncate-end'");
+    await expect(promptsFor({ reserveTokens: 64 })).rejects.toThrow('reserveTokens must be an integer from 1 to 63, got 64');
+  });
+});
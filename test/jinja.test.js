@@ -0,0 +1,119 @@
+const { renderTemplate } = require('../src/utils/jinja');
+const { CHAT_TEMPLATES } = require('../src/utils/formats');
+
+const MESSAGES = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello!' },
+  { role: 'user', content: 'Bye' }
+];
+
+const EXPECTED_PROMPTS = {
+  chatml: '<|im_start|>system\nBe brief.<|im_end|>\n<|im_start|>user\nHi<|im_end|>\n<|im_start|>assistant\nHello!<|im_end|>\n' +
+    '<|im_start|>user\nBye<|im_end|>\n<|im_start|>assistant\n',
+  llama2: '<s>[INST] <<SYS>>\nBe brief.\n<</SYS>>\n\nHi [/INST] Hello! </s><s>[INST] Bye [/INST]',
+  llama3: '<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\nBe brief.<|eot_id|>' +
+    '<|start_header_id|>user<|end_header_id|>\n\nHi<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\nHello!<|eot_id|>' +
+    '<|start_header_id|>user<|end_header_id|>\n\nBye<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n',
+  mistral: '<s>[INST] Be brief.\n\nHi [/INST]Hello!</s>[INST] Bye [/INST]',
+  alpaca: 'Be brief.\n\n### Instruction:\nHi\n\n### Response:\nHello!\n\n### Instruction:\nBye\n\n### Response:\n',
+  vicuna: 'Be brief. USER: Hi ASSISTANT: Hello!</s>USER: Bye ASSISTANT:',
+  gemma: '<bos><start_of_turn>user\nBe brief.\n\nHi<end_of_turn>\n<start_of_turn>model\nHello!<end_of_turn>\n' +
+    '<start_of_turn>user\nBye<end_of_turn>\n<start_of_turn>model\n',
+  phi3: '<|system|>\nBe brief.<|end|>\n<|user|>\nHi<|end|>\n<|assistant|>\nHello!<|end|>\n<|user|>\nBye<|end|>\n<|assistant|>\n',
+  zephyr: '<|system|>\nBe brief.</s>\n<|user|>\nHi</s>\n<|assistant|>\nHello!</s>\n<|user|>\nBye</s>\n<|assistant|>\n'
+};
+
+/**
+ * Render a built-in chat template
+ * @param {string} name - Preset name
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} Prompt
+ */
+function renderPreset(name, messages) {
+  const preset = CHAT_TEMPLATES[name];
+  return renderTemplate(preset.template, {
+    messages,
+    add_generation_prompt: true,
+    bos_token: preset.bosToken,
+    eos_token: preset.eosToken
+  });
+}
+
+describe('bundled chat templates', () => {
+  test('has an expected prompt for every preset', () => {
+    expect(Object.keys(EXPECTED_PROMPTS).sort()).toEqual(Object.keys(CHAT_TEMPLATES).sort());
+  });
+
+  test.each(Object.keys(EXPECTED_PROMPTS))('renders %s', (name) => {
+    expect(renderPreset(name, MESSAGES)).toBe(EXPECTED_PROMPTS[name]);
+  });
+
+  test.each(['llama2', 'mistral', 'gemma'])('%s rejects roles that do not alternate', (name) => {
+    const messages = [{ role: 'user', content: 'a' }, { role: 'user', content: 'b' }];
+    expect(() => renderPreset(name, messages)).toThrow('alternate');
+  });
+});
+
+describe('sandbox', () => {
+  const context = { data: { a: 1 }, items: [1, 2] };
+
+  test.each([
+    "{{ ''.constructor }}",
+    '{{ data.constructor }}',
+    '{{ data.__proto__ }}',
+    "{{ data['__proto__'] }}",
+    "{{ data | attr('constructor') }}",
+    '{{ items.constructor }}',
+    '{{ items.push }}',
+    '{{ (1).constructor }}',
+    '{{ range.constructor }}',
+    '{{ data.hasOwnProperty }}'
+  ])('hides JavaScript internals: %s', (source) => {
+    expect(renderTemplate(source, context)).toBe('');
+  });
+
+  test('cannot reach the Function constructor', () => {
+    expect(() => renderTemplate("{{ ''.constructor.constructor('return process')() }}")).toThrow('not callable');
+  });
+
+  test('does not pollute prototypes through __proto__ keys', () => {
+    expect(renderTemplate("{% set d = dict(__proto__={'polluted': 1}) %}{{ d.polluted }}|{{ {}.polluted }}")).toBe('|');
+    expect(renderTemplate("{% set d = {'__proto__': {'polluted': 1}} %}{{ d.polluted }}")).toBe('');
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('% operator', () => {
+  test.each([
+    ["{{ '%s-%d' % ('a', 3) }}", 'a-3'],
+    ["{{ 'Hello %s' % name }}", 'Hello Ann'],
+    ["{{ '%05.2f|%-6s|%+d|% d' % (3.14159, 'ab', 5, 7) }}", '03.14|ab    |+5| 7'],
+    ["{{ '%x %X %#x %#o %#08x %%' % (255, 255, 255, 8, 255) }}", 'ff FF 0xff 0o10 0x0000ff %'],
+    ["{{ '%.3e %g %g %g %.3g' % (12345.678, 0.0001, 1e-5, 1e6, 3.14159) }}", '1.235e+04 0.0001 1e-05 1e+06 3.14'],
+    ["{{ '%(name)s is %(age)d' % {'name': 'Ann', 'age': 30} }}", 'Ann is 30'],
+    ["{{ '%r %s %d' % ('q', none, true) }}", "'q' None 1"],
+    ["{{ '%5s|%.2s|%c' % ('ab', 'xyz', 65) }}", '   ab|xy|A'],
+    ["{{ '%d|%i|%u|%+d|%03d' % (-0.4, -0.9, -0.5, -0.4, -0.4) }}", '0|0|0|+0|000'],
+    ["{{ '%d|%x|%.1f|%.0f' % (-1.5, -255, -0.04, -0.4) }}", '-1|-ff|-0.0|-0']
+  ])('formats strings: %s', (source, expected) => {
+    expect(renderTemplate(source, { name: 'Ann' })).toBe(expected);
+  });
+
+  test('is a modulo on numbers', () => {
+    expect(renderTemplate('{{ 7 % 3 }} {{ -7 % 3 }} {{ loop_index % 2 == 0 }}', { loop_index: 4 })).toBe('1 2 True');
+  });
+
+  test.each([
+    ["{{ '%s %s' % ('a',) }}", 'not enough arguments'],
+    ["{{ '%s' % ('a', 'b') }}", 'not all arguments converted'],
+    ["{{ '%d' % 'a' }}", 'a number is required'],
+    ["{{ '%(x)s' % 'a' }}", 'requires a mapping'],
+    ["{{ '%(x)s' % {'y': 1} }}", "key 'x' is missing"],
+    ['{{ missing % 2 }}', 'cannot apply %'],
+    ["{{ '%999999999s' % 'a' }}", '% format width is limited to 100000'],
+    ["{{ '%-100001d' % 1 }}", '% format width is limited to 100000']
+  ])('raises a template error: %s', (source, message) => {
+    expect(() => renderTemplate(source)).toThrow(message);
+  });
+});
@@ -0,0 +1,132 @@
+const logger = require('../src/utils/logger');
+
+// node-llama-cpp is not installed here; the sessions below stand in for it
+logger.configure({ level: 'error' });
+
+const inference = require('../src/core/inference');
+const nodeAdapter = require('../src/adapters/node');
+const { GGUFModel } = require('../src/core/model');
+
+/**
+ * Create a node-llama-cpp-like session whose sequences echo 'x' until maxTokens
+ * and whose generate() repeats 'abc' for up to 30 tokens
+ * @param {Object} stats - Receives created, disposed, evaluated and generated counts
+ * @returns {Object} Session
+ */
+function createFakeSession(stats) {
+  return {
+    tokenize: (text) => Array.from(text, char => char.codePointAt(0)),
+    detokenize: (tokens) => String.fromCodePoint(...tokens),
+    generate: function* () {
+      for (let i = 0; i < 30; i++) {
+        stats.generated++;
+        yield 'abc'.codePointAt(i % 3);
+      }
+    },
+    createContext: async () => {
+      stats.created++;
+      const sequence = {
+        nextTokenIndex: 0,
+        eraseContextTokenRanges: async (ranges) => {
+          for (const { start, end } of ranges) {
+            sequence.nextTokenIndex -= end - start;
+          }
+        },
+        evaluate: async function* (tokens) {
+          stats.evaluated.push(tokens.length);
+          sequence.nextTokenIndex += tokens.length;
+          for (;;) {
+            yield 120;
+            sequence.nextTokenIndex++;
+          }
+        }
+      };
+      return {
+        getSequence: () => sequence,
+        dispose: async () => { stats.disposed++; }
+      };
+    }
+  };
+}
+
+/**
+ * Create a loaded model backed by a fake session
+ * @param {string} id - Model id
+ * @param {Object} stats - Session statistics
+ * @returns {GGUFModel} Model
+ */
+function createModel(id, stats) {
+  const model = new GGUFModel({ id, path: id, metadata: { contextSize: 64 }, session: createFakeSession(stats) });
+  model.isLoaded = true;
+  return model;
+}
+
+describe('node adapter sequences', () => {
+  test('reuse one context for requests that need a sequence', async () => {
+    const stats = { created: 0, disposed: 0, evaluated: [], generated: 0 };
+    const model = createModel('shared-sequence', stats);
+    const options = { contextShift: true, maxTokens: 2 };
+
+    await expect(inference.generate(model, 'abc', options, nodeAdapter)).resolves.toBe('xx');
+    await expect(inference.generate(model, 'abcd', options, nodeAdapter)).resolves.toBe('xx');
+
+    expect(stats.created).toBe(1);
+    // The second prompt reuses the evaluated 'abc'
+    expect(stats.evaluated).toEqual([3, 1]);
+
+    nodeAdapter.freeModel(model);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(stats.disposed).toBe(1);
+  });
+
+  test('reject samplers sequences cannot honour', async () => {
+    const stats = { created: 0, disposed: 0, evaluated: [], generated: 0 };
+    const model = createModel('sequence-samplers', stats);
+
+    await expect(inference.generate(model, 'abc', { contextShift: true, typicalP: 0.5, mirostat: 2 }, nodeAdapter))
+      .rejects.toThrow('do not support typicalP, mirostat');
+    expect(stats.evaluated).toEqual([]);
+    nodeAdapter.freeModel(model);
+  });
+
+  test('use a sequence when only topLogprobs is set', async () => {
+    const stats = { created: 0, disposed: 0, evaluated: [], generated: 0 };
+    const model = createModel('top-logprobs', stats);
+
+    const context = { tokens: [97], setFinishReason: () => {}, markFirstToken: () => {} };
+    const tokens = [];
+
+    // Raw options, as adapters may be called without GenerationOptions
+    await nodeAdapter.runInferenceStreaming(model, context, (token) => tokens.push(token), { topLogprobs: 2, maxTokens: 1 });
+
+    expect(stats.created).toBe(1);
+    expect(tokens).toEqual([120]);
+    nodeAdapter.freeModel(model);
+  });
+});
+
+describe('node adapter generation', () => {
+  test('stops at a stop sequence without generating on', async () => {
+    const stats = { created: 0, disposed: 0, evaluated: [], generated: 0 };
+    const model = createModel('stop-sequence', stats);
+
+    const result = await inference.generateDetailed(model, 'hi', { stopSequences: ['b'], maxTokens: 20 }, nodeAdapter);
+
+    expect(result.text).toBe('a');
+    expect(result.finishReason).toBe('stop_sequence');
+    // 'b' was generated and counts, even though the stop string is left out of the text
+    expect(result.usage.completionTokens).toBe(2);
+    expect(stats.generated).toBe(3);
+  });
+
+  test('rejects when the token callback throws', async () => {
+    const stats = { created: 0, disposed: 0, evaluated: [], generated: 0 };
+    const model = createModel('throwing-callback', stats);
+    const context = { tokens: [97], setFinishReason: () => {}, markFirstToken: () => {} };
+
+    await expect(nodeAdapter.runInferenceStreaming(model, context, async () => {
+      throw new Error('callback failed');
+    }, { maxTokens: 5 })).rejects.toThrow('callback failed');
+    expect(stats.generated).toBe(1);
+  });
+});
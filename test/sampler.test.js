@@ -0,0 +1,148 @@
+const { Sampler } = require('../src/core/sampler');
+
+// Options that leave every cutoff and penalty off
+const NEUTRAL = { temperature: 1, topK: 0, topP: 1, minP: 0, repetitionPenalty: 1, seed: 42 };
+
+const LOGITS = [4, 3, 2, 1, 0];
+
+/**
+ * Sample many times and collect the distinct picks
+ * @param {Object} options - Generation options on top of NEUTRAL
+ * @param {number[]} [logits=LOGITS] - Logits to sample from
+ * @param {number[]} [previousTokens=[]] - Tokens so far
+ * @returns {number[]} Picked token ids, ascending
+ */
+function pickedIds(options, logits = LOGITS, previousTokens = []) {
+  const sampler = new Sampler({ ...NEUTRAL, ...options });
+  const ids = new Set();
+  for (let i = 0; i < 500; i++) {
+    ids.add(sampler.sample(logits, previousTokens));
+  }
+  return [...ids].sort((a, b) => a - b);
+}
+
+/**
+ * Sample a fixed number of tokens
+ * @param {Sampler} sampler - Sampler
+ * @param {number} count - Tokens to sample
+ * @returns {number[]} Picked token ids
+ */
+function sampleMany(sampler, count) {
+  return Array.from({ length: count }, () => sampler.sample(LOGITS));
+}
+
+describe('Sampler', () => {
+  test('samples from every token with no cutoffs', () => {
+    expect(pickedIds({})).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('decodes greedily at temperature 0', () => {
+    expect(pickedIds({ temperature: 0 })).toEqual([0]);
+    expect(pickedIds({ temperature: 0 }, [1, 5, 5, 2])).toEqual([1]);
+  });
+
+  test('keeps the top k tokens', () => {
+    expect(pickedIds({ topK: 2 })).toEqual([0, 1]);
+  });
+
+  test('keeps the most likely tokens up to top-p', () => {
+    // Probabilities are about 0.64, 0.24, 0.09, ...
+    expect(pickedIds({ topP: 0.8 })).toEqual([0, 1]);
+  });
+
+  test('drops tokens less likely than min-p times the top token', () => {
+    expect(pickedIds({ minP: 0.1 })).toEqual([0, 1, 2]);
+  });
+
+  test('keeps the most typical tokens, which can exclude the most likely one', () => {
+    expect(pickedIds({ typicalP: 0.5 }, [3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2])).not.toContain(0);
+  });
+
+  test('cuts the tail where the probabilities flatten out', () => {
+    const logits = [3, 2.9, 2.8, 2.7, 0, 0, 0, 0];
+    expect(pickedIds({ tfsZ: 0.5 }, logits)).toEqual([0, 1, 2]);
+    expect(pickedIds({ tfsZ: 1 }, logits)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('applies the repetition penalty to recent tokens', () => {
+    expect(pickedIds({ temperature: 0, repetitionPenalty: 2 }, [2, 1.5], [0])).toEqual([1]);
+    expect(pickedIds({ temperature: 0, repetitionPenalty: 2, repeatLastN: 1 }, [2, 1.5], [0, 1])).toEqual([0]);
+    expect(pickedIds({ temperature: 0, repetitionPenalty: 2, repeatLastN: 0 }, [2, 1.5], [0])).toEqual([0]);
+  });
+
+  test('applies the presence and frequency penalties', () => {
+    expect(pickedIds({ temperature: 0, presencePenalty: 1.5 }, [2, 1], [0])).toEqual([1]);
+    expect(pickedIds({ temperature: 0, frequencyPenalty: 0.6 }, [2, 1], [0])).toEqual([0]);
+    expect(pickedIds({ temperature: 0, frequencyPenalty: 0.6 }, [2, 1], [0, 0])).toEqual([1]);
+  });
+
+  test('applies the logit bias', () => {
+    expect(pickedIds({ temperature: 0, logitBias: { 3: 5 } })).toEqual([3]);
+    expect(pickedIds({ topK: 2, logitBias: new Map([[0, -Infinity]]) })).toEqual([1, 2]);
+  });
+
+  test('throws when every token is banned', () => {
+    const sampler = new Sampler({ ...NEUTRAL, logitBias: { 0: -Infinity, 1: -Infinity } });
+    expect(() => sampler.sample([1, 2])).toThrow('nothing can be sampled');
+  });
+
+  test('updates the mirostat v2 target surprise after each pick', () => {
+    const sampler = new Sampler({ ...NEUTRAL, mirostat: 2, mirostatTau: 5, mirostatEta: 0.1 });
+    expect(sampler.mu).toBe(10);
+
+    const id = sampler.sample(LOGITS);
+    const total = LOGITS.reduce((sum, logit) => sum + Math.exp(logit), 0);
+    const surprise = -Math.log2(Math.exp(LOGITS[id]) / total);
+    expect(sampler.mu).toBeCloseTo(10 - 0.1 * (surprise - 5), 5);
+  });
+
+  test('updates the mirostat v1 target surprise after each pick', () => {
+    // A high target keeps every token, so the surprise is that of the full distribution
+    const open = new Sampler({ ...NEUTRAL, mirostat: 1, mirostatTau: 10, mirostatEta: 0.1 });
+    const id = open.sample(LOGITS);
+    const total = LOGITS.reduce((sum, logit) => sum + Math.exp(logit), 0);
+    const surprise = -Math.log2(Math.exp(LOGITS[id]) / total);
+    expect(open.mu).toBeCloseTo(20 - 0.1 * (surprise - 10), 5);
+
+    // A low target keeps only the top token, which has no surprise, so mu rises
+    const narrow = new Sampler({ ...NEUTRAL, mirostat: 1, mirostatTau: 0.1, mirostatEta: 0.5 });
+    expect(sampleMany(narrow, 3)).toEqual([0, 0, 0]);
+    expect(narrow.mu).toBeCloseTo(0.2 + 3 * 0.5 * 0.1, 5);
+
+    narrow.reset();
+    expect(narrow.mu).toBe(0.2);
+  });
+
+  test('picks the same tokens with the same seed', () => {
+    for (const mirostat of [0, 1, 2]) {
+      const first = sampleMany(new Sampler({ ...NEUTRAL, mirostat, seed: 7 }), 50);
+      const second = sampleMany(new Sampler({ ...NEUTRAL, mirostat, seed: 7 }), 50);
+      expect(second).toEqual(first);
+    }
+    expect(sampleMany(new Sampler({ ...NEUTRAL, seed: 8 }), 50)).not.toEqual(
+      sampleMany(new Sampler({ ...NEUTRAL, seed: 7 }), 50)
+    );
+  });
+
+  test('replays the sequence after reset', () => {
+    const sampler = new Sampler({ ...NEUTRAL, mirostat: 2 });
+    const first = sampleMany(sampler, 50);
+    const mu = sampler.mu;
+
+    sampler.reset();
+    expect(sampleMany(sampler, 50)).toEqual(first);
+    expect(sampler.mu).toBe(mu);
+  });
+
+  test('reports the seed it picked', () => {
+    const sampler = new Sampler({ ...NEUTRAL, seed: undefined });
+    expect(Number.isInteger(sampler.seed)).toBe(true);
+    expect(sampleMany(new Sampler({ ...NEUTRAL, seed: sampler.seed }), 20)).toEqual(sampleMany(sampler, 20));
+  });
+
+  test('rejects a temperature outside 0-2', () => {
+    expect(() => new Sampler({ ...NEUTRAL, temperature: 1000 })).toThrow('temperature must be');
+    expect(() => new Sampler({ ...NEUTRAL, temperature: -1 })).toThrow('temperature must be');
+    expect(() => new Sampler({ ...NEUTRAL, temperature: 2 })).not.toThrow();
+  });
+});
@@ -0,0 +1,207 @@
+const logger = require('../src/utils/logger');
+const { Scheduler } = require('../src/core/scheduler');
+const { QueueFullError, RequestTimeoutError } = require('../src/core/errors');
+
+logger.configure({ level: 'error' });
+
+/**
+ * Create a task that runs until finished from outside
+ * @param {string[]} log - Receives the task name when it starts
+ * @param {string} name - Task name
+ * @returns {{run: function(): Promise<string>, finish: function(): void, fail: function(Error): void}} Task controls
+ */
+function createTask(log, name) {
+  const task = {};
+  task.run = () => {
+    log.push(name);
+    return new Promise((resolve, reject) => {
+      task.finish = () => resolve(name);
+      task.fail = reject;
+    });
+  };
+  return task;
+}
+
+/**
+ * Let queued promise callbacks run
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Scheduler', () => {
+  test('runs one task at a time per model, in order', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    const tasks = ['a', 'b', 'c'].map(name => createTask(log, name));
+    const results = tasks.map(task => scheduler.schedule('m', task.run));
+
+    await flush();
+    expect(log).toEqual(['a']);
+    expect(scheduler.getQueueStats('m')).toMatchObject({ running: 1, queued: 2 });
+
+    tasks[0].finish();
+    await flush();
+    expect(log).toEqual(['a', 'b']);
+
+    tasks[1].finish();
+    await flush();
+    tasks[2].finish();
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c']);
+    expect(scheduler.getQueueStats('m')).toMatchObject({ running: 0, queued: 0, completed: 3 });
+  });
+
+  test('runs different models in parallel', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    scheduler.schedule('m1', createTask(log, 'a').run);
+    scheduler.schedule('m2', createTask(log, 'b').run);
+
+    await flush();
+    expect(log).toEqual(['a', 'b']);
+  });
+
+  test('starts higher priorities first, equal priorities in order', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    const first = createTask(log, 'first');
+    scheduler.schedule('m', first.run);
+
+    const order = [['low', -1], ['normal', 0], ['high', 5], ['normal2', 0]].map(([name, priority]) => (
+      scheduler.schedule('m', async () => log.push(name), { priority })
+    ));
+
+    await flush();
+    first.finish();
+    await Promise.all(order);
+    expect(log).toEqual(['first', 'high', 'normal', 'normal2', 'low']);
+  });
+
+  test('limits running tasks to the concurrency', async () => {
+    const scheduler = new Scheduler({ concurrency: 2 });
+    const log = [];
+    const tasks = ['a', 'b', 'c'].map(name => createTask(log, name));
+    tasks.forEach(task => scheduler.schedule('m', task.run));
+
+    await flush();
+    expect(log).toEqual(['a', 'b']);
+
+    tasks[1].finish();
+    await flush();
+    expect(log).toEqual(['a', 'b', 'c']);
+    expect(scheduler.getQueueStats('m')).toMatchObject({ running: 2, queued: 0, concurrency: 2 });
+  });
+
+  test('starts waiting tasks when the concurrency is raised', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    ['a', 'b'].forEach(name => scheduler.schedule('m', createTask(log, name).run));
+
+    await flush();
+    scheduler.configure({ concurrency: 2 });
+    await flush();
+    expect(log).toEqual(['a', 'b']);
+  });
+
+  test('rejects tasks when the queue is full', async () => {
+    const scheduler = new Scheduler({ maxQueueLength: 1 });
+    const log = [];
+    scheduler.schedule('m', createTask(log, 'a').run);
+    scheduler.schedule('m', createTask(log, 'b').run);
+
+    await expect(scheduler.schedule('m', createTask(log, 'c').run)).rejects.toBeInstanceOf(QueueFullError);
+    expect(scheduler.getQueueStats('m').rejected).toBe(1);
+  });
+
+  test('removes a queued task when its signal aborts', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    const first = createTask(log, 'a');
+    scheduler.schedule('m', first.run);
+
+    const controller = new AbortController();
+    const queued = scheduler.schedule('m', createTask(log, 'b').run, { signal: controller.signal });
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    first.finish();
+    await flush();
+    expect(log).toEqual(['a']);
+    expect(scheduler.getQueueStats('m')).toMatchObject({ queued: 0, cancelled: 1 });
+  });
+
+  test('rejects a task whose signal already aborted', async () => {
+    const scheduler = new Scheduler();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(scheduler.schedule('m', () => Promise.resolve(), { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('leaves a running task to its own cancellation when its signal aborts', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    const task = createTask(log, 'a');
+    const controller = new AbortController();
+    const running = scheduler.schedule('m', task.run, { signal: controller.signal });
+
+    await flush();
+    controller.abort();
+    task.finish();
+    await expect(running).resolves.toBe('a');
+  });
+
+  test('times out a queued task and removes it from the queue', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    const first = createTask(log, 'a');
+    scheduler.schedule('m', first.run);
+    const queued = scheduler.schedule('m', createTask(log, 'b').run, { timeout: 10 });
+
+    await expect(queued).rejects.toMatchObject({ name: 'RequestTimeoutError', started: false });
+    first.finish();
+    await flush();
+    expect(log).toEqual(['a']);
+    expect(scheduler.getQueueStats('m').timedOut).toBe(1);
+  });
+
+  test('times out a running task but keeps its slot until it stops', async () => {
+    const scheduler = new Scheduler({ timeout: 10 });
+    const log = [];
+    const slow = createTask(log, 'slow');
+    const onTimeout = jest.fn();
+    const running = scheduler.schedule('m', slow.run, { onTimeout });
+    scheduler.schedule('m', createTask(log, 'next').run, { timeout: 0 });
+
+    await expect(running).rejects.toBeInstanceOf(RequestTimeoutError);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(log).toEqual(['slow']);
+    expect(scheduler.getQueueStats('m')).toMatchObject({ running: 1, queued: 1, timedOut: 1 });
+
+    slow.finish();
+    await flush();
+    expect(log).toEqual(['slow', 'next']);
+    expect(scheduler.getQueueStats('m').completed).toBe(0);
+  });
+
+  test('counts failed tasks and passes on their errors', async () => {
+    const scheduler = new Scheduler();
+    const log = [];
+    const task = createTask(log, 'a');
+    const result = scheduler.schedule('m', task.run);
+
+    await flush();
+    task.fail(new Error('boom'));
+    await expect(result).rejects.toThrow('boom');
+    expect(scheduler.getQueueStats('m').failed).toBe(1);
+  });
+
+  test('validates its options', () => {
+    expect(() => new Scheduler({ concurrency: 0 })).toThrow('concurrency');
+    expect(() => new Scheduler({ maxQueueLength: -1 })).toThrow('maxQueueLength');
+    expect(() => new Scheduler({ timeout: -5 })).toThrow('timeout');
+    return expect(new Scheduler().schedule('m', () => {}, { priority: 'high' })).rejects.toThrow('priority');
+  });
+});
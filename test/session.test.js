@@ -0,0 +1,202 @@
+const logger = require('../src/utils/logger');
+const { ChatSession } = require('../src/core/session');
+const { GGUFModel, getCommonPrefixLength } = require('../src/core/model');
+const { formatChatPrompt } = require('../src/utils/formats');
+
+logger.configure({ level: 'error' });
+
+const codes = text => Array.from(text, char => char.codePointAt(0));
+
+/**
+ * Create a loaded model with no backend
+ * @param {string} id - Model id
+ * @returns {GGUFModel} Model
+ */
+function createModel(id) {
+  const model = new GGUFModel({ id, path: id, metadata: { contextSize: 4096 }, session: {} });
+  model.isLoaded = true;
+  return model;
+}
+
+/**
+ * Create an adapter that encodes characters as tokens and keeps sequence state
+ * like the Node and browser adapters: a sequence holds the prompt and every
+ * generated token but the last, and only the tokens after the prefix it holds
+ * are evaluated
+ * @param {string[]} replies - Text generated by each call, in order; each ends with '<|im_end|>' and more text
+ * @param {Object} [options={}] - Adapter options
+ * @param {boolean} [options.sequences=true] - Whether the adapter implements session state
+ * @returns {Object} Adapter, with `evaluated` holding the tokens evaluated per call
+ */
+function createChatAdapter(replies, { sequences = true } = {}) {
+  const adapter = {
+    evaluated: [],
+    released: 0,
+    tokenize: async (model, text) => codes(text),
+    detokenize: async (model, tokens) => String.fromCodePoint(...tokens),
+    runInferenceStreaming: async (model, context, onToken, options, isCancelled) => {
+      const { state } = context;
+      const reused = state ? Math.min(getCommonPrefixLength(state.tokens, context.tokens), context.tokens.length - 1) : 0;
+      adapter.evaluated.push(context.tokens.length - reused);
+
+      const reply = replies.shift();
+      if (reply instanceof Error) {
+        throw reply;
+      }
+
+      const output = [];
+      let finished = true;
+      for (const token of codes(`${reply}<|im_end|>\nUser: more`)) {
+        if (isCancelled()) {
+          finished = context.finishReason === 'stop_sequence';
+          break;
+        }
+        output.push(token);
+        await onToken(token);
+      }
+
+      if (state) {
+        state.tokens = finished ? [...context.tokens, ...output.slice(0, -1)] : [];
+      }
+    }
+  };
+
+  if (sequences) {
+    adapter.createSessionState = async () => ({ tokens: [] });
+    adapter.releaseSessionState = async () => { adapter.released++; };
+  }
+  return adapter;
+}
+
+/**
+ * Render a conversation the way the session does
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} Prompt
+ */
+const chatml = messages => formatChatPrompt(messages, { template: 'chatml' });
+
+describe('ChatSession', () => {
+  test('evaluates only the tokens of the new turn', async () => {
+    const adapter = createChatAdapter(['Hello!', 'Goodbye.']);
+    const session = new ChatSession(createModel('session-reuse'), adapter, { template: 'chatml' });
+
+    await expect(session.send('Hi')).resolves.toBe('Hello!');
+    await expect(session.send('Bye')).resolves.toBe('Goodbye.');
+
+    const first = chatml([{ role: 'user', content: 'Hi' }]);
+    const second = chatml([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Bye' }
+    ]);
+    // The sequence still holds the reply and the stop up to its last token
+    expect(adapter.evaluated).toEqual([first.length, second.length - (first + 'Hello!<|im_end|').length]);
+  });
+
+  test('streams the reply and adds it to the history', async () => {
+    const adapter = createChatAdapter(['Hello!']);
+    const session = new ChatSession(createModel('session-stream'), adapter, { template: 'chatml', systemPrompt: 'Be brief.' });
+    const chunks = [];
+
+    const reply = await session.stream('Hi', (text, isDone) => chunks.push([text, isDone]));
+
+    expect(reply).toBe('Hello!');
+    expect(chunks.map(([text]) => text).join('')).toBe('Hello!');
+    expect(chunks[chunks.length - 1][1]).toBe(true);
+    expect(session.getHistory()).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' }
+    ]);
+  });
+
+  test('re-evaluates from the first changed token after a rollback', async () => {
+    const adapter = createChatAdapter(['Hello!', 'Hey there.']);
+    const session = new ChatSession(createModel('session-rollback'), adapter, { template: 'chatml' });
+
+    await session.send('Hi');
+    expect(session.rollback()).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' }
+    ]);
+    await session.send('Hey');
+
+    const first = chatml([{ role: 'user', content: 'Hi' }]);
+    const retry = chatml([{ role: 'user', content: 'Hey' }]);
+    expect(adapter.evaluated[1]).toBe(retry.length - getCommonPrefixLength(codes(first), codes(retry)));
+    expect(session.getHistory().map(message => message.content)).toEqual(['Hey', 'Hey there.']);
+  });
+
+  test('rolls back to a checkpoint', async () => {
+    const session = new ChatSession(createModel('session-checkpoint'), createChatAdapter(['One.', 'Two.']), { template: 'chatml' });
+
+    await session.send('1');
+    const checkpoint = session.checkpoint();
+    await session.send('2');
+
+    expect(session.rollback(checkpoint).map(message => message.content)).toEqual(['2', 'Two.']);
+    expect(session.checkpoint()).toBe(checkpoint);
+    expect(() => session.rollback(10)).toThrow('Invalid checkpoint 10');
+  });
+
+  test('regenerates an edited message from the changed token', async () => {
+    const adapter = createChatAdapter(['Hello!', 'Hi again.']);
+    const session = new ChatSession(createModel('session-edit'), adapter, { template: 'chatml' });
+
+    await session.send('Hi');
+    session.removeMessage(1);
+    expect(session.editMessage(0, { content: 'Hi there' })).toEqual({ role: 'user', content: 'Hi there' });
+    await expect(session.generate()).resolves.toBe('Hi again.');
+
+    const first = chatml([{ role: 'user', content: 'Hi' }]);
+    const edited = chatml([{ role: 'user', content: 'Hi there' }]);
+    expect(adapter.evaluated[1]).toBe(edited.length - getCommonPrefixLength(codes(first), codes(edited)));
+  });
+
+  test('drops the user message when the turn fails', async () => {
+    const session = new ChatSession(createModel('session-failure'), createChatAdapter([new Error('backend down')]), {
+      template: 'chatml'
+    });
+
+    await expect(session.send('Hi')).rejects.toThrow('backend down');
+    expect(session.getHistory()).toEqual([]);
+    expect(session.isGenerating).toBe(false);
+  });
+
+  test('evaluates every turn in full without session state', async () => {
+    const adapter = createChatAdapter(['Hello!', 'Goodbye.'], { sequences: false });
+    const session = new ChatSession(createModel('session-stateless'), adapter, { template: 'chatml' });
+
+    await session.send('Hi');
+    await session.send('Bye');
+
+    const second = chatml([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'Bye' }
+    ]);
+    expect(adapter.evaluated[1]).toBe(second.length);
+  });
+
+  test('releases the state on dispose and starts over afterwards', async () => {
+    const adapter = createChatAdapter(['Hello!', 'Hello again!']);
+    const session = new ChatSession(createModel('session-dispose'), adapter, { template: 'chatml' });
+
+    await session.send('Hi');
+    await session.dispose();
+    expect(adapter.released).toBe(1);
+
+    session.reset();
+    await session.send('Hi');
+    expect(adapter.evaluated[1]).toBe(adapter.evaluated[0]);
+  });
+
+  test('adds no reply when the turn is aborted before it starts', async () => {
+    const adapter = createChatAdapter(['Hello!']);
+    const session = new ChatSession(createModel('session-abort'), adapter, { template: 'chatml' });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(session.send('Hi', { signal: controller.signal })).resolves.toBe('');
+    expect(session.getHistory()).toEqual([{ role: 'user', content: 'Hi' }]);
+  });
+});
@@ -0,0 +1,82 @@
+const { StopSequenceMatcher } = require('../src/core/stop');
+
+/**
+ * Push chunks through a matcher and collect what it releases
+ * @param {StopSequenceMatcher} matcher - Stop matcher
+ * @param {string[]} chunks - Generated text, in pieces
+ * @returns {{emitted: string[], stopped: boolean}} Released pieces and whether a stop was found
+ */
+function pushAll(matcher, chunks) {
+  const emitted = [];
+  let stopped = false;
+  for (const chunk of chunks) {
+    const result = matcher.push(chunk);
+    if (result.text) {
+      emitted.push(result.text);
+    }
+    stopped = stopped || result.stopped;
+  }
+  return { emitted, stopped };
+}
+
+describe('StopSequenceMatcher', () => {
+  test('holds back a stop string split across chunks and never emits it', () => {
+    const matcher = new StopSequenceMatcher({ stopSequences: ['\nUser:'] });
+    const { emitted, stopped } = pushAll(matcher, ['Hello', ' there\nU', 'se', 'r: more']);
+
+    expect(stopped).toBe(true);
+    expect(emitted.join('')).toBe('Hello there');
+    expect(emitted.some(text => text.includes('\n'))).toBe(false);
+    expect(matcher.stop).toBe('\nUser:');
+  });
+
+  test('releases held-back text once it cannot be a stop', () => {
+    const matcher = new StopSequenceMatcher({ stopSequences: ['###'] });
+
+    expect(matcher.push('a#')).toEqual({ text: 'a', stopped: false });
+    expect(matcher.push('#b')).toEqual({ text: '##b', stopped: false });
+    expect(matcher.flush()).toBe('');
+  });
+
+  test('finds a regular expression stop inside the holdback window', () => {
+    const matcher = new StopSequenceMatcher({ stopSequences: [/\n\d+\./], stopHoldback: 8 });
+
+    expect(matcher.push('First line')).toEqual({ text: 'Fi', stopped: false });
+    expect(matcher.push('\n2')).toEqual({ text: 'rs', stopped: false });
+    expect(matcher.push('. Second')).toEqual({ text: 't line', stopped: true });
+    expect(matcher.stop).toBe('\n2.');
+  });
+
+  test('flushes the held-back text when no stop was found', () => {
+    const matcher = new StopSequenceMatcher({ stopSequences: [/END/], stopHoldback: 4 });
+
+    expect(pushAll(matcher, ['abc', 'def']).emitted.join('')).toBe('ab');
+    expect(matcher.flush()).toBe('cdef');
+  });
+
+  test('stops on a stop token', () => {
+    const matcher = new StopSequenceMatcher({ stopTokens: [7] });
+
+    expect(matcher.hasStops()).toBe(true);
+    expect(matcher.matchToken(3)).toBe(false);
+    expect(matcher.matchToken(7)).toBe(true);
+    expect(matcher.stop).toBe(7);
+    expect(matcher.push('after')).toEqual({ text: '', stopped: true });
+  });
+
+  test('emits nothing when flushed after a stop', () => {
+    const matcher = new StopSequenceMatcher({ stopSequences: ['STOP', 'ST'], stopHoldback: 4 });
+    const { emitted, stopped } = pushAll(matcher, ['abc S', 'TOP tail']);
+
+    expect(stopped).toBe(true);
+    expect(emitted.join('')).toBe('abc ');
+    expect(matcher.flush()).toBe('');
+    expect(matcher.push('more')).toEqual({ text: '', stopped: true });
+  });
+
+  test('rejects invalid stops', () => {
+    expect(() => new StopSequenceMatcher({ stopSequences: [''] })).toThrow('Invalid stop sequence');
+    expect(() => new StopSequenceMatcher({ stopTokens: ['7'] })).toThrow('stopTokens');
+    expect(() => new StopSequenceMatcher({ stopHoldback: -1 })).toThrow('stopHoldback');
+  });
+});
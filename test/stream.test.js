@@ -0,0 +1,159 @@
+const logger = require('../src/utils/logger');
+const inference = require('../src/core/inference');
+const { stream } = require('../src/core/stream');
+const { GGUFModel } = require('../src/core/model');
+
+logger.configure({ level: 'error' });
+
+/**
+ * Create a loaded model with no backend
+ * @param {string} id - Model id
+ * @returns {GGUFModel} Model
+ */
+function createModel(id) {
+  const model = new GGUFModel({ id, path: id, metadata: { contextSize: 256 }, session: {} });
+  model.isLoaded = true;
+  return model;
+}
+
+/**
+ * Create an adapter that encodes characters as tokens and streams a reply one
+ * character per tick
+ * @param {string} reply - Generated text
+ * @param {Object} [options={}] - Adapter options
+ * @param {number} [options.failAfter] - Throw after this many tokens
+ * @returns {Object} Adapter, with `cancelled` set when isCancelled stopped generation
+ */
+function createStreamingAdapter(reply, { failAfter } = {}) {
+  const adapter = {
+    cancelled: false,
+    tokenize: async (model, text) => Array.from(text, char => char.codePointAt(0)),
+    detokenize: async (model, tokens) => String.fromCodePoint(...tokens),
+    runInferenceStreaming: async (model, context, onToken, options, isCancelled) => {
+      const tokens = Array.from(reply, char => char.codePointAt(0));
+      for (let i = 0; i < tokens.length; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+        if (isCancelled()) {
+          adapter.cancelled = true;
+          context.setFinishReason('cancelled');
+          return;
+        }
+        if (i === failAfter) {
+          throw new Error('backend failed');
+        }
+        await onToken(tokens[i]);
+      }
+    }
+  };
+  return adapter;
+}
+
+describe('GenerationStream', () => {
+  test('yields the generated chunks in order', async () => {
+    const generation = stream(createModel('stream-chunks'), 'hi', {}, createStreamingAdapter('abc'));
+    const chunks = [];
+
+    for await (const chunk of generation) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.text).join('')).toBe('abc');
+    expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((chunk, i) => i));
+
+    const result = await generation.result;
+    expect(result).toMatchObject({ text: 'abc', aborted: false, finishReason: 'eos', requestId: generation.requestId });
+    expect(typeof result.requestId).toBe('string');
+  });
+
+  test('aborts the generation when the loop breaks', async () => {
+    const adapter = createStreamingAdapter('a'.repeat(50));
+    const generation = stream(createModel('stream-break'), 'hi', {}, adapter);
+
+    for await (const chunk of generation) {
+      expect(chunk.text).toBe('a');
+      break;
+    }
+
+    const result = await generation.result;
+    expect(result.aborted).toBe(true);
+    expect(result.finishReason).toBe('cancelled');
+    expect(result.text.length).toBeLessThan(50);
+    expect(adapter.cancelled).toBe(true);
+  });
+
+  test('collects the whole text', async () => {
+    await expect(stream(createModel('stream-text'), 'hi', {}, createStreamingAdapter('hello')).text()).resolves.toBe('hello');
+  });
+
+  test('ends with the text so far when aborted', async () => {
+    const adapter = createStreamingAdapter('a'.repeat(50));
+    const generation = stream(createModel('stream-abort'), 'hi', {}, adapter);
+
+    const iterator = generation[Symbol.asyncIterator]();
+    await iterator.next();
+    generation.abort();
+
+    const result = await generation.result;
+    expect(result.aborted).toBe(true);
+    expect(adapter.cancelled).toBe(true);
+
+    // The buffered chunks are still delivered, then the stream ends
+    let text = 'a';
+    for (let step = await iterator.next(); !step.done; step = await iterator.next()) {
+      text += step.value.text;
+    }
+    expect(text).toBe(result.text);
+  });
+
+  test('follows the caller signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await stream(createModel('stream-signal'), 'hi', { signal: controller.signal }, createStreamingAdapter('abc')).result;
+    expect(result).toMatchObject({ text: '', aborted: true, finishReason: 'cancelled' });
+  });
+
+  test('rejects the iteration, text() and result when the adapter fails', async () => {
+    const generation = stream(createModel('stream-error'), 'hi', {}, createStreamingAdapter('abcdef', { failAfter: 2 }));
+    const chunks = [];
+
+    await expect((async () => {
+      for await (const chunk of generation) {
+        chunks.push(chunk.text);
+      }
+    })()).rejects.toThrow('backend failed');
+
+    expect(chunks.join('')).toBe('ab');
+    await expect(generation.result).rejects.toThrow('backend failed');
+    await expect(generation.text()).rejects.toThrow('backend failed');
+  });
+
+  test('can only be iterated once', () => {
+    const generation = stream(createModel('stream-once'), 'hi', {}, createStreamingAdapter('a'));
+    generation[Symbol.asyncIterator]();
+
+    expect(() => generation[Symbol.asyncIterator]()).toThrow('can only be iterated once');
+    return generation.result;
+  });
+});
+
+describe('streamGenerate', () => {
+  test('does not signal done when generation fails', async () => {
+    const calls = [];
+
+    await expect(inference.streamGenerate(createModel('stream-fail'), 'hi', (text, isDone) => calls.push([text, isDone]), {},
+      createStreamingAdapter('abcdef', { failAfter: 2 }))).rejects.toThrow('backend failed');
+
+    expect(calls.every(([, isDone]) => !isDone)).toBe(true);
+  });
+
+  test('does not signal done when the prompt does not fit', async () => {
+    const calls = [];
+    const model = createModel('stream-overflow');
+
+    await expect(inference.streamGenerate(model, 'x'.repeat(300), (text, isDone) => calls.push([text, isDone]),
+      { overflow: 'error' }, createStreamingAdapter('a'))).rejects.toThrow();
+
+    expect(calls).toEqual([]);
+  });
+});
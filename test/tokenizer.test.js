@@ -0,0 +1,250 @@
+const logger = require('../src/utils/logger');
+const { createTokenizer, tokenizerConfigFromGGUF, tokenizeWithOffsets } = require('../src/core/tokenizer');
+const vocabularies = require('./fixtures/vocabularies');
+
+logger.configure({ level: 'error' });
+
+/**
+ * Build a tokenizer from fixture GGUF metadata
+ * @param {Object} metadata - GGUF metadata
+ * @returns {BaseTokenizer} Tokenizer
+ */
+function fromGGUF(metadata) {
+  return createTokenizer(tokenizerConfigFromGGUF(metadata));
+}
+
+describe('SentencePiece BPE', () => {
+  const tokenizer = fromGGUF(vocabularies.spmBpe);
+
+  test('merges the highest scoring pieces first', () => {
+    expect(tokenizer.encode('ab')).toEqual([1, 12]);
+    expect(tokenizer.encode('hi ab')).toEqual([1, 17, 12]);
+    expect(tokenizer.encode('hi ab', { addBos: false })).toEqual([17, 12]);
+  });
+
+  test('falls back to byte tokens for missing characters', () => {
+    expect(tokenizer.encode('hi€')).toEqual([1, 17, 5, 6, 7]);
+    expect(tokenizer.encode('a\nb')).toEqual([1, 13, 4, 10]);
+    expect(tokenizer.decode([1, 17, 5, 6, 7])).toBe('hi€');
+  });
+});
+
+describe('SentencePiece Unigram', () => {
+  const tokenizer = fromGGUF(vocabularies.spmUnigram);
+
+  test('picks the highest scoring segmentation', () => {
+    expect(tokenizer.encode('hello world')).toEqual([9, 15, 16, 1]);
+    expect(tokenizer.decode([9, 15, 16, 1])).toBe('hello world');
+  });
+
+  test('falls back to byte tokens for missing characters', () => {
+    expect(tokenizer.encode('hello€')).toEqual([9, 3, 4, 5, 1]);
+    expect(tokenizer.decode([9, 3, 4, 5, 1])).toBe('hello€');
+  });
+
+  test('uses the unknown token without byte tokens for a character', () => {
+    expect(tokenizer.encode('hellz')).toEqual([10, 2, 1]);
+  });
+
+  test('splits on added tokens', () => {
+    expect(tokenizer.encode('hello<extra_id_0>world')).toEqual([9, 20, 15, 16, 1]);
+    expect(tokenizer.encode('hello</s>')).toEqual([9, 1, 1]);
+  });
+});
+
+describe('byte-level BPE', () => {
+  const tokenizer = fromGGUF(vocabularies.byteLevelBpe);
+
+  test('merges by rank', () => {
+    expect(tokenizer.encode('hello world')).toEqual([15, 20]);
+    expect(tokenizer.decode([15, 20])).toBe('hello world');
+  });
+
+  test('encodes characters as their UTF-8 bytes', () => {
+    expect(tokenizer.encode('hello€')).toEqual([15, 21, 11]);
+    expect(tokenizer.decode([15, 21, 11])).toBe('hello€');
+  });
+
+  test('splits on added tokens', () => {
+    expect(tokenizer.encode('hello<|endoftext|> world')).toEqual([15, 0, 20]);
+    expect(tokenizer.decode([15, 0, 20])).toBe('hello world');
+  });
+});
+
+describe('WordPiece', () => {
+  const tokenizer = fromGGUF(vocabularies.wordPiece);
+
+  test('splits words into the longest pieces and adds [CLS] and [SEP]', () => {
+    expect(tokenizer.encode('Hello, unaffable world!')).toEqual([2, 5, 10, 7, 8, 9, 6, 11, 3]);
+  });
+
+  test('uses [UNK] for words it cannot cover', () => {
+    expect(tokenizer.encode('hello xyz')).toEqual([2, 5, 1, 3]);
+  });
+
+  test('splits on added tokens', () => {
+    expect(tokenizer.encode('hello [MASK] world')).toEqual([2, 5, 4, 6, 3]);
+    expect(tokenizer.decode([2, 5, 4, 6, 3])).toBe('hello world');
+  });
+});
+
+describe('SentencePiece added tokens', () => {
+  const tokenizer = fromGGUF(vocabularies.spmBpe);
+
+  test('matches control tokens as single tokens', () => {
+    expect(tokenizer.encode('<|im_start|>ab')).toEqual([1, 3, 12]);
+    expect(tokenizer.isSpecial(3)).toBe(true);
+  });
+
+  test('leaves control tokens to the text when special parsing is off', () => {
+    expect(tokenizer.encode('<|im_start|>ab', { parseSpecial: false })).not.toContain(3);
+  });
+
+  test('matches user-defined tokens without making them special', () => {
+    expect(tokenizer.encode('ab<tool>ab')).toEqual([1, 12, 18, 12]);
+    expect(tokenizer.isSpecial(18)).toBe(false);
+    expect(tokenizer.decode([12, 18, 12])).toBe('ab<tool> ab');
+  });
+
+  test('skips control tokens when decoding', () => {
+    expect(tokenizer.decode([1, 3, 12])).toBe('ab');
+    expect(tokenizer.decode([1, 3, 12], { skipSpecialTokens: false })).toBe('<s><|im_start|> ab');
+    expect(tokenizer.decodeToken(3)).toBe('');
+  });
+});
+
+describe('byte-level BPE pretokenizers', () => {
+  const TEXT = "IT'S 12345.\n\nok";
+
+  /**
+   * Encode with a fixture vocabulary and show the token strings
+   * @param {string} pre - tokenizer.ggml.pre
+   * @param {string} text - Text to encode
+   * @returns {string[]} Tokens
+   */
+  function tokens(pre, text) {
+    const tokenizer = fromGGUF(vocabularies.pretokenizerBpe(pre));
+    return tokenizer.encode(text).map(id => tokenizer.idToToken(id));
+  }
+
+  test.each([
+    ['gpt2', ['I', 'T', "'", 'S', 'Ġ', '12', '34', '5', '.', 'Ċ', 'Ċ', 'o', 'k']],
+    ['llama-bpe', ['I', 'T', "'S", 'Ġ', '123', '45', '.ĊĊ', 'o', 'k']],
+    ['qwen2', ['I', 'T', "'S", 'Ġ', '1', '2', '3', '4', '5', '.ĊĊ', 'o', 'k']],
+    ['command-r', ['I', 'T', "'", 'S', 'Ġ', '1', '2', '3', '4', '5', '.', 'Ċ', 'Ċ', 'o', 'k']],
+    ['falcon', ['I', 'T', "'", 'S', 'Ġ', '123', '45', '.', 'Ċ', 'Ċ', 'o', 'k']],
+    ['deepseek-coder', ['I', 'T', "'", 'S', 'Ġ', '1', '2', '3', '4', '5', '.', 'Ċ', 'Ċ', 'o', 'k']],
+    ['deepseek-llm', ['I', 'T', "'", 'S', 'Ġ', '12', '34', '5', '.', 'Ċ', 'Ċ', 'o', 'k']]
+  ])('splits digits, contractions and newlines like llama.cpp for %s', (pre, expected) => {
+    expect(tokens(pre, TEXT)).toEqual(expected);
+  });
+
+  test('keeps newlines after words apart in llama3 and qwen2', () => {
+    expect(tokens('llama-bpe', 'ok\n\nok')).toEqual(['o', 'k', 'ĊĊ', 'o', 'k']);
+    expect(tokens('qwen2', "it's\n")).toEqual(['i', 't', "'s", 'Ċ']);
+  });
+
+  test('round-trips through decode', () => {
+    const tokenizer = fromGGUF(vocabularies.pretokenizerBpe('llama-bpe'));
+    expect(tokenizer.decode(tokenizer.encode(TEXT))).toBe(TEXT);
+  });
+
+  test('applies a list of patterns in order', () => {
+    const tokenizer = createTokenizer({
+      ...tokenizerConfigFromGGUF(vocabularies.pretokenizerBpe('gpt2')),
+      pretokenizer: [/\p{N}/u, '\\s?\\p{L}+']
+    });
+    expect(tokenizer.pretokenize('ab 12')).toEqual(['ab', 'Ġ', '1', '2']);
+  });
+});
+
+describe('encodeWithOffsets', () => {
+  test('maps SentencePiece tokens to the words they came from', () => {
+    expect(fromGGUF(vocabularies.spmBpe).encodeWithOffsets('hi ab')).toEqual({
+      ids: [1, 17, 12],
+      offsets: [[0, 0], [0, 2], [2, 5]]
+    });
+  });
+
+  test('covers a character split into byte-fallback tokens with each of them', () => {
+    expect(fromGGUF(vocabularies.spmBpe).encodeWithOffsets('hi€ ab').offsets)
+      .toEqual([[0, 0], [0, 2], [2, 3], [2, 3], [2, 3], [3, 6]]);
+    expect(fromGGUF(vocabularies.byteLevelBpe).encodeWithOffsets('hello€').offsets).toEqual([[0, 5], [5, 6], [5, 6]]);
+  });
+
+  test('counts offsets in UTF-16 code units', () => {
+    const encoding = fromGGUF(vocabularies.pretokenizerBpe('gpt2')).encodeWithOffsets('a🙂b');
+
+    expect(encoding.ids).toHaveLength(6);
+    expect(encoding.offsets).toEqual([[0, 1], [1, 3], [1, 3], [1, 3], [1, 3], [3, 4]]);
+  });
+
+  test('gives added tokens the range of their text', () => {
+    expect(fromGGUF(vocabularies.byteLevelBpe).encodeWithOffsets('hello<|endoftext|> world').offsets)
+      .toEqual([[0, 5], [5, 18], [18, 24]]);
+    expect(fromGGUF(vocabularies.spmBpe).encodeWithOffsets('<|im_start|>ab').offsets).toEqual([[0, 0], [0, 12], [12, 14]]);
+  });
+
+  test('maps normalized and unknown tokens back to the original text', () => {
+    expect(fromGGUF(vocabularies.wordPiece).encodeWithOffsets('Hello, UNAFFABLE world!').offsets)
+      .toEqual([[0, 0], [0, 5], [5, 6], [7, 9], [9, 12], [12, 16], [17, 22], [22, 23], [0, 0]]);
+    expect(fromGGUF(vocabularies.spmUnigram).encodeWithOffsets('hellz').offsets).toEqual([[0, 4], [4, 5], [0, 0]]);
+  });
+});
+
+describe('tokenizeWithOffsets', () => {
+  /**
+   * Use a fixture tokenizer as the native one, recording the length of each decode
+   * @param {BaseTokenizer} tokenizer - Tokenizer
+   * @param {number[]} decoded - Receives the number of tokens of each decode
+   * @returns {Object} Native tokenizer functions
+   */
+  function nativeTokenizer(tokenizer, decoded) {
+    return {
+      encode: async (text) => tokenizer.encode(text),
+      decode: async (ids) => {
+        decoded.push(ids.length);
+        return tokenizer.decode(ids);
+      }
+    };
+  }
+
+  test("uses the model's JavaScript tokenizer when it matches the native one", async () => {
+    const decoded = [];
+    const model = { gguf: { metadata: vocabularies.spmBpe } };
+    const native = nativeTokenizer(fromGGUF(vocabularies.spmBpe), decoded);
+
+    await expect(tokenizeWithOffsets(model, 'hi€ ab', native)).resolves.toEqual({
+      ids: [1, 17, 5, 6, 7, 12],
+      offsets: [[0, 0], [0, 2], [2, 3], [2, 3], [2, 3], [3, 6]]
+    });
+    expect(decoded).toEqual([]);
+  });
+
+  test('detokenizes when there is no matching JavaScript tokenizer', async () => {
+    const decoded = [];
+    const model = { gguf: { metadata: vocabularies.byteLevelBpe } };
+    const native = nativeTokenizer(fromGGUF(vocabularies.spmBpe), decoded);
+
+    // Byte tokens before the last byte of a character add no text of their own
+    await expect(tokenizeWithOffsets(model, 'hi€ ab', native)).resolves.toEqual({
+      ids: [1, 17, 5, 6, 7, 12],
+      offsets: [[0, 0], [0, 2], [2, 2], [2, 2], [2, 3], [3, 6]]
+    });
+    expect(decoded.length).toBeGreaterThan(0);
+  });
+
+  test('decodes a long prompt in bounded windows', async () => {
+    const decoded = [];
+    const tokenizer = fromGGUF(vocabularies.spmBpe);
+    const text = 'hi ab€ '.repeat(40);
+
+    const { ids, offsets } = await tokenizeWithOffsets({}, text, nativeTokenizer(tokenizer, decoded));
+
+    expect(ids.length).toBeGreaterThan(200);
+    expect(Math.max(...decoded)).toBeLessThanOrEqual(16);
+    expect(decoded.length).toBeLessThanOrEqual(2 * ids.length);
+    const end = text.length;
+    expect(offsets.slice(-5)).toEqual([[end - 5, end - 2], [end - 2, end - 2], [end - 2, end - 2], [end - 2, end - 1], [end - 1, end]]);
+  });
+});